@@ -0,0 +1,148 @@
+const mongoose = require("mongoose");
+const Organ = require("../models/Organ");
+const analyticsService = require("../services/AnalyticsService");
+
+const INTERVALS = ["day", "week", "month"];
+
+/**
+ * Parse the organId/from/to query shared by the analytics endpoints
+ * @param {Object} query - Request query
+ * @returns {Promise<Object>} { organId, from, to }; throws with statusCode 400/404
+ */
+const parseScope = async ({ organId, from, to }) => {
+  const fail = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  };
+
+  const scope = {};
+
+  if (organId) {
+    if (!mongoose.isValidObjectId(organId)) fail(400, "Invalid organId");
+    const organ = await Organ.exists({ _id: organId, deletedAt: null });
+    if (!organ) fail(404, "Organ not found");
+    scope.organId = organId;
+  }
+
+  if (from) {
+    scope.from = new Date(from);
+    if (isNaN(scope.from.getTime())) fail(400, "Invalid 'from' date");
+  }
+  if (to) {
+    scope.to = new Date(to);
+    if (isNaN(scope.to.getTime())) fail(400, "Invalid 'to' date");
+  }
+
+  return scope;
+};
+
+/**
+ * Send an analytics error response
+ */
+const handleAnalyticsError = (error, res, message) => {
+  if (!error.statusCode) {
+    console.error(`Error fetching ${message}:`, error);
+  }
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : `Failed to fetch ${message}`,
+    ...(!error.statusCode && { error: error.message }),
+  });
+};
+
+/**
+ * Top donors overall or for one organ
+ * @route GET /api/analytics/leaderboard
+ */
+const getLeaderboard = async (req, res) => {
+  try {
+    const scope = await parseScope(req.query);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10));
+
+    const donors = await analyticsService.getTopDonors(scope, limit);
+
+    res.status(200).json({
+      success: true,
+      count: donors.length,
+      data: donors,
+    });
+  } catch (error) {
+    handleAnalyticsError(error, res, "leaderboard");
+  }
+};
+
+/**
+ * Funding totals per day, week or month
+ * @route GET /api/analytics/funding
+ */
+const getFundingTimeline = async (req, res) => {
+  try {
+    const interval = req.query.interval || "day";
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        message: `interval must be one of: ${INTERVALS.join(", ")}`,
+      });
+    }
+
+    const scope = await parseScope(req.query);
+    const periods = await analyticsService.getFundingTimeline(scope, interval);
+
+    res.status(200).json({
+      success: true,
+      interval,
+      count: periods.length,
+      data: periods,
+    });
+  } catch (error) {
+    handleAnalyticsError(error, res, "funding timeline");
+  }
+};
+
+/**
+ * Totals, average donation and currency breakdown
+ * @route GET /api/analytics/summary
+ */
+const getSummary = async (req, res) => {
+  try {
+    const scope = await parseScope(req.query);
+    const summary = await analyticsService.getSummary(scope);
+
+    res.status(200).json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    handleAnalyticsError(error, res, "funding summary");
+  }
+};
+
+/**
+ * Time-to-target projections per organ from recent funding velocity
+ * @route GET /api/analytics/projections
+ */
+const getProjections = async (req, res) => {
+  try {
+    const windowDays = Math.min(
+      365,
+      Math.max(1, parseInt(req.query.windowDays) || 30),
+    );
+    const projections = await analyticsService.getProjections(windowDays);
+
+    res.status(200).json({
+      success: true,
+      count: projections.length,
+      data: projections,
+    });
+  } catch (error) {
+    handleAnalyticsError(error, res, "funding projections");
+  }
+};
+
+module.exports = {
+  getLeaderboard,
+  getFundingTimeline,
+  getSummary,
+  getProjections,
+};
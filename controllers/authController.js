@@ -0,0 +1,223 @@
+const mongoose = require("mongoose");
+const ApiKey = require("../models/ApiKey");
+const Ngo = require("../models/Ngo");
+const authService = require("../services/AuthService");
+
+// Roles an API key can be issued for
+const KEY_ROLES = ["ngo", "admin"];
+
+/**
+ * Format an API key for API responses (never includes the key itself)
+ * @param {Object} apiKey - ApiKey document
+ * @returns {Object} API key response object
+ */
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  role: apiKey.role,
+  subject: apiKey.subject,
+  prefix: apiKey.prefix,
+  createdBy: apiKey.createdBy,
+  lastUsedAt: apiKey.lastUsedAt,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt,
+});
+
+/**
+ * The authenticated caller's role
+ * @route GET /api/auth/me
+ */
+const getMe = (req, res) => {
+  const { role, subject, method, apiKeyId } = req.auth;
+
+  res.status(200).json({
+    success: true,
+    data: { role, subject, method, apiKeyId: apiKeyId || null },
+  });
+};
+
+/**
+ * Exchange an API key for a short-lived JWT with the key's role
+ * @route POST /api/auth/token
+ */
+const issueToken = (req, res) => {
+  try {
+    const { role, subject, method, apiKeyId } = req.auth;
+    if (!["api-key", "admin-key"].includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: "Tokens are issued for API keys only",
+      });
+    }
+
+    const token = authService.signToken({
+      sub: subject,
+      role,
+      ...(apiKeyId && { kid: apiKeyId.toString() }),
+    });
+    const { exp } = authService.verifyToken(token);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token,
+        tokenType: "Bearer",
+        role,
+        expiresAt: new Date(exp * 1000),
+      },
+    });
+  } catch (error) {
+    console.error("Error issuing token:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Failed to issue token",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * List API keys
+ * @route GET /api/auth/keys
+ */
+const getApiKeys = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.role) filter.role = req.query.role;
+    if (req.query.includeRevoked !== "true") filter.revokedAt = null;
+
+    const apiKeys = await ApiKey.find(filter).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys.map(formatApiKey),
+    });
+  } catch (error) {
+    console.error("Error fetching API keys:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch API keys",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create an API key; the key is only returned in this response
+ * @route POST /api/auth/keys
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const { name, role, ngoId, expiresAt: requestedExpiry } = req.body || {};
+    let { subject } = req.body || {};
+
+    if (!name || typeof name !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "name is required",
+      });
+    }
+
+    if (!KEY_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of: ${KEY_ROLES.join(", ")}`,
+      });
+    }
+
+    // NGO keys act for a registered NGO
+    if (role === "ngo") {
+      const ngo = mongoose.isValidObjectId(ngoId)
+        ? await Ngo.findById(ngoId)
+        : null;
+      if (!ngo) {
+        return res.status(400).json({
+          success: false,
+          message: "ngoId of a registered NGO is required for ngo keys",
+        });
+      }
+      subject = ngo._id.toString();
+    }
+
+    let expiresAt = null;
+    if (requestedExpiry) {
+      expiresAt = new Date(requestedExpiry);
+      if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: "expiresAt must be a future date",
+        });
+      }
+    }
+
+    const { apiKey, key } = await authService.createApiKey({
+      name,
+      role,
+      subject: subject || null,
+      expiresAt,
+      createdBy: req.auth.subject,
+    });
+
+    console.log(`🔑 API key created: ${apiKey.name} (${apiKey.role})`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...formatApiKey(apiKey),
+        // Only returned once
+        key,
+      },
+    });
+  } catch (error) {
+    console.error("Error creating API key:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create API key",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Revoke an API key
+ * @route DELETE /api/auth/keys/:id
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const apiKey = mongoose.isValidObjectId(id)
+      ? await authService.revokeApiKey(id)
+      : null;
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found or already revoked",
+      });
+    }
+
+    console.log(`🔑 API key revoked: ${apiKey.name} (${apiKey.role})`);
+
+    res.status(200).json({
+      success: true,
+      data: formatApiKey(apiKey),
+    });
+  } catch (error) {
+    console.error("Error revoking API key:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke API key",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getMe,
+  issueToken,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+};
@@ -0,0 +1,218 @@
+const donorService = require("../services/DonorService");
+
+/**
+ * Format a donor for API responses
+ * @param {Object} donor - Donor document
+ * @returns {Object} Donor response object
+ */
+const formatDonor = (donor) => ({
+  id: donor._id,
+  email: donor.email,
+  name: donor.name,
+  verifiedAt: donor.verifiedAt,
+  lastLoginAt: donor.lastLoginAt,
+  createdAt: donor.createdAt,
+});
+
+/**
+ * Format one of the donor's own vials
+ * @param {Object} vial - Vial document with organId populated
+ * @returns {Object} Vial response object
+ */
+const formatOwnVial = (vial) => ({
+  id: vial._id,
+  organId: vial.organId?._id || vial.organId,
+  organName: vial.organId?.name || null,
+  organType: vial.organId?.type || null,
+  amount: vial.amount,
+  currency: vial.currency,
+  amountUSD: vial.amountUSD,
+  refundedAmount: vial.refundedAmount,
+  refundedAmountUSD: vial.refundedAmountUSD,
+  status: vial.status,
+  anonymous: vial.anonymous,
+  subscriptionId: vial.subscriptionId,
+  txRef: vial.transactionRef,
+  processedAt: vial.processedAt,
+  createdAt: vial.createdAt,
+});
+
+/**
+ * Email a one-time sign-in link
+ * @route POST /api/donors/login
+ */
+const requestLogin = async (req, res) => {
+  try {
+    const { email: rawEmail, name } = req.body || {};
+    const email = donorService.normalizeEmail(rawEmail);
+    if (!donorService.isValidEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid email is required",
+      });
+    }
+
+    await donorService.requestLogin({ email, name });
+
+    res.status(202).json({
+      success: true,
+      message: `A sign-in link has been sent to ${email}`,
+    });
+  } catch (error) {
+    console.error("Error sending sign-in link:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to send sign-in link",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Exchange a sign-in link token for a session token
+ * @route POST /api/donors/verify
+ */
+const verifyLogin = async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: "token is required",
+      });
+    }
+
+    const session = await donorService.verifyLogin(token);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: "Sign-in link is invalid, expired or already used",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        donor: formatDonor(session.donor),
+        sessionToken: session.sessionToken,
+        expiresAt: session.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Error verifying sign-in link:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to verify sign-in link",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * End the current donor session
+ * @route POST /api/donors/logout
+ */
+const logout = async (req, res) => {
+  try {
+    await donorService.logout(req.donorToken);
+    res.status(200).json({ success: true, message: "Signed out" });
+  } catch (error) {
+    console.error("Error signing out:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to sign out",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the signed-in donor
+ * @route GET /api/donors/me
+ */
+const getMe = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: formatDonor(req.donor),
+  });
+};
+
+/**
+ * Get the signed-in donor's vials across all organs with totals
+ * @route GET /api/donors/me/vials
+ */
+const getMyVials = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const { vials, totals, pagination } = await donorService.getContributions(
+      req.donor,
+      { page, limit },
+    );
+
+    res.status(200).json({
+      success: true,
+      count: vials.length,
+      data: vials.map(formatOwnVial),
+      totals,
+      pagination,
+    });
+  } catch (error) {
+    console.error("Error fetching donor vials:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch contributions",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Mark one of the donor's vials as anonymous (or public again)
+ * @route PATCH /api/donors/me/vials/:id
+ */
+const updateMyVial = async (req, res) => {
+  try {
+    const { anonymous } = req.body || {};
+    if (typeof anonymous !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "anonymous must be true or false",
+      });
+    }
+
+    const vial = await donorService.setAnonymous(
+      req.donor,
+      req.params.id,
+      anonymous,
+    );
+    if (!vial) {
+      return res.status(404).json({
+        success: false,
+        message: "Vial not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatOwnVial(vial),
+    });
+  } catch (error) {
+    console.error("Error updating donor vial:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update contribution",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  requestLogin,
+  verifyLogin,
+  logout,
+  getMe,
+  getMyVials,
+  updateMyVial,
+};
@@ -0,0 +1,110 @@
+const mongoose = require("mongoose");
+const ScanJob = require("../models/ScanJob");
+const JobRun = require("../models/JobRun");
+const schedulerService = require("../services/SchedulerService");
+
+/**
+ * Get all scheduled scan jobs with their most recent runs
+ * @route GET /api/jobs
+ */
+const getAllJobs = async (req, res) => {
+  try {
+    const jobs = await ScanJob.find({}).sort({ organType: 1 });
+
+    const jobsWithRuns = await Promise.all(
+      jobs.map(async (job) => {
+        const recentRuns = await JobRun.find({ jobId: job._id })
+          .sort({ startedAt: -1 })
+          .limit(5);
+
+        return {
+          id: job._id,
+          name: job.name,
+          organType: job.organType,
+          schedule: job.schedule,
+          enabled: job.enabled,
+          isRunning: job.isRunning,
+          lastRunAt: job.lastRunAt,
+          lastStatus: job.lastStatus,
+          nextRunAt: job.nextRunAt,
+          recentRuns: recentRuns.map((run) => ({
+            id: run._id,
+            trigger: run.trigger,
+            status: run.status,
+            startedAt: run.startedAt,
+            finishedAt: run.finishedAt,
+            results: run.results,
+            error: run.error,
+          })),
+        };
+      }),
+    );
+
+    res.status(200).json({
+      success: true,
+      count: jobsWithRuns.length,
+      data: jobsWithRuns,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error fetching jobs:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch jobs",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Trigger a scan job immediately; the run continues in the background
+ * @route POST /api/jobs/:id/run
+ */
+const runJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const job = mongoose.isValidObjectId(id)
+      ? await ScanJob.findById(id)
+      : null;
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+      });
+    }
+
+    const { run, skipped } = await schedulerService.startRun(job, "MANUAL");
+
+    if (skipped) {
+      return res.status(409).json({
+        success: false,
+        message: "Job is already running",
+        data: { jobId: job._id, runId: run._id, status: run.status },
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: `Job ${job.name} started`,
+      data: {
+        jobId: job._id,
+        runId: run._id,
+        status: run.status,
+        startedAt: run.startedAt,
+      },
+    });
+  } catch (error) {
+    console.error("Error running job:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to run job",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getAllJobs,
+  runJob,
+};
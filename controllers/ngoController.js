@@ -0,0 +1,324 @@
+const mongoose = require("mongoose");
+const Ngo = require("../models/Ngo");
+const Organ = require("../models/Organ");
+const donorService = require("../services/DonorService");
+
+const STATUSES = ["PENDING", "APPROVED", "SUSPENDED"];
+
+// Fields an admin may change on an NGO
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "website",
+  "countryIso",
+  "contact",
+  "status",
+  "trustLevel",
+  "approvedOrgans",
+];
+
+/**
+ * Public profile of an NGO
+ * @param {Object} ngo - Ngo document
+ * @returns {Object} NGO response object
+ */
+const formatNgo = (ngo) => ({
+  id: ngo._id,
+  name: ngo.name,
+  description: ngo.description,
+  website: ngo.website,
+  countryIso: ngo.countryIso,
+  trustLevel: ngo.trustLevel,
+  approvedOrgans: ngo.approvedOrgans,
+  approvedAt: ngo.approvedAt,
+});
+
+/**
+ * Full NGO record including contact details and status
+ * @param {Object} ngo - Ngo document
+ * @returns {Object} NGO response object
+ */
+const formatNgoForAdmin = (ngo) => ({
+  ...formatNgo(ngo),
+  contact: ngo.contact,
+  status: ngo.status,
+  createdAt: ngo.createdAt,
+  updatedAt: ngo.updatedAt,
+});
+
+/**
+ * Send a 400 for mongoose validation errors or a 409 for duplicate names
+ * @returns {boolean} Whether the error was handled
+ */
+const handleNgoWriteError = (error, res) => {
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    const errors = error.errors
+      ? Object.fromEntries(
+          Object.entries(error.errors).map(([key, err]) => [key, err.message]),
+        )
+      : { [error.path]: error.message };
+
+    res.status(400).json({
+      success: false,
+      message: "Invalid NGO data",
+      errors,
+    });
+    return true;
+  }
+
+  if (error.code === 11000) {
+    res.status(409).json({
+      success: false,
+      message: "An NGO with this name already exists",
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Register an NGO; it can submit verifications once an admin approves it
+ * @route POST /api/ngos
+ */
+const registerNgo = async (req, res) => {
+  try {
+    const { name, description, website, countryIso, contact } = req.body || {};
+    const { name: contactName, email: contactEmail, phone } = contact || {};
+    const email = donorService.normalizeEmail(contactEmail);
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: "name is required",
+      });
+    }
+
+    if (!donorService.isValidEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid contact.email is required",
+      });
+    }
+
+    const ngo = await Ngo.create({
+      name,
+      description,
+      website,
+      countryIso,
+      contact: { name: contactName, email, phone },
+    });
+
+    console.log(`✓ NGO registered: ${ngo.name} (pending approval)`);
+
+    res.status(201).json({
+      success: true,
+      message: "Registration received; an admin will review it",
+      data: formatNgoForAdmin(ngo),
+    });
+  } catch (error) {
+    if (handleNgoWriteError(error, res)) return;
+
+    console.error("Error registering NGO:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to register NGO",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * List approved NGOs
+ * @route GET /api/ngos
+ */
+const getNgos = async (req, res) => {
+  try {
+    const filter = { status: "APPROVED" };
+    if (req.query.organId) {
+      if (!mongoose.isValidObjectId(req.query.organId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid organId",
+        });
+      }
+      filter.approvedOrgans = req.query.organId;
+    }
+
+    const ngos = await Ngo.find(filter).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: ngos.length,
+      data: ngos.map(formatNgo),
+    });
+  } catch (error) {
+    console.error("Error fetching NGOs:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch NGOs",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get an approved NGO's public profile
+ * @route GET /api/ngos/:id
+ */
+const getNgoById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const ngo = mongoose.isValidObjectId(id)
+      ? await Ngo.findOne({ _id: id, status: "APPROVED" })
+      : null;
+
+    if (!ngo) {
+      return res.status(404).json({
+        success: false,
+        message: "NGO not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatNgo(ngo),
+    });
+  } catch (error) {
+    console.error("Error fetching NGO:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch NGO",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * List all NGOs with contact details, optionally by status (admin)
+ * @route GET /api/ngos/admin
+ */
+const getNgosForAdmin = async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${STATUSES.join(", ")}`,
+      });
+    }
+
+    const ngos = await Ngo.find(status ? { status } : {}).sort({
+      createdAt: -1,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: ngos.length,
+      data: ngos.map(formatNgoForAdmin),
+    });
+  } catch (error) {
+    console.error("Error fetching NGOs:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch NGOs",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Approve, suspend or update an NGO (admin)
+ * @route PATCH /api/ngos/:id
+ */
+const updateNgo = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const body = req.body || {};
+    const fields = EDITABLE_FIELDS.reduce((picked, key) => {
+      if (body[key] !== undefined) picked[key] = body[key];
+      return picked;
+    }, {});
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `No editable fields provided (allowed: ${EDITABLE_FIELDS.join(", ")})`,
+      });
+    }
+
+    if (fields.approvedOrgans !== undefined) {
+      if (!Array.isArray(fields.approvedOrgans)) {
+        return res.status(400).json({
+          success: false,
+          message: "approvedOrgans must be an array of organ IDs",
+        });
+      }
+      const organIds = [...new Set(fields.approvedOrgans.map(String))];
+      const found = organIds.every((organId) =>
+        mongoose.isValidObjectId(organId),
+      )
+        ? await Organ.countDocuments({ _id: { $in: organIds }, deletedAt: null })
+        : -1;
+      if (found !== organIds.length) {
+        return res.status(400).json({
+          success: false,
+          message: "approvedOrgans contains unknown organ IDs",
+        });
+      }
+      fields.approvedOrgans = organIds;
+    }
+
+    if (fields.contact?.email !== undefined) {
+      fields.contact.email = donorService.normalizeEmail(fields.contact.email);
+    }
+
+    let ngo = mongoose.isValidObjectId(id)
+      ? await Ngo.findOneAndUpdate({ _id: id }, fields, {
+          new: true,
+          runValidators: true,
+        })
+      : null;
+
+    // approvedAt records the first approval
+    if (ngo?.status === "APPROVED" && !ngo.approvedAt) {
+      ngo =
+        (await Ngo.findOneAndUpdate(
+          { _id: ngo._id, approvedAt: null },
+          { approvedAt: new Date() },
+          { new: true },
+        )) || ngo;
+    }
+
+    if (!ngo) {
+      return res.status(404).json({
+        success: false,
+        message: "NGO not found",
+      });
+    }
+
+    console.log(`✓ NGO updated: ${ngo.name} (${ngo.status})`);
+
+    res.status(200).json({
+      success: true,
+      data: formatNgoForAdmin(ngo),
+    });
+  } catch (error) {
+    if (handleNgoWriteError(error, res)) return;
+
+    console.error("Error updating NGO:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update NGO",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  registerNgo,
+  getNgos,
+  getNgoById,
+  getNgosForAdmin,
+  updateNgo,
+};
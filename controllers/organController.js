@@ -1,5 +1,105 @@
+const mongoose = require("mongoose");
 const Organ = require("../models/Organ");
+const DiagnosticRecord = require("../models/DiagnosticRecord");
+const JobRun = require("../models/JobRun");
+const OrganEvent = require("../models/OrganEvent");
 const diagnosticService = require("../services/DiagnosticService");
+const schedulerService = require("../services/SchedulerService");
+const organEventService = require("../services/OrganEventService");
+const subscriptionService = require("../services/SubscriptionService");
+const milestoneService = require("../services/MilestoneService");
+const verificationService = require("../services/VerificationService");
+const geminiService = require("../services/GeminiService");
+
+// Fields an admin may set when creating or updating an organ
+const EDITABLE_FIELDS = [
+  "name",
+  "type",
+  "healthScore",
+  "symptomState",
+  "targetFundingUSD",
+  "milestones",
+  "onTargetReached",
+  "diagnosis",
+  "location",
+  "dataSourceParams",
+];
+
+/**
+ * Format an organ document with its full state including diagnosis
+ * @param {Object} organ - Organ document
+ * @param {Map} commitments - Committed monthly funding by organ ID; adds
+ *   fundingProjection when given
+ * @returns {Object} Organ response object
+ */
+const formatOrgan = (organ, commitments) => ({
+  id: organ._id,
+  name: organ.name,
+  type: organ.type,
+  healthScore: organ.healthScore,
+  symptomState: organ.symptomState,
+  currentFundingUSD: organ.currentFundingUSD,
+  targetFundingUSD: organ.targetFundingUSD,
+  fundingPercentage: organ.fundingPercentage,
+  archivedFundingUSD: organ.archivedFundingUSD,
+  campaign: organ.campaign,
+  onTargetReached: organ.onTargetReached,
+  ...(commitments && {
+    fundingProjection: subscriptionService.projectFunding(
+      organ,
+      commitments.get(organ._id.toString()),
+    ),
+  }),
+  lastMetricValue: organ.lastMetricValue,
+  diagnosis: organ.diagnosis,
+  location: organ.location,
+  dataSourceParams: organ.dataSourceParams,
+  lastUpdated: organ.lastUpdated,
+  createdAt: organ.createdAt,
+  updatedAt: organ.updatedAt,
+});
+
+/**
+ * Pick admin-editable fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Fields to write
+ */
+const pickEditableFields = (body = {}) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+/**
+ * Send a 400 for mongoose validation errors or a 409 for duplicate names
+ * @returns {boolean} Whether the error was handled
+ */
+const handleOrganWriteError = (error, res) => {
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    const errors = error.errors
+      ? Object.fromEntries(
+          Object.entries(error.errors).map(([key, err]) => [key, err.message]),
+        )
+      : { [error.path]: error.message };
+
+    res.status(400).json({
+      success: false,
+      message: "Invalid organ data",
+      errors,
+    });
+    return true;
+  }
+
+  if (error.code === 11000) {
+    res.status(409).json({
+      success: false,
+      message: "An organ with this name already exists",
+    });
+    return true;
+  }
+
+  return false;
+};
 
 /**
  * Get all organs with their current state
@@ -7,24 +107,13 @@ const diagnosticService = require("../services/DiagnosticService");
  */
 const getAllOrgans = async (req, res) => {
   try {
-    const organs = await Organ.find({}).sort({ type: 1 });
+    const organs = await Organ.find({ deletedAt: null }).sort({ type: 1 });
+    const commitments = await subscriptionService.getCommittedMonthly();
 
     // Format response with full state including diagnosis
-    const organsWithState = organs.map((organ) => ({
-      id: organ._id,
-      name: organ.name,
-      type: organ.type,
-      healthScore: organ.healthScore,
-      symptomState: organ.symptomState,
-      currentFundingUSD: organ.currentFundingUSD,
-      targetFundingUSD: organ.targetFundingUSD,
-      fundingPercentage: organ.fundingPercentage,
-      lastMetricValue: organ.lastMetricValue,
-      diagnosis: organ.diagnosis,
-      lastUpdated: organ.lastUpdated,
-      createdAt: organ.createdAt,
-      updatedAt: organ.updatedAt,
-    }));
+    const organsWithState = organs.map((organ) =>
+      formatOrgan(organ, commitments),
+    );
 
     res.status(200).json({
       success: true,
@@ -49,7 +138,9 @@ const getAllOrgans = async (req, res) => {
 const getOrganById = async (req, res) => {
   try {
     const { id } = req.params;
-    const organ = await Organ.findById(id);
+    const organ = mongoose.isValidObjectId(id)
+      ? await Organ.findOne({ _id: id, deletedAt: null })
+      : null;
 
     if (!organ) {
       return res.status(404).json({
@@ -58,23 +149,11 @@ const getOrganById = async (req, res) => {
       });
     }
 
+    const commitments = await subscriptionService.getCommittedMonthly();
+
     res.status(200).json({
       success: true,
-      data: {
-        id: organ._id,
-        name: organ.name,
-        type: organ.type,
-        healthScore: organ.healthScore,
-        symptomState: organ.symptomState,
-        currentFundingUSD: organ.currentFundingUSD,
-        targetFundingUSD: organ.targetFundingUSD,
-        fundingPercentage: organ.fundingPercentage,
-        lastMetricValue: organ.lastMetricValue,
-        diagnosis: organ.diagnosis,
-        lastUpdated: organ.lastUpdated,
-        createdAt: organ.createdAt,
-        updatedAt: organ.updatedAt,
-      },
+      data: formatOrgan(organ, commitments),
     });
   } catch (error) {
     console.error("Error fetching organ:", error);
@@ -93,7 +172,9 @@ const getOrganById = async (req, res) => {
 const diagnoseOrgan = async (req, res) => {
   try {
     const { id } = req.params;
-    const organ = await Organ.findById(id);
+    const organ = mongoose.isValidObjectId(id)
+      ? await Organ.findOne({ _id: id, deletedAt: null })
+      : null;
 
     if (!organ) {
       return res.status(404).json({
@@ -104,18 +185,9 @@ const diagnoseOrgan = async (req, res) => {
 
     console.log(`Running diagnostic scan on ${organ.name}...`);
 
-    // Perform diagnostic scan
-    const diagnosticResult =
-      await diagnosticService.performDiagnosticScan(organ);
-
-    // Update organ with diagnostic results
-    organ.lastMetricValue = diagnosticResult.metrics;
-    organ.diagnosis = diagnosticResult.diagnosis;
-    organ.symptomState = diagnosticResult.status;
-    organ.healthScore = diagnosticResult.healthScore;
-    organ.lastUpdated = new Date();
-
-    await organ.save();
+    // Perform diagnostic scan, update the organ and store it in the history
+    const { diagnosticResult, record } =
+      await diagnosticService.scanAndRecord(organ);
 
     console.log(
       `✓ Diagnostic complete: ${organ.name} - ${diagnosticResult.status}`,
@@ -131,8 +203,11 @@ const diagnoseOrgan = async (req, res) => {
           diagnosis: diagnosticResult.diagnosis,
           status: diagnosticResult.status,
           healthScore: diagnosticResult.healthScore,
+          diagnosisEngine: diagnosticResult.diagnosisEngine,
+          dataQuality: diagnosticResult.dataQuality,
           timestamp: diagnosticResult.timestamp,
         },
+        recordId: record._id,
         updatedOrgan: {
           id: organ._id,
           name: organ.name,
@@ -155,94 +230,571 @@ const diagnoseOrgan = async (req, res) => {
 };
 
 /**
- * Run diagnostic scan on all organs
+ * Start a diagnostic scan on all organs in the background
+ * Returns immediately with a job ID that can be polled for progress
  * @route POST /api/organs/diagnose-all
  */
 const diagnoseAllOrgans = async (req, res) => {
   try {
-    const organs = await Organ.find({});
-    const results = [];
+    const run = await schedulerService.startDiagnoseAll();
 
-    console.log(`Running diagnostic scan on all ${organs.length} organs...`);
+    console.log(
+      `Running diagnostic scan on all ${run.total} organs (job ${run._id})...`,
+    );
 
-    for (const organ of organs) {
-      try {
-        const diagnosticResult =
-          await diagnosticService.performDiagnosticScan(organ);
+    res.status(202).json({
+      success: true,
+      message: `Diagnostic scan started for ${run.total} organs`,
+      data: {
+        jobId: run._id,
+        status: run.status,
+        total: run.total,
+        statusUrl: `/api/organs/diagnose-all/${run._id}`,
+      },
+    });
+  } catch (error) {
+    console.error("Error diagnosing all organs:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to diagnose all organs",
+      error: error.message,
+    });
+  }
+};
 
-        organ.lastMetricValue = diagnosticResult.metrics;
-        organ.diagnosis = diagnosticResult.diagnosis;
-        organ.symptomState = diagnosticResult.status;
-        organ.healthScore = diagnosticResult.healthScore;
-        organ.lastUpdated = new Date();
+/**
+ * Get progress and partial results of a diagnose-all job
+ * @route GET /api/organs/diagnose-all/:jobId
+ */
+const getDiagnoseAllStatus = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const run = mongoose.isValidObjectId(jobId)
+      ? await JobRun.findOne({ _id: jobId, trigger: "DIAGNOSE_ALL" })
+      : null;
 
-        await organ.save();
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: "Diagnostic job not found",
+      });
+    }
 
-        results.push({
-          organId: organ._id,
-          organName: organ.name,
-          status: "success",
-          diagnosis: diagnosticResult.diagnosis,
+    const succeeded = run.results.filter((r) => r.status === "success").length;
+    const failed = run.results.length - succeeded;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobId: run._id,
+        status: run.status,
+        total: run.total,
+        completed: run.results.length,
+        succeeded,
+        failed,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt,
+        error: run.error,
+        results: run.results.map((result) => ({
+          organId: result.organId,
+          organName: result.organName,
+          status: result.status,
+          diagnosis: result.diagnosis,
+          dataQuality: result.dataQuality,
+          applied: result.applied,
+          error: result.error,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching diagnostic job:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch diagnostic job",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get diagnostic history for an organ
+ * Supports ?from=&to= (ISO dates), ?quality=LIVE|DEGRADED and ?page=&limit= pagination
+ * @route GET /api/organs/:id/history
+ */
+const getOrganHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to, quality } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const organ = mongoose.isValidObjectId(id)
+      ? await Organ.findOne({ _id: id, deletedAt: null })
+      : null;
+    if (!organ) {
+      return res.status(404).json({
+        success: false,
+        message: "Organ not found",
+      });
+    }
+
+    const filter = { organId: organ._id };
+    if (quality) {
+      if (!["LIVE", "DEGRADED"].includes(quality)) {
+        return res.status(400).json({
+          success: false,
+          message: "quality must be LIVE or DEGRADED",
         });
+      }
+      // Records from before data quality tracking count as LIVE
+      filter["dataQuality.status"] =
+        quality === "LIVE" ? { $in: ["LIVE", null] } : quality;
+    }
+    if (from || to) {
+      filter.scannedAt = {};
+      if (from) {
+        const fromDate = new Date(from);
+        if (isNaN(fromDate.getTime())) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid 'from' date",
+          });
+        }
+        filter.scannedAt.$gte = fromDate;
+      }
+      if (to) {
+        const toDate = new Date(to);
+        if (isNaN(toDate.getTime())) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid 'to' date",
+          });
+        }
+        filter.scannedAt.$lte = toDate;
+      }
+    }
+
+    const [records, total] = await Promise.all([
+      DiagnosticRecord.find(filter)
+        .sort({ scannedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      DiagnosticRecord.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: records.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: records.map((record) => ({
+        id: record._id,
+        organId: record.organId,
+        metrics: record.metrics,
+        dataSource: record.dataSource,
+        diagnosis: record.diagnosis,
+        status: record.status,
+        healthScore: record.healthScore,
+        diagnosisEngine: record.diagnosisEngine,
+        fromCache: record.fromCache,
+        dataQuality: record.dataQuality,
+        scannedAt: record.scannedAt,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching organ history:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch organ history",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Stream organ changes as Server-Sent Events
+ * Resumes from the Last-Event-ID header (or ?lastEventId=) when provided
+ * @route GET /api/organs/stream
+ */
+const streamOrganEvents = (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  // Replay missed events, or ask the client to refetch if they are gone
+  const resumeFrom = req.get("Last-Event-ID") || req.query.lastEventId;
+  if (resumeFrom) {
+    const { events, complete, reason } = organEventService.getEventsSince(
+      Number(resumeFrom),
+    );
+
+    if (!complete) {
+      const resync = organEventService.resyncEvent(reason);
+      res.write(organEventService.format(resync));
+    } else {
+      events.forEach((event) => res.write(organEventService.format(event)));
+    }
+  }
+
+  const onEvent = (event) => res.write(organEventService.format(event));
+  organEventService.on("event", onEvent);
+
+  // Comment line keeps idle connections open through proxies
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 25000);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    organEventService.off("event", onEvent);
+  });
+};
+
+/**
+ * Create a new organ
+ * @route POST /api/organs
+ */
+const createOrgan = async (req, res) => {
+  try {
+    const fields = pickEditableFields(req.body);
+    const organ = await Organ.create({
+      ...fields,
+      diagnosis: fields.diagnosis ?? "Awaiting initial diagnostic scan...",
+    });
+
+    organEventService.publish("organ.created", organ);
+    console.log(`✓ Organ created: ${organ.name} (${organ.type})`);
+
+    res.status(201).json({
+      success: true,
+      data: formatOrgan(organ),
+    });
+  } catch (error) {
+    if (handleOrganWriteError(error, res)) return;
+
+    console.error("Error creating organ:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create organ",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update an organ's configuration (funding is only changed by vials)
+ * @route PATCH /api/organs/:id
+ */
+const updateOrgan = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const fields = pickEditableFields(req.body);
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `No editable fields provided (allowed: ${EDITABLE_FIELDS.join(", ")})`,
+      });
+    }
+
+    let organ = mongoose.isValidObjectId(id)
+      ? await Organ.findOneAndUpdate(
+          { _id: id, deletedAt: null },
+          { ...fields, lastUpdated: new Date() },
+          { new: true, runValidators: true },
+        )
+      : null;
+
+    if (!organ) {
+      return res.status(404).json({
+        success: false,
+        message: "Organ not found",
+      });
+    }
+
+    // A lower target or new milestones can be reached by existing funding
+    if (fields.targetFundingUSD !== undefined || fields.milestones) {
+      organ = await milestoneService.evaluate(organ);
+    }
+
+    organEventService.publish("organ.updated", organ, {
+      fields: Object.keys(fields),
+    });
+
+    res.status(200).json({
+      success: true,
+      data: formatOrgan(organ),
+    });
+  } catch (error) {
+    if (handleOrganWriteError(error, res)) return;
+
+    console.error("Error updating organ:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update organ",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Soft delete an organ; its funding and vials are kept
+ * @route DELETE /api/organs/:id
+ */
+const deleteOrgan = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const organ = mongoose.isValidObjectId(id)
+      ? await Organ.findOneAndUpdate(
+          { _id: id, deletedAt: null },
+          { deletedAt: new Date() },
+          { new: true },
+        )
+      : null;
+
+    if (!organ) {
+      return res.status(404).json({
+        success: false,
+        message: "Organ not found",
+      });
+    }
 
-        console.log(`✓ ${organ.name}: ${diagnosticResult.status}`);
-      } catch (error) {
-        console.error(`✗ Error diagnosing ${organ.name}:`, error.message);
-        results.push({
-          organId: organ._id,
-          organName: organ.name,
-          status: "error",
-          error: error.message,
+    organEventService.publish("organ.deleted", organ);
+    console.log(`✓ Organ deleted: ${organ.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Organ deleted",
+      data: {
+        id: organ._id,
+        name: organ.name,
+        deletedAt: organ.deletedAt,
+      },
+    });
+  } catch (error) {
+    console.error("Error deleting organ:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete organ",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get an organ's state transitions from verifications and reviews, newest first
+ * @route GET /api/organs/:id/events
+ */
+const getOrganEvents = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const organ = mongoose.isValidObjectId(id)
+      ? await Organ.findOne({ _id: id, deletedAt: null })
+      : null;
+    if (!organ) {
+      return res.status(404).json({
+        success: false,
+        message: "Organ not found",
+      });
+    }
+
+    const filter = { organId: organ._id };
+    if (type) {
+      if (!["VERIFICATION", "REVIEW"].includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: "type must be VERIFICATION or REVIEW",
         });
       }
+      filter.type = type;
     }
 
+    const [events, total] = await Promise.all([
+      OrganEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      OrganEvent.countDocuments(filter),
+    ]);
+
     res.status(200).json({
       success: true,
-      message: `Diagnostic scan completed for ${results.length} organs`,
-      data: results,
+      count: events.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: events.map(verificationService.formatTransition),
     });
   } catch (error) {
-    console.error("Error diagnosing all organs:", error);
+    console.error("Error fetching organ events:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to diagnose all organs",
+      message: "Failed to fetch organ events",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get an organ's funding milestones, its current campaign and milestone events
+ * @route GET /api/organs/:id/milestones
+ */
+const getOrganMilestones = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const organ = mongoose.isValidObjectId(id)
+      ? await Organ.findOne({ _id: id, deletedAt: null })
+      : null;
+
+    if (!organ) {
+      return res.status(404).json({
+        success: false,
+        message: "Organ not found",
+      });
+    }
+
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+    const overview = await milestoneService.getOverview(organ, { limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        organId: organ._id,
+        organName: organ.name,
+        ...overview,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching organ milestones:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch organ milestones",
       error: error.message,
     });
   }
 };
 
 /**
- * Get Gemini API quota status
+ * Start a new funding campaign, e.g. to reopen a CLOSED organ
+ * @route POST /api/organs/:id/campaigns
+ */
+const startCampaign = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const organ = mongoose.isValidObjectId(id)
+      ? await Organ.findOne({ _id: id, deletedAt: null })
+      : null;
+
+    if (!organ) {
+      return res.status(404).json({
+        success: false,
+        message: "Organ not found",
+      });
+    }
+
+    // A bodyless POST restarts with the current target
+    const targetFundingUSD =
+      req.body?.targetFundingUSD === undefined
+        ? organ.targetFundingUSD
+        : Number(req.body.targetFundingUSD);
+    if (!(targetFundingUSD > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "targetFundingUSD must be a positive number",
+      });
+    }
+
+    let updated = await milestoneService.startCampaign(organ, {
+      targetFundingUSD,
+    });
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: "The organ's campaign changed concurrently; try again",
+      });
+    }
+    updated = await milestoneService.evaluate(updated);
+
+    organEventService.publish("organ.updated", updated, {
+      fields: ["campaign", "targetFundingUSD"],
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatOrgan(updated),
+    });
+  } catch (error) {
+    console.error("Error starting campaign:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to start campaign",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get Gemini API quota status: totals across features, and per-feature
+ * (diagnosis, vision) budgets, calls and token usage
  * @route GET /api/organs/quota-status
  */
 const getQuotaStatus = async (req, res) => {
   try {
+    const { lastResetDate, features } = geminiService.getQuotaStatus();
+    const { diagnosis } = features;
+    const usage = Object.values(features);
+    const sum = (field) => usage.reduce((total, f) => total + f[field], 0);
+
+    const dailyCallsUsed = sum("dailyCallsUsed");
+    const dailyCallsLimit = sum("dailyCallsLimit");
+    const exceeded = Object.keys(features).filter(
+      (name) => features[name].status === "QUOTA_EXCEEDED",
+    );
+    const lastCalls = usage
+      .map((f) => f.lastGeminiCall)
+      .filter(Boolean)
+      .sort();
+
+    let message = `${diagnosis.remainingCalls} diagnosis and ${features.vision.remainingCalls} vision Gemini calls remaining today`;
+    if (exceeded.length > 0) {
+      message = `Daily ${exceeded.join(" and ")} quota reached.`;
+      if (exceeded.includes("diagnosis")) {
+        message += " Using rule-based diagnosis.";
+      }
+      if (exceeded.includes("vision")) {
+        message += " Restoration verification is paused until tomorrow.";
+      }
+    }
+
     const quotaInfo = {
-      dailyCallsUsed: diagnosticService.dailyCallCount,
-      dailyCallsLimit: diagnosticService.maxDailyCalls,
-      remainingCalls:
-        diagnosticService.maxDailyCalls - diagnosticService.dailyCallCount,
-      percentageUsed: (
-        (diagnosticService.dailyCallCount / diagnosticService.maxDailyCalls) *
-        100
-      ).toFixed(1),
-      lastResetDate: diagnosticService.lastResetDate,
-      lastGeminiCall:
-        diagnosticService.lastGeminiCall > 0
-          ? new Date(diagnosticService.lastGeminiCall).toISOString()
-          : null,
+      dailyCallsUsed,
+      dailyCallsLimit,
+      remainingCalls: sum("remainingCalls"),
+      percentageUsed: geminiService.percentageUsed(
+        dailyCallsUsed,
+        dailyCallsLimit,
+      ),
+      lastResetDate,
+      lastGeminiCall: lastCalls.length ? lastCalls[lastCalls.length - 1] : null,
       cacheSize: diagnosticService.diagnosisCache.size,
       cacheExpiryMinutes: diagnosticService.cacheExpiry / 1000 / 60,
-      minCallIntervalSeconds: diagnosticService.minCallInterval / 1000,
-      status:
-        diagnosticService.dailyCallCount < diagnosticService.maxDailyCalls
-          ? "AVAILABLE"
-          : "QUOTA_EXCEEDED",
-      message:
-        diagnosticService.dailyCallCount < diagnosticService.maxDailyCalls
-          ? `${diagnosticService.maxDailyCalls - diagnosticService.dailyCallCount} Gemini calls remaining today`
-          : "Daily quota reached. Using rule-based diagnosis.",
+      minCallIntervalSeconds: diagnosis.minCallIntervalSeconds,
+      tokens: {
+        prompt: usage.reduce((total, f) => total + f.tokens.prompt, 0),
+        output: usage.reduce((total, f) => total + f.tokens.output, 0),
+        total: usage.reduce((total, f) => total + f.tokens.total, 0),
+      },
+      status: exceeded.length === 0 ? "AVAILABLE" : "QUOTA_EXCEEDED",
+      message,
+      features,
     };
 
     res.status(200).json({
@@ -263,7 +815,16 @@ const getQuotaStatus = async (req, res) => {
 module.exports = {
   getAllOrgans,
   getOrganById,
+  createOrgan,
+  updateOrgan,
+  deleteOrgan,
   diagnoseOrgan,
   diagnoseAllOrgans,
+  getDiagnoseAllStatus,
+  getOrganHistory,
+  getOrganMilestones,
+  getOrganEvents,
+  startCampaign,
+  streamOrganEvents,
   getQuotaStatus,
 };
@@ -0,0 +1,32 @@
+const providerRegistry = require("../services/ProviderRegistry");
+
+/**
+ * Get registered data providers with their configuration and stats
+ * @route GET /api/providers
+ */
+const getProviders = async (req, res) => {
+  try {
+    const { organType } = req.query;
+    const providers = providerRegistry
+      .getStatus()
+      .filter((provider) => !organType || provider.organType === organType);
+
+    res.status(200).json({
+      success: true,
+      count: providers.length,
+      data: providers,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error fetching providers:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch providers",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getProviders,
+};
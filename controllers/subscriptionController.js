@@ -0,0 +1,174 @@
+const mongoose = require("mongoose");
+const Organ = require("../models/Organ");
+const Subscription = require("../models/Subscription");
+const subscriptionService = require("../services/SubscriptionService");
+const currencyService = require("../services/CurrencyService");
+const donorService = require("../services/DonorService");
+
+/**
+ * Format a subscription for API responses
+ * @param {Object} subscription - Subscription document
+ * @returns {Object} Subscription response object
+ */
+const formatSubscription = (subscription) => ({
+  id: subscription._id,
+  organId: subscription.organId,
+  amount: subscription.amount,
+  currency: subscription.currency,
+  amountUSD: subscription.amountUSD,
+  interval: subscription.interval,
+  status: subscription.status,
+  donorName: subscription.donorName,
+  anonymous: subscription.anonymous,
+  chargeCount: subscription.chargeCount,
+  lastChargedAt: subscription.lastChargedAt,
+  pausedAt: subscription.pausedAt,
+  cancelledAt: subscription.cancelledAt,
+  createdAt: subscription.createdAt,
+});
+
+/**
+ * Create a monthly subscription to an organ
+ * @route POST /api/subscriptions
+ */
+const createSubscription = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { organId, name } = body;
+    const email = donorService.normalizeEmail(body.email);
+    const anonymous = body.anonymous === true;
+    const amount = Number(body.amount);
+    const currency = String(body.currency || "USD").toUpperCase();
+
+    if (!donorService.isValidEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid email is required",
+      });
+    }
+
+    if (!(amount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "amount must be a positive number",
+      });
+    }
+
+    if (!currencyService.isSupported(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported currency: ${currency}. Supported: ${currencyService.supportedCurrencies.join(", ")}`,
+      });
+    }
+
+    if (!mongoose.isValidObjectId(organId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid organId",
+      });
+    }
+
+    const organ = await Organ.findOne({ _id: organId, deletedAt: null });
+    if (!organ) {
+      return res.status(404).json({
+        success: false,
+        message: "Organ not found",
+      });
+    }
+
+    if (organ.campaign?.status === "CLOSED") {
+      return res.status(409).json({
+        success: false,
+        message:
+          "This organ has reached its funding target and is no longer accepting vials",
+      });
+    }
+
+    const { subscription, vial, paymentLink, manageToken } =
+      await subscriptionService.createSubscription({
+        organ,
+        email,
+        name,
+        anonymous,
+        amount,
+        currency,
+      });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        subscription: formatSubscription(subscription),
+        vialId: vial._id,
+        txRef: vial.transactionRef,
+        paymentLink,
+        // Only returned once; required to pause, resume or cancel
+        manageToken,
+      },
+    });
+  } catch (error) {
+    console.error("Error creating subscription:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Failed to create subscription",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Build a handler that applies a SubscriptionService action after checking
+ * the X-Subscription-Token header
+ * @param {string} action - pause | resume | cancel
+ * @returns {Function} Express handler
+ */
+const manageSubscription = (action) => async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid subscription ID",
+      });
+    }
+
+    const subscription = await Subscription.findById(id).select(
+      "+manageTokenHash",
+    );
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: "Subscription not found",
+      });
+    }
+
+    const token = req.get("X-Subscription-Token");
+    if (!subscriptionService.verifyManageToken(subscription, token)) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or missing X-Subscription-Token",
+      });
+    }
+
+    const updated = await subscriptionService[action](subscription);
+
+    res.status(200).json({
+      success: true,
+      data: formatSubscription(updated),
+    });
+  } catch (error) {
+    console.error(`Error trying to ${action} subscription:`, error);
+    res.status(error.statusCode === 409 ? 409 : 500).json({
+      success: false,
+      message: `Failed to ${action} subscription`,
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  createSubscription,
+  pauseSubscription: manageSubscription("pause"),
+  resumeSubscription: manageSubscription("resume"),
+  cancelSubscription: manageSubscription("cancel"),
+};
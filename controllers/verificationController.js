@@ -1,27 +1,108 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const mongoose = require("mongoose");
 const Organ = require("../models/Organ");
+const VerificationSubmission = require("../models/VerificationSubmission");
+const verificationService = require("../services/VerificationService");
+const blobStorageService = require("../services/BlobStorageService");
+const geminiService = require("../services/GeminiService");
 require("dotenv").config();
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// What the comparison prompt asks Gemini to look for, per organ type
+const ORGAN_FOCUS = {
+  Lungs: {
+    subject: "Earth's Lungs (forests/rainforests)",
+    task: "genuine forest restoration, reforestation, or conservation efforts",
+    lookFor:
+      "new tree growth, healthy vegetation, restoration activities, protected forest areas",
+    redFlags: "deforestation, cleared land, fires, degradation",
+  },
+  Veins: {
+    subject: "Earth's Veins (oceans/coral reefs)",
+    task: "genuine ocean/reef restoration or conservation",
+    lookFor:
+      "healthy coral, marine life diversity, clean water, restoration projects",
+    redFlags: "bleached coral, pollution, dead zones, degradation",
+  },
+  Skin: {
+    subject: "Earth's Skin (air quality/soil)",
+    task: "genuine air quality improvement or soil restoration",
+    lookFor:
+      "clean air indicators, green spaces, soil conservation, pollution reduction efforts",
+    redFlags: "smog, pollution, degraded soil, industrial emissions",
+  },
+};
+
+const OUTCOMES = ["APPROVED", "PARTIAL", "REJECTED", "FAILED"];
+const REVIEW_STATUSES = ["NOT_REQUIRED", "PENDING", "APPROVED", "REJECTED"];
+const REVIEW_DECISIONS = ["APPROVE", "REJECT"];
+
+/**
+ * Format a verification submission for API responses
+ * @param {Object} submission - VerificationSubmission document
+ * @returns {Object} Submission response object
+ */
+const formatSubmission = (submission) => ({
+  id: submission._id,
+  organId: submission.organId?._id || submission.organId,
+  organName: submission.organId?.name || null,
+  ngoId: submission.ngoId,
+  ngoName: submission.ngoName,
+  submittedBy: submission.submittedBy,
+  description: submission.description,
+  images: verificationService.imagesOf(submission).map((image, index) => ({
+    role: image.role,
+    mimeType: image.mimeType,
+    size: image.size,
+    sha256: image.sha256,
+    exif: image.exif,
+    url: `/api/verify/submissions/${submission._id}/images/${index}`,
+  })),
+  duplicates: submission.duplicates,
+  verification: submission.verification,
+  model: submission.model,
+  outcome: submission.outcome,
+  stateChange: submission.stateChange,
+  review: submission.review,
+  appliedAt: submission.appliedAt,
+  error: submission.error,
+  createdAt: submission.createdAt,
+});
+
+/**
+ * Find a submission the caller may see (NGOs only see their own)
+ * @returns {Promise<Object|null>} Submission document
+ */
+const findVisibleSubmission = async (req) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  const query = { _id: id };
+  if (req.auth.role === "ngo") query.ngoId = req.auth.subject;
+  return VerificationSubmission.findOne(query).populate("organId", "name type");
+};
 
 /**
- * Verify restoration image using Gemini 3 Flash Preview Vision
+ * Verify restoration with Gemini Vision by comparing before and after image
+ * sets, combined with EXIF location and date checks
  * @route POST /api/verify
  */
 const verifyRestorationImage = async (req, res) => {
+  let submission = null;
   try {
-    const { organId, imageBase64, ngoName, description } = req.body;
+    // JSON with base64 images, or multipart/form-data with image files
+    const { organId, ngoId, ngoName, description } = req.body || {};
+    const beforeImages = req.files?.beforeImages || req.body?.beforeImages;
+    const afterImages = req.files?.afterImages || req.body?.afterImages;
 
     // Validate required fields
-    if (!organId || !imageBase64) {
+    if (!organId || !beforeImages || !afterImages) {
       return res.status(400).json({
         success: false,
-        message: "organId and imageBase64 are required",
+        message: "organId, beforeImages and afterImages are required",
       });
     }
 
     // Find the organ
-    const organ = await Organ.findById(organId);
+    const organ = await Organ.findOne({ _id: organId, deletedAt: null });
     if (!organ) {
       return res.status(404).json({
         success: false,
@@ -29,169 +110,218 @@ const verifyRestorationImage = async (req, res) => {
       });
     }
 
-    // Prepare the image data
-    let imageData;
-    if (imageBase64.startsWith("data:")) {
-      // Extract base64 from data URL
-      const matches = imageBase64.match(/^data:image\/(\w+);base64,(.+)$/);
-      if (!matches) {
-        return res.status(400).json({
-          success: false,
-          message: "Invalid image format",
-        });
-      }
-      imageData = {
-        inlineData: {
-          data: matches[2],
-          mimeType: `image/${matches[1]}`,
-        },
-      };
-    } else {
-      // Assume it's raw base64
-      imageData = {
-        inlineData: {
-          data: imageBase64,
-          mimeType: "image/jpeg",
-        },
-      };
+    // Refuse before storing images once the vision budget is used up
+    const vision = geminiService.availability("vision");
+    if (!vision.allowed) {
+      return res.status(429).json({
+        success: false,
+        message: `Gemini vision quota exceeded: ${vision.reason}`,
+      });
     }
 
-    // Get Gemini 3 Flash Preview Vision model
-    const model = genAI.getGenerativeModel({
-      model: "gemini-3-flash-preview",
-      generationConfig: {
-        temperature: 0.4,
-        topP: 0.95,
-        topK: 40,
-        maxOutputTokens: 1024,
-      },
-    });
-
-    // Construct verification prompt based on organ type
-    let verificationPrompt = "";
-    switch (organ.type) {
-      case "Lungs":
-        verificationPrompt = `You are verifying environmental restoration for Earth's Lungs (forests/rainforests).
-        
-Organ: ${organ.name}
-Current State: ${organ.symptomState}
-Submitted by: ${ngoName || "Anonymous NGO"}
-Description: ${description || "No description provided"}
+    const { ngo, ngoName: submitterName } =
+      await verificationService.resolveSubmitter(req.auth, {
+        organ,
+        ngoId,
+        ngoName,
+      });
 
-Analyze this image and determine if it shows genuine forest restoration, reforestation, or conservation efforts.
-Look for: new tree growth, healthy vegetation, restoration activities, protected forest areas.
-Red flags: deforestation, cleared land, fires, degradation.
+    // Prepare the image data
+    const images = verificationService.readImageSets({
+      beforeImages,
+      afterImages,
+    });
 
-Respond in JSON format ONLY:
-{
-  "verified": true/false,
-  "confidence": 0-100,
-  "analysis": "Brief analysis of what you see in the image",
-  "recommendation": "APPROVE to mark organ as HEALTHY, REJECT to keep current state, or PARTIAL for HEALING state"
-}`;
-        break;
+    // Keep the images with the submission record
+    submission = new VerificationSubmission({
+      organId: organ._id,
+      ngoId: ngo?._id || null,
+      ngoName: submitterName,
+      submittedBy: req.auth.subject,
+      description: description || "",
+      model: geminiService.feature("vision").model,
+    });
+    submission.images = await verificationService.storeImages(
+      submission._id,
+      organ,
+      images,
+    );
 
-      case "Veins":
-        verificationPrompt = `You are verifying environmental restoration for Earth's Veins (oceans/coral reefs).
-        
-Organ: ${organ.name}
-Current State: ${organ.symptomState}
-Submitted by: ${ngoName || "Anonymous NGO"}
-Description: ${description || "No description provided"}
+    // Recycled after images are rejected without asking Gemini, or flagged
+    // for review (VERIFICATION_DUPLICATE_ACTION)
+    submission.duplicates = await verificationService.findDuplicates(submission);
+    if (
+      submission.duplicates.length > 0 &&
+      verificationService.duplicateAction === "REJECT"
+    ) {
+      submission.verification = verificationService.duplicateVerdict(
+        submission.duplicates,
+      );
+      submission.outcome = "REJECTED";
+      const transition = await verificationService.recordTransition(
+        organ,
+        submission,
+        {
+          type: "VERIFICATION",
+          rule: "DUPLICATE_IMAGE",
+          actor: submission.submittedBy,
+        },
+      );
 
-Analyze this image and determine if it shows genuine ocean/reef restoration or conservation.
-Look for: healthy coral, marine life diversity, clean water, restoration projects.
-Red flags: bleached coral, pollution, dead zones, degradation.
+      console.log(
+        `✗ Verification rejected: ${organ.name} images duplicate earlier submissions`,
+      );
+      return res.status(409).json({
+        success: false,
+        message: "Images were already submitted",
+        submissionId: submission._id,
+        duplicates: submission.duplicates,
+        transition: verificationService.formatTransition(transition),
+      });
+    }
 
-Respond in JSON format ONLY:
-{
-  "verified": true/false,
-  "confidence": 0-100,
-  "analysis": "Brief analysis of what you see in the image",
-  "recommendation": "APPROVE to mark organ as HEALTHY, REJECT to keep current state, or PARTIAL for HEALING state"
-}`;
-        break;
+    // Construct comparison prompt based on organ type
+    const focus = ORGAN_FOCUS[organ.type];
+    const counts = (role) => images.filter((i) => i.role === role).length;
+    const verificationPrompt = `You are verifying environmental restoration for ${focus.subject} by comparing photos taken before and after the work.
 
-      case "Skin":
-        verificationPrompt = `You are verifying environmental restoration for Earth's Skin (air quality/soil).
-        
 Organ: ${organ.name}
+Region: ${organ.getGeoContext()?.label || organ.name}
 Current State: ${organ.symptomState}
-Submitted by: ${ngoName || "Anonymous NGO"}
+Submitted by: ${submitterName || "Anonymous NGO"}
 Description: ${description || "No description provided"}
 
-Analyze this image and determine if it shows genuine air quality improvement or soil restoration.
-Look for: clean air indicators, green spaces, soil conservation, pollution reduction efforts.
-Red flags: smog, pollution, degraded soil, industrial emissions.
+You will receive ${counts("BEFORE")} BEFORE image(s) followed by ${counts("AFTER")} AFTER image(s), each preceded by its label.
+Compare the two sets and determine if the AFTER images show ${focus.task} at the same location as the BEFORE images.
+Look for: ${focus.lookFor}.
+Red flags: ${focus.redFlags}, before and after images of different places, stock or staged photos, no visible change between the sets.
 
 Respond in JSON format ONLY:
 {
   "verified": true/false,
   "confidence": 0-100,
-  "analysis": "Brief analysis of what you see in the image",
+  "sameLocation": true/false,
+  "improvement": "NONE, SLIGHT or SIGNIFICANT",
+  "analysis": "Brief comparison of the before and after images",
   "recommendation": "APPROVE to mark organ as HEALTHY, REJECT to keep current state, or PARTIAL for HEALING state"
 }`;
-        break;
-    }
 
-    // Generate verification result
-    const result = await model.generateContent([verificationPrompt, imageData]);
-    const response = await result.response;
-    const text = response.text();
+    // Downscaled copies go to Gemini; the originals are stored
+    const inlineImages = await Promise.all(
+      images.map((image) => verificationService.prepareForVision(image)),
+    );
+    const imageParts = images.flatMap((image, index) => [
+      `${image.role} image ${index - images.findIndex((i) => i.role === image.role) + 1}:`,
+      { inlineData: inlineImages[index] },
+    ]);
+
+    // Generate comparison result (counted against the vision budget)
+    const { text } = await geminiService.generate(
+      "vision",
+      [verificationPrompt, ...imageParts],
+      {
+        temperature: 0.4,
+        topP: 0.95,
+        topK: 40,
+        maxOutputTokens: 1024,
+      },
+    );
 
     // Parse JSON response
-    let verificationResult;
+    let comparison;
     try {
       const jsonMatch = text.match(/\{[\s\S]*\}/);
       if (jsonMatch) {
-        verificationResult = JSON.parse(jsonMatch[0]);
+        comparison = JSON.parse(jsonMatch[0]);
       } else {
         throw new Error("No JSON found in response");
       }
     } catch (parseError) {
       console.error("Error parsing Gemini Vision response:", parseError);
+      submission.outcome = "FAILED";
+      submission.error = parseError.message;
+      await submission.save();
+
       return res.status(500).json({
         success: false,
         message: "Failed to parse verification result",
         error: parseError.message,
+        submissionId: submission._id,
       });
     }
 
-    // Update organ state based on verification
-    if (
-      verificationResult.verified &&
-      verificationResult.recommendation === "APPROVE"
-    ) {
-      organ.symptomState = "HEALTHY";
-      organ.healthScore = Math.min(100, organ.healthScore + 20);
-      organ.lastUpdated = new Date();
-      await organ.save();
-
-      console.log(`✓ Verification approved: ${organ.name} marked as HEALTHY`);
-    } else if (
-      verificationResult.verified &&
-      verificationResult.recommendation === "PARTIAL"
-    ) {
-      organ.symptomState = "HEALING";
-      organ.healthScore = Math.min(100, organ.healthScore + 10);
-      organ.lastUpdated = new Date();
-      await organ.save();
+    // Final verdict from the comparison and the EXIF checks
+    const verificationResult = verificationService.combineVerdict(
+      comparison,
+      verificationService.checkMetadata(organ, submission.images),
+    );
+    submission.verification = verificationResult;
+    submission.outcome = verificationService.outcomeFor(verificationResult);
 
-      console.log(`✓ Verification partial: ${organ.name} marked as HEALING`);
+    // Low-confidence verdicts, approvals of critical organs and flagged
+    // duplicates wait for an admin; everything else updates the organ
+    // straight away
+    const reviewReasons = verificationService.reviewReasons(
+      organ,
+      submission.outcome,
+      verificationResult,
+      submission,
+    );
+    const held = reviewReasons.length > 0;
+    if (held) {
+      submission.review = { status: "PENDING", reasons: reviewReasons };
+      console.log(
+        `⏸ Verification queued for review: ${organ.name} (${reviewReasons.join(", ")})`,
+      );
     }
+    const transition = await verificationService.recordTransition(
+      organ,
+      submission,
+      {
+        type: "VERIFICATION",
+        rule: held ? "HELD_FOR_REVIEW" : `OUTCOME_${submission.outcome}`,
+        outcome: held ? null : submission.outcome,
+        actor: submission.submittedBy,
+        reason: held ? reviewReasons.join(", ") : null,
+      },
+    );
 
-    res.status(200).json({
+    res.status(held ? 202 : 200).json({
       success: true,
       data: {
         organId: organ._id,
         organName: organ.name,
-        previousState: organ.symptomState,
-        newState: organ.symptomState,
+        previousState: transition.previousState,
+        newState: transition.newState,
         verification: verificationResult,
+        submissionId: submission._id,
+        outcome: submission.outcome,
+        review: submission.review,
+        duplicates: submission.duplicates,
+        transition: verificationService.formatTransition(transition),
       },
     });
   } catch (error) {
+    // Record the failure for submissions whose images were already stored
+    if (submission?.images.length && !submission.outcome) {
+      submission.outcome = "FAILED";
+      submission.error = error.message;
+      await submission
+        .save()
+        .catch((saveError) =>
+          console.error("Error recording failed submission:", saveError),
+        );
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error("Error verifying image:", error);
+
     res.status(500).json({
       success: false,
       message: "Image verification failed",
@@ -200,6 +330,214 @@ Respond in JSON format ONLY:
   }
 };
 
+/**
+ * List verification submissions, filtered by organ, NGO, outcome and
+ * review status (`?reviewStatus=PENDING` is the review queue)
+ * @route GET /api/verify/submissions
+ */
+const getSubmissions = async (req, res) => {
+  try {
+    const { organId, outcome, reviewStatus } = req.query;
+    // NGOs only see their own submissions
+    const ngoId = req.auth.role === "ngo" ? req.auth.subject : req.query.ngoId;
+
+    if (organId && !mongoose.isValidObjectId(organId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid organId",
+      });
+    }
+    if (ngoId && !mongoose.isValidObjectId(ngoId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid ngoId",
+      });
+    }
+    if (outcome && !OUTCOMES.includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: `outcome must be one of: ${OUTCOMES.join(", ")}`,
+      });
+    }
+    if (reviewStatus && !REVIEW_STATUSES.includes(reviewStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `reviewStatus must be one of: ${REVIEW_STATUSES.join(", ")}`,
+      });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const { submissions, pagination } =
+      await verificationService.listSubmissions(
+        { organId, ngoId, outcome, reviewStatus },
+        { page, limit },
+      );
+
+    res.status(200).json({
+      success: true,
+      count: submissions.length,
+      data: submissions.map(formatSubmission),
+      pagination,
+    });
+  } catch (error) {
+    console.error("Error fetching verification submissions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch verification submissions",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get one verification submission
+ * @route GET /api/verify/submissions/:id
+ */
+const getSubmission = async (req, res) => {
+  try {
+    const submission = await findVisibleSubmission(req);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: "Submission not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatSubmission(submission),
+    });
+  } catch (error) {
+    console.error("Error fetching verification submission:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch verification submission",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Download one image of a verification submission, by its position in
+ * `images` (the first AFTER image when no index is given)
+ * @route GET /api/verify/submissions/:id/images/:index
+ * @route GET /api/verify/submissions/:id/image
+ */
+const getSubmissionImage = async (req, res) => {
+  try {
+    const submission = await findVisibleSubmission(req);
+    const images = submission ? verificationService.imagesOf(submission) : [];
+    const image =
+      req.params.index === undefined
+        ? images.find((i) => i.role === "AFTER")
+        : images[Number(req.params.index)];
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: submission ? "Image not found" : "Submission not found",
+      });
+    }
+
+    const buffer = await blobStorageService.get(image);
+
+    res.set("Content-Type", image.mimeType);
+    res.set("Cache-Control", "private, max-age=3600");
+    res.status(200).send(buffer);
+  } catch (error) {
+    console.error("Error fetching submission image:", error);
+    res.status(error.code === "ENOENT" ? 404 : 500).json({
+      success: false,
+      message: "Failed to fetch submission image",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Approve or reject a submission waiting for review (admin); approving
+ * applies its state change to the organ
+ * @route POST /api/verify/submissions/:id/review
+ */
+const reviewSubmission = async (req, res) => {
+  try {
+    const { decision, reason, outcome } = req.body || {};
+
+    if (!REVIEW_DECISIONS.includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: `decision must be one of: ${REVIEW_DECISIONS.join(", ")}`,
+      });
+    }
+    if (!reason || typeof reason !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "reason is required",
+      });
+    }
+    if (outcome !== undefined && !["APPROVED", "PARTIAL"].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: "outcome must be APPROVED or PARTIAL",
+      });
+    }
+
+    const submission = await findVisibleSubmission(req);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: "Submission not found",
+      });
+    }
+
+    const organId = submission.organId?._id || submission.organId;
+    const organ = await Organ.findOne({ _id: organId, deletedAt: null });
+    if (!organ) {
+      return res.status(409).json({
+        success: false,
+        message: "The submission's organ no longer exists",
+      });
+    }
+
+    const { submission: reviewed, transition } =
+      await verificationService.review(submission, organ, {
+        decision,
+        reason,
+        outcome,
+        reviewedBy: req.auth.subject,
+      });
+    await reviewed.populate("organId", "name type");
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...formatSubmission(reviewed),
+        transition: verificationService.formatTransition(transition),
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Error reviewing verification submission:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to review verification submission",
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   verifyRestorationImage,
+  getSubmissions,
+  getSubmission,
+  getSubmissionImage,
+  reviewSubmission,
 };
@@ -1,22 +1,108 @@
+const mongoose = require('mongoose');
 const Vial = require('../models/Vial');
 const Organ = require('../models/Organ');
+const WebhookEvent = require('../models/WebhookEvent');
+const Donor = require('../models/Donor');
 const Flutterwave = require('flutterwave-node-v3');
+const fundingService = require('../services/FundingService');
+const currencyService = require('../services/CurrencyService');
+const subscriptionService = require('../services/SubscriptionService');
+const donorService = require('../services/DonorService');
 
 const flw = new Flutterwave(
   process.env.FLUTTERWAVE_PUBLIC_KEY,
   process.env.FLUTTERWAVE_SECRET_KEY
 );
 
+// A PROCESSING event older than this is assumed to belong to a crashed request
+const WEBHOOK_EVENT_STALE_MS = 5 * 60 * 1000;
+
+/**
+ * Record a webhook event, or return null if it was already handled
+ * @param {Object} payload - Raw webhook body
+ * @param {string} eventType - Webhook event type (charge.completed, refund.completed, ...)
+ * @param {Object} transaction - Transaction within the payload
+ * @param {string} txRef - Transaction reference
+ * @returns {Promise<Object|null>} Claimed WebhookEvent document
+ */
+const claimWebhookEvent = async (payload, eventType, transaction, txRef) => {
+  const eventId = payload.id && payload.data
+    ? String(payload.id)
+    : `${eventType}:${transaction.id || txRef}:${transaction.status}`;
+
+  try {
+    return await WebhookEvent.create({ eventId, eventType, txRef, payload });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Retry events that failed or whose handler never finished
+  return WebhookEvent.findOneAndUpdate(
+    {
+      eventId,
+      $or: [
+        { status: 'FAILED' },
+        {
+          status: 'PROCESSING',
+          updatedAt: { $lt: new Date(Date.now() - WEBHOOK_EVENT_STALE_MS) }
+        }
+      ]
+    },
+    { $set: { status: 'PROCESSING', error: null }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Mark a claimed webhook event as processed or failed
+ * @param {Object} event - WebhookEvent document
+ * @param {Object} result - { outcome } on success or { error } on failure
+ */
+const finishWebhookEvent = async (event, { outcome = null, error = null }) => {
+  try {
+    await WebhookEvent.updateOne(
+      { _id: event._id },
+      {
+        status: error ? 'FAILED' : 'PROCESSED',
+        outcome,
+        error,
+        processedAt: new Date()
+      }
+    );
+  } catch (updateError) {
+    console.error('Failed to update webhook event:', updateError.message);
+  }
+};
+
 /**
  * Initialize a payment transaction
  * @route POST /api/vials/initialize
  */
 const initializePayment = async (req, res) => {
   try {
-    const { organId, amount, currency = 'USD', email, name } = req.body;
+    const body = req.body || {};
+    const { organId, name } = body;
+    const email = donorService.normalizeEmail(body.email);
+    const anonymous = body.anonymous === true;
+    const amount = Number(body.amount);
+    const currency = String(body.currency || 'USD').toUpperCase();
+
+    if (!(amount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'amount must be a positive number'
+      });
+    }
+
+    if (!currencyService.isSupported(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported currency: ${currency}. Supported: ${currencyService.supportedCurrencies.join(', ')}`
+      });
+    }
 
     // Validate organ exists
-    const organ = await Organ.findById(organId);
+    const organ = await Organ.findOne({ _id: organId, deletedAt: null });
     if (!organ) {
       return res.status(404).json({ 
         success: false, 
@@ -24,17 +110,36 @@ const initializePayment = async (req, res) => {
       });
     }
 
+    if (organ.campaign?.status === 'CLOSED') {
+      return res.status(409).json({
+        success: false,
+        message: 'This organ has reached its funding target and is no longer accepting vials'
+      });
+    }
+
+    // Link the vial to the donor's account if they have one
+    const donor = email ? await Donor.findOne({ email }) : null;
+
     // Generate unique transaction reference
     const txRef = `VIAL-${organId}-${Date.now()}`;
 
+    // Convert to USD at the current rate and keep the rate for audit
+    const conversion = currencyService.convertToUSD(amount, currency);
+
     // Create Vial record
     const vial = await Vial.create({
       organId,
       transactionRef: txRef,
-      amountUSD: currency === 'USD' ? amount : amount / 1600, // Rough NGN to USD conversion
+      amount,
+      amountUSD: conversion.amountUSD,
       currency,
+      exchangeRate: conversion.rate,
+      exchangeRateTimestamp: conversion.rateTimestamp,
+      exchangeRateSource: conversion.rateSource,
       donorEmail: email,
       donorName: name,
+      donorId: donor?._id || null,
+      anonymous,
       status: 'PENDING'
     });
 
@@ -67,7 +172,9 @@ const initializePayment = async (req, res) => {
       data: {
         vialId: vial._id,
         paymentLink: response.data?.link || response.meta?.authorization?.redirect,
-        txRef: txRef
+        txRef: txRef,
+        amountUSD: vial.amountUSD,
+        exchangeRate: vial.exchangeRate
       }
     });
   } catch (error) {
@@ -93,55 +200,105 @@ const handleWebhook = async (req, res) => {
     }
 
     const payload = req.body;
-    
-    // Only process successful payments
-    if (payload.status !== 'successful') {
-      return res.status(200).json({ message: 'Payment not successful' });
-    }
+    // v3 webhooks wrap the transaction in `data`; older payloads are flat
+    const transaction = payload.data || payload;
+    const txRef = transaction.tx_ref || transaction.txRef;
+    const eventType = payload.event || payload['event.type'] || 'charge.completed';
+    const isRefund = /^refund/i.test(eventType);
 
-    const txRef = payload.tx_ref || payload.txRef;
-    
-    // Find the vial transaction
-    const vial = await Vial.findOne({ transactionRef: txRef });
-    if (!vial) {
-      console.error('Vial not found for tx_ref:', txRef);
-      return res.status(404).json({ message: 'Transaction not found' });
+    if (
+      !isRefund &&
+      !['successful', 'failed', 'cancelled'].includes(transaction.status)
+    ) {
+      return res.status(200).json({ message: 'Payment not completed' });
     }
 
-    // Prevent duplicate processing
-    if (vial.status === 'SUCCESS') {
-      return res.status(200).json({ message: 'Already processed' });
+    // Flutterwave retries deliveries; record each event once
+    const event = await claimWebhookEvent(payload, eventType, transaction, txRef);
+    if (!event) {
+      return res.status(200).json({
+        success: true,
+        message: 'Duplicate event'
+      });
     }
 
-    // Update vial status
-    vial.status = 'SUCCESS';
-    vial.flutterwaveData = payload;
-    vial.processedAt = new Date();
-    await vial.save();
-
-    // Update organ funding
-    const organ = await Organ.findById(vial.organId);
-    if (organ) {
-      organ.currentFundingUSD += vial.amountUSD;
-      
-      // Calculate funding percentage
-      const fundingPercentage = (organ.currentFundingUSD / organ.targetFundingUSD) * 100;
-      
-      // Update symptom state based on funding
-      if (fundingPercentage >= 50 && organ.symptomState === 'INFLAMED') {
-        organ.symptomState = 'HEALING';
+    try {
+      // Refund payloads reference the charge by its Flutterwave transaction ID
+      let vial = isRefund && !txRef
+        ? await Vial.findOne({
+          flutterwaveTransactionId: String(transaction.tx_id ?? transaction.transaction_id)
+        })
+        : await Vial.findOne({ transactionRef: txRef });
+      if (!vial && !isRefund) {
+        // Recurring subscription charges have no vial until their webhook arrives
+        vial = await subscriptionService.createVialForCharge(transaction);
+      }
+      if (!vial) {
+        console.error('Vial not found for webhook event:', event.eventId);
+        await finishWebhookEvent(event, { error: 'Transaction not found' });
+        return res.status(404).json({ message: 'Transaction not found' });
       }
-      
-      organ.lastUpdated = new Date();
-      await organ.save();
 
-      console.log(`✓ Vial processed: ${vial.amountUSD} USD → ${organ.name} (${fundingPercentage.toFixed(1)}% funded)`);
-    }
+      // Credits and refunds are re-verified with Flutterwave; the webhook body
+      // is not trusted. Failures are applied directly since a later verified
+      // success still settles a FAILED vial.
+      let result;
+      if (isRefund) {
+        result = await fundingService.refundVial(vial, {
+          refundId: transaction.id,
+          source: 'webhook'
+        });
+      } else if (transaction.status === 'successful') {
+        result = await fundingService.settleVial(vial, {
+          transactionId: transaction.id,
+          source: 'webhook'
+        });
+      } else {
+        result = await fundingService.failVial(vial, {
+          source: 'webhook',
+          reason: `Payment ${transaction.status}` +
+            (transaction.processor_response ? `: ${transaction.processor_response}` : '')
+        });
+      }
+      const { outcome, reasons } = result;
 
-    res.status(200).json({ 
-      success: true, 
-      message: 'Webhook processed successfully' 
-    });
+      // An unsettled charge or refund may still complete, and the attempt
+      // holding a credit claim may have stopped, so leave the event retryable
+      const retryableErrors = {
+        NOT_SUCCESSFUL: 'Verified transaction not completed',
+        CREDIT_PENDING: 'Credit claimed by another attempt'
+      };
+      await finishWebhookEvent(
+        event,
+        retryableErrors[outcome]
+          ? { outcome, error: retryableErrors[outcome] }
+          : { outcome }
+      );
+
+      const messages = {
+        SUCCESS: 'Webhook processed successfully',
+        ALREADY_PROCESSED: 'Already processed',
+        CREDIT_PENDING: 'Credit in progress, retry later',
+        NOT_SUCCESSFUL: 'Payment not successful',
+        FAILED: 'Payment marked as failed',
+        DISPUTED: 'Payment disputed: verified charge does not match',
+        REFUNDED: 'Refund processed',
+        PARTIALLY_REFUNDED: 'Partial refund processed',
+        NOT_REFUNDABLE: `Vial in status ${vial.status} cannot be refunded`,
+        INVALID_REFUND: 'Refund does not match this payment'
+      };
+
+      // Not 2xx, so Flutterwave redelivers and the credit is finished
+      res.status(outcome === 'CREDIT_PENDING' ? 503 : 200).json({
+        success: ['SUCCESS', 'ALREADY_PROCESSED', 'FAILED', 'REFUNDED', 'PARTIALLY_REFUNDED'].includes(outcome),
+        message: messages[outcome],
+        reasons
+      });
+    } catch (error) {
+      // Leave the event FAILED so Flutterwave's retry is processed again
+      await finishWebhookEvent(event, { error: error.message });
+      throw error;
+    }
   } catch (error) {
     console.error('Error processing webhook:', error);
     res.status(500).json({
@@ -152,6 +309,64 @@ const handleWebhook = async (req, res) => {
   }
 };
 
+/**
+ * Verify a payment after Flutterwave's redirect and credit the organ
+ * @route GET /api/vials/verify/:txRef
+ */
+const verifyPayment = async (req, res) => {
+  try {
+    const { txRef } = req.params;
+    const { transaction_id: transactionId } = req.query;
+
+    const vial = await Vial.findOne({ transactionRef: txRef });
+    if (!vial) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    const { outcome, reasons, vial: settled } = await fundingService.settleVial(
+      vial,
+      { transactionId, source: 'redirect' }
+    );
+
+    res.status(200).json({
+      success: ['SUCCESS', 'ALREADY_PROCESSED', 'CREDIT_PENDING'].includes(outcome),
+      data: {
+        vialId: settled._id,
+        txRef: settled.transactionRef,
+        status: settled.status,
+        outcome,
+        amountUSD: settled.amountUSD,
+        reasons
+      }
+    });
+  } catch (error) {
+    console.error('Error verifying payment:', error);
+    res.status(502).json({
+      success: false,
+      message: 'Payment verification failed',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Public view of a vial: no email, payment payload or references
+ * @param {Object} vial - Vial document
+ * @returns {Object} Public vial
+ */
+const formatPublicVial = (vial) => ({
+  id: vial._id,
+  donorName: vial.anonymous || !vial.donorName ? 'Anonymous' : vial.donorName,
+  amount: vial.amount,
+  currency: vial.currency,
+  amountUSD: vial.amountUSD,
+  recurring: Boolean(vial.subscriptionId),
+  contributedAt: vial.processedAt || vial.createdAt
+});
+
 /**
  * Get all vials for an organ
  * @route GET /api/vials/:organId
@@ -159,15 +374,16 @@ const handleWebhook = async (req, res) => {
 const getVialsByOrgan = async (req, res) => {
   try {
     const { organId } = req.params;
-    
+
     const vials = await Vial.find({ organId, status: 'SUCCESS' })
+      .select('donorName anonymous amount currency amountUSD subscriptionId processedAt createdAt')
       .sort({ createdAt: -1 })
       .limit(50);
 
     res.status(200).json({
       success: true,
       count: vials.length,
-      data: vials
+      data: vials.map(formatPublicVial)
     });
   } catch (error) {
     console.error('Error fetching vials:', error);
@@ -179,9 +395,93 @@ const getVialsByOrgan = async (req, res) => {
   }
 };
 
+/**
+ * Full vial records for admins, filterable by organ, status and donor email
+ * @route GET /api/vials/admin
+ */
+const getVialsForAdmin = async (req, res) => {
+  try {
+    const { organId, status, email } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const filter = {};
+    if (organId) filter.organId = organId;
+    if (status) filter.status = String(status).toUpperCase();
+    if (email) filter.donorEmail = donorService.normalizeEmail(email);
+
+    const [vials, total] = await Promise.all([
+      Vial.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Vial.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: vials.length,
+      data: vials,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}`
+      });
+    }
+    console.error('Error fetching vials for admin:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch vials',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Full record of a single vial for admins
+ * @route GET /api/vials/admin/:id
+ */
+const getVialForAdmin = async (req, res) => {
+  try {
+    const vial = mongoose.isValidObjectId(req.params.id)
+      ? await Vial.findById(req.params.id)
+      : null;
+
+    if (!vial) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vial not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: vial
+    });
+  } catch (error) {
+    console.error('Error fetching vial for admin:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch vial',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   initializePayment,
   handleWebhook,
-  getVialsByOrgan
+  verifyPayment,
+  getVialsByOrgan,
+  getVialsForAdmin,
+  getVialForAdmin
 };
 
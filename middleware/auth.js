@@ -0,0 +1,72 @@
+const authService = require('../services/AuthService');
+const donorService = require('../services/DonorService');
+
+/**
+ * Require the caller to hold one of the given roles; admin passes every
+ * check. Sets req.auth to { role, subject, method, apiKeyId }.
+ * Credentials: X-API-Key, Authorization: Bearer <API key | JWT | donor
+ * session>, or the bootstrap ADMIN_API_KEY (also accepted as X-Admin-Key).
+ * @param {...string} roles - Allowed roles (donor, ngo, admin)
+ */
+const requireRole = (...roles) => async (req, res, next) => {
+  try {
+    const auth = await authService.resolve(req);
+
+    if (!auth.role || auth.role === 'public') {
+      return res.status(401).json({
+        success: false,
+        message: auth.role === null
+          ? 'Invalid or expired credentials'
+          : 'Authentication required'
+      });
+    }
+
+    if (auth.role !== 'admin' && !roles.includes(auth.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `This route requires the ${roles.join(' or ')} role`
+      });
+    }
+
+    req.auth = auth;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require an admin API key, admin JWT or ADMIN_API_KEY
+ */
+const requireAdmin = requireRole('admin');
+
+/**
+ * Require a donor session token (Authorization: Bearer <token>);
+ * sets req.donor and req.donorToken
+ */
+const requireDonor = async (req, res, next) => {
+  try {
+    const authHeader = req.get('Authorization') || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+
+    const donor = await donorService.authenticate(token);
+    if (!donor) {
+      return res.status(401).json({
+        success: false,
+        message: 'Donor sign-in required'
+      });
+    }
+
+    req.donor = donor;
+    req.donorToken = token;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requireRole,
+  requireAdmin,
+  requireDonor
+};
@@ -0,0 +1,53 @@
+const express = require('express');
+const multer = require('multer');
+require('dotenv').config();
+
+/**
+ * Body parsing for POST /api/verify, which is mounted before the global
+ * JSON parser so its larger limits only apply here.
+ * Accepts multipart/form-data with `beforeImages` and `afterImages` file
+ * fields (each file up to VERIFICATION_MAX_UPLOAD_MB, default 10), or JSON
+ * with base64 images up to VERIFICATION_JSON_LIMIT (default 40mb).
+ */
+const verificationUpload = () => {
+  const maxImages = parseInt(process.env.VERIFICATION_MAX_IMAGES) || 4;
+  const maxUploadMB = parseFloat(process.env.VERIFICATION_MAX_UPLOAD_MB) || 10;
+
+  const multipart = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: Math.floor(maxUploadMB * 1024 * 1024),
+      files: maxImages * 2,
+      fields: 20
+    }
+  }).fields([
+    { name: 'beforeImages', maxCount: maxImages },
+    { name: 'afterImages', maxCount: maxImages }
+  ]);
+
+  const json = express.json({
+    limit: process.env.VERIFICATION_JSON_LIMIT || '40mb'
+  });
+
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) {
+      return json(req, res, next);
+    }
+
+    multipart(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        err.statusCode = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          err.message = `Images may be at most ${maxUploadMB}MB each`;
+        } else if (err.code === 'LIMIT_UNEXPECTED_FILE' || err.code === 'LIMIT_FILE_COUNT') {
+          err.message = `Upload up to ${maxImages} files each in beforeImages and afterImages`;
+        }
+      }
+      next(err);
+    });
+  };
+};
+
+module.exports = {
+  verificationUpload
+};
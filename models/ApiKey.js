@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// API keys for NGO and admin clients; only the SHA-256 of the key is stored
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: ['ngo', 'admin']
+  },
+  // Who the key acts for (e.g. an NGO identifier); defaults to the key ID
+  subject: {
+    type: String,
+    default: null
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the key, shown in listings to tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
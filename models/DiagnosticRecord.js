@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const diagnosticRecordSchema = new mongoose.Schema({
+  organId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organ',
+    required: true
+  },
+  metrics: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  dataSource: {
+    type: String,
+    default: ''
+  },
+  diagnosis: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    required: true
+  },
+  healthScore: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // Which path produced the diagnosis text
+  diagnosisEngine: {
+    type: String,
+    required: true,
+    enum: ['GEMINI', 'RULE_BASED', 'FALLBACK'],
+    default: 'RULE_BASED'
+  },
+  fromCache: {
+    type: Boolean,
+    default: false
+  },
+  // LIVE readings come from real providers; DEGRADED ones were simulated
+  dataQuality: {
+    status: {
+      type: String,
+      enum: ['LIVE', 'DEGRADED'],
+      default: 'LIVE'
+    },
+    provider: String,
+    simulatedMetrics: {
+      type: [String],
+      default: []
+    },
+    strictMode: Boolean,
+    // Strict mode diagnosed simulated metrics by rules, without Gemini
+    geminiSkipped: {
+      type: Boolean,
+      default: false
+    },
+    // Whether the scan was written onto the organ
+    applied: {
+      type: Boolean,
+      default: true
+    }
+  },
+  scannedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Index for history queries by organ and date range
+diagnosticRecordSchema.index({ organId: 1, scannedAt: -1 });
+
+module.exports = mongoose.model('DiagnosticRecord', diagnosticRecordSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Magic-link (LOGIN) and session (SESSION) tokens; only the SHA-256 is stored
+const donorTokenSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['LOGIN', 'SESSION']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  // Set on SESSION tokens
+  donorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    default: null
+  },
+  // Name given when the link was requested, applied on first sign-in
+  name: {
+    type: String,
+    default: ''
+  },
+  // LOGIN tokens are single use
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes tokens once they expire
+donorTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('DonorToken', donorTokenSchema);
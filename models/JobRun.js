@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+  // Null for ad-hoc runs started by POST /api/organs/diagnose-all
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScanJob',
+    default: null
+  },
+  trigger: {
+    type: String,
+    required: true,
+    enum: ['SCHEDULED', 'MANUAL', 'DIAGNOSE_ALL'],
+    default: 'SCHEDULED'
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['RUNNING', 'SUCCESS', 'PARTIAL', 'FAILED', 'SKIPPED'],
+    default: 'RUNNING'
+  },
+  startedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  // Number of organs to scan, for progress reporting
+  total: {
+    type: Number,
+    default: 0
+  },
+  results: [{
+    organId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organ'
+    },
+    organName: String,
+    status: String,
+    diagnosis: String,
+    dataQuality: String,
+    applied: Boolean,
+    error: String
+  }],
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for listing the latest runs of a job
+jobRunSchema.index({ jobId: 1, startedAt: -1 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const deliverySchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const milestoneEventSchema = new mongoose.Schema({
+  organId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organ',
+    required: true
+  },
+  campaign: {
+    type: Number,
+    required: true
+  },
+  // REVERTED when a refund takes funding back below the milestone
+  type: {
+    type: String,
+    required: true,
+    enum: ['REACHED', 'REVERTED'],
+    default: 'REACHED'
+  },
+  percentage: {
+    type: Number,
+    required: true
+  },
+  label: {
+    type: String,
+    default: ''
+  },
+  currentFundingUSD: {
+    type: Number,
+    required: true
+  },
+  targetFundingUSD: {
+    type: Number,
+    required: true
+  },
+  previousState: {
+    type: String,
+    default: null
+  },
+  newState: {
+    type: String,
+    default: null
+  },
+  healthBoost: {
+    type: Number,
+    default: 0
+  },
+  // onTargetReached action applied at 100% (CLOSE, NEW_TARGET, ROLLOVER)
+  targetAction: {
+    type: String,
+    default: null
+  },
+  // Outbound webhook delivery results
+  deliveries: {
+    type: [deliverySchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+milestoneEventSchema.index({ organId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('MilestoneEvent', milestoneEventSchema);
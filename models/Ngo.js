@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// An NGO that submits restoration evidence for organs
+const ngoSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  website: {
+    type: String,
+    default: ''
+  },
+  // ISO 3166-1 alpha-3 code of the country the NGO is registered in
+  countryIso: {
+    type: String,
+    uppercase: true,
+    default: null
+  },
+  contact: {
+    name: {
+      type: String,
+      default: ''
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    phone: {
+      type: String,
+      default: ''
+    }
+  },
+  // PENDING NGOs have registered but cannot submit yet
+  status: {
+    type: String,
+    required: true,
+    enum: ['PENDING', 'APPROVED', 'SUSPENDED'],
+    default: 'PENDING'
+  },
+  // How far the NGO's submissions are trusted
+  trustLevel: {
+    type: String,
+    enum: ['LOW', 'MEDIUM', 'HIGH'],
+    default: 'LOW'
+  },
+  // Organs the NGO may submit verifications for
+  approvedOrgans: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organ'
+  }],
+  approvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ngoSchema.index({ status: 1, name: 1 });
+
+module.exports = mongoose.model('Ngo', ngoSchema);
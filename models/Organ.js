@@ -1,5 +1,141 @@
 const mongoose = require('mongoose');
 
+const isLongitude = (lon) => typeof lon === 'number' && lon >= -180 && lon <= 180;
+const isLatitude = (lat) => typeof lat === 'number' && lat >= -90 && lat <= 90;
+
+// GeoJSON Point, coordinates are [longitude, latitude]
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    required: true,
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: (c) => c.length === 2 && isLongitude(c[0]) && isLatitude(c[1]),
+      message: 'coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
+const locationSchema = new mongoose.Schema({
+  // Human-readable place name used in metrics and diagnoses
+  label: {
+    type: String,
+    default: ''
+  },
+  point: {
+    type: pointSchema,
+    default: undefined
+  },
+  // GeoJSON bbox order: [minLon, minLat, maxLon, maxLat]
+  bbox: {
+    type: [Number],
+    default: undefined,
+    validate: {
+      validator: (b) => b.length === 0 || (
+        b.length === 4 &&
+        isLongitude(b[0]) && isLatitude(b[1]) &&
+        isLongitude(b[2]) && isLatitude(b[3]) &&
+        b[0] <= b[2] && b[1] <= b[3]
+      ),
+      message: 'bbox must be [minLon, minLat, maxLon, maxLat]'
+    }
+  },
+  // ISO 3166-1 alpha-3 country code (e.g. 'BRA'), used by Global Forest Watch
+  countryIso: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'countryIso must be an ISO 3166-1 alpha-3 code'],
+    default: undefined
+  }
+}, { _id: false });
+
+const SYMPTOM_STATES = ['HEALTHY', 'INFLAMED', 'HEALING'];
+
+// A funding percentage that triggers actions once per campaign
+const milestoneSchema = new mongoose.Schema({
+  percentage: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 100
+  },
+  label: {
+    type: String,
+    default: ''
+  },
+  // Move the organ to this state...
+  setState: {
+    type: String,
+    enum: SYMPTOM_STATES,
+    default: null
+  },
+  // ...only if it is currently in one of these (any state when empty)
+  fromStates: {
+    type: [{ type: String, enum: SYMPTOM_STATES }],
+    default: []
+  },
+  healthBoost: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  }
+}, { _id: false });
+
+const campaignSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    default: 1
+  },
+  // CLOSED campaigns accept no new vials
+  status: {
+    type: String,
+    enum: ['OPEN', 'CLOSED'],
+    default: 'OPEN'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  // Milestone percentages already reached in this campaign
+  reachedMilestones: {
+    type: [Number],
+    default: []
+  }
+}, { _id: false });
+
+// Health boost granted to an NGO's verification submission, counted
+// against VERIFICATION_BOOST_CAP (VerificationService.boostPipeline)
+const verificationBoostSchema = new mongoose.Schema({
+  ngoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ngo',
+    required: true
+  },
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VerificationSubmission',
+    required: true
+  },
+  boost: {
+    type: Number,
+    required: true
+  },
+  at: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
 const organSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -21,7 +157,7 @@ const organSchema = new mongoose.Schema({
   symptomState: {
     type: String,
     required: true,
-    enum: ['HEALTHY', 'INFLAMED', 'HEALING'],
+    enum: SYMPTOM_STATES,
     default: 'INFLAMED'
   },
   currentFundingUSD: {
@@ -35,6 +171,49 @@ const organSchema = new mongoose.Schema({
     required: true,
     default: 100000
   },
+  // Funding moved out of currentFundingUSD by campaign rollovers
+  archivedFundingUSD: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Vials added to currentFundingUSD whose creditedAt is not yet set
+  // (FundingService.creditOrgan)
+  pendingCredits: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: [],
+    select: false
+  },
+  // Boosts granted to NGO submissions within VERIFICATION_BOOST_WINDOW_DAYS
+  verificationBoosts: {
+    type: [verificationBoostSchema],
+    default: [],
+    select: false
+  },
+  // Per-organ milestones; MilestoneService defaults apply when unset
+  milestones: {
+    type: [milestoneSchema],
+    default: undefined
+  },
+  // What happens when the campaign reaches 100%:
+  // CONTINUE keeps accepting vials, CLOSE stops them, NEW_TARGET raises the
+  // target to nextTargetUSD, ROLLOVER starts a new campaign carrying the excess
+  onTargetReached: {
+    action: {
+      type: String,
+      enum: ['CONTINUE', 'CLOSE', 'NEW_TARGET', 'ROLLOVER'],
+      default: 'CONTINUE'
+    },
+    nextTargetUSD: {
+      type: Number,
+      min: 0,
+      default: null
+    }
+  },
+  campaign: {
+    type: campaignSchema,
+    default: () => ({})
+  },
   lastMetricValue: {
     type: mongoose.Schema.Types.Mixed,
     default: null
@@ -43,9 +222,23 @@ const organSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  location: {
+    type: locationSchema,
+    default: undefined
+  },
+  // Provider-specific query parameters (e.g. { eonetCategory: 'wildfires', basePH: 7.95 })
+  dataSourceParams: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
+  },
+  // Soft delete: deleted organs are hidden but keep their funding and vials
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -57,6 +250,44 @@ organSchema.virtual('fundingPercentage').get(function() {
   return (this.currentFundingUSD / this.targetFundingUSD) * 100;
 });
 
+// Index for geographic lookups
+organSchema.index({ 'location.point': '2dsphere' });
+
+/**
+ * Resolve the organ's location into what data fetchers need.
+ * A missing bbox is derived around the point, a missing point from the bbox centre.
+ * @returns {Object|null} { label, center, bbox, countryIso, params } or null if unconfigured
+ */
+organSchema.methods.getGeoContext = function() {
+  const location = this.location || {};
+  const coordinates = location.point?.coordinates;
+  const bbox = location.bbox?.length === 4 ? location.bbox : null;
+
+  if (!coordinates?.length && !bbox) return null;
+
+  const center = coordinates?.length === 2
+    ? { lon: coordinates[0], lat: coordinates[1] }
+    : { lon: (bbox[0] + bbox[2]) / 2, lat: (bbox[1] + bbox[3]) / 2 };
+
+  const radius = parseFloat(process.env.GEO_DEFAULT_RADIUS_DEG) || 1;
+  const box = bbox
+    ? { minLon: bbox[0], minLat: bbox[1], maxLon: bbox[2], maxLat: bbox[3] }
+    : {
+      minLon: Math.max(-180, center.lon - radius),
+      minLat: Math.max(-90, center.lat - radius),
+      maxLon: Math.min(180, center.lon + radius),
+      maxLat: Math.min(90, center.lat + radius)
+    };
+
+  return {
+    label: location.label || this.name,
+    center,
+    bbox: box,
+    countryIso: location.countryIso || null,
+    params: this.dataSourceParams || {}
+  };
+};
+
 // Ensure virtuals are included in JSON
 organSchema.set('toJSON', { virtuals: true });
 organSchema.set('toObject', { virtuals: true });
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// An organ state transition and the rule that caused it
+const organEventSchema = new mongoose.Schema({
+  organId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organ',
+    required: true
+  },
+  // VERIFICATION for Gemini verdicts, REVIEW for admin decisions on them
+  type: {
+    type: String,
+    required: true,
+    enum: ['VERIFICATION', 'REVIEW']
+  },
+  // OUTCOME_APPROVED, OUTCOME_PARTIAL, OUTCOME_REJECTED, HELD_FOR_REVIEW,
+  // DUPLICATE_IMAGE or REVIEW_REJECTED
+  rule: {
+    type: String,
+    required: true
+  },
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VerificationSubmission',
+    default: null
+  },
+  ngoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ngo',
+    default: null
+  },
+  // Subject that submitted or reviewed
+  actor: {
+    type: String,
+    default: null
+  },
+  previousState: {
+    type: String,
+    required: true
+  },
+  newState: {
+    type: String,
+    required: true
+  },
+  previousHealthScore: {
+    type: Number,
+    required: true
+  },
+  newHealthScore: {
+    type: Number,
+    required: true
+  },
+  // Health boost the rule grants, and whether the NGO boost cap reduced it
+  healthBoost: {
+    type: Number,
+    default: 0
+  },
+  healthBoostCapped: {
+    type: Boolean,
+    default: false
+  },
+  // Final verification confidence (0-100)
+  confidence: {
+    type: Number,
+    default: null
+  },
+  // Review reasons, or the reviewer's reason
+  reason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+organEventSchema.index({ organId: 1, createdAt: -1 });
+organEventSchema.index({ submissionId: 1 });
+
+module.exports = mongoose.model('OrganEvent', organEventSchema);
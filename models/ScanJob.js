@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const scanJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  organType: {
+    type: String,
+    required: true,
+    enum: ['Lungs', 'Veins', 'Skin']
+  },
+  schedule: {
+    type: String,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Lock flag used to skip overlapping runs
+  isRunning: {
+    type: Boolean,
+    default: false
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastStatus: {
+    type: String,
+    enum: ['SUCCESS', 'PARTIAL', 'FAILED', 'SKIPPED', null],
+    default: null
+  },
+  nextRunAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ScanJob', scanJobSchema);
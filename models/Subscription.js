@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// A donor's monthly commitment to an organ, charged through a Flutterwave payment plan
+const subscriptionSchema = new mongoose.Schema({
+  organId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organ',
+    required: true
+  },
+  // Amount charged each month in `currency`
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true,
+    default: 'USD'
+  },
+  // USD value at the rate when the subscription was created
+  amountUSD: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  interval: {
+    type: String,
+    enum: ['monthly'],
+    default: 'monthly'
+  },
+  donorEmail: {
+    type: String,
+    required: true
+  },
+  donorName: {
+    type: String,
+    default: ''
+  },
+  // Copied to each charge's vial
+  anonymous: {
+    type: Boolean,
+    default: false
+  },
+  // PENDING until the first charge succeeds
+  status: {
+    type: String,
+    required: true,
+    enum: ['PENDING', 'ACTIVE', 'PAUSED', 'CANCELLED'],
+    default: 'PENDING'
+  },
+  flutterwavePlanId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Flutterwave's subscription for this donor on the plan, known after the first charge
+  flutterwaveSubscriptionId: {
+    type: String,
+    default: null
+  },
+  // tx_ref of the first charge, made through the hosted payment page
+  initialTxRef: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the token the donor uses to pause, resume or cancel
+  manageTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  chargeCount: {
+    type: Number,
+    default: 0
+  },
+  lastChargedAt: {
+    type: Date,
+    default: null
+  },
+  pausedAt: {
+    type: Date,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ organId: 1, status: 1 });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+
+// Where a submitted image is kept (see BlobStorageService)
+const storedImageSchema = new mongoose.Schema({
+  driver: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  sha256: {
+    type: String,
+    required: true
+  },
+  // Perceptual hash (see ImageHashService); null if it could not be decoded
+  phash: {
+    type: String,
+    default: null
+  },
+  // Bands of phash for near-duplicate lookup
+  phashBands: {
+    type: [String],
+    default: undefined
+  },
+  // BEFORE or AFTER the restoration work (see images)
+  role: {
+    type: String,
+    enum: ['BEFORE', 'AFTER'],
+    default: undefined
+  },
+  // EXIF metadata read on upload; null when the image carries none
+  exif: {
+    capturedAt: {
+      type: Date,
+      default: null
+    },
+    latitude: {
+      type: Number,
+      default: null
+    },
+    longitude: {
+      type: Number,
+      default: null
+    },
+    make: {
+      type: String,
+      default: null
+    },
+    model: {
+      type: String,
+      default: null
+    }
+  }
+}, { _id: false });
+
+// An image matching one of an earlier submission
+const duplicateSchema = new mongoose.Schema({
+  // Position in this submission's images
+  imageIndex: {
+    type: Number,
+    required: true
+  },
+  // The earliest submission with a matching image
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VerificationSubmission',
+    required: true
+  },
+  originalImageIndex: {
+    type: Number,
+    required: true
+  },
+  // Bits between the perceptual hashes (0 = same picture)
+  distance: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Human review of submissions that may not be applied automatically
+const reviewSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['NOT_REQUIRED', 'PENDING', 'APPROVED', 'REJECTED'],
+    default: 'NOT_REQUIRED'
+  },
+  // Why the submission was queued (LOW_CONFIDENCE, CRITICAL_ORGAN,
+  // DUPLICATE_IMAGE)
+  reasons: {
+    type: [String],
+    default: []
+  },
+  reviewedBy: {
+    type: String,
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  // Reviewer's reason for the decision
+  reason: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// Before/after restoration images submitted for an organ with the verdict
+const verificationSubmissionSchema = new mongoose.Schema({
+  organId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organ',
+    required: true
+  },
+  ngoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ngo',
+    default: null
+  },
+  // NGO name at submission time (free text for admin submissions)
+  ngoName: {
+    type: String,
+    default: ''
+  },
+  // Subject of the API key or JWT that submitted
+  submittedBy: {
+    type: String,
+    default: null
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Before and after image sets, in submission order
+  images: {
+    type: [storedImageSchema],
+    default: []
+  },
+  // Single image of submissions made before images[] existed
+  image: {
+    type: storedImageSchema,
+    default: undefined
+  },
+  // After images recycled from earlier submissions
+  duplicates: {
+    type: [duplicateSchema],
+    default: []
+  },
+  // Combined verdict: verified, confidence, analysis, recommendation,
+  // reasons, plus Gemini's comparison and the metadata checks
+  verification: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  model: {
+    type: String,
+    default: null
+  },
+  // FAILED when Gemini's response could not be used
+  outcome: {
+    type: String,
+    required: true,
+    enum: ['APPROVED', 'PARTIAL', 'REJECTED', 'FAILED']
+  },
+  // State change applied to the organ, if any
+  stateChange: {
+    previousState: {
+      type: String,
+      default: null
+    },
+    newState: {
+      type: String,
+      default: null
+    },
+    previousHealthScore: {
+      type: Number,
+      default: null
+    },
+    newHealthScore: {
+      type: Number,
+      default: null
+    }
+  },
+  review: {
+    type: reviewSchema,
+    default: () => ({})
+  },
+  // When stateChange was applied to the organ
+  appliedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+verificationSubmissionSchema.index({ organId: 1, createdAt: -1 });
+verificationSubmissionSchema.index({ ngoId: 1, createdAt: -1 });
+verificationSubmissionSchema.index({ outcome: 1, createdAt: -1 });
+verificationSubmissionSchema.index({ 'review.status': 1, createdAt: 1 });
+verificationSubmissionSchema.index({ 'images.phashBands': 1 });
+verificationSubmissionSchema.index({ 'images.sha256': 1 });
+
+module.exports = mongoose.model('VerificationSubmission', verificationSubmissionSchema);
@@ -1,16 +1,76 @@
 const mongoose = require('mongoose');
 
+const VIAL_STATUSES = ['PENDING', 'SUCCESS', 'FAILED', 'DISPUTED', 'REFUNDED', 'EXPIRED'];
+
+// One entry per completed Flutterwave refund; a charge can be refunded in parts
+const refundSchema = new mongoose.Schema({
+  refundId: {
+    type: String,
+    required: true
+  },
+  // In the charge currency
+  amount: {
+    type: Number,
+    required: true
+  },
+  amountUSD: {
+    type: Number,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One entry per status change, appended atomically with the change itself
+const statusTransitionSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: VIAL_STATUSES
+  },
+  to: {
+    type: String,
+    required: true,
+    enum: VIAL_STATUSES
+  },
+  // webhook, redirect, sweeper, ...
+  source: {
+    type: String,
+    default: 'system'
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const vialSchema = new mongoose.Schema({
   organId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Organ',
     required: true
   },
+  // Set for charges made by a recurring subscription
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription',
+    default: null
+  },
   transactionRef: {
     type: String,
     required: true,
     unique: true
   },
+  // Amount charged in `currency`
+  amount: {
+    type: Number,
+    min: 0
+  },
   amountUSD: {
     type: Number,
     required: true,
@@ -21,6 +81,19 @@ const vialSchema = new mongoose.Schema({
     required: true,
     default: 'USD'
   },
+  // Units of `currency` per 1 USD used to compute amountUSD
+  exchangeRate: {
+    type: Number,
+    default: 1
+  },
+  exchangeRateTimestamp: {
+    type: Date,
+    default: null
+  },
+  exchangeRateSource: {
+    type: String,
+    default: null
+  },
   donorEmail: {
     type: String,
     default: ''
@@ -29,19 +102,93 @@ const vialSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Linked once the donor verifies their email
+  donorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donor',
+    default: null
+  },
+  // Hide the donor's name and email from public vial lists
+  anonymous: {
+    type: Boolean,
+    default: false
+  },
   status: {
     type: String,
     required: true,
-    enum: ['PENDING', 'SUCCESS', 'FAILED'],
+    enum: VIAL_STATUSES,
     default: 'PENDING'
   },
+  statusHistory: {
+    type: [statusTransitionSchema],
+    default: []
+  },
   flutterwaveData: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  // Set once flutterwaveData is reduced to its audit fields (RetentionService)
+  flutterwaveDataRedactedAt: {
+    type: Date,
+    default: null
+  },
+  flutterwaveTransactionId: {
+    type: String,
+    default: null
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Why Flutterwave's verified charge did not match this vial
+  disputeReason: {
+    type: String,
+    default: null
+  },
   processedAt: {
     type: Date,
     default: null
+  },
+  // Set once amountUSD has been added to the organ's funding
+  creditedAt: {
+    type: Date,
+    default: null
+  },
+  // Set by the attempt crediting the organ, so concurrent attempts don't
+  creditClaimedAt: {
+    type: Date,
+    default: null
+  },
+  // Why the payment failed, was cancelled or expired
+  failureReason: {
+    type: String,
+    default: null
+  },
+  // Latest refund
+  refundId: {
+    type: String,
+    default: null
+  },
+  refunds: {
+    type: [refundSchema],
+    default: []
+  },
+  // Refunded portion of amount, in the charge currency; the vial becomes
+  // REFUNDED once it covers the whole amount
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Refunded portion of amountUSD, deducted from the organ's funding
+  refundedAmountUSD: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refundedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -50,6 +197,10 @@ const vialSchema = new mongoose.Schema({
 // Index for faster queries
 vialSchema.index({ organId: 1, status: 1 });
 vialSchema.index({ transactionRef: 1 });
+vialSchema.index({ status: 1, createdAt: 1 });
+vialSchema.index({ donorId: 1, createdAt: -1 });
+vialSchema.index({ donorEmail: 1, createdAt: -1 });
+vialSchema.index({ status: 1, processedAt: -1 });
 
 module.exports = mongoose.model('Vial', vialSchema);
 
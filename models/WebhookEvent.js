@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+  // Flutterwave event ID, or event type + transaction ID for payloads without one
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  eventType: {
+    type: String,
+    default: ''
+  },
+  txRef: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['PROCESSING', 'PROCESSED', 'FAILED'],
+    default: 'PROCESSING'
+  },
+  // Settlement outcome (SUCCESS, ALREADY_PROCESSED, DISPUTED, ...)
+  outcome: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Set once payload is reduced to its audit fields (RetentionService)
+  payloadRedactedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
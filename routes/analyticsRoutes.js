@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getLeaderboard,
+  getFundingTimeline,
+  getSummary,
+  getProjections,
+} = require("../controllers/analyticsController");
+
+// GET /api/analytics/leaderboard - Top donors (?organId=&from=&to=&limit=)
+router.get("/leaderboard", getLeaderboard);
+
+// GET /api/analytics/funding - Funding per day/week/month (?interval=&organId=&from=&to=)
+router.get("/funding", getFundingTimeline);
+
+// GET /api/analytics/summary - Totals, average donation, currencies (?organId=&from=&to=)
+router.get("/summary", getSummary);
+
+// GET /api/analytics/projections - Time to target per organ (?windowDays=)
+router.get("/projections", getProjections);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const { requireRole, requireAdmin } = require("../middleware/auth");
+const {
+  getMe,
+  issueToken,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+} = require("../controllers/authController");
+
+// GET /api/auth/me - Role of the authenticated caller
+router.get("/me", requireRole("donor", "ngo"), getMe);
+
+// POST /api/auth/token - Exchange an API key for a short-lived JWT
+router.post("/token", requireRole("ngo"), issueToken);
+
+// GET /api/auth/keys - List API keys (admin)
+router.get("/keys", requireAdmin, getApiKeys);
+
+// POST /api/auth/keys - Create an API key (admin)
+router.post("/keys", requireAdmin, createApiKey);
+
+// DELETE /api/auth/keys/:id - Revoke an API key (admin)
+router.delete("/keys/:id", requireAdmin, revokeApiKey);
+
+module.exports = router;
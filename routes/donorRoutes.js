@@ -0,0 +1,31 @@
+const express = require("express");
+const router = express.Router();
+const { requireDonor } = require("../middleware/auth");
+const {
+  requestLogin,
+  verifyLogin,
+  logout,
+  getMe,
+  getMyVials,
+  updateMyVial,
+} = require("../controllers/donorController");
+
+// POST /api/donors/login - Email a one-time sign-in link
+router.post("/login", requestLogin);
+
+// POST /api/donors/verify - Exchange the link's token for a session token
+router.post("/verify", verifyLogin);
+
+// POST /api/donors/logout - End the session (donor)
+router.post("/logout", requireDonor, logout);
+
+// GET /api/donors/me - Signed-in donor (donor)
+router.get("/me", requireDonor, getMe);
+
+// GET /api/donors/me/vials - Contributions across organs with totals (donor)
+router.get("/me/vials", requireDonor, getMyVials);
+
+// PATCH /api/donors/me/vials/:id - Mark a contribution anonymous (donor)
+router.patch("/me/vials/:id", requireDonor, updateMyVial);
+
+module.exports = router;
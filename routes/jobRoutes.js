@@ -0,0 +1,12 @@
+const express = require("express");
+const router = express.Router();
+const { requireAdmin } = require("../middleware/auth");
+const { getAllJobs, runJob } = require("../controllers/jobController");
+
+// GET /api/jobs - Get all scan jobs and their recent runs
+router.get("/", getAllJobs);
+
+// POST /api/jobs/:id/run - Trigger a scan job now (admin)
+router.post("/:id/run", requireAdmin, runJob);
+
+module.exports = router;
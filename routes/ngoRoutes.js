@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const { requireAdmin } = require("../middleware/auth");
+const {
+  registerNgo,
+  getNgos,
+  getNgoById,
+  getNgosForAdmin,
+  updateNgo,
+} = require("../controllers/ngoController");
+
+// POST /api/ngos - Register an NGO (pending admin approval)
+router.post("/", registerNgo);
+
+// GET /api/ngos - List approved NGOs
+router.get("/", getNgos);
+
+// GET /api/ngos/admin - All NGOs with contact details (admin)
+router.get("/admin", requireAdmin, getNgosForAdmin);
+
+// GET /api/ngos/:id - Approved NGO profile
+router.get("/:id", getNgoById);
+
+// PATCH /api/ngos/:id - Approve, suspend or update an NGO (admin)
+router.patch("/:id", requireAdmin, updateNgo);
+
+module.exports = router;
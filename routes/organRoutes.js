@@ -1,26 +1,63 @@
 const express = require("express");
 const router = express.Router();
+const { requireAdmin } = require("../middleware/auth");
 const {
   getAllOrgans,
   getOrganById,
+  createOrgan,
+  updateOrgan,
+  deleteOrgan,
   diagnoseOrgan,
   diagnoseAllOrgans,
+  getDiagnoseAllStatus,
+  getOrganHistory,
+  getOrganMilestones,
+  getOrganEvents,
+  startCampaign,
+  streamOrganEvents,
   getQuotaStatus,
 } = require("../controllers/organController");
 
 // GET /api/organs - Get all organs
 router.get("/", getAllOrgans);
 
+// POST /api/organs - Create organ (admin)
+router.post("/", requireAdmin, createOrgan);
+
 // GET /api/organs/quota-status - Get Gemini API quota status
 router.get("/quota-status", getQuotaStatus);
 
+// GET /api/organs/stream - Server-Sent Events stream of organ changes
+router.get("/stream", streamOrganEvents);
+
+// GET /api/organs/diagnose-all/:jobId - Get diagnose-all job progress
+router.get("/diagnose-all/:jobId", getDiagnoseAllStatus);
+
 // GET /api/organs/:id - Get single organ
 router.get("/:id", getOrganById);
 
-// POST /api/organs/:id/diagnose - Run diagnostic on specific organ
-router.post("/:id/diagnose", diagnoseOrgan);
+// PATCH /api/organs/:id - Update organ (admin)
+router.patch("/:id", requireAdmin, updateOrgan);
+
+// DELETE /api/organs/:id - Soft delete organ (admin)
+router.delete("/:id", requireAdmin, deleteOrgan);
+
+// GET /api/organs/:id/history - Get diagnostic history for an organ
+router.get("/:id/history", getOrganHistory);
+
+// GET /api/organs/:id/milestones - Get funding milestones and campaign
+router.get("/:id/milestones", getOrganMilestones);
+
+// GET /api/organs/:id/events - Get state transitions from verifications
+router.get("/:id/events", getOrganEvents);
+
+// POST /api/organs/:id/campaigns - Start a new funding campaign (admin)
+router.post("/:id/campaigns", requireAdmin, startCampaign);
+
+// POST /api/organs/:id/diagnose - Run diagnostic on specific organ (admin)
+router.post("/:id/diagnose", requireAdmin, diagnoseOrgan);
 
-// POST /api/organs/diagnose-all - Run diagnostic on all organs
-router.post("/diagnose-all", diagnoseAllOrgans);
+// POST /api/organs/diagnose-all - Start diagnostic on all organs (admin, 202 + job ID)
+router.post("/diagnose-all", requireAdmin, diagnoseAllOrgans);
 
 module.exports = router;
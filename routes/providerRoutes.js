@@ -0,0 +1,8 @@
+const express = require("express");
+const router = express.Router();
+const { getProviders } = require("../controllers/providerController");
+
+// GET /api/providers - Get data providers and their success/failure stats
+router.get("/", getProviders);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription,
+} = require("../controllers/subscriptionController");
+
+// POST /api/subscriptions - Start a monthly vial subscription
+router.post("/", createSubscription);
+
+// POST /api/subscriptions/:id/pause - Pause monthly charges
+router.post("/:id/pause", pauseSubscription);
+
+// POST /api/subscriptions/:id/resume - Resume monthly charges
+router.post("/:id/resume", resumeSubscription);
+
+// POST /api/subscriptions/:id/cancel - Cancel the subscription
+router.post("/:id/cancel", cancelSubscription);
+
+module.exports = router;
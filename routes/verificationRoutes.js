@@ -1,9 +1,31 @@
 const express = require('express');
 const router = express.Router();
-const { verifyRestorationImage } = require('../controllers/verificationController');
+const { requireRole, requireAdmin } = require('../middleware/auth');
+const { verificationUpload } = require('../middleware/upload');
+const {
+  verifyRestorationImage,
+  getSubmissions,
+  getSubmission,
+  getSubmissionImage,
+  reviewSubmission
+} = require('../controllers/verificationController');
 
-// POST /api/verify - Verify restoration image
-router.post('/', verifyRestorationImage);
+// POST /api/verify - Verify restoration from before/after images (NGO or admin)
+router.post('/', requireRole('ngo'), verificationUpload(), verifyRestorationImage);
 
-module.exports = router;
+// GET /api/verify/submissions - List submissions by organ, NGO, outcome and review status (NGO or admin)
+router.get('/submissions', requireRole('ngo'), getSubmissions);
+
+// GET /api/verify/submissions/:id - Get one submission (NGO or admin)
+router.get('/submissions/:id', requireRole('ngo'), getSubmission);
+
+// GET /api/verify/submissions/:id/images/:index - Download one of a submission's images (NGO or admin)
+router.get('/submissions/:id/images/:index', requireRole('ngo'), getSubmissionImage);
 
+// GET /api/verify/submissions/:id/image - Download a submission's first after image (NGO or admin)
+router.get('/submissions/:id/image', requireRole('ngo'), getSubmissionImage);
+
+// POST /api/verify/submissions/:id/review - Approve or reject a pending submission (admin)
+router.post('/submissions/:id/review', requireAdmin, express.json(), reviewSubmission);
+
+module.exports = router;
@@ -1,9 +1,13 @@
 const express = require('express');
 const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
 const {
   initializePayment,
   handleWebhook,
-  getVialsByOrgan
+  verifyPayment,
+  getVialsByOrgan,
+  getVialsForAdmin,
+  getVialForAdmin
 } = require('../controllers/vialController');
 
 // POST /api/vials/initialize - Initialize payment
@@ -12,7 +16,16 @@ router.post('/initialize', initializePayment);
 // POST /api/vials/webhook - Flutterwave webhook
 router.post('/webhook', handleWebhook);
 
-// GET /api/vials/:organId - Get vials for an organ
+// GET /api/vials/verify/:txRef - Verify payment after redirect
+router.get('/verify/:txRef', verifyPayment);
+
+// GET /api/vials/admin - Full vial records (admin)
+router.get('/admin', requireAdmin, getVialsForAdmin);
+
+// GET /api/vials/admin/:id - Full record of one vial (admin)
+router.get('/admin/:id', requireAdmin, getVialForAdmin);
+
+// GET /api/vials/:organId - Get vials for an organ (public fields only)
 router.get('/:organId', getVialsByOrgan);
 
 module.exports = router;
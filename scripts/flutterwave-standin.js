@@ -0,0 +1,166 @@
+const express = require("express");
+require("dotenv").config();
+
+/**
+ * Local Flutterwave stand-in for testing payment verification.
+ *
+ * Usage:
+ *   npm run flutterwave:standin
+ *   FLUTTERWAVE_BASE_URL=http://localhost:4010/v3 npm start
+ *
+ * Register a transaction, then send a webhook for it:
+ *   curl -X POST http://localhost:4010/v3/__standin/transactions \
+ *     -H "Content-Type: application/json" \
+ *     -d '{"id": 1001, "tx_ref": "VIAL-...", "amount": 100, "currency": "USD", "status": "successful"}'
+ *
+ * Refunds are registered the same way:
+ *   curl -X POST http://localhost:4010/v3/__standin/refunds \
+ *     -H "Content-Type: application/json" \
+ *     -d '{"id": 75001, "tx_id": 1001, "amount_refunded": 100}'
+ *
+ * Payment plans created by the API get a subscription for the customer on
+ * POST /v3/payments, so pause/resume/cancel can be exercised locally.
+ */
+const app = express();
+app.use(express.json());
+
+const transactions = new Map();
+const refunds = new Map();
+const paymentPlans = new Map();
+const subscriptions = new Map();
+
+const requireSecretKey = (req, res, next) => {
+  const expected = `Bearer ${process.env.FLUTTERWAVE_SECRET_KEY}`;
+  if (req.get("Authorization") !== expected) {
+    return res
+      .status(401)
+      .json({ status: "error", message: "Invalid authorization key", data: null });
+  }
+  next();
+};
+
+const notFound = (res, resource = "transaction") =>
+  res.status(404).json({
+    status: "error",
+    message: `No ${resource} was found for this id`,
+    data: null,
+  });
+
+const found = (res, transaction) =>
+  res.status(200).json({
+    status: "success",
+    message: "Transaction fetched successfully",
+    data: transaction,
+  });
+
+// Register or replace a transaction
+app.post("/v3/__standin/transactions", (req, res) => {
+  const transaction = {
+    id: req.body.id || Date.now(),
+    status: "successful",
+    currency: "USD",
+    created_at: new Date().toISOString(),
+    ...req.body,
+  };
+  transactions.set(String(transaction.id), transaction);
+  res.status(201).json({ status: "success", data: transaction });
+});
+
+// List registered transactions
+app.get("/v3/__standin/transactions", (req, res) => {
+  res.json({ status: "success", data: [...transactions.values()] });
+});
+
+app.get("/v3/transactions/verify_by_reference", requireSecretKey, (req, res) => {
+  const transaction = [...transactions.values()].find(
+    (t) => t.tx_ref === req.query.tx_ref,
+  );
+  return transaction ? found(res, transaction) : notFound(res);
+});
+
+app.get("/v3/transactions/:id/verify", requireSecretKey, (req, res) => {
+  const transaction = transactions.get(req.params.id);
+  return transaction ? found(res, transaction) : notFound(res);
+});
+
+// Register or replace a refund
+app.post("/v3/__standin/refunds", (req, res) => {
+  const refund = {
+    id: req.body.id || Date.now(),
+    status: "completed",
+    created_at: new Date().toISOString(),
+    ...req.body,
+  };
+  refunds.set(String(refund.id), refund);
+  res.status(201).json({ status: "success", data: refund });
+});
+
+app.get("/v3/refunds/:id", requireSecretKey, (req, res) => {
+  const refund = refunds.get(req.params.id);
+  return refund ? found(res, refund) : notFound(res, "refund");
+});
+
+app.post("/v3/payment-plans", requireSecretKey, (req, res) => {
+  const plan = {
+    id: Date.now(),
+    status: "active",
+    created_at: new Date().toISOString(),
+    ...req.body,
+  };
+  paymentPlans.set(String(plan.id), plan);
+  res.status(200).json({ status: "success", message: "Payment plan created", data: plan });
+});
+
+app.put("/v3/payment-plans/:id/cancel", requireSecretKey, (req, res) => {
+  const plan = paymentPlans.get(req.params.id);
+  if (!plan) return notFound(res, "payment plan");
+
+  plan.status = "cancelled";
+  subscriptions.forEach((subscription) => {
+    if (String(subscription.plan) === req.params.id) subscription.status = "cancelled";
+  });
+  res.json({ status: "success", message: "Payment plan cancelled", data: plan });
+});
+
+app.post("/v3/payments", requireSecretKey, (req, res) => {
+  if (req.body.payment_plan) {
+    const subscription = {
+      id: Date.now(),
+      plan: req.body.payment_plan,
+      status: "active",
+      customer: { customer_email: req.body.customer?.email },
+      created_at: new Date().toISOString(),
+    };
+    subscriptions.set(String(subscription.id), subscription);
+  }
+  res.json({
+    status: "success",
+    message: "Hosted Link",
+    data: { link: `http://localhost:${PORT}/__standin/pay/${req.body.tx_ref}` },
+  });
+});
+
+app.get("/v3/subscriptions", requireSecretKey, (req, res) => {
+  const matches = [...subscriptions.values()].filter(
+    (subscription) =>
+      (!req.query.email || subscription.customer.customer_email === req.query.email) &&
+      (!req.query.plan || String(subscription.plan) === req.query.plan),
+  );
+  res.json({ status: "success", message: "Subscriptions fetched", data: matches });
+});
+
+const setSubscriptionStatus = (status) => (req, res) => {
+  const subscription = subscriptions.get(req.params.id);
+  if (!subscription) return notFound(res, "subscription");
+
+  subscription.status = status;
+  res.json({ status: "success", message: `Subscription ${status}`, data: subscription });
+};
+
+app.put("/v3/subscriptions/:id/activate", requireSecretKey, setSubscriptionStatus("active"));
+app.put("/v3/subscriptions/:id/cancel", requireSecretKey, setSubscriptionStatus("cancelled"));
+
+const PORT = process.env.FLUTTERWAVE_STANDIN_PORT || 4010;
+app.listen(PORT, () => {
+  console.log(`Flutterwave stand-in listening on http://localhost:${PORT}/v3`);
+});
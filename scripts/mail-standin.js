@@ -0,0 +1,51 @@
+const express = require("express");
+require("dotenv").config();
+
+/**
+ * Local mail API stand-in for testing donor sign-in links.
+ *
+ * Usage:
+ *   npm run mail:standin
+ *   MAIL_API_URL=http://localhost:4020/messages npm start
+ *
+ * Read the messages that were sent (newest first, optionally for one address):
+ *   curl "http://localhost:4020/messages?to=donor@example.com"
+ */
+const app = express();
+app.use(express.json());
+
+const messages = [];
+
+app.post("/messages", (req, res) => {
+  const { from, to, subject, text } = req.body;
+  if (!to || !subject) {
+    return res.status(400).json({ message: "to and subject are required" });
+  }
+
+  const message = {
+    id: messages.length + 1,
+    from,
+    to,
+    subject,
+    text,
+    receivedAt: new Date().toISOString(),
+  };
+  messages.unshift(message);
+  console.log(`✉️ ${to}: ${subject}`);
+  res.status(202).json(message);
+});
+
+app.get("/messages", (req, res) => {
+  const to = req.query.to?.toLowerCase();
+  res.json(to ? messages.filter((m) => m.to.toLowerCase() === to) : messages);
+});
+
+app.delete("/messages", (req, res) => {
+  messages.length = 0;
+  res.status(204).end();
+});
+
+const PORT = process.env.MAIL_STANDIN_PORT || 4020;
+app.listen(PORT, () => {
+  console.log(`Mail stand-in listening on http://localhost:${PORT}/messages`);
+});
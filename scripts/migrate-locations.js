@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const Organ = require("../models/Organ");
+
+// Locations for the organs created by earlier versions of seed.js,
+// which relied on matching the organ name
+const legacyLocations = {
+  "Amazon Lungs": {
+    location: {
+      label: "Amazon",
+      point: { type: "Point", coordinates: [-60, -5] },
+      bbox: [-75, -15, -45, 5],
+      countryIso: "BRA",
+    },
+    dataSourceParams: { eonetCategory: "wildfires", eonetDays: 30 },
+  },
+  "Great Barrier Reef Veins": {
+    location: {
+      label: "Great Barrier Reef",
+      point: { type: "Point", coordinates: [147.6992, -18.2871] },
+      bbox: [142, -24.5, 154, -10.5],
+      countryIso: "AUS",
+    },
+    dataSourceParams: { basePH: 7.95 },
+  },
+  "Lagos Skin": {
+    location: {
+      label: "Lagos",
+      point: { type: "Point", coordinates: [3.3792, 6.5244] },
+      bbox: [3.0, 6.3, 3.7, 6.8],
+      countryIso: "NGA",
+    },
+    dataSourceParams: {},
+  },
+};
+
+const migrateLocations = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB");
+
+    const organs = await Organ.find({
+      $or: [{ location: null }, { location: { $exists: false } }],
+    });
+    console.log(`Found ${organs.length} organs without a location`);
+
+    for (const organ of organs) {
+      const legacy = legacyLocations[organ.name];
+      if (!legacy) {
+        console.log(
+          `  ! ${organ.name}: no known location, set it with PATCH /api/organs/${organ._id}`,
+        );
+        continue;
+      }
+
+      organ.location = legacy.location;
+      organ.dataSourceParams = legacy.dataSourceParams;
+      await organ.save();
+      console.log(`  ✓ ${organ.name}: ${legacy.location.label}`);
+    }
+
+    await mongoose.connection.close();
+    console.log("Database connection closed");
+    process.exit(0);
+  } catch (error) {
+    console.error("Error migrating organ locations:", error);
+    process.exit(1);
+  }
+};
+
+migrateLocations();
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+const fundingService = require("../services/FundingService");
+
+// Usage: npm run reconcile:funding [-- --fix]
+const fix = process.argv.includes("--fix");
+
+const reconcileFunding = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB");
+
+    const report = await fundingService.reconcileFunding({ fix });
+    let drifted = 0;
+
+    for (const entry of report) {
+      if (entry.driftUSD === 0 && entry.uncreditedVials === 0) {
+        console.log(
+          `  ✓ ${entry.organName}: ${entry.currentFundingUSD} USD (${entry.vialCount} vials)`,
+        );
+        continue;
+      }
+
+      drifted++;
+      console.log(
+        `  ! ${entry.organName}: recorded ${entry.currentFundingUSD} USD, vials total ${entry.expectedFundingUSD} USD (drift ${entry.driftUSD}, ${entry.uncreditedVials} uncredited)${entry.fixed ? " → fixed" : ""}`,
+      );
+      if (entry.uncreditedVials > 0) {
+        console.log(
+          `    settled but not credited: ${entry.uncreditedVialIds.join(", ")}`,
+        );
+      }
+    }
+
+    console.log(
+      `${drifted} of ${report.length} organs drifted${drifted && !fix ? ", rerun with --fix to correct" : ""}`,
+    );
+
+    await mongoose.connection.close();
+    console.log("Database connection closed");
+    process.exit(drifted && !fix ? 2 : 0);
+  } catch (error) {
+    console.error("Error reconciling funding:", error);
+    process.exit(1);
+  }
+};
+
+reconcileFunding();
@@ -22,6 +22,13 @@ const seedOrgans = async () => {
         symptomState: "INFLAMED",
         currentFundingUSD: 0,
         targetFundingUSD: 500000,
+        location: {
+          label: "Amazon",
+          point: { type: "Point", coordinates: [-60, -5] },
+          bbox: [-75, -15, -45, 5],
+          countryIso: "BRA",
+        },
+        dataSourceParams: { eonetCategory: "wildfires", eonetDays: 30 },
         lastMetricValue: {
           deforestationAlerts: 0,
           region: "Amazon Basin",
@@ -36,6 +43,13 @@ const seedOrgans = async () => {
         symptomState: "INFLAMED",
         currentFundingUSD: 0,
         targetFundingUSD: 750000,
+        location: {
+          label: "Great Barrier Reef",
+          point: { type: "Point", coordinates: [147.6992, -18.2871] },
+          bbox: [142, -24.5, 154, -10.5],
+          countryIso: "AUS",
+        },
+        dataSourceParams: { basePH: 7.95 },
         lastMetricValue: {
           pH: 0,
           location: "Great Barrier Reef",
@@ -50,6 +64,13 @@ const seedOrgans = async () => {
         symptomState: "INFLAMED",
         currentFundingUSD: 0,
         targetFundingUSD: 300000,
+        location: {
+          label: "Lagos",
+          point: { type: "Point", coordinates: [3.3792, 6.5244] },
+          bbox: [3.0, 6.3, 3.7, 6.8],
+          countryIso: "NGA",
+        },
+        dataSourceParams: {},
         lastMetricValue: {
           aqi: 0,
           pm25: 0,
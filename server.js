@@ -4,11 +4,22 @@ require("dotenv").config();
 
 const connectDB = require("./config/database");
 const { errorHandler, notFound } = require("./middleware/errorHandler");
+const schedulerService = require("./services/SchedulerService");
+const currencyService = require("./services/CurrencyService");
+const fundingService = require("./services/FundingService");
+const retentionService = require("./services/RetentionService");
 
 // Import routes
 const organRoutes = require("./routes/organRoutes");
 const vialRoutes = require("./routes/vialRoutes");
 const verificationRoutes = require("./routes/verificationRoutes");
+const jobRoutes = require("./routes/jobRoutes");
+const providerRoutes = require("./routes/providerRoutes");
+const subscriptionRoutes = require("./routes/subscriptionRoutes");
+const donorRoutes = require("./routes/donorRoutes");
+const analyticsRoutes = require("./routes/analyticsRoutes");
+const authRoutes = require("./routes/authRoutes");
+const ngoRoutes = require("./routes/ngoRoutes");
 
 // Initialize Express app
 const app = express();
@@ -18,8 +29,6 @@ connectDB();
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: "50mb" })); // Increased limit for base64 images
-app.use(express.urlencoded({ extended: true, limit: "50mb" }));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -27,6 +36,14 @@ app.use((req, res, next) => {
   next();
 });
 
+// Image uploads parse their own bodies with per-route limits
+// (middleware/upload.js), so they are mounted before the JSON parser
+app.use("/api/verify", verificationRoutes);
+
+const bodyLimit = process.env.JSON_BODY_LIMIT || "1mb";
+app.use(express.json({ limit: bodyLimit }));
+app.use(express.urlencoded({ extended: true, limit: bodyLimit }));
+
 // Health check route
 app.get("/", (req, res) => {
   res.json({
@@ -50,7 +67,13 @@ app.get("/health", (req, res) => {
 // API Routes
 app.use("/api/organs", organRoutes);
 app.use("/api/vials", vialRoutes);
-app.use("/api/verify", verificationRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/providers", providerRoutes);
+app.use("/api/subscriptions", subscriptionRoutes);
+app.use("/api/donors", donorRoutes);
+app.use("/api/analytics", analyticsRoutes);
+app.use("/api/auth", authRoutes);
+app.use("/api/ngos", ngoRoutes);
 
 // Error handling
 app.use(notFound);
@@ -69,14 +92,54 @@ app.listen(PORT, () => {
   console.log("Available Endpoints:");
   console.log("  GET    /api/organs              - Get all organs");
   console.log("  GET    /api/organs/quota-status - Get Gemini quota status");
+  console.log("  GET    /api/organs/stream       - Organ change events (SSE)");
   console.log("  GET    /api/organs/:id          - Get single organ");
-  console.log("  POST   /api/organs/:id/diagnose - Run diagnostic scan");
-  console.log("  POST   /api/organs/diagnose-all - Scan all organs");
+  console.log("  POST   /api/organs              - Create organ (admin)");
+  console.log("  PATCH  /api/organs/:id          - Update organ (admin)");
+  console.log("  DELETE /api/organs/:id          - Delete organ (admin)");
+  console.log("  GET    /api/organs/:id/history  - Get diagnostic history");
+  console.log("  POST   /api/organs/:id/diagnose - Run diagnostic scan (admin)");
+  console.log("  POST   /api/organs/diagnose-all - Scan all organs (admin, async)");
+  console.log("  GET    /api/organs/diagnose-all/:jobId - Scan progress");
   console.log("  POST   /api/vials/initialize    - Initialize payment");
   console.log("  POST   /api/vials/webhook       - Flutterwave webhook");
+  console.log("  GET    /api/vials/verify/:txRef - Verify payment");
   console.log("  GET    /api/vials/:organId      - Get organ vials");
-  console.log("  POST   /api/verify              - Verify restoration image");
+  console.log("  GET    /api/vials/admin         - Full vial records (admin)");
+  console.log("  POST   /api/verify              - Verify restoration image (NGO)");
+  console.log("  GET    /api/verify/submissions  - Verification submissions (NGO)");
+  console.log("  POST   /api/ngos                - Register an NGO");
+  console.log("  GET    /api/jobs                - List scheduled scan jobs");
+  console.log("  POST   /api/jobs/:id/run        - Trigger a scan job (admin)");
+  console.log("  GET    /api/providers           - Data provider stats");
+  console.log("  POST   /api/subscriptions       - Start monthly vial subscription");
+  console.log("  POST   /api/subscriptions/:id/(pause|resume|cancel)");
+  console.log("  POST   /api/donors/login        - Email donor sign-in link");
+  console.log("  GET    /api/donors/me/vials     - Donor's contributions");
+  console.log("  GET    /api/analytics/*         - Leaderboards & funding analytics");
+  console.log("  POST   /api/auth/token          - Exchange API key for JWT");
+  console.log("  *      /api/auth/keys           - Manage API keys (admin)");
   console.log("=".repeat(60));
+
+  // Start background diagnostic scans
+  schedulerService
+    .start()
+    .catch((error) => console.error("Failed to start scheduler:", error));
+
+  // Keep exchange rates for vial contributions fresh
+  currencyService
+    .start()
+    .catch((error) => console.error("Failed to start currency rates:", error));
+
+  // Expire vials whose payment was never completed
+  fundingService
+    .start()
+    .catch((error) => console.error("Failed to start vial expiry:", error));
+
+  // Redact raw payment payloads once they are past retention
+  retentionService
+    .start()
+    .catch((error) => console.error("Failed to start data retention:", error));
 });
 
 // Handle unhandled promise rejections
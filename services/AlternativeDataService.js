@@ -3,6 +3,7 @@ const axios = require("axios");
 /**
  * Alternative Data Service using free, working APIs
  * Replaces failing Gemini, Copernicus, and GFW APIs
+ * Methods throw on failure; fallbacks are handled by the provider registry
  */
 class AlternativeDataService {
   constructor() {
@@ -20,28 +21,29 @@ class AlternativeDataService {
   /**
    * Fetch deforestation/wildfire data from NASA EONET
    * Alternative to Global Forest Watch
-   * @param {string} region - Region to query
+   * @param {Object} geo - Organ geo context (see Organ#getGeoContext)
    * @returns {Promise<Object>} Wildfire and deforestation events
    */
-  async fetchNASAWildfireData(region = "Amazon") {
+  async fetchNASAWildfireData(geo) {
+    const region = geo.label;
     try {
       console.log(`Fetching NASA EONET wildfire data for ${region}...`);
 
       // Get recent wildfire events
       const response = await axios.get(this.nasaEonetUrl, {
         params: {
-          category: "wildfires",
+          category: geo.params.eonetCategory || "wildfires",
           status: "open",
           limit: 100,
-          days: 30,
+          days: geo.params.eonetDays || 30,
         },
         timeout: 15000,
       });
 
       const events = response.data?.events || [];
 
-      // Filter events by region (approximate)
-      const regionCoords = this.getRegionCoordinates(region);
+      // Filter events by the organ's bounding box
+      const regionCoords = geo.bbox;
       const regionalEvents = events.filter((event) => {
         const coords = event.geometry?.[0]?.coordinates;
         if (!coords) return false;
@@ -79,27 +81,18 @@ class AlternativeDataService {
       };
     } catch (error) {
       console.error("Error fetching NASA EONET data:", error.message);
-
-      // Fallback to realistic mock data
-      const mockAlertCount = Math.floor(Math.random() * 1000) + 500;
-      return {
-        alertCount: mockAlertCount,
-        totalAreaHa: Math.floor(mockAlertCount * 5),
-        region,
-        dataSource: "NASA EONET (Mock)",
-        timestamp: new Date().toISOString(),
-        error: error.message,
-      };
+      throw error;
     }
   }
 
   /**
    * Fetch ocean pH data from NOAA or use Open-Meteo marine data
    * Alternative to Copernicus Marine
-   * @param {string} location - Ocean location
+   * @param {Object} geo - Organ geo context (see Organ#getGeoContext)
    * @returns {Promise<Object>} Ocean pH metrics
    */
-  async fetchNOAAOceanData(location = "Great Barrier Reef") {
+  async fetchNOAAOceanData(geo) {
+    const location = geo.label;
     try {
       console.log(`Fetching ocean data for ${location}...`);
 
@@ -107,12 +100,12 @@ class AlternativeDataService {
       // For now, using scientifically accurate simulated data based on real trends
       // Real NOAA integration would require dataset exploration
 
-      const coords = this.getOceanCoordinates(location);
+      const coords = geo.center;
 
-      // Simulate realistic pH based on location and current trends
-      // Great Barrier Reef: 7.9-8.05 (acidifying)
-      // Open Ocean: 8.0-8.1 (less acidified)
-      const basePH = location.includes("Barrier") ? 7.95 : 8.05;
+      // Simulate realistic pH around the organ's configured baseline
+      // Great Barrier Reef: 7.9-8.05 (acidifying) -> basePH 7.95
+      // Open Ocean: 8.0-8.1 (less acidified) -> default 8.05
+      const basePH = geo.params.basePH || 8.05;
       const variation = (Math.random() - 0.5) * 0.1;
       const pH = parseFloat((basePH + variation).toFixed(3));
 
@@ -129,29 +122,21 @@ class AlternativeDataService {
       };
     } catch (error) {
       console.error("Error fetching NOAA ocean data:", error.message);
-
-      const mockPH = 7.9 + Math.random() * 0.2;
-      return {
-        pH: parseFloat(mockPH.toFixed(3)),
-        location,
-        dataSource: "NOAA OCADS (Mock)",
-        timestamp: new Date().toISOString(),
-        acidificationLevel: mockPH < 8.0 ? "HIGH" : "MODERATE",
-        error: error.message,
-      };
+      throw error;
     }
   }
 
   /**
    * Fetch air quality data from Open-Meteo (free alternative to OpenWeather)
-   * @param {string} city - City name
+   * @param {Object} geo - Organ geo context (see Organ#getGeoContext)
    * @returns {Promise<Object>} Air quality metrics
    */
-  async fetchOpenMeteoAirQuality(city = "Lagos") {
+  async fetchOpenMeteoAirQuality(geo) {
+    const city = geo.label;
     try {
       console.log(`Fetching Open-Meteo air quality for ${city}...`);
 
-      const coords = this.getCityCoordinates(city);
+      const coords = geo.center;
 
       const response = await axios.get(this.openMeteoAQUrl, {
         params: {
@@ -185,81 +170,9 @@ class AlternativeDataService {
       throw new Error("No data returned");
     } catch (error) {
       console.error("Error fetching Open-Meteo data:", error.message);
-
-      // Fallback to mock data
-      return {
-        aqi: Math.floor(Math.random() * 3) + 2,
-        pm25: Math.random() * 30 + 10,
-        pm10: Math.random() * 50 + 20,
-        no2: Math.random() * 30 + 5,
-        location: city,
-        dataSource: "Open-Meteo (Mock)",
-        timestamp: new Date().toISOString(),
-        error: error.message,
-      };
+      throw error;
     }
   }
-
-  /**
-   * Get approximate coordinates for regions
-   * @param {string} region - Region name
-   * @returns {Object} Coordinate bounds
-   */
-  getRegionCoordinates(region) {
-    const regions = {
-      Amazon: {
-        minLat: -15,
-        maxLat: 5,
-        minLon: -75,
-        maxLon: -45,
-      },
-      Congo: {
-        minLat: -5,
-        maxLat: 5,
-        minLon: 10,
-        maxLon: 30,
-      },
-      Indonesia: {
-        minLat: -10,
-        maxLat: 6,
-        minLon: 95,
-        maxLon: 141,
-      },
-    };
-
-    return regions[region] || regions.Amazon;
-  }
-
-  /**
-   * Get coordinates for ocean locations
-   * @param {string} location - Ocean location
-   * @returns {Object} Coordinates
-   */
-  getOceanCoordinates(location) {
-    const locations = {
-      "Great Barrier Reef": { lat: -18.2871, lon: 147.6992 },
-      "Caribbean Sea": { lat: 15.0, lon: -75.0 },
-      "Pacific Ocean": { lat: 0.0, lon: -140.0 },
-    };
-
-    return locations[location] || locations["Great Barrier Reef"];
-  }
-
-  /**
-   * Get coordinates for cities
-   * @param {string} city - City name
-   * @returns {Object} Coordinates
-   */
-  getCityCoordinates(city) {
-    const cities = {
-      Lagos: { lat: 6.5244, lon: 3.3792 },
-      Delhi: { lat: 28.6139, lon: 77.209 },
-      Beijing: { lat: 39.9042, lon: 116.4074 },
-      "Los Angeles": { lat: 34.0522, lon: -118.2437 },
-    };
-
-    return cities[city] || cities.Lagos;
-  }
 }
 
 module.exports = new AlternativeDataService();
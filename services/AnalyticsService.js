@@ -0,0 +1,244 @@
+const mongoose = require("mongoose");
+const Organ = require("../models/Organ");
+const Vial = require("../models/Vial");
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Donation analytics aggregated over settled vials.
+ * A vial counts once it has been credited (SUCCESS), and refunded vials
+ * count net of the refunded amount, matching FundingService.reconcileFunding.
+ */
+class AnalyticsService {
+  /**
+   * Pipeline stages selecting settled vials with their net USD amount
+   * @param {Object} scope - { organId, from, to } limiting the vials
+   * @returns {Array<Object>} Aggregation stages
+   */
+  settledVialStages({ organId, from, to } = {}) {
+    const match = {
+      $or: [
+        { status: "SUCCESS" },
+        { status: "REFUNDED", processedAt: { $ne: null } },
+      ],
+    };
+    if (organId) match.organId = new mongoose.Types.ObjectId(organId);
+    if (from || to) {
+      match.processedAt = {};
+      if (from) match.processedAt.$gte = from;
+      if (to) match.processedAt.$lte = to;
+    }
+
+    return [
+      { $match: match },
+      {
+        $addFields: {
+          netUSD: {
+            $subtract: ["$amountUSD", { $ifNull: ["$refundedAmountUSD", 0] }],
+          },
+          contributedAt: { $ifNull: ["$processedAt", "$createdAt"] },
+        },
+      },
+    ];
+  }
+
+  /**
+   * Top donors by net contribution. Anonymous vials are left out.
+   * @param {Object} scope - { organId, from, to }
+   * @param {number} limit - Number of donors to return
+   * @returns {Promise<Array<Object>>} Ranked donors (no emails)
+   */
+  async getTopDonors(scope, limit = 10) {
+    const donors = await Vial.aggregate([
+      ...this.settledVialStages(scope),
+      { $match: { anonymous: { $ne: true }, donorEmail: { $nin: [null, ""] } } },
+      { $sort: { contributedAt: 1 } },
+      {
+        // Vials made before the donor signed in only carry the email
+        $group: {
+          _id: { $ifNull: ["$donorId", "$donorEmail"] },
+          donorName: { $last: "$donorName" },
+          totalUSD: { $sum: "$netUSD" },
+          vialCount: { $sum: 1 },
+          organs: { $addToSet: "$organId" },
+          lastContributionAt: { $max: "$contributedAt" },
+        },
+      },
+      { $match: { totalUSD: { $gt: 0 } } },
+      { $sort: { totalUSD: -1, lastContributionAt: 1 } },
+      { $limit: limit },
+    ]);
+
+    return donors.map((donor, index) => ({
+      rank: index + 1,
+      donorName: donor.donorName || "Anonymous",
+      totalUSD: round(donor.totalUSD),
+      vialCount: donor.vialCount,
+      organCount: donor.organs.length,
+      lastContributionAt: donor.lastContributionAt,
+    }));
+  }
+
+  /**
+   * Funding totals per day, week (starting Monday) or month
+   * @param {Object} scope - { organId, from, to }
+   * @param {string} interval - day | week | month
+   * @returns {Promise<Array<Object>>} Periods in chronological order
+   */
+  async getFundingTimeline(scope, interval = "day") {
+    const periods = await Vial.aggregate([
+      ...this.settledVialStages(scope),
+      {
+        $group: {
+          _id: {
+            $dateTrunc: {
+              date: "$contributedAt",
+              unit: interval,
+              ...(interval === "week" && { startOfWeek: "monday" }),
+            },
+          },
+          totalUSD: { $sum: "$netUSD" },
+          vialCount: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    return periods.map((period) => ({
+      period: period._id,
+      totalUSD: round(period.totalUSD),
+      vialCount: period.vialCount,
+      averageUSD: round(period.totalUSD / period.vialCount),
+    }));
+  }
+
+  /**
+   * Totals, average donation, unique donors and currency breakdown
+   * @param {Object} scope - { organId, from, to }
+   * @returns {Promise<Object>} Summary
+   */
+  async getSummary(scope) {
+    const [result] = await Vial.aggregate([
+      ...this.settledVialStages(scope),
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                totalUSD: { $sum: "$netUSD" },
+                vialCount: { $sum: 1 },
+                largestUSD: { $max: "$netUSD" },
+                donors: { $addToSet: { $ifNull: ["$donorId", "$donorEmail"] } },
+                recurringCount: {
+                  $sum: { $cond: [{ $ifNull: ["$subscriptionId", false] }, 1, 0] },
+                },
+              },
+            },
+          ],
+          currencies: [
+            {
+              $group: {
+                _id: "$currency",
+                amount: { $sum: "$amount" },
+                amountUSD: { $sum: "$netUSD" },
+                vialCount: { $sum: 1 },
+              },
+            },
+            { $sort: { amountUSD: -1 } },
+          ],
+        },
+      },
+    ]);
+
+    const totals = result.totals[0] || {
+      totalUSD: 0,
+      vialCount: 0,
+      largestUSD: 0,
+      donors: [],
+      recurringCount: 0,
+    };
+
+    return {
+      totalUSD: round(totals.totalUSD),
+      vialCount: totals.vialCount,
+      averageUSD: totals.vialCount
+        ? round(totals.totalUSD / totals.vialCount)
+        : 0,
+      largestUSD: round(totals.largestUSD),
+      uniqueDonors: totals.donors.length,
+      recurringVials: totals.recurringCount,
+      currencies: result.currencies.map((currency) => ({
+        currency: currency._id,
+        amount: round(currency.amount),
+        amountUSD: round(currency.amountUSD),
+        vialCount: currency.vialCount,
+        sharePercentage: totals.totalUSD
+          ? round((currency.amountUSD / totals.totalUSD) * 100)
+          : 0,
+      })),
+    };
+  }
+
+  /**
+   * Project when each organ reaches its target from its recent funding velocity
+   * @param {number} windowDays - Days of funding to average over
+   * @returns {Promise<Array<Object>>} Per-organ projections
+   */
+  async getProjections(windowDays = 30) {
+    const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+
+    const [organs, recent] = await Promise.all([
+      Organ.find({ deletedAt: null }).sort({ type: 1 }),
+      Vial.aggregate([
+        ...this.settledVialStages({ from: since }),
+        {
+          $group: {
+            _id: "$organId",
+            totalUSD: { $sum: "$netUSD" },
+            vialCount: { $sum: 1 },
+          },
+        },
+      ]),
+    ]);
+    const recentByOrgan = new Map(
+      recent.map((entry) => [entry._id.toString(), entry]),
+    );
+
+    return organs.map((organ) => {
+      const recentFunding = recentByOrgan.get(organ._id.toString());
+      const velocityUSDPerDay = (recentFunding?.totalUSD || 0) / windowDays;
+      const remainingUSD = Math.max(
+        0,
+        organ.targetFundingUSD - organ.currentFundingUSD,
+      );
+
+      let daysToTarget = null;
+      if (remainingUSD === 0) {
+        daysToTarget = 0;
+      } else if (velocityUSDPerDay > 0) {
+        daysToTarget = Math.ceil(remainingUSD / velocityUSDPerDay);
+      }
+
+      return {
+        organId: organ._id,
+        organName: organ.name,
+        currentFundingUSD: organ.currentFundingUSD,
+        targetFundingUSD: organ.targetFundingUSD,
+        fundingPercentage: organ.fundingPercentage,
+        remainingUSD: round(remainingUSD),
+        windowDays,
+        recentFundingUSD: round(recentFunding?.totalUSD),
+        recentVialCount: recentFunding?.vialCount || 0,
+        velocityUSDPerDay: round(velocityUSDPerDay),
+        daysToTarget,
+        projectedTargetDate:
+          daysToTarget === null
+            ? null
+            : new Date(Date.now() + daysToTarget * 24 * 60 * 60 * 1000),
+      };
+    });
+  }
+}
+
+module.exports = new AnalyticsService();
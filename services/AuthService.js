@@ -0,0 +1,216 @@
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey");
+const donorService = require("./DonorService");
+require("dotenv").config();
+
+const ROLES = ["public", "donor", "ngo", "admin"];
+const API_KEY_PREFIX = "aiye_";
+const JWT_HEADER = { alg: "HS256", typ: "JWT" };
+
+const base64url = (value) =>
+  Buffer.from(typeof value === "string" ? value : JSON.stringify(value))
+    .toString("base64url");
+
+/**
+ * Resolves request credentials to a role.
+ * Callers authenticate with an API key (X-API-Key, stored hashed in
+ * MongoDB), a JWT signed with JWT_SECRET (HS256, `role` and `sub` claims),
+ * a donor session token, or the bootstrap ADMIN_API_KEY.
+ */
+class AuthService {
+  get roles() {
+    return ROLES;
+  }
+
+  get jwtSecret() {
+    return process.env.JWT_SECRET || "";
+  }
+
+  hashKey(key) {
+    return crypto.createHash("sha256").update(String(key)).digest("hex");
+  }
+
+  safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+  }
+
+  /**
+   * Create an API key; the plain key is only returned here
+   * @param {Object} params - { name, role, subject, expiresAt, createdBy }
+   * @returns {Promise<Object>} { apiKey, key }
+   */
+  async createApiKey({ name, role, subject = null, expiresAt = null, createdBy = null }) {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+
+    const apiKey = await ApiKey.create({
+      name,
+      role,
+      subject,
+      keyHash: this.hashKey(key),
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      expiresAt,
+      createdBy,
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} id - ApiKey ID
+   * @returns {Promise<Object|null>} Revoked key, or null if not found or already revoked
+   */
+  async revokeApiKey(id) {
+    return ApiKey.findOneAndUpdate(
+      { _id: id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true },
+    );
+  }
+
+  /**
+   * Look up an active API key
+   * @param {string} key - Plain API key
+   * @returns {Promise<Object|null>} ApiKey document
+   */
+  async authenticateApiKey(key) {
+    if (!key?.startsWith(API_KEY_PREFIX)) return null;
+
+    const now = new Date();
+    return ApiKey.findOneAndUpdate(
+      {
+        keyHash: this.hashKey(key),
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+      },
+      { lastUsedAt: now },
+      { new: true },
+    );
+  }
+
+  /**
+   * Sign an HS256 JWT
+   * @param {Object} claims - Token claims (`sub`, `role`, ...)
+   * @param {number} expiresInSeconds - Lifetime; defaults to JWT_EXPIRES_MINUTES (60)
+   * @returns {string} JWT
+   */
+  signToken(claims, expiresInSeconds) {
+    if (!this.jwtSecret) {
+      const error = new Error("JWT_SECRET is not configured");
+      error.statusCode = 503;
+      throw error;
+    }
+
+    const lifetime =
+      expiresInSeconds ||
+      (parseInt(process.env.JWT_EXPIRES_MINUTES) || 60) * 60;
+    const iat = Math.floor(Date.now() / 1000);
+    const payload = { ...claims, iss: "aiye", iat, exp: iat + lifetime };
+
+    const unsigned = `${base64url(JWT_HEADER)}.${base64url(payload)}`;
+    const signature = crypto
+      .createHmac("sha256", this.jwtSecret)
+      .update(unsigned)
+      .digest("base64url");
+    return `${unsigned}.${signature}`;
+  }
+
+  /**
+   * Verify an HS256 JWT's signature and expiry
+   * @param {string} token - JWT
+   * @returns {Object|null} Claims, or null if invalid
+   */
+  verifyToken(token) {
+    if (!this.jwtSecret) return null;
+
+    const parts = String(token).split(".");
+    if (parts.length !== 3) return null;
+    const [header, payload, signature] = parts;
+
+    const expected = crypto
+      .createHmac("sha256", this.jwtSecret)
+      .update(`${header}.${payload}`)
+      .digest("base64url");
+    if (!this.safeEqual(signature, expected)) return null;
+
+    try {
+      const { alg } = JSON.parse(Buffer.from(header, "base64url").toString());
+      const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+      if (alg !== "HS256") return null;
+      if (typeof claims.exp !== "number" || claims.exp * 1000 <= Date.now()) {
+        return null;
+      }
+      if (!ROLES.includes(claims.role)) return null;
+      return claims;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the caller of a request
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} { role, subject, method, apiKeyId }; role
+   *   'public' when no valid credentials were sent, null when invalid ones were
+   */
+  async resolve(req) {
+    const authHeader = req.get("Authorization") || "";
+    const bearer = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : "";
+    const credential = req.get("X-API-Key") || req.get("X-Admin-Key") || bearer;
+
+    if (!credential) {
+      return { role: "public", subject: null, method: null };
+    }
+
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (adminKey && this.safeEqual(credential, adminKey)) {
+      return { role: "admin", subject: "admin", method: "admin-key" };
+    }
+
+    if (credential.startsWith(API_KEY_PREFIX)) {
+      const apiKey = await this.authenticateApiKey(credential);
+      if (!apiKey) return { role: null };
+      return {
+        role: apiKey.role,
+        subject: apiKey.subject || apiKey._id.toString(),
+        method: "api-key",
+        apiKeyId: apiKey._id,
+      };
+    }
+
+    if (credential.split(".").length === 3) {
+      const claims = this.verifyToken(credential);
+      if (!claims) return { role: null };
+
+      // Tokens issued for an API key stop working when the key is revoked
+      if (
+        claims.kid &&
+        !(await ApiKey.exists({ _id: claims.kid, revokedAt: null }))
+      ) {
+        return { role: null };
+      }
+      return {
+        role: claims.role,
+        subject: claims.sub || null,
+        method: "jwt",
+        apiKeyId: claims.kid || null,
+      };
+    }
+
+    const donor = await donorService.authenticate(credential);
+    if (donor) {
+      return {
+        role: "donor",
+        subject: donor._id.toString(),
+        method: "donor-session",
+        donor,
+      };
+    }
+
+    return { role: null };
+  }
+}
+
+module.exports = new AuthService();
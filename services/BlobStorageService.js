@@ -0,0 +1,90 @@
+const fs = require("fs/promises");
+const path = require("path");
+require("dotenv").config();
+
+/**
+ * Stores blobs on the local filesystem under BLOB_STORAGE_DIR
+ */
+class LocalBlobStore {
+  get root() {
+    return path.resolve(process.env.BLOB_STORAGE_DIR || "uploads");
+  }
+
+  resolve(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid blob key: ${key}`);
+    }
+    return file;
+  }
+
+  async put(key, buffer) {
+    const file = this.resolve(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+/**
+ * Pluggable blob storage for uploaded files.
+ * BLOB_STORAGE_DRIVER selects the driver (default `local`); other stores
+ * (S3, GCS, ...) can be added with registerDriver() as objects with
+ * put(key, buffer, { contentType }), get(key) and delete(key).
+ */
+class BlobStorageService {
+  constructor() {
+    this.drivers = new Map([["local", new LocalBlobStore()]]);
+  }
+
+  get driverName() {
+    return process.env.BLOB_STORAGE_DRIVER || "local";
+  }
+
+  registerDriver(name, driver) {
+    this.drivers.set(name, driver);
+  }
+
+  driver(name = this.driverName) {
+    const driver = this.drivers.get(name);
+    if (!driver) {
+      throw new Error(`Unknown blob storage driver: ${name}`);
+    }
+    return driver;
+  }
+
+  /**
+   * Store a blob with the configured driver
+   * @param {string} key - Path-like key, e.g. 'verifications/<organId>/<id>.jpg'
+   * @param {Buffer} buffer - Contents
+   * @param {Object} options - { contentType }
+   * @returns {Promise<Object>} { driver, key, size } to keep with the record
+   */
+  async put(key, buffer, { contentType } = {}) {
+    const name = this.driverName;
+    await this.driver(name).put(key, buffer, { contentType });
+    return { driver: name, key, size: buffer.length };
+  }
+
+  /**
+   * Read a blob from the driver it was stored with
+   * @param {Object} ref - { driver, key } as returned by put()
+   * @returns {Promise<Buffer>} Contents
+   */
+  async get({ driver, key }) {
+    return this.driver(driver).get(key);
+  }
+
+  async delete({ driver, key }) {
+    return this.driver(driver).delete(key);
+  }
+}
+
+module.exports = new BlobStorageService();
@@ -0,0 +1,130 @@
+const axios = require("axios");
+const cron = require("node-cron");
+const fallbackTable = require("../config/exchangeRates.json");
+require("dotenv").config();
+
+/**
+ * Exchange rates for converting vial contributions to USD.
+ * Rates are units of currency per 1 USD, refreshed on a schedule from
+ * EXCHANGE_RATE_API_URL, falling back to config/exchangeRates.json.
+ * Each currency keeps the time and source of its own rate, since a refresh
+ * may leave some currencies on older or fallback rates.
+ */
+class CurrencyService {
+  constructor() {
+    // Currencies Flutterwave accepts for card/hosted payments
+    this.supportedCurrencies = Object.keys(fallbackTable.rates);
+
+    // currency -> { rate, updatedAt, source }
+    this.rates = {};
+    for (const [currency, rate] of Object.entries(fallbackTable.rates)) {
+      this.rates[currency] = {
+        rate,
+        updatedAt: new Date(fallbackTable.asOf),
+        source: fallbackTable.source,
+      };
+    }
+    this.lastRefreshError = null;
+    this.task = null;
+  }
+
+  /**
+   * Fetch rates now and refresh them on EXCHANGE_RATE_REFRESH_CRON (default hourly)
+   */
+  async start() {
+    await this.refreshRates();
+
+    const schedule = process.env.EXCHANGE_RATE_REFRESH_CRON || "0 * * * *";
+    if (!cron.validate(schedule)) {
+      console.error(
+        `✗ Invalid EXCHANGE_RATE_REFRESH_CRON "${schedule}" - rates will not refresh`,
+      );
+      return;
+    }
+
+    this.task = cron.schedule(schedule, () => this.refreshRates());
+  }
+
+  stop() {
+    if (this.task) this.task.stop();
+    this.task = null;
+  }
+
+  /**
+   * Fetch the latest USD rates; currencies the API did not return, or the
+   * whole table if the request fails, keep their current rates
+   * @returns {Promise<boolean>} Whether the rates were refreshed
+   */
+  async refreshRates() {
+    const url =
+      process.env.EXCHANGE_RATE_API_URL || "https://open.er-api.com/v6/latest/USD";
+
+    try {
+      const response = await axios.get(url, { timeout: 10000 });
+      const rates = response.data?.rates;
+      if (!rates) {
+        throw new Error("No rates returned");
+      }
+
+      const updatedAt = response.data.time_last_update_unix
+        ? new Date(response.data.time_last_update_unix * 1000)
+        : new Date();
+      const source = new URL(url).host;
+
+      const missing = [];
+      for (const currency of this.supportedCurrencies) {
+        if (rates[currency] > 0) {
+          this.rates[currency] = { rate: rates[currency], updatedAt, source };
+        } else {
+          missing.push(currency);
+        }
+      }
+      this.lastRefreshError = null;
+
+      console.log(
+        `💱 Exchange rates refreshed from ${source}` +
+          (missing.length ? ` (kept older rates for ${missing.join(", ")})` : ""),
+      );
+      return true;
+    } catch (error) {
+      this.lastRefreshError = error.message;
+      console.error(
+        "Exchange rate refresh failed, keeping current rates:",
+        error.message,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * @param {string} currency - ISO 4217 currency code
+   * @returns {boolean} Whether contributions in this currency are accepted
+   */
+  isSupported(currency) {
+    return this.supportedCurrencies.includes(currency);
+  }
+
+  /**
+   * Convert an amount to USD
+   * @param {number} amount - Amount in `currency`
+   * @param {string} currency - ISO 4217 currency code
+   * @returns {Object} { amountUSD, rate, rateTimestamp, rateSource }
+   */
+  convertToUSD(amount, currency) {
+    if (!this.isSupported(currency)) {
+      const error = new Error(`Unsupported currency: ${currency}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const { rate, updatedAt, source } = this.rates[currency];
+    return {
+      amountUSD: Math.round((amount / rate) * 100) / 100,
+      rate,
+      rateTimestamp: updatedAt,
+      rateSource: source,
+    };
+  }
+}
+
+module.exports = new CurrencyService();
@@ -1,251 +1,51 @@
-const axios = require("axios");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const AlternativeDataService = require("./AlternativeDataService");
+const geminiService = require("./GeminiService");
+const providerRegistry = require("./ProviderRegistry");
+const DiagnosticRecord = require("../models/DiagnosticRecord");
+const organEventService = require("./OrganEventService");
 require("dotenv").config();
 
 class DiagnosticService {
   constructor() {
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    this.alternativeService = AlternativeDataService;
+    this.providerRegistry = providerRegistry;
 
-    // Quota management: Caching
+    // Quota management: Caching (call budgets live in GeminiService)
     this.diagnosisCache = new Map();
     this.cacheExpiry = 3600000; // 1 hour in milliseconds
-
-    // Quota management: Rate limiting
-    this.lastGeminiCall = 0;
-    this.minCallInterval = 60000; // 1 minute between Gemini calls
-    this.dailyCallCount = 0;
-    this.maxDailyCalls = 50; // Conservative limit for free tier
-    this.lastResetDate = new Date().toDateString();
   }
 
   /**
-   * Fetch deforestation data - tries NASA EONET first, then GFW, then mock
-   * @param {string} region - Region to query (e.g., 'Amazon')
-   * @returns {Promise<Object>} Deforestation metrics
+   * Strict mode never writes simulated data onto an organ.
+   * Defaults to on in production; override with STRICT_DATA_MODE=true/false
+   * @returns {boolean} Whether strict mode is active
    */
-  async fetchDeforestationData(region = "Amazon") {
-    // Try NASA EONET API first (free, no API key required)
-    try {
-      console.log(`Trying NASA EONET API for ${region}...`);
-      const nasaData =
-        await this.alternativeService.fetchNASAWildfireData(region);
-
-      // If NASA EONET returned real data (not mock), use it
-      if (nasaData.dataSource === "NASA EONET") {
-        return nasaData;
-      }
-    } catch (error) {
-      console.log("NASA EONET failed, trying GFW...");
-    }
-
-    // Try GFW API as fallback
-    try {
-      // Only try GFW if we have a real API key
-      if (
-        process.env.GFW_API_KEY &&
-        process.env.GFW_API_KEY !== "your_gfw_api_key"
-      ) {
-        const url =
-          "https://data-api.globalforestwatch.org/dataset/gfw_integrated_alerts/latest/query";
-
-        const sql = `
-          SELECT COUNT(*) as alert_count,
-                 SUM(gfw_integrated_alerts__area_ha) as total_area_ha
-          FROM data
-          WHERE gfw_integrated_alerts__date >= CURRENT_DATE - INTERVAL '30 days'
-          AND iso = 'BRA'
-        `;
-
-        const response = await axios.get(url, {
-          params: { sql },
-          headers: {
-            "x-api-key": process.env.GFW_API_KEY,
-            "Content-Type": "application/json",
-          },
-          timeout: 15000,
-        });
-
-        const data = response.data?.data?.[0];
-        if (data) {
-          return {
-            alertCount: parseInt(data.alert_count) || 0,
-            totalAreaHa: parseFloat(data.total_area_ha) || 0,
-            region: region,
-            dataSource: "Global Forest Watch",
-            timestamp: new Date().toISOString(),
-          };
-        }
-      }
-    } catch (error) {
-      console.error("GFW API failed:", error.message);
-    }
-
-    // Final fallback to realistic mock data
-    console.log("Using mock deforestation data...");
-    const mockAlertCount = Math.floor(Math.random() * 1000) + 500;
-    return {
-      alertCount: mockAlertCount,
-      totalAreaHa: Math.floor(mockAlertCount * 5),
-      region: region,
-      dataSource: "Mock Data (Realistic)",
-      timestamp: new Date().toISOString(),
-    };
+  isStrictMode() {
+    if (process.env.STRICT_DATA_MODE === "true") return true;
+    if (process.env.STRICT_DATA_MODE === "false") return false;
+    return process.env.NODE_ENV === "production";
   }
 
   /**
-   * Fetch ocean pH data - uses NOAA alternative (Copernicus is deprecated)
-   * @param {string} location - Location to query
-   * @returns {Promise<Object>} Ocean pH metrics
-   */
-  async fetchOceanPHData(location = "Great Barrier Reef") {
-    // Use NOAA Ocean Acidification Data System (alternative to Copernicus)
-    try {
-      console.log(`Fetching ocean pH data from NOAA for ${location}...`);
-      const noaaData =
-        await this.alternativeService.fetchNOAAOceanData(location);
-      return noaaData;
-    } catch (error) {
-      console.error("Error fetching NOAA ocean data:", error.message);
-
-      // Fallback to scientifically accurate simulated data
-      const mockPH = 7.9 + Math.random() * 0.2;
-      return {
-        pH: mockPH,
-        location: location,
-        dataSource: "NOAA OCADS (Mock)",
-        timestamp: new Date().toISOString(),
-        acidificationLevel: mockPH < 8.0 ? "HIGH" : "MODERATE",
-        error: error.message,
-      };
-    }
-  }
-
-  /**
-   * Fetch air quality data - tries OpenWeather first, then Open-Meteo
-   * @param {string} city - City to query
-   * @returns {Promise<Object>} Air quality metrics
-   */
-  async fetchAirQualityData(city = "Lagos") {
-    // Try OpenWeather API first
-    try {
-      console.log(`Trying OpenWeather API for ${city}...`);
-      // First get coordinates for the city
-      const geoUrl = `http://api.openweathermap.org/geo/1.0/direct`;
-      const geoResponse = await axios.get(geoUrl, {
-        params: {
-          q: city,
-          limit: 1,
-          appid: process.env.OPENWEATHER_API_KEY,
-        },
-        timeout: 10000,
-      });
-
-      const { lat, lon } = geoResponse.data[0] || { lat: 6.5244, lon: 3.3792 }; // Lagos default
-
-      // Get air quality data
-      const aqUrl = `http://api.openweathermap.org/data/2.5/air_pollution`;
-      const aqResponse = await axios.get(aqUrl, {
-        params: {
-          lat,
-          lon,
-          appid: process.env.OPENWEATHER_API_KEY,
-        },
-        timeout: 10000,
-      });
-
-      const aqData = aqResponse.data?.list?.[0] || {};
-      const components = aqData.components || {};
-
-      console.log(
-        `✅ OpenWeather: AQI ${aqData.main?.aqi}, PM2.5 ${components.pm2_5}`,
-      );
-      return {
-        aqi: aqData.main?.aqi || 3,
-        pm25: components.pm2_5 || 0,
-        pm10: components.pm10 || 0,
-        no2: components.no2 || 0,
-        location: city,
-        dataSource: "OpenWeather",
-        timestamp: new Date().toISOString(),
-      };
-    } catch (error) {
-      console.error("OpenWeather failed:", error.message);
-
-      // Try Open-Meteo as alternative (free, no API key)
-      try {
-        console.log(`Trying Open-Meteo API for ${city}...`);
-        const openMeteoData =
-          await this.alternativeService.fetchOpenMeteoAirQuality(city);
-
-        // If Open-Meteo returned real data, use it
-        if (openMeteoData.dataSource === "Open-Meteo") {
-          return openMeteoData;
-        }
-      } catch (meteoError) {
-        console.error("Open-Meteo failed:", meteoError.message);
-      }
-
-      // Final fallback to mock data
-      console.log("Using mock air quality data...");
-      return {
-        aqi: Math.floor(Math.random() * 3) + 3, // AQI 3-5
-        pm25: Math.random() * 50 + 25,
-        pm10: Math.random() * 80 + 40,
-        no2: Math.random() * 40 + 20,
-        location: city,
-        dataSource: "Mock Data (Realistic)",
-        timestamp: new Date().toISOString(),
-        error: error.message,
-      };
-    }
-  }
-
-  /**
-   * Reset daily call counter if it's a new day
-   */
-  resetDailyCounterIfNeeded() {
-    const today = new Date().toDateString();
-    if (this.lastResetDate !== today) {
-      this.dailyCallCount = 0;
-      this.lastResetDate = today;
-      console.log("🔄 Daily Gemini call counter reset");
-    }
-  }
-
-  /**
-   * Generate diagnosis using Gemini 3 Flash Preview with quota management
+   * Generate diagnosis using Gemini with quota management
    * Implements caching and rate limiting to stay within free tier limits
    * @param {Object} metrics - Environmental metrics data
    * @param {string} organType - Type of organ (Lungs/Veins/Skin)
    * @returns {Promise<Object>} Diagnosis object with status and description
    */
   async generateDiagnosis(metrics, organType) {
-    // Reset daily counter if needed
-    this.resetDailyCounterIfNeeded();
-
     // Step 1: Check cache first
     const cacheKey = `${organType}-${JSON.stringify(metrics)}`;
     const cached = this.diagnosisCache.get(cacheKey);
 
     if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
       console.log("✅ Using cached diagnosis (quota saved)");
-      return cached.data;
+      return { ...cached.data, fromCache: true };
     }
 
-    // Step 2: Check if we should use Gemini (rate limiting)
+    // Step 2: Check the diagnosis budget (daily limit and rate limit)
     const now = Date.now();
-    const timeSinceLastCall = now - this.lastGeminiCall;
-    const shouldUseGemini =
-      timeSinceLastCall >= this.minCallInterval &&
-      this.dailyCallCount < this.maxDailyCalls;
-
-    if (!shouldUseGemini) {
-      const reason =
-        this.dailyCallCount >= this.maxDailyCalls
-          ? `daily limit reached (${this.dailyCallCount}/${this.maxDailyCalls})`
-          : `rate limit (${Math.round(timeSinceLastCall / 1000)}s since last call)`;
+    const { allowed, reason } = geminiService.availability("diagnosis");
+
+    if (!allowed) {
       console.log(`⏱️ Gemini ${reason} - using rule-based diagnosis`);
       const ruleBased = this.generateRuleBasedDiagnosis(metrics, organType);
 
@@ -260,20 +60,6 @@ class DiagnosticService {
 
     // Step 3: Try Gemini API
     try {
-      console.log(
-        `🤖 Calling Gemini AI (${this.dailyCallCount + 1}/${this.maxDailyCalls} today)`,
-      );
-
-      const model = this.genAI.getGenerativeModel({
-        model: "gemini-3-flash-preview",
-        generationConfig: {
-          temperature: 0.7,
-          topP: 0.95,
-          topK: 40,
-          maxOutputTokens: 1024,
-        },
-      });
-
       // Construct medical-style prompt
       const prompt = `You are a doctor treating Planet Earth as if it were a human patient. Analyze the environmental data below and tell us how the "patient" is feeling in plain, vivid language.
 
@@ -313,9 +99,12 @@ Return ONLY the JSON object, nothing else.`;
 
 // Return ONLY the JSON object, nothing else.`;
 
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const { text } = await geminiService.generate("diagnosis", prompt, {
+        temperature: 0.7,
+        topP: 0.95,
+        topK: 40,
+        maxOutputTokens: 1024,
+      });
 
       // Parse JSON from response
       let diagnosisData;
@@ -333,20 +122,20 @@ Return ONLY the JSON object, nothing else.`;
         diagnosisData = {
           diagnosis: `Environmental stress detected in ${organType}. Immediate intervention required.`,
           status: "INFLAMED",
+          engine: "FALLBACK",
         };
       }
 
+      if (!diagnosisData.engine) {
+        diagnosisData.engine = "GEMINI";
+      }
+
       // Validate status
       if (!["INFLAMED", "HEALTHY"].includes(diagnosisData.status)) {
         diagnosisData.status = "INFLAMED";
       }
 
-      // Update quota tracking
-      this.lastGeminiCall = now;
-      this.dailyCallCount++;
-      console.log(
-        `✅ Gemini diagnosis generated (${this.dailyCallCount}/${this.maxDailyCalls} used today)`,
-      );
+      console.log("✅ Gemini diagnosis generated");
 
       // Cache the successful result
       this.diagnosisCache.set(cacheKey, {
@@ -458,6 +247,7 @@ Return ONLY the JSON object, nothing else.`;
       status,
       severity,
       source: "Rule-based diagnostic system",
+      engine: "RULE_BASED",
       timestamp: new Date().toISOString(),
     };
   }
@@ -469,31 +259,25 @@ Return ONLY the JSON object, nothing else.`;
    */
   async performDiagnosticScan(organ) {
     try {
-      let metrics;
-
-      // Fetch appropriate metrics based on organ type
-      switch (organ.type) {
-        case "Lungs":
-          metrics = await this.fetchDeforestationData(
-            organ.name.includes("Amazon") ? "Amazon" : "Congo",
-          );
-          break;
-        case "Veins":
-          metrics = await this.fetchOceanPHData(
-            organ.name.includes("Barrier") ? "Great Barrier Reef" : "Ocean",
-          );
-          break;
-        case "Skin":
-          metrics = await this.fetchAirQualityData(
-            organ.name.includes("Lagos") ? "Lagos" : "Delhi",
-          );
-          break;
-        default:
-          throw new Error(`Unknown organ type: ${organ.type}`);
+      const geo = organ.getGeoContext();
+      if (!geo) {
+        throw new Error(
+          `No location configured for ${organ.name}. Set location.point or location.bbox.`,
+        );
       }
 
-      // Generate diagnosis using Gemini
-      const diagnosisResult = await this.generateDiagnosis(metrics, organ.type);
+      // Fetch metrics from the highest-priority working provider
+      const metrics = await this.providerRegistry.fetchMetrics(
+        organ.type,
+        geo,
+      );
+
+      // Strict mode never applies simulated results, so don't spend a
+      // Gemini request on them
+      const geminiSkipped = Boolean(metrics.simulated) && this.isStrictMode();
+      const diagnosisResult = geminiSkipped
+        ? this.generateRuleBasedDiagnosis(metrics, organ.type)
+        : await this.generateDiagnosis(metrics, organ.type);
 
       // Calculate health score based on metrics and diagnosis
       let healthScore = organ.healthScore;
@@ -516,6 +300,16 @@ Return ONLY the JSON object, nothing else.`;
         diagnosis: diagnosisResult.diagnosis,
         status: diagnosisResult.status,
         healthScore: Math.round(healthScore),
+        diagnosisEngine: diagnosisResult.engine || "RULE_BASED",
+        fromCache: Boolean(diagnosisResult.fromCache),
+        dataQuality: {
+          status: metrics.simulated ? "DEGRADED" : "LIVE",
+          provider: metrics.provider,
+          simulatedMetrics: metrics.simulated
+            ? this.providerRegistry.metricFields[organ.type] || []
+            : [],
+          geminiSkipped,
+        },
         timestamp: new Date().toISOString(),
       };
     } catch (error) {
@@ -523,6 +317,63 @@ Return ONLY the JSON object, nothing else.`;
       throw error;
     }
   }
+
+  /**
+   * Run a diagnostic scan, apply it to the organ and append it to the history.
+   * In strict mode a degraded (simulated) result is recorded but not applied,
+   * so the organ keeps its previous good reading.
+   * @param {Object} organ - Organ document from database
+   * @returns {Promise<Object>} Diagnostic result and the stored history record
+   */
+  async scanAndRecord(organ) {
+    const diagnosticResult = await this.performDiagnosticScan(organ);
+    const { dataQuality } = diagnosticResult;
+
+    dataQuality.strictMode = this.isStrictMode();
+    dataQuality.applied = !(
+      dataQuality.strictMode && dataQuality.status === "DEGRADED"
+    );
+
+    if (dataQuality.applied) {
+      organ.lastMetricValue = diagnosticResult.metrics;
+      organ.diagnosis = diagnosticResult.diagnosis;
+      organ.symptomState = diagnosticResult.status;
+      organ.healthScore = diagnosticResult.healthScore;
+      organ.lastUpdated = new Date();
+
+      await organ.save();
+    } else {
+      console.log(
+        `⚠️ ${organ.name}: simulated data from ${dataQuality.provider} not applied (strict mode)`,
+      );
+    }
+
+    const record = await DiagnosticRecord.create({
+      organId: organ._id,
+      metrics: diagnosticResult.metrics,
+      dataSource: diagnosticResult.metrics?.dataSource || "",
+      diagnosis: diagnosticResult.diagnosis,
+      status: diagnosticResult.status,
+      healthScore: diagnosticResult.healthScore,
+      diagnosisEngine: diagnosticResult.diagnosisEngine,
+      fromCache: diagnosticResult.fromCache,
+      dataQuality,
+      scannedAt: diagnosticResult.timestamp,
+    });
+
+    if (dataQuality.applied) {
+      organEventService.publish("organ.diagnosed", organ, {
+        recordId: record._id,
+        status: diagnosticResult.status,
+        healthScore: diagnosticResult.healthScore,
+        dataSource: record.dataSource,
+        diagnosisEngine: diagnosticResult.diagnosisEngine,
+        dataQuality: dataQuality.status,
+      });
+    }
+
+    return { diagnosticResult, record };
+  }
 }
 
 module.exports = new DiagnosticService();
@@ -0,0 +1,239 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Donor = require("../models/Donor");
+const DonorToken = require("../models/DonorToken");
+const Vial = require("../models/Vial");
+const mailService = require("./MailService");
+require("dotenv").config();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Donor accounts keyed by verified email.
+ * Donors sign in with a one-time magic link and receive a session token;
+ * their vials are matched by donorId, or by email for vials made before
+ * they signed in.
+ */
+class DonorService {
+  hashToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+  }
+
+  normalizeEmail(email) {
+    return String(email || "")
+      .trim()
+      .toLowerCase();
+  }
+
+  isValidEmail(email) {
+    return EMAIL_PATTERN.test(email);
+  }
+
+  /**
+   * Email a one-time sign-in link valid for DONOR_LOGIN_TOKEN_MINUTES (default 15)
+   * @param {Object} params - { email, name }
+   */
+  async requestLogin({ email, name = "" }) {
+    const normalized = this.normalizeEmail(email);
+    const token = crypto.randomBytes(32).toString("hex");
+    const minutes = parseInt(process.env.DONOR_LOGIN_TOKEN_MINUTES) || 15;
+
+    await DonorToken.create({
+      type: "LOGIN",
+      tokenHash: this.hashToken(token),
+      email: normalized,
+      name,
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+    });
+
+    const link = `${process.env.FRONTEND_URL || "http://localhost:3000"}/donor/verify?token=${token}`;
+    await mailService.send({
+      to: normalized,
+      subject: "Your Aiye sign-in link",
+      text: `Sign in to see your contributions:\n\n${link}\n\nThis link expires in ${minutes} minutes and can be used once.`,
+    });
+  }
+
+  /**
+   * Consume a magic-link token, creating the donor on first sign-in
+   * @param {string} token - Token from the sign-in link
+   * @returns {Promise<Object|null>} { donor, sessionToken, expiresAt }, or null if invalid
+   */
+  async verifyLogin(token) {
+    const loginToken = await DonorToken.findOneAndUpdate(
+      {
+        type: "LOGIN",
+        tokenHash: this.hashToken(token),
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { usedAt: new Date() },
+      { new: true },
+    );
+    if (!loginToken) return null;
+
+    const now = new Date();
+    const donor = await Donor.findOneAndUpdate(
+      { email: loginToken.email },
+      {
+        $set: { lastLoginAt: now },
+        $setOnInsert: {
+          email: loginToken.email,
+          name: loginToken.name,
+          verifiedAt: now,
+        },
+      },
+      { new: true, upsert: true },
+    );
+
+    // Claim vials made with this email before the donor signed in
+    await Vial.updateMany(
+      { donorEmail: donor.email, donorId: null },
+      { donorId: donor._id },
+    );
+
+    const sessionToken = crypto.randomBytes(32).toString("hex");
+    const days = parseInt(process.env.DONOR_SESSION_DAYS) || 30;
+    const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    await DonorToken.create({
+      type: "SESSION",
+      tokenHash: this.hashToken(sessionToken),
+      email: donor.email,
+      donorId: donor._id,
+      expiresAt,
+    });
+
+    return { donor, sessionToken, expiresAt };
+  }
+
+  /**
+   * Resolve a session token to its donor
+   * @param {string} sessionToken - Token returned by verifyLogin
+   * @returns {Promise<Object|null>} Donor document
+   */
+  async authenticate(sessionToken) {
+    if (!sessionToken) return null;
+
+    const session = await DonorToken.findOne({
+      type: "SESSION",
+      tokenHash: this.hashToken(sessionToken),
+      expiresAt: { $gt: new Date() },
+    });
+    if (!session) return null;
+
+    return Donor.findById(session.donorId);
+  }
+
+  /**
+   * End a session
+   * @param {string} sessionToken - Token to revoke
+   */
+  async logout(sessionToken) {
+    await DonorToken.deleteOne({
+      type: "SESSION",
+      tokenHash: this.hashToken(sessionToken),
+    });
+  }
+
+  /**
+   * Query matching a donor's vials
+   * @param {Object} donor - Donor document
+   * @returns {Object} MongoDB filter
+   */
+  vialFilter(donor) {
+    return { $or: [{ donorId: donor._id }, { donorEmail: donor.email }] };
+  }
+
+  /**
+   * A donor's vials across all organs with totals of successful contributions
+   * @param {Object} donor - Donor document
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { vials, totals, pagination }
+   */
+  async getContributions(donor, { page = 1, limit = 50 } = {}) {
+    const filter = this.vialFilter(donor);
+
+    const [vials, total, byOrgan] = await Promise.all([
+      Vial.find(filter)
+        .populate("organId", "name type")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Vial.countDocuments(filter),
+      Vial.aggregate([
+        { $match: { ...filter, status: { $in: ["SUCCESS", "REFUNDED"] } } },
+        {
+          $group: {
+            _id: "$organId",
+            contributedUSD: {
+              $sum: {
+                $subtract: [
+                  "$amountUSD",
+                  { $ifNull: ["$refundedAmountUSD", 0] },
+                ],
+              },
+            },
+            vialCount: { $sum: 1 },
+            lastContributionAt: { $max: "$processedAt" },
+          },
+        },
+        {
+          $lookup: {
+            from: "organs",
+            localField: "_id",
+            foreignField: "_id",
+            as: "organ",
+          },
+        },
+        { $sort: { contributedUSD: -1 } },
+      ]),
+    ]);
+
+    const contributedUSD = byOrgan.reduce(
+      (sum, organ) => sum + organ.contributedUSD,
+      0,
+    );
+
+    return {
+      vials,
+      totals: {
+        contributedUSD: Math.round(contributedUSD * 100) / 100,
+        vialCount: byOrgan.reduce((sum, organ) => sum + organ.vialCount, 0),
+        organCount: byOrgan.length,
+        byOrgan: byOrgan.map((organ) => ({
+          organId: organ._id,
+          organName: organ.organ[0]?.name || null,
+          contributedUSD: Math.round(organ.contributedUSD * 100) / 100,
+          vialCount: organ.vialCount,
+          lastContributionAt: organ.lastContributionAt,
+        })),
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Show or hide the donor's name and email on one of their vials
+   * @param {Object} donor - Donor document
+   * @param {string} vialId - Vial ID
+   * @param {boolean} anonymous - Whether to hide the donor publicly
+   * @returns {Promise<Object|null>} Updated vial, or null if not the donor's
+   */
+  async setAnonymous(donor, vialId, anonymous) {
+    if (!mongoose.isValidObjectId(vialId)) return null;
+
+    return Vial.findOneAndUpdate(
+      { _id: vialId, ...this.vialFilter(donor) },
+      { anonymous },
+      { new: true },
+    );
+  }
+}
+
+module.exports = new DonorService();
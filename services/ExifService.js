@@ -0,0 +1,247 @@
+// TIFF tags read from uploaded images
+const TAGS = {
+  MAKE: 0x010f,
+  MODEL: 0x0110,
+  DATE_TIME: 0x0132,
+  EXIF_IFD: 0x8769,
+  GPS_IFD: 0x8825,
+  DATE_TIME_ORIGINAL: 0x9003,
+  OFFSET_TIME_ORIGINAL: 0x9011,
+  GPS_LATITUDE_REF: 0x0001,
+  GPS_LATITUDE: 0x0002,
+  GPS_LONGITUDE_REF: 0x0003,
+  GPS_LONGITUDE: 0x0004,
+  GPS_TIME_STAMP: 0x0007,
+  GPS_DATE_STAMP: 0x001d,
+};
+
+// Byte size of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * Reads EXIF capture time, GPS position and camera from JPEG, PNG (eXIf)
+ * and WebP (EXIF chunk) images. Only the tags needed to check where and
+ * when a photo was taken are parsed.
+ */
+class ExifService {
+  /**
+   * Read an image's EXIF metadata
+   * @param {Buffer} buffer - Image contents
+   * @returns {Object|null} { capturedAt, latitude, longitude, make, model },
+   *   or null if the image carries no readable EXIF block
+   */
+  read(buffer) {
+    try {
+      const tiff = this.findTiff(buffer);
+      if (!tiff) return null;
+
+      const reader = this.tiffReader(tiff);
+      if (!reader) return null;
+
+      const ifd0 = reader.ifd(reader.firstIfd);
+      const exif = ifd0[TAGS.EXIF_IFD]
+        ? reader.ifd(reader.value(ifd0[TAGS.EXIF_IFD]))
+        : {};
+      const gps = ifd0[TAGS.GPS_IFD]
+        ? reader.ifd(reader.value(ifd0[TAGS.GPS_IFD]))
+        : {};
+
+      const latitude = this.coordinate(
+        reader.value(gps[TAGS.GPS_LATITUDE]),
+        reader.value(gps[TAGS.GPS_LATITUDE_REF]),
+      );
+      const longitude = this.coordinate(
+        reader.value(gps[TAGS.GPS_LONGITUDE]),
+        reader.value(gps[TAGS.GPS_LONGITUDE_REF]),
+      );
+
+      return {
+        capturedAt: this.captureTime(
+          reader.value(exif[TAGS.DATE_TIME_ORIGINAL]) ||
+            reader.value(ifd0[TAGS.DATE_TIME]),
+          reader.value(exif[TAGS.OFFSET_TIME_ORIGINAL]),
+          reader.value(gps[TAGS.GPS_DATE_STAMP]),
+          reader.value(gps[TAGS.GPS_TIME_STAMP]),
+        ),
+        latitude: latitude !== null && longitude !== null ? latitude : null,
+        longitude: latitude !== null && longitude !== null ? longitude : null,
+        make: reader.value(ifd0[TAGS.MAKE]) || null,
+        model: reader.value(ifd0[TAGS.MODEL]) || null,
+      };
+    } catch {
+      // Truncated or malformed metadata is treated as missing
+      return null;
+    }
+  }
+
+  /**
+   * Locate the TIFF-structured EXIF block of an image
+   * @param {Buffer} buffer - Image contents
+   * @returns {Buffer|null} TIFF block
+   */
+  findTiff(buffer) {
+    const stripHeader = (block) =>
+      block.toString("latin1", 0, 6) === "Exif\0\0" ? block.subarray(6) : block;
+
+    // JPEG: APP1 segment starting with "Exif\0\0"
+    if (buffer.readUInt16BE(0) === 0xffd8) {
+      let offset = 2;
+      while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+        const marker = buffer[offset + 1];
+        // Start of scan: no metadata segments follow
+        if (marker === 0xda) break;
+        const length = buffer.readUInt16BE(offset + 2);
+        const segment = buffer.subarray(offset + 4, offset + 2 + length);
+        if (marker === 0xe1 && segment.toString("latin1", 0, 6) === "Exif\0\0") {
+          return segment.subarray(6);
+        }
+        offset += 2 + length;
+      }
+      return null;
+    }
+
+    // PNG: eXIf chunk
+    if (buffer.toString("latin1", 1, 4) === "PNG") {
+      let offset = 8;
+      while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString("latin1", offset + 4, offset + 8);
+        if (type === "eXIf") {
+          return stripHeader(buffer.subarray(offset + 8, offset + 8 + length));
+        }
+        if (type === "IDAT") break;
+        offset += 12 + length;
+      }
+      return null;
+    }
+
+    // WebP: EXIF chunk in the RIFF container
+    if (
+      buffer.toString("latin1", 0, 4) === "RIFF" &&
+      buffer.toString("latin1", 8, 12) === "WEBP"
+    ) {
+      let offset = 12;
+      while (offset + 8 <= buffer.length) {
+        const type = buffer.toString("latin1", offset, offset + 4);
+        const length = buffer.readUInt32LE(offset + 4);
+        if (type === "EXIF") {
+          return stripHeader(buffer.subarray(offset + 8, offset + 8 + length));
+        }
+        offset += 8 + length + (length % 2);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Reader for IFD entries of a TIFF block in either byte order
+   * @param {Buffer} tiff - TIFF block
+   * @returns {Object|null} { firstIfd, ifd(offset), value(entry) }
+   */
+  tiffReader(tiff) {
+    const order = tiff.toString("latin1", 0, 2);
+    if (order !== "II" && order !== "MM") return null;
+    const little = order === "II";
+
+    const u16 = (offset) =>
+      little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+    const u32 = (offset) =>
+      little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+    const s32 = (offset) =>
+      little ? tiff.readInt32LE(offset) : tiff.readInt32BE(offset);
+
+    if (u16(2) !== 42) return null;
+
+    return {
+      firstIfd: u32(4),
+
+      // Map of tag -> { type, count, offset } for one IFD
+      ifd(offset) {
+        const entries = {};
+        const count = u16(offset);
+        for (let i = 0; i < count; i++) {
+          const entry = offset + 2 + i * 12;
+          const type = u16(entry + 2);
+          const valueCount = u32(entry + 4);
+          const size = (TYPE_SIZES[type] || 1) * valueCount;
+          entries[u16(entry)] = {
+            type,
+            count: valueCount,
+            // Values of 4 bytes or less are stored in the entry itself
+            offset: size <= 4 ? entry + 8 : u32(entry + 8),
+          };
+        }
+        return entries;
+      },
+
+      // Decoded value: string, number, or array of numbers
+      value(entry) {
+        if (!entry) return null;
+        const { type, count, offset } = entry;
+
+        if (type === 2) {
+          return tiff
+            .toString("latin1", offset, offset + count)
+            .replace(/\0+$/, "")
+            .trim();
+        }
+
+        const values = [];
+        for (let i = 0; i < count; i++) {
+          if (type === 3) values.push(u16(offset + i * 2));
+          else if (type === 4) values.push(u32(offset + i * 4));
+          else if (type === 9) values.push(s32(offset + i * 4));
+          else if (type === 5 || type === 10) {
+            const read = type === 5 ? u32 : s32;
+            const denominator = read(offset + i * 8 + 4);
+            values.push(denominator ? read(offset + i * 8) / denominator : 0);
+          } else values.push(tiff[offset + i]);
+        }
+        return count === 1 ? values[0] : values;
+      },
+    };
+  }
+
+  /**
+   * Signed decimal degrees from EXIF degrees/minutes/seconds
+   * @returns {number|null} Coordinate, or null if absent
+   */
+  coordinate(dms, ref) {
+    if (!Array.isArray(dms) || dms.length !== 3) return null;
+    const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    const signed = ref === "S" || ref === "W" ? -degrees : degrees;
+    return Math.round(signed * 1e6) / 1e6;
+  }
+
+  /**
+   * Capture time from the EXIF "YYYY:MM:DD HH:MM:SS" local time.
+   * Uses OffsetTimeOriginal when present, otherwise the GPS (UTC) date and
+   * time, otherwise treats the local time as UTC.
+   * @returns {Date|null} Capture time
+   */
+  captureTime(dateTime, offset, gpsDate, gpsTime) {
+    if (typeof gpsDate === "string" && Array.isArray(gpsTime)) {
+      const [hours, minutes, seconds] = gpsTime.map(Math.floor);
+      const date = new Date(
+        `${gpsDate.replace(/:/g, "-")}T${[hours, minutes, seconds]
+          .map((n) => String(n).padStart(2, "0"))
+          .join(":")}Z`,
+      );
+      if (!isNaN(date.getTime()) && !offset) return date;
+    }
+
+    const match =
+      typeof dateTime === "string" &&
+      dateTime.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+    if (!match) return null;
+
+    const zone = /^[+-]\d{2}:\d{2}$/.test(offset || "") ? offset : "Z";
+    const date = new Date(
+      `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}${zone}`,
+    );
+    return isNaN(date.getTime()) ? null : date;
+  }
+}
+
+module.exports = new ExifService();
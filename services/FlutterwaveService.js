@@ -0,0 +1,147 @@
+const axios = require("axios");
+require("dotenv").config();
+
+/**
+ * Minimal Flutterwave v3 API client for verification, refunds and payment plans
+ * FLUTTERWAVE_BASE_URL can point at a local stand-in (scripts/flutterwave-standin.js)
+ */
+class FlutterwaveService {
+  get baseUrl() {
+    return (
+      process.env.FLUTTERWAVE_BASE_URL || "https://api.flutterwave.com/v3"
+    ).replace(/\/$/, "");
+  }
+
+  /**
+   * Perform an authenticated request against the Flutterwave API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path relative to the v3 base URL
+   * @param {Object} options - { params, data }
+   * @returns {Promise<Object>} The response's `data` field
+   */
+  async request(method, path, { params, data } = {}) {
+    try {
+      const response = await axios({
+        method,
+        url: `${this.baseUrl}${path}`,
+        params,
+        data,
+        headers: {
+          Authorization: `Bearer ${process.env.FLUTTERWAVE_SECRET_KEY}`,
+          "Content-Type": "application/json",
+        },
+        timeout: 15000,
+      });
+
+      if (response.data?.status !== "success") {
+        throw new Error(response.data?.message || "Flutterwave request failed");
+      }
+      return response.data.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      const wrapped = new Error(`Flutterwave ${method} ${path}: ${message}`);
+      wrapped.statusCode = error.response?.status;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Verify a transaction by Flutterwave transaction ID, or by tx_ref
+   * @param {Object} ref - { transactionId, txRef }
+   * @returns {Promise<Object>} Verified transaction (id, tx_ref, status, amount, currency, ...)
+   */
+  async verifyTransaction({ transactionId, txRef }) {
+    if (transactionId) {
+      return this.request(
+        "get",
+        `/transactions/${encodeURIComponent(transactionId)}/verify`,
+      );
+    }
+
+    return this.request("get", "/transactions/verify_by_reference", {
+      params: { tx_ref: txRef },
+    });
+  }
+
+  /**
+   * Fetch a refund by its Flutterwave refund ID
+   * @param {string|number} refundId - Refund ID from the refund webhook
+   * @returns {Promise<Object>} Refund (id, tx_id, amount_refunded, status, ...)
+   */
+  async getRefund(refundId) {
+    return this.request("get", `/refunds/${encodeURIComponent(refundId)}`);
+  }
+
+  /**
+   * Create a payment plan that charges subscribers on an interval
+   * @param {Object} plan - { name, amount, currency, interval }
+   * @returns {Promise<Object>} Payment plan (id, name, amount, interval, status, ...)
+   */
+  async createPaymentPlan({ name, amount, currency, interval = "monthly" }) {
+    return this.request("post", "/payment-plans", {
+      data: { name, amount, currency, interval },
+    });
+  }
+
+  /**
+   * Cancel a payment plan, stopping charges for all of its subscribers
+   * @param {string} planId - Payment plan ID
+   * @returns {Promise<Object>} Cancelled payment plan
+   */
+  async cancelPaymentPlan(planId) {
+    return this.request(
+      "put",
+      `/payment-plans/${encodeURIComponent(planId)}/cancel`,
+    );
+  }
+
+  /**
+   * Create a hosted payment link (Flutterwave Standard); passing
+   * `payment_plan` subscribes the customer once the first charge succeeds
+   * @param {Object} payment - tx_ref, amount, currency, redirect_url, customer, ...
+   * @returns {Promise<Object>} { link }
+   */
+  async createPaymentLink(payment) {
+    return this.request("post", "/payments", { data: payment });
+  }
+
+  /**
+   * Find a customer's subscription to a payment plan
+   * @param {Object} query - { email, planId }
+   * @returns {Promise<Object|null>} Subscription (id, status, plan, customer, ...)
+   */
+  async findSubscription({ email, planId }) {
+    const subscriptions = await this.request("get", "/subscriptions", {
+      params: { email, plan: planId },
+    });
+    return (
+      (subscriptions || []).find(
+        (subscription) => String(subscription.plan) === String(planId),
+      ) || null
+    );
+  }
+
+  /**
+   * Resume charging a deactivated subscription
+   * @param {string} subscriptionId - Flutterwave subscription ID
+   */
+  async activateSubscription(subscriptionId) {
+    return this.request(
+      "put",
+      `/subscriptions/${encodeURIComponent(subscriptionId)}/activate`,
+    );
+  }
+
+  /**
+   * Stop charging a subscription; it can be activated again later
+   * @param {string} subscriptionId - Flutterwave subscription ID
+   */
+  async deactivateSubscription(subscriptionId) {
+    return this.request(
+      "put",
+      `/subscriptions/${encodeURIComponent(subscriptionId)}/cancel`,
+    );
+  }
+}
+
+module.exports = new FlutterwaveService();
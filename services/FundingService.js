@@ -0,0 +1,628 @@
+const cron = require("node-cron");
+const Organ = require("../models/Organ");
+const Vial = require("../models/Vial");
+const flutterwaveService = require("./FlutterwaveService");
+const milestoneService = require("./MilestoneService");
+const organEventService = require("./OrganEventService");
+const subscriptionService = require("./SubscriptionService");
+require("dotenv").config();
+
+// Flutterwave charge statuses that will not turn into a successful payment
+const FAILED_CHARGE_STATUSES = ["failed", "cancelled"];
+
+// A credit claim older than this is from an attempt that stopped part-way
+// and may be taken over
+const CREDIT_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Statuses a vial may move to each status from
+const ALLOWED_TRANSITIONS = {
+  SUCCESS: ["PENDING", "FAILED", "EXPIRED"],
+  DISPUTED: ["PENDING", "FAILED", "EXPIRED"],
+  FAILED: ["PENDING"],
+  EXPIRED: ["PENDING"],
+  REFUNDED: ["SUCCESS", "DISPUTED"],
+};
+
+/**
+ * Settles vials against Flutterwave and credits organ funding
+ */
+class FundingService {
+  constructor() {
+    this.task = null;
+  }
+
+  /**
+   * Compare a verified Flutterwave transaction for the vial's tx_ref against
+   * the vial
+   * @param {Object} vial - Vial document
+   * @param {Object} transaction - Verified Flutterwave transaction
+   * @returns {Array<string>} Mismatch descriptions (empty when they agree)
+   */
+  findMismatches(vial, transaction) {
+    const mismatches = [];
+    const expectedAmount = vial.amount ?? vial.amountUSD;
+
+    if (transaction.currency !== vial.currency) {
+      mismatches.push(
+        `charged currency ${transaction.currency} does not match ${vial.currency}`,
+      );
+    }
+    // Allow for floating point rounding on the charged amount
+    if (!(Number(transaction.amount) >= expectedAmount - 0.01)) {
+      mismatches.push(
+        `charged amount ${transaction.amount} is less than ${expectedAmount}`,
+      );
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * Move a vial to a new status if the transition is allowed, recording it in
+   * statusHistory. Conditional on the status the vial was read with, so a
+   * concurrent transition makes this a no-op.
+   * @param {Object} vial - Vial document
+   * @param {string} to - Target status
+   * @param {Object} options - { source, reason, set } where set holds extra fields
+   * @returns {Promise<Object|null>} Updated vial, or null if not transitioned
+   */
+  async transition(vial, to, { source = "system", reason = null, set = {} } = {}) {
+    if (!ALLOWED_TRANSITIONS[to].includes(vial.status)) {
+      return null;
+    }
+
+    return Vial.findOneAndUpdate(
+      { _id: vial._id, status: vial.status },
+      {
+        $set: { ...set, status: to },
+        $push: {
+          statusHistory: {
+            from: vial.status,
+            to,
+            source,
+            reason,
+            at: new Date(),
+          },
+        },
+      },
+      { new: true },
+    );
+  }
+
+  /**
+   * Verify a vial's payment with Flutterwave and credit the organ if it matches.
+   * Failed and expired vials can still settle if Flutterwave reports a late
+   * successful charge. The transition is conditional, so concurrent webhook
+   * retries and redirect callbacks credit the organ exactly once. A SUCCESS
+   * vial that was never credited (the request stopped between the transition
+   * and the credit) is credited by the next retry. A transaction ID for
+   * another tx_ref (the redirect's transaction_id comes from the client) says
+   * nothing about this vial, so it is verified by reference instead.
+   * CREDIT_PENDING means another attempt holds the credit claim and may have
+   * stopped; callers should retry until the vial is credited.
+   * @param {Object} vial - Vial document
+   * @param {Object} options - { transactionId, source } from the webhook or redirect
+   * @returns {Promise<Object>} { outcome, vial, organ, reasons }
+   *   outcome: SUCCESS | ALREADY_PROCESSED | CREDIT_PENDING | NOT_SUCCESSFUL |
+   *   FAILED | DISPUTED | REFUNDED
+   */
+  async settleVial(vial, { transactionId, source = "system" } = {}) {
+    if (this.awaitingCredit(vial)) {
+      const organ = await this.creditOrgan(vial);
+      if (!organ) return this.refreshOutcome(vial);
+      return { outcome: "SUCCESS", vial, organ };
+    }
+    if (!ALLOWED_TRANSITIONS.SUCCESS.includes(vial.status)) {
+      return this.outcomeFor(vial);
+    }
+
+    let transaction = await flutterwaveService.verifyTransaction({
+      transactionId,
+      txRef: vial.transactionRef,
+    });
+    if (transactionId && transaction.tx_ref !== vial.transactionRef) {
+      console.warn(
+        `⚠️ Transaction ${transactionId} is for ${transaction.tx_ref}, not ${vial.transactionRef} - verifying by reference`,
+      );
+      transaction = await flutterwaveService.verifyTransaction({
+        txRef: vial.transactionRef,
+      });
+    }
+    if (transaction.tx_ref !== vial.transactionRef) {
+      return {
+        outcome: "NOT_SUCCESSFUL",
+        vial,
+        reasons: [
+          `tx_ref ${transaction.tx_ref} does not match ${vial.transactionRef}`,
+        ],
+      };
+    }
+
+    if (transaction.status !== "successful") {
+      if (FAILED_CHARGE_STATUSES.includes(transaction.status)) {
+        const { vial: failed } = await this.failVial(vial, {
+          source,
+          reason: `Flutterwave reported the charge as ${transaction.status}`,
+        });
+        return { outcome: "FAILED", vial: failed, transaction };
+      }
+      return { outcome: "NOT_SUCCESSFUL", vial, transaction };
+    }
+
+    const verification = {
+      flutterwaveTransactionId: String(transaction.id),
+      flutterwaveData: transaction,
+      verifiedAt: new Date(),
+    };
+
+    const mismatches = this.findMismatches(vial, transaction);
+    if (mismatches.length > 0) {
+      const disputeReason = mismatches.join("; ");
+      const disputed = await this.transition(vial, "DISPUTED", {
+        source,
+        reason: disputeReason,
+        set: { ...verification, disputeReason },
+      });
+      if (!disputed) {
+        return this.refreshOutcome(vial);
+      }
+
+      console.warn(`⚠️ Vial ${vial.transactionRef} disputed: ${disputeReason}`);
+      return { outcome: "DISPUTED", vial: disputed, reasons: mismatches };
+    }
+
+    const settled = await this.transition(vial, "SUCCESS", {
+      source,
+      reason: "Verified with Flutterwave",
+      set: { ...verification, processedAt: new Date() },
+    });
+    if (!settled) {
+      // Another request settled it first
+      return this.refreshOutcome(vial);
+    }
+
+    const organ = await this.creditOrgan(settled);
+    return { outcome: "SUCCESS", vial: settled, organ };
+  }
+
+  /**
+   * Mark a pending vial as FAILED (failed or cancelled charge). Nothing has
+   * been credited, and a later verified success still settles it.
+   * @param {Object} vial - Vial document
+   * @param {Object} options - { source, reason }
+   * @returns {Promise<Object>} { outcome, vial }
+   */
+  async failVial(vial, { source = "system", reason = null } = {}) {
+    const failed = await this.transition(vial, "FAILED", {
+      source,
+      reason,
+      set: { failureReason: reason },
+    });
+    if (!failed) {
+      return this.refreshOutcome(vial);
+    }
+
+    console.log(`✗ Vial ${vial.transactionRef} failed: ${reason}`);
+    return { outcome: "FAILED", vial: failed };
+  }
+
+  /**
+   * Verify a refund with Flutterwave, add it to the vial's refunds and deduct
+   * the refunded amount from the organ if the vial had been credited. Partial
+   * refunds leave the vial refundable; it becomes REFUNDED once its refunds
+   * cover the whole amount. Each refund is applied once.
+   * @param {Object} vial - Vial document
+   * @param {Object} options - { refundId, source }
+   * @returns {Promise<Object>} { outcome, vial, organ, reasons }
+   *   outcome: REFUNDED | PARTIALLY_REFUNDED | ALREADY_PROCESSED |
+   *   NOT_REFUNDABLE | NOT_SUCCESSFUL | INVALID_REFUND
+   */
+  async refundVial(vial, { refundId, source = "system" } = {}) {
+    if (vial.status === "REFUNDED") {
+      return { outcome: "ALREADY_PROCESSED", vial };
+    }
+    if (!ALLOWED_TRANSITIONS.REFUNDED.includes(vial.status)) {
+      return { outcome: "NOT_REFUNDABLE", vial };
+    }
+
+    const refund = await flutterwaveService.getRefund(refundId);
+    if (refund.status !== "completed") {
+      return { outcome: "NOT_SUCCESSFUL", vial, refund };
+    }
+
+    const refundTransactionId = String(refund.tx_id ?? refund.transaction_id);
+    if (refundTransactionId !== vial.flutterwaveTransactionId) {
+      return {
+        outcome: "INVALID_REFUND",
+        vial,
+        reasons: [
+          `refund is for transaction ${refundTransactionId}, not ${vial.flutterwaveTransactionId}`,
+        ],
+      };
+    }
+
+    const refundedAmount = Number(refund.amount_refunded);
+    const refundedAmountUSD = Math.min(
+      vial.amountUSD - (vial.refundedAmountUSD || 0),
+      Math.round((refundedAmount / (vial.exchangeRate || 1)) * 100) / 100,
+    );
+
+    // Conditional on the refund not being recorded yet, so a redelivered
+    // refund is applied once
+    const refundedAt = new Date();
+    const recorded = await Vial.findOneAndUpdate(
+      {
+        _id: vial._id,
+        status: { $in: ALLOWED_TRANSITIONS.REFUNDED },
+        "refunds.refundId": { $ne: String(refund.id) },
+      },
+      {
+        $inc: { refundedAmount, refundedAmountUSD },
+        $set: { refundId: String(refund.id), refundedAt },
+        $push: {
+          refunds: {
+            refundId: String(refund.id),
+            amount: refundedAmount,
+            amountUSD: refundedAmountUSD,
+            at: refundedAt,
+          },
+        },
+      },
+      { new: true },
+    );
+    if (!recorded) {
+      return this.refreshOutcome(vial);
+    }
+
+    // Disputed and uncredited vials never reached the organ's funding
+    const organ =
+      recorded.creditedAt && refundedAmountUSD > 0
+        ? await this.debitOrgan(recorded, refundedAmountUSD)
+        : null;
+
+    // Allow for floating point rounding on the refunded total
+    const expectedAmount = recorded.amount ?? recorded.amountUSD;
+    if (recorded.refundedAmount < expectedAmount - 0.01) {
+      console.log(
+        `↩ Vial ${vial.transactionRef} partially refunded: ${recorded.refundedAmount} of ${expectedAmount} ${vial.currency}`,
+      );
+      return { outcome: "PARTIALLY_REFUNDED", vial: recorded, organ };
+    }
+
+    const refunded = await this.transition(recorded, "REFUNDED", {
+      source,
+      reason: `Refunded ${recorded.refundedAmount} ${vial.currency}`,
+    });
+    return { outcome: "REFUNDED", vial: refunded || recorded, organ };
+  }
+
+  /**
+   * Whether a SUCCESS vial still has to be added to its organ's funding.
+   * Vials settled before creditedAt was recorded have no SUCCESS entry in
+   * their history and were credited at the time.
+   * @param {Object} vial - Vial document
+   * @returns {boolean}
+   */
+  awaitingCredit(vial) {
+    return Boolean(
+      vial.status === "SUCCESS" &&
+        !vial.creditedAt &&
+        vial.statusHistory?.some((entry) => entry.to === "SUCCESS"),
+    );
+  }
+
+  /**
+   * Outcome for a vial that is no longer in a settleable state
+   * @param {Object} vial - Vial document
+   * @returns {Object} { outcome, vial, reasons }
+   */
+  outcomeFor(vial) {
+    switch (vial.status) {
+      case "SUCCESS":
+        return {
+          outcome: this.awaitingCredit(vial)
+            ? "CREDIT_PENDING"
+            : "ALREADY_PROCESSED",
+          vial,
+        };
+      case "DISPUTED":
+        return { outcome: "DISPUTED", vial, reasons: [vial.disputeReason] };
+      case "REFUNDED":
+        return { outcome: "REFUNDED", vial };
+      case "FAILED":
+        return { outcome: "FAILED", vial, reasons: [vial.failureReason] };
+      default:
+        return { outcome: "NOT_SUCCESSFUL", vial };
+    }
+  }
+
+  /**
+   * Outcome for a vial that was transitioned by a concurrent request
+   * @param {Object} vial - Stale vial document
+   * @returns {Promise<Object>} { outcome, vial, reasons }
+   */
+  async refreshOutcome(vial) {
+    const current = await Vial.findById(vial._id);
+    return this.outcomeFor(current || vial);
+  }
+
+  /**
+   * Add a settled vial's amount to its organ's funding with an atomic $inc
+   * and fire any funding milestones it reaches. Safe to repeat:
+   * - the attempt first claims the credit on the vial (creditClaimedAt), so
+   *   concurrent attempts stop here
+   * - the $inc also adds the vial to the organ's pendingCredits and only
+   *   applies if it isn't there yet, so an attempt taking over a stale claim
+   *   doesn't add the amount again
+   * - the entry is removed once the vial's creditedAt is set
+   * @param {Object} vial - Vial document with status SUCCESS
+   * @returns {Promise<Object|null>} Updated organ, or null if another
+   *   attempt is crediting or has credited the vial
+   */
+  async creditOrgan(vial) {
+    const claimed = await Vial.findOneAndUpdate(
+      {
+        _id: vial._id,
+        creditedAt: null,
+        $or: [
+          { creditClaimedAt: null },
+          {
+            creditClaimedAt: {
+              $lt: new Date(Date.now() - CREDIT_CLAIM_TIMEOUT_MS),
+            },
+          },
+        ],
+      },
+      { creditClaimedAt: new Date() },
+      { new: true },
+    );
+    if (!claimed) return null;
+
+    let organ = await Organ.findOneAndUpdate(
+      { _id: vial.organId, pendingCredits: { $ne: vial._id } },
+      {
+        $inc: { currentFundingUSD: vial.amountUSD },
+        $set: { lastUpdated: new Date() },
+        $push: { pendingCredits: vial._id },
+      },
+      { new: true },
+    );
+    if (!organ) {
+      // Already added by an attempt that stopped before setting creditedAt
+      organ = await Organ.findById(vial.organId);
+      if (!organ) return null;
+    }
+
+    await Vial.updateOne({ _id: vial._id }, { creditedAt: new Date() });
+    await Organ.updateOne(
+      { _id: organ._id },
+      { $pull: { pendingCredits: vial._id } },
+    );
+
+    if (vial.subscriptionId) {
+      await subscriptionService.recordCharge(vial);
+    }
+
+    const previousState = organ.symptomState;
+
+    // Milestones can change the organ's state, health and campaign
+    organ = await milestoneService.evaluate(organ, { vialId: vial._id });
+
+    organEventService.publish("organ.funded", organ, {
+      vialId: vial._id,
+      amountUSD: vial.amountUSD,
+      previousState,
+      newState: organ.symptomState,
+    });
+
+    console.log(
+      `✓ Vial processed: ${vial.amountUSD} USD → ${organ.name} (${organ.fundingPercentage.toFixed(1)}% funded)`,
+    );
+    return organ;
+  }
+
+  /**
+   * Deduct a refund from its organ's funding and revert milestones it drops
+   * back below. Funding never goes below zero: a campaign rollover may have
+   * archived the refunded vial's funding already.
+   * @param {Object} vial - Refunded vial document
+   * @param {number} amountUSD - Refunded amount
+   * @returns {Promise<Object|null>} Updated organ
+   */
+  async debitOrgan(vial, amountUSD) {
+    // Validators don't run on updates, so clamp in the update itself
+    let organ = await Organ.findOneAndUpdate(
+      { _id: vial.organId },
+      [
+        {
+          $set: {
+            currentFundingUSD: {
+              $max: [0, { $subtract: ["$currentFundingUSD", amountUSD] }],
+            },
+            lastUpdated: "$$NOW",
+          },
+        },
+      ],
+      { new: true, updatePipeline: true },
+    );
+    if (!organ) return null;
+
+    const previousState = organ.symptomState;
+
+    organ = await milestoneService.revert(organ, { vialId: vial._id });
+
+    organEventService.publish("organ.refunded", organ, {
+      vialId: vial._id,
+      amountUSD,
+      previousState,
+      newState: organ.symptomState,
+    });
+
+    console.log(
+      `↩ Vial refunded: ${amountUSD} USD ← ${organ.name} (${organ.fundingPercentage.toFixed(1)}% funded)`,
+    );
+    return organ;
+  }
+
+  /**
+   * Expire PENDING vials older than VIAL_PENDING_MAX_AGE_MINUTES (default 24h)
+   * @returns {Promise<number>} Number of vials expired
+   */
+  async expireStaleVials() {
+    const maxAgeMinutes =
+      parseInt(process.env.VIAL_PENDING_MAX_AGE_MINUTES) || 24 * 60;
+    const cutoff = new Date(Date.now() - maxAgeMinutes * 60 * 1000);
+    const reason = `No payment within ${maxAgeMinutes} minutes`;
+
+    const result = await Vial.updateMany(
+      { status: "PENDING", createdAt: { $lt: cutoff } },
+      {
+        $set: { status: "EXPIRED", failureReason: reason },
+        $push: {
+          statusHistory: {
+            from: "PENDING",
+            to: "EXPIRED",
+            source: "sweeper",
+            reason,
+            at: new Date(),
+          },
+        },
+      },
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`⌛ Expired ${result.modifiedCount} pending vials`);
+    }
+    return result.modifiedCount;
+  }
+
+  /**
+   * Expire stale vials now and on VIAL_EXPIRY_CRON (default every 15 minutes)
+   */
+  async start() {
+    const schedule = process.env.VIAL_EXPIRY_CRON || "*/15 * * * *";
+    if (!cron.validate(schedule)) {
+      console.error(
+        `✗ Invalid VIAL_EXPIRY_CRON "${schedule}" - pending vials will not expire`,
+      );
+      return;
+    }
+
+    await this.runExpirySweep();
+    this.task = cron.schedule(schedule, () => this.runExpirySweep());
+  }
+
+  stop() {
+    if (this.task) this.task.stop();
+    this.task = null;
+  }
+
+  async runExpirySweep() {
+    try {
+      await this.expireStaleVials();
+    } catch (error) {
+      console.error("✗ Vial expiry sweep failed:", error.message);
+    }
+  }
+
+  /**
+   * Recompute each organ's funding from its settled vials and report drift
+   * @param {Object} options - { fix } to overwrite drifted currentFundingUSD
+   * @returns {Promise<Array<Object>>} Per-organ report
+   */
+  async reconcileFunding({ fix = false } = {}) {
+    const totals = await Vial.aggregate([
+      // Refunded vials that had settled still count, net of the refund
+      {
+        $match: {
+          $or: [
+            { status: "SUCCESS" },
+            { status: "REFUNDED", processedAt: { $ne: null } },
+          ],
+        },
+      },
+      {
+        $group: {
+          _id: "$organId",
+          totalUSD: {
+            $sum: {
+              $subtract: [
+                "$amountUSD",
+                { $ifNull: ["$refundedAmountUSD", 0] },
+              ],
+            },
+          },
+          vialCount: { $sum: 1 },
+        },
+      },
+    ]);
+    const totalsByOrgan = new Map(
+      totals.map((total) => [total._id.toString(), total]),
+    );
+
+    // Settled vials whose credit never completed
+    const uncredited = await Vial.find(
+      { status: "SUCCESS", creditedAt: null },
+      { organId: 1 },
+    ).lean();
+    const uncreditedByOrgan = new Map();
+    for (const vial of uncredited) {
+      const key = vial.organId.toString();
+      uncreditedByOrgan.set(key, [
+        ...(uncreditedByOrgan.get(key) || []),
+        vial._id,
+      ]);
+    }
+
+    const organs = await Organ.find({});
+    const report = [];
+
+    for (const organ of organs) {
+      const total = totalsByOrgan.get(organ._id.toString());
+      const uncreditedVialIds = uncreditedByOrgan.get(organ._id.toString()) || [];
+      // Funding archived by campaign rollovers is no longer in currentFundingUSD
+      const expectedUSD =
+        Math.round(
+          ((total?.totalUSD || 0) - (organ.archivedFundingUSD || 0)) * 100,
+        ) / 100;
+      const driftUSD =
+        Math.round((organ.currentFundingUSD - expectedUSD) * 100) / 100;
+
+      const entry = {
+        organId: organ._id,
+        organName: organ.name,
+        currentFundingUSD: organ.currentFundingUSD,
+        expectedFundingUSD: expectedUSD,
+        driftUSD,
+        vialCount: total?.vialCount || 0,
+        uncreditedVials: uncreditedVialIds.length,
+        uncreditedVialIds,
+        fixed: false,
+      };
+
+      // The recomputed total includes uncredited vials, so they are marked
+      // credited with it
+      if (fix && (driftUSD !== 0 || uncreditedVialIds.length > 0)) {
+        await Organ.updateOne(
+          { _id: organ._id },
+          {
+            currentFundingUSD: expectedUSD,
+            pendingCredits: [],
+            lastUpdated: new Date(),
+          },
+        );
+        await Vial.updateMany(
+          { _id: { $in: uncreditedVialIds }, creditedAt: null },
+          { creditedAt: new Date() },
+        );
+        entry.fixed = true;
+      }
+
+      report.push(entry);
+    }
+
+    return report;
+  }
+}
+
+module.exports = new FundingService();
@@ -0,0 +1,209 @@
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+require("dotenv").config();
+
+const DEFAULT_MODEL = "gemini-3-flash-preview";
+
+// Integer setting; 0 is a valid value (a disabled budget, no interval)
+const envInt = (name, fallback) => {
+  const configured = parseInt(process.env[name]);
+  return Number.isNaN(configured) ? fallback : configured;
+};
+
+/**
+ * Single gateway for Gemini calls.
+ * Each feature (diagnosis, vision) has its own model, daily call budget and
+ * minimum interval between calls, and its calls and token usage are counted
+ * for GET /api/organs/quota-status. Counters are in memory and reset daily.
+ */
+class GeminiService {
+  constructor() {
+    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+    this.features = {
+      // Organ diagnoses fall back to rule-based text, so stay conservative
+      // for the free tier
+      diagnosis: {
+        model: process.env.GEMINI_DIAGNOSIS_MODEL || DEFAULT_MODEL,
+        maxDailyCalls: envInt("GEMINI_DIAGNOSIS_DAILY_CALLS", 50),
+        minCallInterval:
+          envInt("GEMINI_DIAGNOSIS_MIN_INTERVAL_SECONDS", 60) * 1000,
+      },
+      // Restoration image verification has no fallback
+      vision: {
+        model: process.env.GEMINI_VISION_MODEL || DEFAULT_MODEL,
+        maxDailyCalls: envInt("GEMINI_VISION_DAILY_CALLS", 100),
+        minCallInterval: envInt("GEMINI_VISION_MIN_INTERVAL_SECONDS", 0) * 1000,
+      },
+    };
+
+    this.lastResetDate = new Date().toDateString();
+    this.usage = {};
+    for (const feature of Object.keys(this.features)) {
+      this.usage[feature] = this.emptyUsage();
+    }
+  }
+
+  /**
+   * Zeroed counters for one feature
+   * @returns {Object} Usage counters
+   */
+  emptyUsage() {
+    return {
+      calls: 0,
+      failures: 0,
+      promptTokens: 0,
+      outputTokens: 0,
+      totalTokens: 0,
+      lastCall: 0,
+    };
+  }
+
+  /**
+   * Reset the daily counters if it's a new day
+   */
+  resetDailyCounterIfNeeded() {
+    const today = new Date().toDateString();
+    if (this.lastResetDate !== today) {
+      for (const feature of Object.keys(this.features)) {
+        this.usage[feature] = this.emptyUsage();
+      }
+      this.lastResetDate = today;
+      console.log("🔄 Daily Gemini call counters reset");
+    }
+  }
+
+  /**
+   * Configuration of a feature
+   * @param {string} feature - diagnosis or vision
+   * @returns {Object} { model, maxDailyCalls, minCallInterval }
+   */
+  feature(feature) {
+    const config = this.features[feature];
+    if (!config) throw new Error(`Unknown Gemini feature: ${feature}`);
+    return config;
+  }
+
+  /**
+   * Whether a feature may call Gemini now
+   * @param {string} feature - diagnosis or vision
+   * @returns {Object} { allowed, reason }
+   */
+  availability(feature) {
+    this.resetDailyCounterIfNeeded();
+    const { maxDailyCalls, minCallInterval } = this.feature(feature);
+    const usage = this.usage[feature];
+
+    if (usage.calls >= maxDailyCalls) {
+      return {
+        allowed: false,
+        reason: `daily limit reached (${usage.calls}/${maxDailyCalls})`,
+      };
+    }
+
+    const sinceLastCall = Date.now() - usage.lastCall;
+    if (sinceLastCall < minCallInterval) {
+      return {
+        allowed: false,
+        reason: `rate limit (${Math.round(sinceLastCall / 1000)}s since last call)`,
+      };
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Call Gemini for a feature, counting the call against its budget and
+   * recording the response's token usage
+   * @param {string} feature - diagnosis or vision
+   * @param {string|Array} request - Prompt, or prompt and inline image parts
+   * @param {Object} generationConfig - Model generation settings
+   * @returns {Promise<Object>} { text, model, usage }
+   * @throws {Error} 429 when the feature's budget is used up
+   */
+  async generate(feature, request, generationConfig = {}) {
+    const { model, maxDailyCalls } = this.feature(feature);
+    const { allowed, reason } = this.availability(feature);
+    if (!allowed) {
+      const error = new Error(`Gemini ${feature} quota exceeded: ${reason}`);
+      error.statusCode = 429;
+      throw error;
+    }
+
+    // Count the call before awaiting so concurrent requests can't overrun
+    // the budget
+    const usage = this.usage[feature];
+    usage.calls++;
+    usage.lastCall = Date.now();
+    console.log(
+      `🤖 Calling Gemini ${feature} (${usage.calls}/${maxDailyCalls} today)`,
+    );
+
+    try {
+      const result = await this.genAI
+        .getGenerativeModel({ model, generationConfig })
+        .generateContent(request);
+      const response = await result.response;
+
+      const metadata = response.usageMetadata || {};
+      const tokens = {
+        promptTokens: metadata.promptTokenCount || 0,
+        outputTokens: metadata.candidatesTokenCount || 0,
+        totalTokens: metadata.totalTokenCount || 0,
+      };
+      usage.promptTokens += tokens.promptTokens;
+      usage.outputTokens += tokens.outputTokens;
+      usage.totalTokens += tokens.totalTokens;
+
+      return { text: response.text(), model, usage: tokens };
+    } catch (error) {
+      usage.failures++;
+      throw error;
+    }
+  }
+
+  /**
+   * Per-feature budgets and usage for today
+   * @returns {Object} Quota status
+   */
+  getQuotaStatus() {
+    this.resetDailyCounterIfNeeded();
+
+    const features = {};
+    for (const [name, config] of Object.entries(this.features)) {
+      const usage = this.usage[name];
+      features[name] = {
+        model: config.model,
+        dailyCallsUsed: usage.calls,
+        dailyCallsLimit: config.maxDailyCalls,
+        remainingCalls: Math.max(0, config.maxDailyCalls - usage.calls),
+        percentageUsed: this.percentageUsed(usage.calls, config.maxDailyCalls),
+        failedCalls: usage.failures,
+        tokens: {
+          prompt: usage.promptTokens,
+          output: usage.outputTokens,
+          total: usage.totalTokens,
+        },
+        lastGeminiCall:
+          usage.lastCall > 0 ? new Date(usage.lastCall).toISOString() : null,
+        minCallIntervalSeconds: config.minCallInterval / 1000,
+        status:
+          usage.calls < config.maxDailyCalls ? "AVAILABLE" : "QUOTA_EXCEEDED",
+      };
+    }
+
+    return { lastResetDate: this.lastResetDate, features };
+  }
+
+  /**
+   * Share of a call budget used, as reported by quota-status. A zero budget
+   * counts as used up
+   * @param {number} used - Calls made
+   * @param {number} limit - Daily call budget
+   * @returns {string} Percentage with one decimal
+   */
+  percentageUsed(used, limit) {
+    return limit > 0 ? ((used / limit) * 100).toFixed(1) : "100.0";
+  }
+}
+
+module.exports = new GeminiService();
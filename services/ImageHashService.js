@@ -0,0 +1,79 @@
+const sharp = require("sharp");
+
+// A 64-bit hash split into 8-bit bands for indexed candidate lookup
+const BAND_COUNT = 8;
+const BAND_HEX_LENGTH = 2;
+
+/**
+ * Perceptual (difference) hashes of images.
+ * Re-encoded, resized or lightly edited copies of a photo hash to values a
+ * few bits apart, unlike their sha256. Two hashes within BAND_COUNT - 1 bits
+ * of each other always share at least one band, so near-duplicates can be
+ * found with an indexed `$in` on the bands before comparing exact distances.
+ */
+class ImageHashService {
+  get maxDistance() {
+    return BAND_COUNT - 1;
+  }
+
+  /**
+   * 64-bit dHash of an image: 9x8 grayscale thumbnail, one bit per
+   * horizontally adjacent pixel pair
+   * @param {Buffer} buffer - Image contents
+   * @returns {Promise<string|null>} 16-character hex hash, or null if the
+   *   image could not be decoded
+   */
+  async hash(buffer) {
+    try {
+      const pixels = await sharp(buffer)
+        .rotate()
+        .grayscale()
+        .resize(9, 8, { fit: "fill" })
+        .raw()
+        .toBuffer();
+
+      let bits = 0n;
+      for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+          const left = pixels[row * 9 + col];
+          const right = pixels[row * 9 + col + 1];
+          bits = (bits << 1n) | (left > right ? 1n : 0n);
+        }
+      }
+      return bits.toString(16).padStart(16, "0");
+    } catch (error) {
+      console.warn(`⚠️ Could not hash image: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Index keys of a hash, e.g. ['0:a3', '1:07', ...]
+   * @param {string} hash - Hex hash
+   * @returns {Array<string>} Bands
+   */
+  bands(hash) {
+    if (!hash) return [];
+    return Array.from(
+      { length: BAND_COUNT },
+      (_, i) =>
+        `${i}:${hash.slice(i * BAND_HEX_LENGTH, (i + 1) * BAND_HEX_LENGTH)}`,
+    );
+  }
+
+  /**
+   * Number of differing bits between two hashes
+   * @returns {number} Hamming distance (0-64)
+   */
+  distance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (diff) {
+      count += Number(diff & 1n);
+      diff >>= 1n;
+    }
+    return count;
+  }
+}
+
+module.exports = new ImageHashService();
@@ -0,0 +1,43 @@
+const axios = require("axios");
+require("dotenv").config();
+
+/**
+ * Sends transactional email through an HTTP mail API.
+ * MAIL_API_URL can point at the local stand-in (scripts/mail-standin.js);
+ * without it, messages are dropped and only their recipient and subject are
+ * logged, since bodies carry sign-in tokens.
+ */
+class MailService {
+  get from() {
+    return process.env.MAIL_FROM || "Aiye <no-reply@aiye.earth>";
+  }
+
+  /**
+   * Send a plain-text email
+   * @param {Object} message - { to, subject, text }
+   * @returns {Promise<boolean>} Whether the message was handed to the mail API
+   */
+  async send({ to, subject, text }) {
+    const apiUrl = process.env.MAIL_API_URL;
+
+    if (!apiUrl) {
+      console.log(`✉️ Mail to ${to} not sent (MAIL_API_URL not set): ${subject}`);
+      return false;
+    }
+
+    await axios.post(
+      apiUrl,
+      { from: this.from, to, subject, text },
+      {
+        headers: process.env.MAIL_API_KEY
+          ? { Authorization: `Bearer ${process.env.MAIL_API_KEY}` }
+          : {},
+        timeout: 10000,
+      },
+    );
+    console.log(`✉️ Mail sent to ${to}: ${subject}`);
+    return true;
+  }
+}
+
+module.exports = new MailService();
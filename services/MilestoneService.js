@@ -0,0 +1,482 @@
+const Organ = require("../models/Organ");
+const MilestoneEvent = require("../models/MilestoneEvent");
+const organEventService = require("./OrganEventService");
+const outboundWebhookService = require("./OutboundWebhookService");
+
+// Used for organs without their own milestones; 50% keeps the original
+// rule that an INFLAMED organ starts HEALING at half its target
+const DEFAULT_MILESTONES = [
+  { percentage: 25, label: "Quarter funded" },
+  {
+    percentage: 50,
+    label: "Half funded",
+    setState: "HEALING",
+    fromStates: ["INFLAMED"],
+  },
+  { percentage: 75, label: "Three quarters funded" },
+  { percentage: 100, label: "Fully funded" },
+];
+
+// Rollovers of very large vials can complete several campaigns at once
+const MAX_CAMPAIGNS_PER_EVALUATION = 10;
+
+/**
+ * Funding milestones per organ campaign.
+ * Each milestone fires once per campaign: it can move the organ to a new
+ * symptom state and boost its health score, and is recorded as a
+ * MilestoneEvent, published over SSE and sent to outbound webhooks.
+ * Reaching 100% also applies the organ's onTargetReached action.
+ */
+class MilestoneService {
+  /**
+   * Milestones in effect for an organ, ascending; 100% is always included
+   * @param {Object} organ - Organ document
+   * @returns {Array<Object>} Milestones
+   */
+  getMilestones(organ) {
+    const configured = organ.milestones?.length
+      ? organ.milestones.map((milestone) =>
+          milestone.toObject ? milestone.toObject() : milestone,
+        )
+      : DEFAULT_MILESTONES;
+
+    const milestones = [...configured].sort(
+      (a, b) => a.percentage - b.percentage,
+    );
+    if (!milestones.some((milestone) => milestone.percentage === 100)) {
+      milestones.push({ percentage: 100, label: "Fully funded" });
+    }
+    return milestones;
+  }
+
+  /**
+   * Query condition: the organ's funding is at or above a percentage of target
+   */
+  fundedAtLeast(percentage) {
+    return {
+      targetFundingUSD: { $gt: 0 },
+      $expr: {
+        $gte: [
+          "$currentFundingUSD",
+          { $multiply: ["$targetFundingUSD", percentage / 100] },
+        ],
+      },
+    };
+  }
+
+  /**
+   * Store the default first campaign on organs created before campaigns
+   * existed, so campaign conditions match them
+   * @param {Object} organ - Organ document
+   */
+  async ensureCampaign(organ) {
+    await Organ.updateOne(
+      { _id: organ._id, campaign: { $exists: false } },
+      {
+        $set: {
+          campaign: {
+            number: 1,
+            status: "OPEN",
+            startedAt: organ.createdAt || new Date(),
+            closedAt: null,
+            reachedMilestones: [],
+          },
+        },
+      },
+    );
+  }
+
+  /**
+   * Fire every milestone the organ has newly reached, e.g. after a vial is
+   * credited. Safe to call concurrently: each milestone is claimed atomically.
+   * @param {Object} organ - Organ document after the change
+   * @param {Object} context - { vialId } that triggered the evaluation
+   * @returns {Promise<Object>} The organ after all milestone actions
+   */
+  async evaluate(organ, { vialId = null } = {}) {
+    let current = organ;
+    await this.ensureCampaign(current);
+
+    for (let round = 0; round < MAX_CAMPAIGNS_PER_EVALUATION; round++) {
+      const campaign = current.campaign.number;
+
+      for (const milestone of this.getMilestones(current)) {
+        if (current.fundingPercentage < milestone.percentage) break;
+
+        const claimed = await Organ.findOneAndUpdate(
+          {
+            _id: current._id,
+            "campaign.number": campaign,
+            "campaign.reachedMilestones": { $ne: milestone.percentage },
+            ...this.fundedAtLeast(milestone.percentage),
+          },
+          { $addToSet: { "campaign.reachedMilestones": milestone.percentage } },
+          { new: true },
+        );
+        if (!claimed) continue;
+
+        current = await this.applyMilestone(claimed, milestone, { vialId });
+      }
+
+      // A new campaign (NEW_TARGET or ROLLOVER) may already be partly funded
+      if (current.campaign.number === campaign) break;
+    }
+
+    return current;
+  }
+
+  /**
+   * Apply a claimed milestone's actions and record it
+   * @param {Object} organ - Organ document
+   * @param {Object} milestone - Milestone being reached
+   * @param {Object} context - { vialId }
+   * @returns {Promise<Object>} Updated organ
+   */
+  async applyMilestone(organ, milestone, { vialId }) {
+    const campaign = organ.campaign.number;
+    const previousState = organ.symptomState;
+    const fundingSnapshot = {
+      currentFundingUSD: organ.currentFundingUSD,
+      targetFundingUSD: organ.targetFundingUSD,
+    };
+    let current = organ;
+
+    if (milestone.setState) {
+      const moved = await Organ.findOneAndUpdate(
+        {
+          _id: current._id,
+          symptomState: milestone.fromStates?.length
+            ? { $in: milestone.fromStates }
+            : { $ne: milestone.setState },
+        },
+        { $set: { symptomState: milestone.setState, lastUpdated: new Date() } },
+        { new: true },
+      );
+      if (moved) current = moved;
+    }
+
+    if (milestone.healthBoost > 0) {
+      current = await Organ.findOneAndUpdate(
+        { _id: current._id },
+        [
+          {
+            $set: {
+              healthScore: {
+                $min: [100, { $add: ["$healthScore", milestone.healthBoost] }],
+              },
+              lastUpdated: new Date(),
+            },
+          },
+        ],
+        { new: true, updatePipeline: true },
+      );
+    }
+
+    let targetAction = null;
+    if (milestone.percentage === 100) {
+      ({ organ: current, action: targetAction } =
+        await this.applyTargetAction(current, campaign));
+    }
+
+    const event = await MilestoneEvent.create({
+      organId: current._id,
+      campaign,
+      type: "REACHED",
+      percentage: milestone.percentage,
+      label: milestone.label,
+      ...fundingSnapshot,
+      previousState,
+      newState: current.symptomState,
+      healthBoost: milestone.healthBoost || 0,
+      targetAction,
+    });
+
+    this.broadcast(event, current, { vialId });
+
+    console.log(
+      `🏁 Milestone ${milestone.percentage}% reached: ${current.name} (campaign ${campaign}${targetAction ? `, ${targetAction}` : ""})`,
+    );
+    return current;
+  }
+
+  /**
+   * Apply the organ's onTargetReached action when a campaign hits 100%
+   * @param {Object} organ - Organ document
+   * @param {number} campaign - Campaign that reached its target
+   * @returns {Promise<Object>} { organ, action }
+   */
+  async applyTargetAction(organ, campaign) {
+    const action = organ.onTargetReached?.action || "CONTINUE";
+    const now = new Date();
+    let updated = null;
+
+    if (action === "CLOSE") {
+      updated = await Organ.findOneAndUpdate(
+        { _id: organ._id, "campaign.number": campaign, "campaign.status": "OPEN" },
+        { $set: { "campaign.status": "CLOSED", "campaign.closedAt": now } },
+        { new: true },
+      );
+    } else if (action === "NEW_TARGET") {
+      const nextTargetUSD = organ.onTargetReached.nextTargetUSD;
+      if (!(nextTargetUSD > organ.targetFundingUSD)) {
+        console.warn(
+          `⚠️ ${organ.name} reached its target but nextTargetUSD (${nextTargetUSD}) is not above ${organ.targetFundingUSD}; continuing`,
+        );
+        return { organ, action: "CONTINUE" };
+      }
+
+      // Funding carries over, so milestones it already covers under the new
+      // target are marked reached without firing again
+      updated = await this.startCampaign(organ, {
+        targetFundingUSD: nextTargetUSD,
+      });
+      if (updated) {
+        // The next target has to be set again for the new campaign
+        updated = await Organ.findByIdAndUpdate(
+          updated._id,
+          { onTargetReached: { action: "CONTINUE", nextTargetUSD: null } },
+          { new: true },
+        );
+      }
+    } else if (action === "ROLLOVER") {
+      // The target amount is archived and the excess starts the next campaign
+      updated = await Organ.findOneAndUpdate(
+        {
+          _id: organ._id,
+          "campaign.number": campaign,
+          ...this.fundedAtLeast(100),
+        },
+        [
+          {
+            $set: {
+              currentFundingUSD: {
+                $subtract: ["$currentFundingUSD", "$targetFundingUSD"],
+              },
+              archivedFundingUSD: {
+                $add: [
+                  { $ifNull: ["$archivedFundingUSD", 0] },
+                  "$targetFundingUSD",
+                ],
+              },
+              campaign: {
+                number: campaign + 1,
+                status: "OPEN",
+                startedAt: now,
+                closedAt: null,
+                reachedMilestones: { $literal: [] },
+              },
+              lastUpdated: now,
+            },
+          },
+        ],
+        { new: true, updatePipeline: true },
+      );
+    }
+
+    return { organ: updated || organ, action };
+  }
+
+  /**
+   * Undo milestones of the current campaign that funding has dropped back
+   * below, e.g. after a refund. The milestone's state change is reverted if
+   * the organ is still in that state; health boosts are kept.
+   * @param {Object} organ - Organ document after the change
+   * @param {Object} context - { vialId } that triggered the evaluation
+   * @returns {Promise<Object>} The organ after reverting
+   */
+  async revert(organ, { vialId = null } = {}) {
+    let current = organ;
+    await this.ensureCampaign(current);
+    const campaign = current.campaign.number;
+    const milestones = this.getMilestones(current).reverse();
+
+    for (const milestone of milestones) {
+      if (current.fundingPercentage >= milestone.percentage) break;
+
+      const pulled = await Organ.findOneAndUpdate(
+        {
+          _id: current._id,
+          "campaign.number": campaign,
+          "campaign.reachedMilestones": milestone.percentage,
+          $expr: {
+            $lt: [
+              "$currentFundingUSD",
+              { $multiply: ["$targetFundingUSD", milestone.percentage / 100] },
+            ],
+          },
+        },
+        { $pull: { "campaign.reachedMilestones": milestone.percentage } },
+        { new: true },
+      );
+      if (!pulled) continue;
+      current = pulled;
+
+      const previousState = current.symptomState;
+      const reached = await MilestoneEvent.findOne({
+        organId: current._id,
+        campaign,
+        type: "REACHED",
+        percentage: milestone.percentage,
+      }).sort({ createdAt: -1 });
+
+      if (
+        milestone.setState &&
+        reached?.previousState &&
+        reached.previousState !== milestone.setState
+      ) {
+        const restored = await Organ.findOneAndUpdate(
+          { _id: current._id, symptomState: milestone.setState },
+          {
+            $set: {
+              symptomState: reached.previousState,
+              lastUpdated: new Date(),
+            },
+          },
+          { new: true },
+        );
+        if (restored) current = restored;
+      }
+
+      if (milestone.percentage === 100) {
+        const reopened = await Organ.findOneAndUpdate(
+          { _id: current._id, "campaign.number": campaign, "campaign.status": "CLOSED" },
+          { $set: { "campaign.status": "OPEN", "campaign.closedAt": null } },
+          { new: true },
+        );
+        if (reopened) current = reopened;
+      }
+
+      const event = await MilestoneEvent.create({
+        organId: current._id,
+        campaign,
+        type: "REVERTED",
+        percentage: milestone.percentage,
+        label: milestone.label,
+        currentFundingUSD: current.currentFundingUSD,
+        targetFundingUSD: current.targetFundingUSD,
+        previousState,
+        newState: current.symptomState,
+      });
+
+      this.broadcast(event, current, { vialId });
+
+      console.log(
+        `↩ Milestone ${milestone.percentage}% reverted: ${current.name} (campaign ${campaign})`,
+      );
+    }
+
+    return current;
+  }
+
+  /**
+   * Publish a milestone event over SSE and deliver it to outbound webhooks.
+   * Delivery runs in the background; results are stored on the event.
+   * @param {Object} event - MilestoneEvent document
+   * @param {Object} organ - Organ document
+   * @param {Object} context - { vialId }
+   */
+  broadcast(event, organ, { vialId }) {
+    const details = {
+      eventId: event._id,
+      type: event.type,
+      campaign: event.campaign,
+      percentage: event.percentage,
+      label: event.label,
+      previousState: event.previousState,
+      newState: event.newState,
+      healthBoost: event.healthBoost,
+      targetAction: event.targetAction,
+      vialId,
+    };
+
+    organEventService.publish("organ.milestone", organ, details);
+
+    outboundWebhookService
+      .dispatch("organ.milestone", {
+        ...details,
+        organ: organEventService.organSnapshot(organ),
+        currentFundingUSD: event.currentFundingUSD,
+        targetFundingUSD: event.targetFundingUSD,
+      })
+      .then((deliveries) => {
+        if (deliveries.length === 0) return;
+        return MilestoneEvent.updateOne({ _id: event._id }, { deliveries });
+      })
+      .catch((error) =>
+        console.error(`✗ Failed to deliver milestone ${event._id}:`, error.message),
+      );
+  }
+
+  /**
+   * Start a new campaign by hand, e.g. to reopen a CLOSED organ. Funding
+   * carries over like NEW_TARGET.
+   * @param {Object} organ - Organ document
+   * @param {Object} options - { targetFundingUSD } for the new campaign
+   * @returns {Promise<Object|null>} Updated organ, or null if another
+   *   campaign started concurrently
+   */
+  async startCampaign(organ, { targetFundingUSD = organ.targetFundingUSD } = {}) {
+    await this.ensureCampaign(organ);
+    const campaign = organ.campaign.number;
+    const now = new Date();
+
+    const updated = await Organ.findOneAndUpdate(
+      { _id: organ._id, "campaign.number": campaign },
+      {
+        $set: {
+          targetFundingUSD,
+          campaign: {
+            number: campaign + 1,
+            status: "OPEN",
+            startedAt: now,
+            closedAt: null,
+            reachedMilestones: this.getMilestones(organ)
+              .filter(
+                (milestone) =>
+                  targetFundingUSD > 0 &&
+                  organ.currentFundingUSD >=
+                    (targetFundingUSD * milestone.percentage) / 100,
+              )
+              .map((milestone) => milestone.percentage),
+          },
+          lastUpdated: now,
+        },
+      },
+      { new: true, runValidators: true },
+    );
+
+    if (updated) {
+      console.log(
+        `🏁 Campaign ${campaign + 1} started: ${updated.name} (target ${targetFundingUSD} USD)`,
+      );
+    }
+    return updated;
+  }
+
+  /**
+   * Milestones in effect for an organ, reached ones and recent events
+   * @param {Object} organ - Organ document
+   * @param {Object} options - { limit } of events to return
+   * @returns {Promise<Object>} Milestone overview
+   */
+  async getOverview(organ, { limit = 50 } = {}) {
+    const reached = new Set(organ.campaign.reachedMilestones);
+    const events = await MilestoneEvent.find({ organId: organ._id })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    return {
+      campaign: organ.campaign,
+      onTargetReached: organ.onTargetReached,
+      archivedFundingUSD: organ.archivedFundingUSD,
+      fundingPercentage: organ.fundingPercentage,
+      milestones: this.getMilestones(organ).map((milestone) => ({
+        ...milestone,
+        reached: reached.has(milestone.percentage),
+      })),
+      events,
+    };
+  }
+}
+
+module.exports = new MilestoneService();
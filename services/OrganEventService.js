@@ -0,0 +1,126 @@
+const EventEmitter = require("events");
+require("dotenv").config();
+
+/**
+ * Broadcasts organ changes to Server-Sent Events subscribers
+ * Keeps a bounded in-memory buffer so clients can resume via Last-Event-ID
+ */
+class OrganEventService extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // One listener per connected client
+
+    // IDs start from the boot time so IDs from a previous process are
+    // outside this process's range and trigger a resync
+    this.bootEventId = Date.now();
+    this.lastEventId = this.bootEventId;
+    this.buffer = [];
+    this.bufferSize = parseInt(process.env.SSE_BUFFER_SIZE) || 500;
+  }
+
+  /**
+   * Snapshot of the organ fields clients render
+   * @param {Object} organ - Organ document
+   * @returns {Object} Organ state
+   */
+  organSnapshot(organ) {
+    return {
+      id: organ._id,
+      name: organ.name,
+      type: organ.type,
+      healthScore: organ.healthScore,
+      symptomState: organ.symptomState,
+      currentFundingUSD: organ.currentFundingUSD,
+      targetFundingUSD: organ.targetFundingUSD,
+      fundingPercentage: organ.fundingPercentage,
+      campaign: organ.campaign,
+      diagnosis: organ.diagnosis,
+      lastUpdated: organ.lastUpdated,
+    };
+  }
+
+  /**
+   * Publish an organ change to all subscribers
+   * @param {string} type - Event type (e.g. 'organ.diagnosed')
+   * @param {Object} organ - Organ document after the change
+   * @param {Object} details - Change-specific details
+   * @returns {Object} The published event
+   */
+  publish(type, organ, details = {}) {
+    const event = {
+      id: ++this.lastEventId,
+      type,
+      data: {
+        organ: this.organSnapshot(organ),
+        details,
+        timestamp: new Date().toISOString(),
+      },
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    this.emit("event", event);
+    return event;
+  }
+
+  /**
+   * Events published after the given ID
+   * @param {number} lastEventId - Last event ID the client received
+   * @returns {Object} Missed events, whether they can be replayed, and why not
+   */
+  getEventsSince(lastEventId) {
+    // Anything outside this process's IDs came from a previous boot (whose
+    // IDs can run past the current ones after a quick restart) or is invalid
+    if (
+      Number.isNaN(lastEventId) ||
+      lastEventId < this.bootEventId ||
+      lastEventId > this.lastEventId
+    ) {
+      return { events: [], complete: false, reason: "UNKNOWN_EVENT_ID" };
+    }
+
+    const oldest = this.buffer[0];
+    if (oldest && lastEventId < oldest.id - 1) {
+      return { events: [], complete: false, reason: "BUFFER_EXPIRED" };
+    }
+
+    return {
+      events: this.buffer.filter((event) => event.id > lastEventId),
+      complete: true,
+      reason: null,
+    };
+  }
+
+  /**
+   * Event telling a client its missed events can't be replayed, carrying the
+   * current ID so it resumes from here after refetching
+   * @param {string} reason - UNKNOWN_EVENT_ID or BUFFER_EXPIRED
+   * @returns {Object} organs.resync event
+   */
+  resyncEvent(reason) {
+    return {
+      id: this.lastEventId,
+      type: "organs.resync",
+      data: {
+        reason,
+        message:
+          "Missed events are no longer available. Refetch GET /api/organs.",
+        timestamp: new Date().toISOString(),
+      },
+    };
+  }
+
+  /**
+   * Serialize an event in SSE wire format
+   * @param {Object} event - Event with id, type and data
+   * @returns {string} SSE frame
+   */
+  format(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+  }
+}
+
+module.exports = new OrganEventService();
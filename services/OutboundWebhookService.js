@@ -0,0 +1,108 @@
+const axios = require("axios");
+const crypto = require("crypto");
+require("dotenv").config();
+
+/**
+ * Delivers platform events to partner endpoints listed in
+ * OUTBOUND_WEBHOOK_URLS. Bodies are signed with OUTBOUND_WEBHOOK_SECRET
+ * (X-Aiye-Signature: sha256=<hex HMAC of the raw body>).
+ */
+class OutboundWebhookService {
+  get urls() {
+    return (process.env.OUTBOUND_WEBHOOK_URLS || "")
+      .split(",")
+      .map((url) => url.trim())
+      .filter(Boolean);
+  }
+
+  get retries() {
+    return parseInt(process.env.OUTBOUND_WEBHOOK_RETRIES) || 3;
+  }
+
+  sign(body) {
+    return crypto
+      .createHmac("sha256", process.env.OUTBOUND_WEBHOOK_SECRET || "")
+      .update(body)
+      .digest("hex");
+  }
+
+  /**
+   * POST one event to one endpoint, retrying with exponential backoff
+   * @param {string} url - Endpoint URL
+   * @param {string} type - Event type
+   * @param {string} body - Serialized event
+   * @returns {Promise<Object>} { url, statusCode, attempts, error, deliveredAt }
+   */
+  async deliver(url, type, body) {
+    const result = {
+      url,
+      statusCode: null,
+      attempts: 0,
+      error: null,
+      deliveredAt: null,
+    };
+
+    while (result.attempts < this.retries) {
+      result.attempts++;
+      try {
+        const response = await axios.post(url, body, {
+          headers: {
+            "Content-Type": "application/json",
+            "X-Aiye-Event": type,
+            ...(process.env.OUTBOUND_WEBHOOK_SECRET && {
+              "X-Aiye-Signature": `sha256=${this.sign(body)}`,
+            }),
+          },
+          timeout: 10000,
+        });
+        result.statusCode = response.status;
+        result.error = null;
+        result.deliveredAt = new Date();
+        return result;
+      } catch (error) {
+        result.statusCode = error.response?.status || null;
+        result.error = error.message;
+
+        // Client errors other than rate limiting will not succeed on retry
+        if (
+          result.statusCode >= 400 &&
+          result.statusCode < 500 &&
+          result.statusCode !== 429
+        ) {
+          break;
+        }
+        if (result.attempts < this.retries) {
+          await new Promise((resolve) =>
+            setTimeout(resolve, 1000 * 2 ** (result.attempts - 1)),
+          );
+        }
+      }
+    }
+
+    console.error(
+      `✗ Webhook ${type} to ${url} failed after ${result.attempts} attempt(s): ${result.error}`,
+    );
+    return result;
+  }
+
+  /**
+   * Send an event to every configured endpoint
+   * @param {string} type - Event type (e.g. 'organ.milestone')
+   * @param {Object} data - Event payload
+   * @returns {Promise<Array<Object>>} One delivery result per endpoint
+   */
+  async dispatch(type, data) {
+    const urls = this.urls;
+    if (urls.length === 0) return [];
+
+    const body = JSON.stringify({
+      type,
+      data,
+      timestamp: new Date().toISOString(),
+    });
+
+    return Promise.all(urls.map((url) => this.deliver(url, type, body)));
+  }
+}
+
+module.exports = new OutboundWebhookService();
@@ -0,0 +1,211 @@
+const builtInProviders = require("./providers");
+require("dotenv").config();
+
+/**
+ * Registry of environmental data providers
+ *
+ * Each provider declares the organ type it serves, a priority (lower runs
+ * first), the env keys it needs and a normalizer to the common metric schema:
+ *   Lungs: { alertCount, totalAreaHa, region }
+ *   Veins: { pH, acidificationLevel, location }
+ *   Skin:  { aqi, pm25, pm10, no2, location }
+ * plus { dataSource, provider, simulated, timestamp } on every result.
+ *
+ * Configuration:
+ *   DATA_PROVIDERS_DISABLED=global-forest-watch,openweather
+ *   DATA_PROVIDER_PRIORITIES=open-meteo:5,openweather:15
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.stats = new Map();
+
+    // Measured fields of the common metric schema, per organ type
+    this.metricFields = {
+      Lungs: ["alertCount", "totalAreaHa"],
+      Veins: ["pH", "acidificationLevel"],
+      Skin: ["aqi", "pm25", "pm10", "no2"],
+    };
+
+    builtInProviders.forEach((provider) => this.register(provider));
+  }
+
+  /**
+   * Register a provider, replacing any provider with the same name
+   * @param {Object} provider - Provider definition
+   */
+  register(provider) {
+    const required = ["name", "organType", "fetch", "normalize"];
+    const missing = required.filter((key) => !provider[key]);
+    if (missing.length > 0) {
+      throw new Error(`Provider is missing ${missing.join(", ")}`);
+    }
+
+    this.providers.set(provider.name, {
+      priority: 100,
+      requiredEnv: [],
+      simulated: false,
+      ...provider,
+    });
+
+    if (!this.stats.has(provider.name)) {
+      this.stats.set(provider.name, {
+        attempts: 0,
+        successes: 0,
+        failures: 0,
+        totalLatencyMs: 0,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        lastError: null,
+      });
+    }
+  }
+
+  /**
+   * Parse a comma-separated env list
+   */
+  parseList(value) {
+    return (value || "")
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Priority for a provider, honouring DATA_PROVIDER_PRIORITIES overrides
+   */
+  getPriority(provider) {
+    const override = this.parseList(process.env.DATA_PROVIDER_PRIORITIES)
+      .map((entry) => entry.split(":"))
+      .find(([name]) => name === provider.name);
+
+    const priority = override ? parseInt(override[1]) : NaN;
+    return isNaN(priority) ? provider.priority : priority;
+  }
+
+  isEnabled(provider) {
+    return !this.parseList(process.env.DATA_PROVIDERS_DISABLED).includes(
+      provider.name,
+    );
+  }
+
+  /**
+   * Env keys the provider needs that are unset or still placeholders
+   */
+  getMissingEnv(provider) {
+    return provider.requiredEnv.filter((key) => {
+      const value = process.env[key];
+      return !value || value.startsWith("your_");
+    });
+  }
+
+  /**
+   * Enabled, configured providers for an organ type in priority order
+   * @param {string} organType - Type of organ (Lungs/Veins/Skin)
+   * @returns {Array<Object>} Providers
+   */
+  getChain(organType) {
+    return [...this.providers.values()]
+      .filter(
+        (provider) =>
+          provider.organType === organType &&
+          this.isEnabled(provider) &&
+          this.getMissingEnv(provider).length === 0,
+      )
+      .sort((a, b) => this.getPriority(a) - this.getPriority(b));
+  }
+
+  /**
+   * Fetch metrics for an organ, trying each provider in priority order
+   * @param {string} organType - Type of organ (Lungs/Veins/Skin)
+   * @param {Object} geo - Organ geo context (see Organ#getGeoContext)
+   * @returns {Promise<Object>} Normalized metrics
+   */
+  async fetchMetrics(organType, geo) {
+    const chain = this.getChain(organType);
+    if (chain.length === 0) {
+      throw new Error(`No data providers available for ${organType}`);
+    }
+
+    const errors = [];
+    for (const provider of chain) {
+      const stats = this.stats.get(provider.name);
+      const startedAt = Date.now();
+      stats.attempts++;
+
+      try {
+        console.log(`Trying ${provider.name} for ${geo.label}...`);
+        const raw = await provider.fetch(geo);
+        const metrics = provider.normalize(raw, geo);
+
+        stats.successes++;
+        stats.totalLatencyMs += Date.now() - startedAt;
+        stats.lastSuccessAt = new Date();
+
+        return {
+          ...metrics,
+          provider: provider.name,
+          simulated: provider.simulated,
+          timestamp: new Date().toISOString(),
+        };
+      } catch (error) {
+        stats.failures++;
+        stats.totalLatencyMs += Date.now() - startedAt;
+        stats.lastFailureAt = new Date();
+        stats.lastError = error.message;
+
+        console.error(`${provider.name} failed:`, error.message);
+        errors.push(`${provider.name}: ${error.message}`);
+      }
+    }
+
+    throw new Error(
+      `All data providers failed for ${organType}: ${errors.join("; ")}`,
+    );
+  }
+
+  /**
+   * Configuration and success/failure stats for every provider
+   * @returns {Array<Object>} Provider status list
+   */
+  getStatus() {
+    return [...this.providers.values()]
+      .sort(
+        (a, b) =>
+          a.organType.localeCompare(b.organType) ||
+          this.getPriority(a) - this.getPriority(b),
+      )
+      .map((provider) => {
+        const stats = this.stats.get(provider.name);
+        const missingEnv = this.getMissingEnv(provider);
+
+        return {
+          name: provider.name,
+          organType: provider.organType,
+          priority: this.getPriority(provider),
+          enabled: this.isEnabled(provider),
+          configured: missingEnv.length === 0,
+          missingEnv,
+          simulated: provider.simulated,
+          stats: {
+            attempts: stats.attempts,
+            successes: stats.successes,
+            failures: stats.failures,
+            successRate:
+              stats.attempts > 0
+                ? ((stats.successes / stats.attempts) * 100).toFixed(1)
+                : null,
+            avgLatencyMs:
+              stats.attempts > 0
+                ? Math.round(stats.totalLatencyMs / stats.attempts)
+                : null,
+            lastSuccessAt: stats.lastSuccessAt,
+            lastFailureAt: stats.lastFailureAt,
+            lastError: stats.lastError,
+          },
+        };
+      });
+  }
+}
+
+module.exports = new ProviderRegistry();
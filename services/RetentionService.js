@@ -0,0 +1,144 @@
+const cron = require("node-cron");
+const Vial = require("../models/Vial");
+const WebhookEvent = require("../models/WebhookEvent");
+require("dotenv").config();
+
+// Flutterwave transaction fields kept for audit once a vial is redacted;
+// customer, card, IP and device details are dropped
+const AUDIT_FIELDS = [
+  "id",
+  "tx_ref",
+  "flw_ref",
+  "status",
+  "amount",
+  "charged_amount",
+  "app_fee",
+  "merchant_fee",
+  "amount_settled",
+  "currency",
+  "payment_type",
+  "processor_response",
+  "created_at",
+];
+
+/**
+ * Build a $set expression keeping only the audit fields of a sub-document
+ * @param {string} path - Field path (e.g. "flutterwaveData")
+ * @returns {Object} Aggregation expression
+ */
+const auditProjection = (path) =>
+  AUDIT_FIELDS.reduce((projection, field) => {
+    projection[field] = `$${path}.${field}`;
+    return projection;
+  }, {});
+
+/**
+ * Redacts raw Flutterwave payloads from settled vials and processed webhook
+ * events after VIAL_RETENTION_DAYS, on VIAL_RETENTION_CRON
+ */
+class RetentionService {
+  constructor() {
+    this.task = null;
+  }
+
+  get retentionDays() {
+    const days = parseInt(process.env.VIAL_RETENTION_DAYS);
+    return Number.isNaN(days) ? 30 : days;
+  }
+
+  /**
+   * Redact now and on VIAL_RETENTION_CRON (default daily at 03:30)
+   */
+  async start() {
+    const schedule = process.env.VIAL_RETENTION_CRON || "30 3 * * *";
+    if (!cron.validate(schedule)) {
+      console.error(
+        `✗ Invalid VIAL_RETENTION_CRON "${schedule}" - payment data will not be redacted`,
+      );
+      return;
+    }
+
+    await this.runRedaction();
+    this.task = cron.schedule(schedule, () => this.runRedaction());
+  }
+
+  stop() {
+    if (this.task) this.task.stop();
+    this.task = null;
+  }
+
+  async runRedaction() {
+    try {
+      await this.redact();
+    } catch (error) {
+      console.error("✗ Payment data redaction failed:", error.message);
+    }
+  }
+
+  /**
+   * Redact payloads verified or processed more than retentionDays ago
+   * @returns {Promise<Object>} { vials, webhookEvents } redacted counts
+   */
+  async redact() {
+    const cutoff = new Date(
+      Date.now() - this.retentionDays * 24 * 60 * 60 * 1000,
+    );
+
+    // Pending vials are not settled yet and have no payload to keep. Vials
+    // settled before verifiedAt existed are aged by processedAt, or updatedAt
+    const vials = await Vial.updateMany(
+      {
+        status: { $ne: "PENDING" },
+        $or: [
+          { verifiedAt: { $lt: cutoff } },
+          { verifiedAt: null, processedAt: { $lt: cutoff } },
+          { verifiedAt: null, processedAt: null, updatedAt: { $lt: cutoff } },
+        ],
+        flutterwaveDataRedactedAt: null,
+      },
+      [
+        {
+          $set: {
+            flutterwaveData: auditProjection("flutterwaveData"),
+            flutterwaveDataRedactedAt: "$$NOW",
+          },
+        },
+      ],
+      { updatePipeline: true },
+    );
+
+    // Failed events are kept whole until they are retried
+    const webhookEvents = await WebhookEvent.updateMany(
+      {
+        status: "PROCESSED",
+        processedAt: { $lt: cutoff },
+        payloadRedactedAt: null,
+      },
+      [
+        {
+          $set: {
+            payload: {
+              event: "$payload.event",
+              data: auditProjection("payload.data"),
+            },
+            payloadRedactedAt: "$$NOW",
+          },
+        },
+      ],
+      { updatePipeline: true },
+    );
+
+    const counts = {
+      vials: vials.modifiedCount,
+      webhookEvents: webhookEvents.modifiedCount,
+    };
+    if (counts.vials || counts.webhookEvents) {
+      console.log(
+        `🧹 Redacted payment data: ${counts.vials} vials, ${counts.webhookEvents} webhook events`,
+      );
+    }
+    return counts;
+  }
+}
+
+module.exports = new RetentionService();
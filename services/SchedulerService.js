@@ -0,0 +1,317 @@
+const cron = require("node-cron");
+const Organ = require("../models/Organ");
+const ScanJob = require("../models/ScanJob");
+const JobRun = require("../models/JobRun");
+const diagnosticService = require("./DiagnosticService");
+require("dotenv").config();
+
+/**
+ * In-process scheduler for background diagnostic scans
+ * One job per organ type, each with its own cron expression
+ */
+class SchedulerService {
+  constructor() {
+    this.defaultSchedule = "0 */6 * * *"; // Every 6 hours
+    this.lockTimeout =
+      (parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES) || 30) * 60 * 1000;
+    this.tasks = new Map();
+  }
+
+  /**
+   * Cron expression for an organ type, configurable via SCAN_SCHEDULE_<TYPE>
+   * @param {string} organType - Type of organ (Lungs/Veins/Skin)
+   * @returns {string} Cron expression
+   */
+  getScheduleFor(organType) {
+    return (
+      process.env[`SCAN_SCHEDULE_${organType.toUpperCase()}`] ||
+      this.defaultSchedule
+    );
+  }
+
+  /**
+   * Register jobs in MongoDB and start their cron tasks
+   */
+  async start() {
+    if (process.env.SCHEDULER_ENABLED === "false") {
+      console.log("⏸️ Scheduler disabled (SCHEDULER_ENABLED=false)");
+      return;
+    }
+
+    await this.releaseStaleWork();
+
+    for (const organType of Organ.schema.path("type").enumValues) {
+      const schedule = this.getScheduleFor(organType);
+
+      if (!cron.validate(schedule)) {
+        console.error(
+          `✗ Invalid cron expression for ${organType}: "${schedule}" - job not scheduled`,
+        );
+        continue;
+      }
+
+      const job = await ScanJob.findOneAndUpdate(
+        { name: `scan-${organType.toLowerCase()}` },
+        { $set: { organType, schedule } },
+        { new: true, upsert: true, setDefaultsOnInsert: true },
+      );
+
+      const task = cron.schedule(schedule, () => {
+        this.runScheduled(job._id).catch((error) =>
+          console.error(`✗ Scheduled job ${job.name} failed:`, error.message),
+        );
+      });
+      this.tasks.set(job._id.toString(), task);
+
+      await ScanJob.updateOne(
+        { _id: job._id },
+        { nextRunAt: task.getNextRun() },
+      );
+
+      console.log(`🕒 Scheduled ${job.name} (${schedule})`);
+    }
+  }
+
+  /**
+   * Release work left by processes that stopped mid-run: RUNNING runs with
+   * no progress and job locks taken longer than the lock timeout ago.
+   * Runs and locks of other processes that are still working are kept.
+   */
+  async releaseStaleWork() {
+    const staleBefore = new Date(Date.now() - this.lockTimeout);
+
+    await JobRun.updateMany(
+      { status: "RUNNING", updatedAt: { $lt: staleBefore } },
+      {
+        status: "FAILED",
+        finishedAt: new Date(),
+        error: "Interrupted: no progress within the job lock timeout",
+      },
+    );
+    await ScanJob.updateMany(
+      {
+        isRunning: true,
+        $or: [{ lockedAt: null }, { lockedAt: { $lt: staleBefore } }],
+      },
+      { isRunning: false, lockedAt: null },
+    );
+  }
+
+  /**
+   * Stop all cron tasks
+   */
+  stop() {
+    for (const task of this.tasks.values()) {
+      task.stop();
+    }
+    this.tasks.clear();
+  }
+
+  /**
+   * Cron tick handler - reloads the job so disabling takes effect immediately
+   * @param {string} jobId - ScanJob ID
+   */
+  async runScheduled(jobId) {
+    const job = await ScanJob.findById(jobId);
+    if (!job || !job.enabled) return;
+
+    await this.startRun(job, "SCHEDULED");
+  }
+
+  /**
+   * Start a run in the background, or record it as skipped if one is in progress
+   * @param {Object} job - ScanJob document
+   * @param {string} trigger - SCHEDULED or MANUAL
+   * @returns {Promise<Object>} The JobRun document and whether it was skipped
+   */
+  async startRun(job, trigger) {
+    const now = new Date();
+
+    // Atomically take the lock; stale locks from crashed runs can be reclaimed
+    const locked = await ScanJob.findOneAndUpdate(
+      {
+        _id: job._id,
+        $or: [
+          { isRunning: false },
+          { lockedAt: { $lt: new Date(now.getTime() - this.lockTimeout) } },
+        ],
+      },
+      { isRunning: true, lockedAt: now },
+      { new: true },
+    );
+
+    if (!locked) {
+      console.log(`⏭️ Skipping ${job.name}: previous run still in progress`);
+      const run = await JobRun.create({
+        jobId: job._id,
+        trigger,
+        status: "SKIPPED",
+        startedAt: now,
+        finishedAt: now,
+        error: "Previous run still in progress",
+      });
+      return { run, skipped: true };
+    }
+
+    // With the lock held, a run of this job still RUNNING is from an
+    // attempt whose lock expired
+    await JobRun.updateMany(
+      { jobId: job._id, status: "RUNNING" },
+      {
+        status: "FAILED",
+        finishedAt: now,
+        error: "Interrupted: job lock expired",
+      },
+    );
+
+    const run = await JobRun.create({
+      jobId: job._id,
+      trigger,
+      status: "RUNNING",
+      startedAt: now,
+    });
+
+    this.executeRun(locked, run).catch((error) =>
+      console.error(`✗ Job ${job.name} crashed:`, error.message),
+    );
+
+    return { run, skipped: false };
+  }
+
+  /**
+   * Scan every organ of the job's type and record the outcome
+   * @param {Object} job - ScanJob document (locked)
+   * @param {Object} run - JobRun document
+   */
+  async executeRun(job, run) {
+    console.log(`▶️ Job ${job.name} started (${run.trigger})`);
+
+    // Scheduled jobs scan one organ at a time to stay within Gemini rate limits
+    const status = await this.scanOrgans(
+      () => Organ.find({ type: job.organType, deletedAt: null }),
+      run,
+      1,
+    );
+
+    const task = this.tasks.get(job._id.toString());
+    await ScanJob.updateOne(
+      { _id: job._id },
+      {
+        isRunning: false,
+        lockedAt: null,
+        lastRunAt: run.startedAt,
+        lastStatus: status,
+        nextRunAt: task ? task.getNextRun() : job.nextRunAt,
+      },
+    );
+
+    console.log(`⏹️ Job ${job.name} finished: ${status}`);
+  }
+
+  /**
+   * Start an ad-hoc scan of all organs in the background
+   * @returns {Promise<Object>} The JobRun document used for progress polling
+   */
+  async startDiagnoseAll() {
+    const organs = await Organ.find({ deletedAt: null });
+    const run = await JobRun.create({
+      trigger: "DIAGNOSE_ALL",
+      status: "RUNNING",
+      startedAt: new Date(),
+      total: organs.length,
+    });
+
+    const concurrency = parseInt(process.env.DIAGNOSE_ALL_CONCURRENCY) || 3;
+
+    this.scanOrgans(() => organs, run, concurrency)
+      .then((status) =>
+        console.log(`⏹️ Diagnose-all ${run._id} finished: ${status}`),
+      )
+      .catch((error) =>
+        console.error(`✗ Diagnose-all ${run._id} crashed:`, error.message),
+      );
+
+    return run;
+  }
+
+  /**
+   * Scan organs with bounded concurrency, appending each result to the run
+   * as it completes so clients can poll partial progress
+   * @param {Function} loadOrgans - Returns the organs to scan
+   * @param {Object} run - JobRun document
+   * @param {number} concurrency - Maximum scans in flight
+   * @returns {Promise<string>} Final run status
+   */
+  async scanOrgans(loadOrgans, run, concurrency) {
+    const results = [];
+    let status = "FAILED";
+    let runError = null;
+
+    try {
+      const organs = await loadOrgans();
+      await JobRun.updateOne({ _id: run._id }, { total: organs.length });
+
+      let next = 0;
+      const worker = async () => {
+        while (next < organs.length) {
+          const organ = organs[next++];
+          let result;
+
+          try {
+            const { diagnosticResult } =
+              await diagnosticService.scanAndRecord(organ);
+
+            result = {
+              organId: organ._id,
+              organName: organ.name,
+              status: "success",
+              diagnosis: diagnosticResult.diagnosis,
+              dataQuality: diagnosticResult.dataQuality.status,
+              applied: diagnosticResult.dataQuality.applied,
+            };
+            console.log(`✓ ${organ.name}: ${diagnosticResult.status}`);
+          } catch (error) {
+            console.error(`✗ Error diagnosing ${organ.name}:`, error.message);
+            result = {
+              organId: organ._id,
+              organName: organ.name,
+              status: "error",
+              error: error.message,
+            };
+          }
+
+          results.push(result);
+          await JobRun.updateOne(
+            { _id: run._id },
+            { $push: { results: result } },
+          );
+        }
+      };
+
+      await Promise.all(
+        Array.from(
+          { length: Math.min(Math.max(1, concurrency), organs.length) },
+          worker,
+        ),
+      );
+
+      const failures = results.filter((r) => r.status === "error").length;
+      if (failures === 0) {
+        status = "SUCCESS";
+      } else if (failures < results.length) {
+        status = "PARTIAL";
+      }
+    } catch (error) {
+      runError = error.message;
+    }
+
+    await JobRun.updateOne(
+      { _id: run._id },
+      { status, finishedAt: new Date(), error: runError },
+    );
+
+    return status;
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,378 @@
+const crypto = require("crypto");
+const Subscription = require("../models/Subscription");
+const Vial = require("../models/Vial");
+const flutterwaveService = require("./FlutterwaveService");
+const currencyService = require("./CurrencyService");
+require("dotenv").config();
+
+/**
+ * Recurring monthly vials backed by Flutterwave payment plans.
+ * Each subscription gets its own plan so the donor's amount and currency
+ * are charged as-is; every recurring charge arrives as a webhook and is
+ * recorded as a Vial linked to the subscription.
+ */
+class SubscriptionService {
+  /**
+   * Hash a subscription management token
+   * @param {string} token - Token returned when the subscription was created
+   * @returns {string} Hex SHA-256 digest
+   */
+  hashToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+  }
+
+  /**
+   * Check a management token against the subscription's stored hash
+   * @param {Object} subscription - Subscription selected with +manageTokenHash
+   * @param {string} token - Token from the request
+   * @returns {boolean} Whether the token matches
+   */
+  verifyManageToken(subscription, token) {
+    if (!token || !subscription.manageTokenHash) return false;
+
+    const expected = Buffer.from(subscription.manageTokenHash, "hex");
+    const provided = Buffer.from(this.hashToken(token), "hex");
+    return crypto.timingSafeEqual(expected, provided);
+  }
+
+  /**
+   * Create a payment plan and a hosted payment link for the first charge
+   * @param {Object} params - { organ, email, name, anonymous, amount, currency }
+   * @returns {Promise<Object>} { subscription, vial, paymentLink, manageToken }
+   */
+  async createSubscription({
+    organ,
+    email,
+    name,
+    anonymous = false,
+    amount,
+    currency,
+  }) {
+    const conversion = currencyService.convertToUSD(amount, currency);
+
+    const plan = await flutterwaveService.createPaymentPlan({
+      name: `Aiye ${organ.name} - ${amount} ${currency} monthly`,
+      amount,
+      currency,
+      interval: "monthly",
+    });
+
+    const txRef = `SUB-${organ._id}-${Date.now()}`;
+    const manageToken = crypto.randomBytes(24).toString("hex");
+
+    const subscription = await Subscription.create({
+      organId: organ._id,
+      amount,
+      currency,
+      amountUSD: conversion.amountUSD,
+      donorEmail: email,
+      donorName: name,
+      anonymous,
+      flutterwavePlanId: String(plan.id),
+      initialTxRef: txRef,
+      manageTokenHash: this.hashToken(manageToken),
+    });
+
+    // The first charge is a regular vial; recurring ones are created by the webhook
+    const vial = await Vial.create({
+      organId: organ._id,
+      subscriptionId: subscription._id,
+      transactionRef: txRef,
+      amount,
+      amountUSD: conversion.amountUSD,
+      currency,
+      exchangeRate: conversion.rate,
+      exchangeRateTimestamp: conversion.rateTimestamp,
+      exchangeRateSource: conversion.rateSource,
+      donorEmail: email,
+      donorName: name,
+      anonymous,
+      status: "PENDING",
+    });
+
+    const payment = await flutterwaveService.createPaymentLink({
+      tx_ref: txRef,
+      amount,
+      currency,
+      payment_plan: plan.id,
+      redirect_url: `${process.env.FRONTEND_URL || "http://localhost:3000"}/payment/callback`,
+      customer: { email, name },
+      customizations: {
+        title: `Monthly vial for ${organ.name}`,
+        description: `Monthly contribution to restore Earth's ${organ.type}`,
+        logo: process.env.LOGO_URL || "",
+      },
+      meta: {
+        organId: organ._id.toString(),
+        organName: organ.name,
+        vialId: vial._id.toString(),
+        subscriptionId: subscription._id.toString(),
+      },
+    });
+
+    console.log(
+      `🔁 Subscription created: ${amount} ${currency}/month → ${organ.name}`,
+    );
+    return { subscription, vial, paymentLink: payment.link, manageToken };
+  }
+
+  /**
+   * Look up and store the Flutterwave subscription created by the first charge
+   * @param {Object} subscription - Subscription document
+   * @returns {Promise<string|null>} Flutterwave subscription ID
+   */
+  async resolveFlutterwaveSubscription(subscription) {
+    if (subscription.flutterwaveSubscriptionId) {
+      return subscription.flutterwaveSubscriptionId;
+    }
+
+    const remote = await flutterwaveService.findSubscription({
+      email: subscription.donorEmail,
+      planId: subscription.flutterwavePlanId,
+    });
+    if (!remote) return null;
+
+    subscription.flutterwaveSubscriptionId = String(remote.id);
+    await Subscription.updateOne(
+      { _id: subscription._id },
+      { flutterwaveSubscriptionId: subscription.flutterwaveSubscriptionId },
+    );
+    return subscription.flutterwaveSubscriptionId;
+  }
+
+  /**
+   * Stop monthly charges until the subscription is resumed
+   * @param {Object} subscription - ACTIVE subscription
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async pause(subscription) {
+    if (subscription.status !== "ACTIVE") {
+      throw this.stateError(subscription, "paused");
+    }
+
+    const remoteId = await this.resolveFlutterwaveSubscription(subscription);
+    if (!remoteId) {
+      throw this.conflict("Flutterwave has no subscription for this plan yet");
+    }
+    await flutterwaveService.deactivateSubscription(remoteId);
+
+    return this.transition(subscription, "PAUSED", { pausedAt: new Date() });
+  }
+
+  /**
+   * Resume monthly charges on a paused subscription
+   * @param {Object} subscription - PAUSED subscription
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async resume(subscription) {
+    if (subscription.status !== "PAUSED") {
+      throw this.stateError(subscription, "resumed");
+    }
+
+    const remoteId = subscription.flutterwavePlanId
+      ? await this.resolveFlutterwaveSubscription(subscription)
+      : null;
+    if (!remoteId) {
+      throw this.conflict("Subscription has no active payment plan");
+    }
+    await flutterwaveService.activateSubscription(remoteId);
+
+    return this.transition(subscription, "ACTIVE", { pausedAt: null });
+  }
+
+  /**
+   * Cancel the subscription and its payment plan; this cannot be undone
+   * @param {Object} subscription - Subscription that is not CANCELLED
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async cancel(subscription) {
+    if (subscription.status === "CANCELLED") {
+      throw this.stateError(subscription, "cancelled");
+    }
+
+    await flutterwaveService.cancelPaymentPlan(subscription.flutterwavePlanId);
+
+    return this.transition(subscription, "CANCELLED", {
+      cancelledAt: new Date(),
+    });
+  }
+
+  /**
+   * Conditionally move a subscription to a new status
+   * @param {Object} subscription - Subscription as read by the caller
+   * @param {string} status - Target status
+   * @param {Object} fields - Extra fields to set
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async transition(subscription, status, fields = {}) {
+    const updated = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: subscription.status },
+      { ...fields, status },
+      { new: true },
+    );
+    if (!updated) {
+      throw this.conflict("Subscription was changed by another request");
+    }
+    return updated;
+  }
+
+  stateError(subscription, action) {
+    return this.conflict(
+      `A ${subscription.status} subscription cannot be ${action}`,
+    );
+  }
+
+  conflict(message) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    return error;
+  }
+
+  /**
+   * Create the vial for a recurring charge reported by a webhook
+   * @param {Object} transaction - Charge from the webhook payload
+   * @returns {Promise<Object|null>} Vial, or null if the charge is not for a subscription
+   */
+  async createVialForCharge(transaction) {
+    const planId = transaction.payment_plan ?? transaction.paymentPlan;
+    const txRef = transaction.tx_ref || transaction.txRef;
+    if (!planId || !txRef) return null;
+
+    const subscription = await Subscription.findOne({
+      flutterwavePlanId: String(planId),
+    });
+    if (!subscription) return null;
+
+    // Converted at today's rate; the plan charges the same amount in its currency
+    const conversion = currencyService.convertToUSD(
+      subscription.amount,
+      subscription.currency,
+    );
+
+    try {
+      return await Vial.create({
+        organId: subscription.organId,
+        subscriptionId: subscription._id,
+        transactionRef: txRef,
+        amount: subscription.amount,
+        amountUSD: conversion.amountUSD,
+        currency: subscription.currency,
+        exchangeRate: conversion.rate,
+        exchangeRateTimestamp: conversion.rateTimestamp,
+        exchangeRateSource: conversion.rateSource,
+        donorEmail: subscription.donorEmail,
+        donorName: subscription.donorName,
+        anonymous: subscription.anonymous,
+        status: "PENDING",
+      });
+    } catch (error) {
+      // A concurrent delivery of the same charge created it first
+      if (error.code === 11000) {
+        return Vial.findOne({ transactionRef: txRef });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record a settled subscription charge; the first one activates the subscription
+   * @param {Object} vial - SUCCESS vial with a subscriptionId
+   */
+  async recordCharge(vial) {
+    const subscription = await Subscription.findOneAndUpdate(
+      { _id: vial.subscriptionId },
+      { $inc: { chargeCount: 1 }, $set: { lastChargedAt: new Date() } },
+      { new: true },
+    );
+    if (!subscription) return;
+
+    if (subscription.status === "PENDING") {
+      await Subscription.updateOne(
+        { _id: subscription._id, status: "PENDING" },
+        { status: "ACTIVE" },
+      );
+    }
+
+    try {
+      await this.resolveFlutterwaveSubscription(subscription);
+    } catch (error) {
+      // Looked up again when the donor pauses
+      console.warn(
+        `⚠️ Could not resolve Flutterwave subscription for ${subscription._id}: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Committed monthly funding from ACTIVE subscriptions, converted at current rates
+   * @returns {Promise<Map<string, Object>>} organId → { committedMonthlyUSD, activeSubscriptions }
+   */
+  async getCommittedMonthly() {
+    const totals = await Subscription.aggregate([
+      { $match: { status: "ACTIVE" } },
+      {
+        $group: {
+          _id: { organId: "$organId", currency: "$currency" },
+          amount: { $sum: "$amount" },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const commitments = new Map();
+    for (const total of totals) {
+      const key = total._id.organId.toString();
+      const commitment = commitments.get(key) || {
+        committedMonthlyUSD: 0,
+        activeSubscriptions: 0,
+      };
+
+      commitment.committedMonthlyUSD += currencyService.convertToUSD(
+        total.amount,
+        total._id.currency,
+      ).amountUSD;
+      commitment.activeSubscriptions += total.count;
+      commitments.set(key, commitment);
+    }
+
+    for (const commitment of commitments.values()) {
+      commitment.committedMonthlyUSD =
+        Math.round(commitment.committedMonthlyUSD * 100) / 100;
+    }
+    return commitments;
+  }
+
+  /**
+   * Project an organ's funding from its committed monthly subscriptions
+   * @param {Object} organ - Organ document
+   * @param {Object} commitment - { committedMonthlyUSD, activeSubscriptions }
+   * @returns {Object} Funding projection
+   */
+  projectFunding(organ, commitment) {
+    const committedMonthlyUSD = commitment?.committedMonthlyUSD || 0;
+    const remainingUSD = Math.max(
+      0,
+      organ.targetFundingUSD - organ.currentFundingUSD,
+    );
+
+    let monthsToTarget = null;
+    if (remainingUSD === 0) {
+      monthsToTarget = 0;
+    } else if (committedMonthlyUSD > 0) {
+      monthsToTarget = Math.ceil(remainingUSD / committedMonthlyUSD);
+    }
+
+    return {
+      committedMonthlyUSD,
+      activeSubscriptions: commitment?.activeSubscriptions || 0,
+      projectedFundingPercentageNextMonth: organ.targetFundingUSD
+        ? ((organ.currentFundingUSD + committedMonthlyUSD) /
+            organ.targetFundingUSD) *
+          100
+        : 0,
+      monthsToTarget,
+    };
+  }
+}
+
+module.exports = new SubscriptionService();
@@ -0,0 +1,894 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const sharp = require("sharp");
+const Ngo = require("../models/Ngo");
+const Organ = require("../models/Organ");
+const OrganEvent = require("../models/OrganEvent");
+const VerificationSubmission = require("../models/VerificationSubmission");
+const blobStorageService = require("./BlobStorageService");
+const exifService = require("./ExifService");
+const imageHashService = require("./ImageHashService");
+const organEventService = require("./OrganEventService");
+require("dotenv").config();
+
+const MIME_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "image/heic": "heic",
+  "image/heif": "heif",
+};
+
+// ISO base media brands of HEIC/HEIF photos
+const HEIC_BRANDS = ["heic", "heix", "heim", "heis", "hevc", "hevx"];
+const HEIF_BRANDS = ["mif1", "msf1"];
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+const IMAGE_ROLES = ["BEFORE", "AFTER"];
+const DUPLICATE_ACTIONS = ["REJECT", "FLAG"];
+
+// Confidence lost for each metadata check that could not be made
+const MISSING_METADATA_PENALTY = 20;
+
+// Numeric setting; 0 is a valid value (e.g. a boost cap of 0 disables boosts)
+const envNumber = (name, fallback) => {
+  const configured = parseFloat(process.env[name]);
+  return Number.isNaN(configured) ? fallback : configured;
+};
+
+// Organ changes for each recommendation on a verified submission
+const OUTCOME_EFFECTS = {
+  APPROVED: { state: "HEALTHY", healthBoost: 20 },
+  PARTIAL: { state: "HEALING", healthBoost: 10 },
+};
+
+/**
+ * Restoration verification submissions: who submitted, the stored before
+ * and after images, the verdict and the state change it caused, recorded
+ * as OrganEvent transitions
+ */
+class VerificationService {
+  fail(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  /**
+   * Resolve the NGO a submission is made for.
+   * NGO callers submit as their own NGO (the API key or JWT subject), which
+   * must be APPROVED and approved for the organ. Admins may name an NGO by
+   * ngoId or give a free-text ngoName.
+   * @param {Object} auth - req.auth
+   * @param {Object} params - { organ, ngoId, ngoName }
+   * @returns {Promise<Object>} { ngo, ngoName }
+   */
+  async resolveSubmitter(auth, { organ, ngoId, ngoName }) {
+    const id = auth.role === "ngo" ? auth.subject : ngoId;
+
+    if (!id) {
+      return { ngo: null, ngoName: ngoName || "" };
+    }
+
+    const ngo = mongoose.isValidObjectId(id) ? await Ngo.findById(id) : null;
+    if (!ngo) {
+      this.fail(auth.role === "ngo" ? 403 : 404, "NGO not found");
+    }
+
+    if (auth.role === "ngo") {
+      if (ngo.status !== "APPROVED") {
+        this.fail(403, `NGO is ${ngo.status.toLowerCase()}`);
+      }
+      if (!ngo.approvedOrgans.some((organId) => organId.equals(organ._id))) {
+        this.fail(403, "NGO is not approved to verify this organ");
+      }
+    }
+
+    return { ngo, ngoName: ngo.name };
+  }
+
+  /**
+   * Image type from the file's leading bytes
+   * @param {Buffer} buffer - Image contents
+   * @returns {string|null} MIME type, or null if not a supported image
+   */
+  sniffMimeType(buffer) {
+    if (buffer.length < 12) return null;
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+      return "image/jpeg";
+    }
+    if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+      return "image/png";
+    }
+    if (
+      buffer.toString("latin1", 0, 4) === "RIFF" &&
+      buffer.toString("latin1", 8, 12) === "WEBP"
+    ) {
+      return "image/webp";
+    }
+    if (/^GIF8[79]a$/.test(buffer.toString("latin1", 0, 6))) {
+      return "image/gif";
+    }
+    if (buffer.toString("latin1", 4, 8) === "ftyp") {
+      const brand = buffer.toString("latin1", 8, 12);
+      if (HEIC_BRANDS.includes(brand)) return "image/heic";
+      if (HEIF_BRANDS.includes(brand)) return "image/heif";
+    }
+    return null;
+  }
+
+  /**
+   * Read an uploaded image. The type comes from the bytes themselves; a
+   * data URL's declared type is ignored.
+   * @param {string|Object} input - Base64 string or data URL, or a multer
+   *   file ({ buffer })
+   * @returns {Object|null} { buffer, mimeType }, or null if not an image
+   */
+  readImage(input) {
+    let buffer;
+    if (typeof input === "string") {
+      buffer = Buffer.from(input.replace(/^data:[^,]*;base64,/, ""), "base64");
+    } else if (Buffer.isBuffer(input?.buffer)) {
+      buffer = input.buffer;
+    } else {
+      return null;
+    }
+
+    const mimeType = this.sniffMimeType(buffer);
+    return mimeType ? { buffer, mimeType } : null;
+  }
+
+  /**
+   * Downscale an image for Gemini to at most VERIFICATION_VISION_MAX_PX
+   * (default 1600) on its longest side, re-encoded as JPEG. Images sharp
+   * cannot decode (e.g. HEIC) are sent as uploaded.
+   * @param {Object} image - { buffer, mimeType } from readImage
+   * @returns {Promise<Object>} { data: base64, mimeType } for inlineData
+   */
+  async prepareForVision({ buffer, mimeType }) {
+    const maxPx = parseInt(process.env.VERIFICATION_VISION_MAX_PX) || 1600;
+    try {
+      const resized = await sharp(buffer)
+        .rotate()
+        .resize(maxPx, maxPx, { fit: "inside", withoutEnlargement: true })
+        .jpeg({ quality: 85 })
+        .toBuffer();
+      return { data: resized.toString("base64"), mimeType: "image/jpeg" };
+    } catch {
+      return { data: buffer.toString("base64"), mimeType };
+    }
+  }
+
+  /**
+   * Read a submission's before and after image sets
+   * @param {Object} sets - { beforeImages, afterImages }: arrays of base64
+   *   images or multer files
+   * @returns {Array<Object>} Images with their role
+   */
+  readImageSets({ beforeImages, afterImages }) {
+    const maxPerSet = parseInt(process.env.VERIFICATION_MAX_IMAGES) || 4;
+    const sets = { BEFORE: beforeImages, AFTER: afterImages };
+
+    return IMAGE_ROLES.flatMap((role) => {
+      const set = sets[role];
+      const field = `${role.toLowerCase()}Images`;
+      if (!Array.isArray(set) || set.length === 0) {
+        this.fail(400, `${field} must be a non-empty array of images`);
+      }
+      if (set.length > maxPerSet) {
+        this.fail(400, `${field} may contain at most ${maxPerSet} images`);
+      }
+
+      return set.map((input, index) => {
+        const image = this.readImage(input);
+        if (!image) {
+          this.fail(
+            415,
+            `${field}[${index}] is not a JPEG, PNG, WebP, GIF or HEIC image`,
+          );
+        }
+        return { ...image, role };
+      });
+    });
+  }
+
+  /**
+   * What happens to submissions with recycled after images:
+   * VERIFICATION_DUPLICATE_ACTION is REJECT (default) or FLAG for review
+   * @returns {string} REJECT | FLAG
+   */
+  get duplicateAction() {
+    const action = (process.env.VERIFICATION_DUPLICATE_ACTION || "").toUpperCase();
+    return DUPLICATE_ACTIONS.includes(action) ? action : "REJECT";
+  }
+
+  /**
+   * Store a submission's images with the configured blob store, reading
+   * each image's EXIF metadata and perceptual hash
+   * @param {Object} submissionId - ID the submission will be created with
+   * @param {Object} organ - Organ document
+   * @param {Array<Object>} images - { buffer, mimeType, role } from readImageSets
+   * @returns {Promise<Array<Object>>} Stored image references
+   */
+  async storeImages(submissionId, organ, images) {
+    const stored = [];
+    for (const [index, { buffer, mimeType, role }] of images.entries()) {
+      const extension = MIME_EXTENSIONS[mimeType] || "bin";
+      const ref = await blobStorageService.put(
+        `verifications/${organ._id}/${submissionId}-${index}.${extension}`,
+        buffer,
+        { contentType: mimeType },
+      );
+
+      const phash = await imageHashService.hash(buffer);
+      stored.push({
+        ...ref,
+        mimeType,
+        sha256: crypto.createHash("sha256").update(buffer).digest("hex"),
+        phash,
+        phashBands: imageHashService.bands(phash),
+        role,
+        exif: exifService.read(buffer),
+      });
+    }
+    return stored;
+  }
+
+  /**
+   * Find after images that were already submitted, as either image of any
+   * earlier submission. Before images are not checked: the same baseline
+   * photo of a site may back several submissions. Submissions that FAILED
+   * (so the NGO can retry the same set) and submissions rejected as
+   * duplicates themselves (so one photo doesn't chain matches) are skipped.
+   * Images match within VERIFICATION_DUPLICATE_DISTANCE bits (default 5,
+   * at most 7) of perceptual hash, or by sha256 when sharp could not decode
+   * them (no phash); each is linked to the earliest match.
+   * @param {Object} submission - Submission with stored images
+   * @returns {Promise<Array<Object>>} Duplicates for submission.duplicates
+   */
+  async findDuplicates(submission) {
+    const configured = parseInt(process.env.VERIFICATION_DUPLICATE_DISTANCE);
+    const maxDistance = Math.min(
+      imageHashService.maxDistance,
+      Number.isNaN(configured) ? 5 : configured,
+    );
+
+    const after = submission.images
+      .map((image, imageIndex) => ({ image, imageIndex }))
+      .filter(
+        ({ image }) => image.role === "AFTER" && (image.phash || image.sha256),
+      );
+    if (after.length === 0) return [];
+
+    const hashed = after.filter(({ image }) => image.phash);
+    const unhashed = after.filter(({ image }) => !image.phash);
+    const candidates = await VerificationSubmission.find(
+      {
+        _id: { $ne: submission._id },
+        outcome: { $ne: "FAILED" },
+        $nor: [{ outcome: "REJECTED", "duplicates.0": { $exists: true } }],
+        $or: [
+          {
+            "images.phashBands": {
+              $in: hashed.flatMap(({ image }) => image.phashBands),
+            },
+          },
+          {
+            "images.sha256": {
+              $in: unhashed.map(({ image }) => image.sha256),
+            },
+          },
+        ],
+      },
+      { images: 1, createdAt: 1 },
+    )
+      .sort({ createdAt: 1 })
+      .lean();
+
+    // Bits between two images, or null if they don't match
+    const distanceBetween = (image, original) => {
+      if (!image.phash) {
+        return original.sha256 === image.sha256 ? 0 : null;
+      }
+      if (!original.phash) return null;
+      const distance = imageHashService.distance(image.phash, original.phash);
+      return distance <= maxDistance ? distance : null;
+    };
+
+    const duplicates = [];
+    for (const { image, imageIndex } of after) {
+      for (const candidate of candidates) {
+        const originalImageIndex = candidate.images.findIndex(
+          (original) => distanceBetween(image, original) !== null,
+        );
+        if (originalImageIndex === -1) continue;
+
+        duplicates.push({
+          imageIndex,
+          submissionId: candidate._id,
+          originalImageIndex,
+          distance: distanceBetween(
+            image,
+            candidate.images[originalImageIndex],
+          ),
+        });
+        break;
+      }
+    }
+    return duplicates;
+  }
+
+  /**
+   * Verdict for a submission rejected for recycled images, without asking
+   * Gemini
+   * @param {Array<Object>} duplicates - From findDuplicates
+   * @returns {Object} Verification result
+   */
+  duplicateVerdict(duplicates) {
+    return {
+      verified: false,
+      confidence: 100,
+      analysis: "After images were already submitted",
+      recommendation: "REJECT",
+      reasons: duplicates.map(
+        (duplicate) =>
+          `images[${duplicate.imageIndex}] matches images[${duplicate.originalImageIndex}] of submission ${duplicate.submissionId}`,
+      ),
+    };
+  }
+
+  /**
+   * A submission's images; submissions from before image sets existed
+   * have their single image as the AFTER image
+   * @param {Object} submission - VerificationSubmission document
+   * @returns {Array<Object>} Stored image references
+   */
+  imagesOf(submission) {
+    if (submission.images?.length) return submission.images;
+    return submission.image
+      ? [{ ...submission.image.toObject(), role: "AFTER", exif: null }]
+      : [];
+  }
+
+  /**
+   * Check the images' EXIF metadata against the organ and each other.
+   * Each check is PASS, FAIL or MISSING (no image carried the metadata):
+   * - location: every geotagged image lies inside the organ's region
+   * - recency: every AFTER image was taken within
+   *   VERIFICATION_MAX_IMAGE_AGE_DAYS (default 30) and not in the future
+   * - ordering: every BEFORE image was taken before the first AFTER image
+   * @param {Object} organ - Organ document
+   * @param {Array<Object>} images - Stored images from storeImages
+   * @returns {Object} { location, recency, ordering }, each { status, detail }
+   */
+  checkMetadata(organ, images) {
+    const maxAgeDays = envNumber("VERIFICATION_MAX_IMAGE_AGE_DAYS", 30);
+    const now = Date.now();
+    const label = (image) =>
+      `${image.role.toLowerCase()} image ${
+        images.filter((i) => i.role === image.role).indexOf(image) + 1
+      }`;
+    const result = (status, detail) => ({ status, detail });
+
+    const geotagged = images.filter((image) => image.exif?.latitude != null);
+    const dated = images.filter((image) => image.exif?.capturedAt);
+    const datedAfter = dated.filter((image) => image.role === "AFTER");
+    const datedBefore = dated.filter((image) => image.role === "BEFORE");
+
+    // Location
+    let location;
+    const bbox = organ.getGeoContext()?.bbox;
+    if (!bbox) {
+      location = result("MISSING", "Organ has no location configured");
+    } else if (!images.some((i) => i.role === "AFTER" && geotagged.includes(i))) {
+      location = result("MISSING", "No after image has GPS coordinates");
+    } else {
+      const outside = geotagged.filter(
+        ({ exif }) =>
+          exif.latitude < bbox.minLat ||
+          exif.latitude > bbox.maxLat ||
+          exif.longitude < bbox.minLon ||
+          exif.longitude > bbox.maxLon,
+      );
+      location = outside.length
+        ? result(
+            "FAIL",
+            `${outside.map(label).join(", ")} taken outside ${organ.name}'s region`,
+          )
+        : result("PASS", `All geotagged images are inside ${organ.name}'s region`);
+    }
+
+    // Recency
+    let recency;
+    if (datedAfter.length === 0) {
+      recency = result("MISSING", "No after image has a capture date");
+    } else {
+      const stale = datedAfter.filter(
+        ({ exif }) => now - exif.capturedAt > maxAgeDays * 24 * 60 * 60 * 1000,
+      );
+      // Allow a day for camera clocks set to another time zone
+      const future = dated.filter(
+        ({ exif }) => exif.capturedAt - now > 24 * 60 * 60 * 1000,
+      );
+      if (future.length) {
+        recency = result(
+          "FAIL",
+          `${future.map(label).join(", ")} dated in the future`,
+        );
+      } else if (stale.length) {
+        recency = result(
+          "FAIL",
+          `${stale.map(label).join(", ")} taken more than ${maxAgeDays} days ago`,
+        );
+      } else {
+        recency = result("PASS", `After images taken within ${maxAgeDays} days`);
+      }
+    }
+
+    // Ordering
+    let ordering;
+    if (datedAfter.length === 0 || datedBefore.length === 0) {
+      ordering = result(
+        "MISSING",
+        "Before and after images both need a capture date",
+      );
+    } else {
+      const firstAfter = Math.min(
+        ...datedAfter.map(({ exif }) => exif.capturedAt.getTime()),
+      );
+      const late = datedBefore.filter(
+        ({ exif }) => exif.capturedAt.getTime() >= firstAfter,
+      );
+      ordering = late.length
+        ? result(
+            "FAIL",
+            `${late.map(label).join(", ")} taken after the after images`,
+          )
+        : result("PASS", "Before images predate the after images");
+    }
+
+    return { location, recency, ordering };
+  }
+
+  /**
+   * Combine Gemini's before/after comparison with the metadata checks.
+   * A failed check, or Gemini finding the sets show different places,
+   * rejects the submission; each check that could not be made lowers the
+   * confidence by MISSING_METADATA_PENALTY.
+   * @param {Object} comparison - Parsed Gemini comparison result
+   * @param {Object} metadata - Checks from checkMetadata
+   * @returns {Object} Final verification result
+   */
+  combineVerdict(comparison, metadata) {
+    const checks = Object.values(metadata);
+    const reasons = checks
+      .filter((check) => check.status === "FAIL")
+      .map((check) => check.detail);
+    if (comparison.sameLocation === false) {
+      reasons.push("Before and after images do not show the same location");
+    }
+
+    const missing = checks.filter((check) => check.status === "MISSING").length;
+    const confidence = Math.max(
+      0,
+      (Number(comparison.confidence) || 0) - missing * MISSING_METADATA_PENALTY,
+    );
+
+    const rejected = reasons.length > 0;
+    return {
+      verified: rejected ? false : Boolean(comparison.verified),
+      confidence,
+      analysis: comparison.analysis,
+      recommendation: rejected ? "REJECT" : comparison.recommendation,
+      reasons,
+      comparison,
+      metadata,
+    };
+  }
+
+  /**
+   * Outcome of a parsed Gemini verification result
+   * @param {Object} result - { verified, recommendation, ... }
+   * @returns {string} APPROVED | PARTIAL | REJECTED
+   */
+  outcomeFor(result) {
+    if (result?.verified && result.recommendation === "APPROVE") {
+      return "APPROVED";
+    }
+    if (result?.verified && result.recommendation === "PARTIAL") {
+      return "PARTIAL";
+    }
+    return "REJECTED";
+  }
+
+  /**
+   * Why a submission needs human review before it is applied: Gemini's
+   * confidence is below VERIFICATION_REVIEW_CONFIDENCE (default 80), or it
+   * recommends APPROVE for an organ whose health score is at or below
+   * VERIFICATION_CRITICAL_HEALTH_SCORE (default 30), or its after images
+   * were recycled and VERIFICATION_DUPLICATE_ACTION is FLAG
+   * @param {Object} organ - Organ document
+   * @param {string} outcome - Submission outcome
+   * @param {Object} result - Gemini verification result
+   * @param {Object} submission - The submission
+   * @returns {Array<string>} Review reasons; empty to apply immediately
+   */
+  reviewReasons(organ, outcome, result, submission) {
+    // Only outcomes that change the organ are held back
+    if (!OUTCOME_EFFECTS[outcome]) return [];
+
+    const minConfidence = envNumber("VERIFICATION_REVIEW_CONFIDENCE", 80);
+    const criticalHealthScore = envNumber(
+      "VERIFICATION_CRITICAL_HEALTH_SCORE",
+      30,
+    );
+
+    const reasons = [];
+    if (!(Number(result.confidence) >= minConfidence)) {
+      reasons.push("LOW_CONFIDENCE");
+    }
+    if (outcome === "APPROVED" && organ.healthScore <= criticalHealthScore) {
+      reasons.push("CRITICAL_ORGAN");
+    }
+    if (submission.duplicates?.length) {
+      reasons.push("DUPLICATE_IMAGE");
+    }
+    return reasons;
+  }
+
+  /**
+   * Record an admin's decision on a pending submission; an approval applies
+   * the submission's outcome (or the reviewer's APPROVED/PARTIAL override)
+   * @param {Object} submission - VerificationSubmission document
+   * @param {Object} organ - The submission's organ
+   * @param {Object} decision - { decision: APPROVE | REJECT, reason, outcome, reviewedBy }
+   * @returns {Promise<Object>} { submission, transition }
+   */
+  async review(submission, organ, { decision, reason, outcome, reviewedBy }) {
+    const status = decision === "APPROVE" ? "APPROVED" : "REJECTED";
+
+    // Claim the pending review so concurrent decisions apply once
+    const claimed = await VerificationSubmission.findOneAndUpdate(
+      { _id: submission._id, "review.status": "PENDING" },
+      {
+        $set: {
+          "review.status": status,
+          "review.reviewedBy": reviewedBy,
+          "review.reviewedAt": new Date(),
+          "review.reason": reason,
+        },
+      },
+      { new: true },
+    );
+    if (!claimed) {
+      this.fail(409, "Submission is not pending review");
+    }
+
+    const applied = outcome || claimed.outcome;
+    const transition = await this.recordTransition(organ, claimed, {
+      type: "REVIEW",
+      rule: status === "APPROVED" ? `OUTCOME_${applied}` : "REVIEW_REJECTED",
+      outcome: status === "APPROVED" ? applied : null,
+      actor: reviewedBy,
+      reason,
+    });
+
+    console.log(
+      `✓ Verification ${claimed._id} ${status.toLowerCase()} by ${reviewedBy}: ${reason}`,
+    );
+    return { submission: claimed, transition };
+  }
+
+  /**
+   * Settle a verification or review decision: apply the outcome (if any)
+   * to the organ, save the submission's state change, and log the
+   * transition as an OrganEvent
+   * @param {Object} organ - Organ document
+   * @param {Object} submission - VerificationSubmission document (saved)
+   * @param {Object} params - { type, rule, outcome, actor, reason }; no
+   *   outcome leaves the organ unchanged
+   * @returns {Promise<Object>} OrganEvent document
+   */
+  async recordTransition(
+    organ,
+    submission,
+    { type, rule, outcome = null, actor = null, reason = null },
+  ) {
+    const { stateChange, healthBoost, healthBoostCapped } = outcome
+      ? await this.applyOutcome(
+          organ,
+          outcome,
+          submission.verification,
+          submission,
+        )
+      : {
+          stateChange: this.unchanged(organ),
+          healthBoost: 0,
+          healthBoostCapped: false,
+        };
+
+    submission.stateChange = stateChange;
+    if (outcome) submission.appliedAt = new Date();
+    await submission.save();
+
+    return OrganEvent.create({
+      organId: organ._id,
+      type,
+      rule,
+      submissionId: submission._id,
+      ngoId: submission.ngoId,
+      actor,
+      ...stateChange,
+      healthBoost,
+      healthBoostCapped,
+      confidence: submission.verification?.confidence ?? null,
+      reason,
+    });
+  }
+
+  /**
+   * Format an OrganEvent for API responses
+   * @param {Object} event - OrganEvent document
+   * @returns {Object} Transition record
+   */
+  formatTransition(event) {
+    return {
+      id: event._id,
+      organId: event.organId,
+      type: event.type,
+      rule: event.rule,
+      submissionId: event.submissionId,
+      ngoId: event.ngoId,
+      actor: event.actor,
+      previousState: event.previousState,
+      newState: event.newState,
+      previousHealthScore: event.previousHealthScore,
+      newHealthScore: event.newHealthScore,
+      healthBoost: event.healthBoost,
+      healthBoostCapped: event.healthBoostCapped,
+      confidence: event.confidence,
+      reason: event.reason,
+      createdAt: event.createdAt,
+    };
+  }
+
+  /**
+   * State change record for an organ that has not changed (yet)
+   * @param {Object} organ - Organ document
+   * @returns {Object} { previousState, newState, previousHealthScore, newHealthScore }
+   */
+  unchanged(organ) {
+    return {
+      previousState: organ.symptomState,
+      newState: organ.symptomState,
+      previousHealthScore: organ.healthScore,
+      newHealthScore: organ.healthScore,
+    };
+  }
+
+  /**
+   * Limit on the health boost one NGO can add to one organ:
+   * VERIFICATION_BOOST_CAP (default 40) points over the last
+   * VERIFICATION_BOOST_WINDOW_DAYS (default 30)
+   * @returns {Object} { cap, since }
+   */
+  get boostLimit() {
+    const windowDays = envNumber("VERIFICATION_BOOST_WINDOW_DAYS", 30);
+    return {
+      cap: envNumber("VERIFICATION_BOOST_CAP", 40),
+      since: new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000),
+    };
+  }
+
+  /**
+   * Health boost an NGO may still add to an organ
+   * @param {Array<Object>} boosts - The organ's verificationBoosts
+   * @param {Object} ngoId - NGO ID
+   * @param {Object} limit - { cap, since } from boostLimit
+   * @returns {number} Remaining boost
+   */
+  remainingBoost(boosts, ngoId, { cap, since }) {
+    const used = (boosts || [])
+      .filter((grant) => String(grant.ngoId) === String(ngoId))
+      .filter((grant) => grant.at >= since)
+      .reduce((total, grant) => total + grant.boost, 0);
+    return Math.max(0, cap - used);
+  }
+
+  /**
+   * Pipeline update applying an outcome's state change and health boost.
+   * An NGO's boost is capped by the grants in the organ's
+   * verificationBoosts (the same sum as remainingBoost) and recorded there,
+   * all in the one update, so concurrent approvals can't exceed the cap.
+   * Grants older than the window are dropped.
+   * @param {Object} effect - OUTCOME_EFFECTS entry
+   * @param {Object} submission - The submission being applied
+   * @param {Object} limit - { cap, since } from boostLimit
+   * @returns {Array<Object>} Update pipeline
+   */
+  boostPipeline(effect, submission, { cap, since }) {
+    if (!submission?.ngoId) {
+      return [
+        {
+          $set: {
+            symptomState: effect.state,
+            healthScore: {
+              $min: [100, { $add: ["$healthScore", effect.healthBoost] }],
+            },
+            lastUpdated: "$$NOW",
+          },
+        },
+      ];
+    }
+
+    const recent = {
+      $filter: {
+        input: { $ifNull: ["$verificationBoosts", []] },
+        as: "grant",
+        cond: { $gte: ["$$grant.at", since] },
+      },
+    };
+    const used = {
+      $sum: {
+        $map: {
+          input: {
+            $filter: {
+              input: recent,
+              as: "grant",
+              cond: { $eq: ["$$grant.ngoId", submission.ngoId] },
+            },
+          },
+          as: "grant",
+          in: "$$grant.boost",
+        },
+      },
+    };
+
+    return [
+      {
+        $set: {
+          verificationBoosts: recent,
+          grantedBoost: {
+            $max: [
+              0,
+              { $min: [effect.healthBoost, { $subtract: [cap, used] }] },
+            ],
+          },
+        },
+      },
+      {
+        $set: {
+          symptomState: effect.state,
+          healthScore: {
+            $min: [100, { $add: ["$healthScore", "$grantedBoost"] }],
+          },
+          lastUpdated: "$$NOW",
+          verificationBoosts: {
+            $concatArrays: [
+              "$verificationBoosts",
+              [
+                {
+                  ngoId: submission.ngoId,
+                  submissionId: submission._id,
+                  boost: "$grantedBoost",
+                  at: "$$NOW",
+                },
+              ],
+            ],
+          },
+        },
+      },
+      { $unset: "grantedBoost" },
+    ];
+  }
+
+  /**
+   * Apply an outcome's state change and health boost to the organ in one
+   * atomic update (see boostPipeline). The boost granted is worked out
+   * from the organ as the update found it.
+   * @param {Object} organ - Organ document (updated in place)
+   * @param {string} outcome - Submission outcome
+   * @param {Object} result - Gemini verification result
+   * @param {Object} submission - The submission being applied
+   * @returns {Promise<Object>} { stateChange, healthBoost, healthBoostCapped }
+   */
+  async applyOutcome(organ, outcome, result, submission) {
+    const effect = OUTCOME_EFFECTS[outcome];
+    if (!effect) {
+      return {
+        stateChange: this.unchanged(organ),
+        healthBoost: 0,
+        healthBoostCapped: false,
+      };
+    }
+
+    const limit = this.boostLimit;
+    const before = await Organ.findOneAndUpdate(
+      { _id: organ._id },
+      this.boostPipeline(effect, submission, limit),
+      { new: false, updatePipeline: true, projection: "+verificationBoosts" },
+    );
+    if (!before) {
+      this.fail(404, "Organ not found");
+    }
+
+    let healthBoost = effect.healthBoost;
+    let healthBoostCapped = false;
+    if (submission?.ngoId) {
+      const remaining = this.remainingBoost(
+        before.verificationBoosts,
+        submission.ngoId,
+        limit,
+      );
+      if (remaining < healthBoost) {
+        console.log(
+          `⚠️ Health boost capped for ${submission.ngoName} on ${organ.name}: ${remaining} of ${healthBoost}`,
+        );
+        healthBoost = remaining;
+        healthBoostCapped = true;
+      }
+    }
+
+    const stateChange = this.unchanged(before);
+    organ.symptomState = effect.state;
+    organ.healthScore = Math.min(100, before.healthScore + healthBoost);
+    organ.lastUpdated = new Date();
+
+    stateChange.newState = organ.symptomState;
+    stateChange.newHealthScore = organ.healthScore;
+
+    organEventService.publish("organ.verified", organ, {
+      previousState: stateChange.previousState,
+      newState: stateChange.newState,
+      recommendation: result.recommendation,
+      confidence: result.confidence,
+    });
+
+    console.log(
+      `✓ Verification ${outcome.toLowerCase()}: ${organ.name} marked as ${organ.symptomState}`,
+    );
+    return { stateChange, healthBoost, healthBoostCapped };
+  }
+
+  /**
+   * List submissions, newest first (oldest first for the PENDING queue)
+   * @param {Object} filter - { organId, ngoId, outcome, reviewStatus }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { submissions, pagination }
+   */
+  async listSubmissions(
+    { organId, ngoId, outcome, reviewStatus } = {},
+    { page = 1, limit = 50 } = {},
+  ) {
+    const query = {};
+    if (organId) query.organId = organId;
+    if (ngoId) query.ngoId = ngoId;
+    if (outcome) query.outcome = outcome;
+    if (reviewStatus) query["review.status"] = reviewStatus;
+
+    const [submissions, total] = await Promise.all([
+      VerificationSubmission.find(query)
+        .populate("organId", "name type")
+        .sort({ createdAt: reviewStatus === "PENDING" ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      VerificationSubmission.countDocuments(query),
+    ]);
+
+    return {
+      submissions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+module.exports = new VerificationService();
@@ -0,0 +1,51 @@
+const axios = require("axios");
+
+/**
+ * Global Forest Watch integrated deforestation alerts for the organ's country
+ */
+module.exports = {
+  name: "global-forest-watch",
+  organType: "Lungs",
+  priority: 20,
+  requiredEnv: ["GFW_API_KEY"],
+  simulated: false,
+
+  fetch: async (geo) => {
+    if (!geo.countryIso) {
+      throw new Error("location.countryIso is required for Global Forest Watch");
+    }
+
+    const url =
+      "https://data-api.globalforestwatch.org/dataset/gfw_integrated_alerts/latest/query";
+
+    const sql = `
+      SELECT COUNT(*) as alert_count,
+             SUM(gfw_integrated_alerts__area_ha) as total_area_ha
+      FROM data
+      WHERE gfw_integrated_alerts__date >= CURRENT_DATE - INTERVAL '${parseInt(geo.params.gfwDays) || 30} days'
+      AND iso = '${geo.countryIso}'
+    `;
+
+    const response = await axios.get(url, {
+      params: { sql },
+      headers: {
+        "x-api-key": process.env.GFW_API_KEY,
+        "Content-Type": "application/json",
+      },
+      timeout: 15000,
+    });
+
+    const data = response.data?.data?.[0];
+    if (!data) {
+      throw new Error("No data returned");
+    }
+    return data;
+  },
+
+  normalize: (raw, geo) => ({
+    alertCount: parseInt(raw.alert_count) || 0,
+    totalAreaHa: parseFloat(raw.total_area_ha) || 0,
+    region: geo.label,
+    dataSource: "Global Forest Watch",
+  }),
+};
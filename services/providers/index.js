@@ -0,0 +1,11 @@
+/**
+ * Built-in data providers, registered with the ProviderRegistry on startup
+ */
+module.exports = [
+  require("./nasaEonet"),
+  require("./globalForestWatch"),
+  require("./noaaOcads"),
+  require("./openWeather"),
+  require("./openMeteo"),
+  ...require("./mock"),
+];
@@ -0,0 +1,67 @@
+/**
+ * Last-resort providers that generate realistic random values
+ * when every real provider for an organ type has failed
+ */
+module.exports = [
+  {
+    name: "mock-deforestation",
+    organType: "Lungs",
+    priority: 1000,
+    requiredEnv: [],
+    simulated: true,
+
+    fetch: async () => {
+      console.log("Using mock deforestation data...");
+      return { alertCount: Math.floor(Math.random() * 1000) + 500 };
+    },
+
+    normalize: (raw, geo) => ({
+      alertCount: raw.alertCount,
+      totalAreaHa: Math.floor(raw.alertCount * 5),
+      region: geo.label,
+      dataSource: "Mock Data (Realistic)",
+    }),
+  },
+  {
+    name: "mock-ocean-ph",
+    organType: "Veins",
+    priority: 1000,
+    requiredEnv: [],
+    simulated: true,
+
+    fetch: async () => {
+      console.log("Using mock ocean pH data...");
+      return { pH: parseFloat((7.9 + Math.random() * 0.2).toFixed(3)) };
+    },
+
+    normalize: (raw, geo) => ({
+      pH: raw.pH,
+      acidificationLevel: raw.pH < 8.0 ? "HIGH" : "MODERATE",
+      location: geo.label,
+      dataSource: "NOAA OCADS (Mock)",
+    }),
+  },
+  {
+    name: "mock-air-quality",
+    organType: "Skin",
+    priority: 1000,
+    requiredEnv: [],
+    simulated: true,
+
+    fetch: async () => {
+      console.log("Using mock air quality data...");
+      return {
+        aqi: Math.floor(Math.random() * 3) + 3, // AQI 3-5
+        pm25: Math.random() * 50 + 25,
+        pm10: Math.random() * 80 + 40,
+        no2: Math.random() * 40 + 20,
+      };
+    },
+
+    normalize: (raw, geo) => ({
+      ...raw,
+      location: geo.label,
+      dataSource: "Mock Data (Realistic)",
+    }),
+  },
+];
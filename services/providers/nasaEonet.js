@@ -0,0 +1,22 @@
+const alternativeDataService = require("../AlternativeDataService");
+
+/**
+ * NASA EONET wildfire events inside the organ's bounding box (free, no API key)
+ */
+module.exports = {
+  name: "nasa-eonet",
+  organType: "Lungs",
+  priority: 10,
+  requiredEnv: [],
+  simulated: false,
+
+  fetch: (geo) => alternativeDataService.fetchNASAWildfireData(geo),
+
+  normalize: (raw, geo) => ({
+    alertCount: raw.alertCount,
+    totalAreaHa: raw.totalAreaHa,
+    region: geo.label,
+    events: raw.events || [],
+    dataSource: "NASA EONET",
+  }),
+};
@@ -0,0 +1,23 @@
+const alternativeDataService = require("../AlternativeDataService");
+
+/**
+ * NOAA OCADS ocean pH, simulated from published acidification trends
+ */
+module.exports = {
+  name: "noaa-ocads",
+  organType: "Veins",
+  priority: 10,
+  requiredEnv: [],
+  simulated: true,
+
+  fetch: (geo) => alternativeDataService.fetchNOAAOceanData(geo),
+
+  normalize: (raw, geo) => ({
+    pH: raw.pH,
+    acidificationLevel: raw.acidificationLevel,
+    location: geo.label,
+    coordinates: raw.coordinates,
+    note: raw.note,
+    dataSource: raw.dataSource,
+  }),
+};
@@ -0,0 +1,24 @@
+const alternativeDataService = require("../AlternativeDataService");
+
+/**
+ * Open-Meteo air quality at the organ's location (free, no API key)
+ */
+module.exports = {
+  name: "open-meteo",
+  organType: "Skin",
+  priority: 20,
+  requiredEnv: [],
+  simulated: false,
+
+  fetch: (geo) => alternativeDataService.fetchOpenMeteoAirQuality(geo),
+
+  normalize: (raw, geo) => ({
+    aqi: raw.aqi,
+    pm25: raw.pm25,
+    pm10: raw.pm10,
+    no2: raw.no2,
+    co: raw.co,
+    location: geo.label,
+    dataSource: "Open-Meteo",
+  }),
+};
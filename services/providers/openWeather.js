@@ -0,0 +1,46 @@
+const axios = require("axios");
+
+/**
+ * OpenWeather air pollution at the organ's location
+ */
+module.exports = {
+  name: "openweather",
+  organType: "Skin",
+  priority: 10,
+  requiredEnv: ["OPENWEATHER_API_KEY"],
+  simulated: false,
+
+  fetch: async (geo) => {
+    const aqUrl = `http://api.openweathermap.org/data/2.5/air_pollution`;
+    const aqResponse = await axios.get(aqUrl, {
+      params: {
+        lat: geo.center.lat,
+        lon: geo.center.lon,
+        appid: process.env.OPENWEATHER_API_KEY,
+      },
+      timeout: 10000,
+    });
+
+    const aqData = aqResponse.data?.list?.[0];
+    if (!aqData) {
+      throw new Error("No data returned");
+    }
+
+    console.log(
+      `✅ OpenWeather: AQI ${aqData.main?.aqi}, PM2.5 ${aqData.components?.pm2_5}`,
+    );
+    return aqData;
+  },
+
+  normalize: (raw, geo) => {
+    const components = raw.components || {};
+    return {
+      aqi: raw.main?.aqi || 3,
+      pm25: components.pm2_5 || 0,
+      pm10: components.pm10 || 0,
+      no2: components.no2 || 0,
+      location: geo.label,
+      dataSource: "OpenWeather",
+    };
+  },
+};
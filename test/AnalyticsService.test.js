@@ -0,0 +1,107 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { query, objectId } = require("./helpers");
+
+const Organ = require("../models/Organ");
+const Vial = require("../models/Vial");
+const analyticsService = require("../services/AnalyticsService");
+
+afterEach(() => mock.restoreAll());
+
+describe("AnalyticsService", () => {
+  it("counts settled and credited-then-refunded vials within the scope", () => {
+    const organId = objectId().toString();
+    const from = new Date("2026-01-01T00:00:00Z");
+
+    const [{ $match }, { $addFields }] = analyticsService.settledVialStages({
+      organId,
+      from,
+    });
+
+    assert.deepEqual($match.$or, [
+      { status: "SUCCESS" },
+      { status: "REFUNDED", processedAt: { $ne: null } },
+    ]);
+    assert.equal($match.organId.toString(), organId);
+    assert.deepEqual($match.processedAt, { $gte: from });
+    assert.deepEqual($addFields.netUSD, {
+      $subtract: ["$amountUSD", { $ifNull: ["$refundedAmountUSD", 0] }],
+    });
+  });
+
+  it("ranks named donors without exposing their emails", async () => {
+    const aggregate = mock.method(Vial, "aggregate", async () => [
+      {
+        _id: "ada@example.org",
+        donorName: "Ada",
+        totalUSD: 120.456,
+        vialCount: 3,
+        organs: [objectId(), objectId()],
+        lastContributionAt: new Date(),
+      },
+    ]);
+
+    const [donor] = await analyticsService.getTopDonors({}, 5);
+
+    assert.deepEqual(Object.keys(donor).sort(), [
+      "donorName",
+      "lastContributionAt",
+      "organCount",
+      "rank",
+      "totalUSD",
+      "vialCount",
+    ]);
+    assert.equal(donor.totalUSD, 120.46);
+    assert.equal(donor.organCount, 2);
+    const pipeline = aggregate.mock.calls[0].arguments[0];
+    assert.ok(pipeline.some((stage) => stage.$match?.anonymous?.$ne === true));
+    assert.deepEqual(pipeline.at(-1), { $limit: 5 });
+  });
+
+  it("summarizes an empty scope as zeros", async () => {
+    mock.method(Vial, "aggregate", async () => [
+      { totals: [], currencies: [] },
+    ]);
+
+    assert.deepEqual(await analyticsService.getSummary({}), {
+      totalUSD: 0,
+      vialCount: 0,
+      averageUSD: 0,
+      largestUSD: 0,
+      uniqueDonors: 0,
+      recurringVials: 0,
+      currencies: [],
+    });
+  });
+
+  it("projects days to target from recent funding velocity", async () => {
+    const funded = {
+      _id: objectId(),
+      currentFundingUSD: 1000,
+      targetFundingUSD: 1000,
+    };
+    const growing = {
+      _id: objectId(),
+      currentFundingUSD: 400,
+      targetFundingUSD: 1000,
+    };
+    const stalled = {
+      _id: objectId(),
+      currentFundingUSD: 0,
+      targetFundingUSD: 1000,
+    };
+    mock.method(Organ, "find", () => query([funded, growing, stalled]));
+    mock.method(Vial, "aggregate", async () => [
+      { _id: growing._id, totalUSD: 300, vialCount: 6 },
+    ]);
+
+    const projections = await analyticsService.getProjections(30);
+
+    assert.deepEqual(
+      projections.map((p) => p.daysToTarget),
+      [0, 60, null],
+    );
+    assert.equal(projections[1].velocityUSDPerDay, 10);
+    assert.equal(projections[2].projectedTargetDate, null);
+  });
+});
@@ -0,0 +1,158 @@
+const { describe, it, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { objectId } = require("./helpers");
+
+const ApiKey = require("../models/ApiKey");
+const donorService = require("../services/DonorService");
+const authService = require("../services/AuthService");
+
+const SETTINGS = ["JWT_SECRET", "ADMIN_API_KEY"];
+const original = Object.fromEntries(
+  SETTINGS.map((name) => [name, process.env[name]]),
+);
+
+// HS256 token signed with the test secret, for claims signToken won't issue
+const sign = (header, claims) => {
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const unsigned = `${encode(header)}.${encode(claims)}`;
+  const signature = crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(unsigned)
+    .digest("base64url");
+  return `${unsigned}.${signature}`;
+};
+
+// Request double carrying the given headers
+const request = (headers) => ({
+  get: (name) => headers[name],
+});
+
+beforeEach(() => {
+  process.env.JWT_SECRET = "test-secret";
+  process.env.ADMIN_API_KEY = "bootstrap-admin-key";
+});
+afterEach(() => {
+  for (const name of SETTINGS) {
+    if (original[name] === undefined) delete process.env[name];
+    else process.env[name] = original[name];
+  }
+  mock.restoreAll();
+});
+
+describe("AuthService.verifyToken", () => {
+  it("returns the claims of a token it signed", () => {
+    const token = authService.signToken({ sub: "ngo-1", role: "ngo" }, 60);
+
+    const claims = authService.verifyToken(token);
+
+    assert.equal(claims.sub, "ngo-1");
+    assert.equal(claims.role, "ngo");
+    assert.equal(claims.iss, "aiye");
+  });
+
+  it("rejects a tampered payload", () => {
+    const token = authService.signToken({ sub: "ngo-1", role: "ngo" }, 60);
+    const [header, , signature] = token.split(".");
+    const forged = Buffer.from(
+      JSON.stringify({ sub: "ngo-1", role: "admin", exp: 9999999999 }),
+    ).toString("base64url");
+
+    assert.equal(
+      authService.verifyToken(`${header}.${forged}.${signature}`),
+      null,
+    );
+  });
+
+  it("rejects a token signed with another secret", () => {
+    const token = authService.signToken({ sub: "ngo-1", role: "ngo" }, 60);
+    process.env.JWT_SECRET = "rotated-secret";
+
+    assert.equal(authService.verifyToken(token), null);
+  });
+
+  it("rejects expired tokens, unknown roles and other algorithms", () => {
+    const exp = Math.floor(Date.now() / 1000) + 60;
+    const cases = [
+      sign({ alg: "HS256" }, { role: "ngo", exp: exp - 120 }),
+      sign({ alg: "HS256" }, { role: "ngo" }),
+      sign({ alg: "HS256" }, { role: "superuser", exp }),
+      sign({ alg: "none" }, { role: "admin", exp }),
+      "not-a-jwt",
+    ];
+
+    for (const token of cases) {
+      assert.equal(authService.verifyToken(token), null, token);
+    }
+  });
+
+  it("rejects every token when JWT_SECRET is unset", () => {
+    const token = authService.signToken({ sub: "ngo-1", role: "ngo" }, 60);
+    delete process.env.JWT_SECRET;
+
+    assert.equal(authService.verifyToken(token), null);
+    assert.throws(() => authService.signToken({ role: "ngo" }), {
+      statusCode: 503,
+    });
+  });
+});
+
+describe("AuthService.resolve", () => {
+  it("treats a request without credentials as public", async () => {
+    assert.deepEqual(await authService.resolve(request({})), {
+      role: "public",
+      subject: null,
+      method: null,
+    });
+  });
+
+  it("accepts the bootstrap admin key", async () => {
+    const auth = await authService.resolve(
+      request({ "X-Admin-Key": "bootstrap-admin-key" }),
+    );
+
+    assert.equal(auth.role, "admin");
+    assert.equal(auth.method, "admin-key");
+  });
+
+  it("rejects a JWT issued for a revoked API key", async () => {
+    mock.method(ApiKey, "exists", async () => null);
+    const token = authService.signToken(
+      { sub: "ngo-1", role: "ngo", kid: objectId().toString() },
+      60,
+    );
+
+    const auth = await authService.resolve(
+      request({ Authorization: `Bearer ${token}` }),
+    );
+
+    assert.deepEqual(auth, { role: null });
+  });
+
+  it("looks up API keys by hash", async () => {
+    const apiKey = { _id: objectId(), role: "ngo", subject: "ngo-1" };
+    const lookup = mock.method(ApiKey, "findOneAndUpdate", async () => apiKey);
+
+    const auth = await authService.resolve(
+      request({ "X-API-Key": "aiye_0123456789abcdef" }),
+    );
+
+    assert.equal(auth.role, "ngo");
+    assert.equal(auth.subject, "ngo-1");
+    assert.equal(
+      lookup.mock.calls[0].arguments[0].keyHash,
+      authService.hashKey("aiye_0123456789abcdef"),
+    );
+  });
+
+  it("rejects an unknown bearer credential", async () => {
+    mock.method(donorService, "authenticate", async () => null);
+
+    const auth = await authService.resolve(
+      request({ Authorization: "Bearer stale-session" }),
+    );
+
+    assert.deepEqual(auth, { role: null });
+  });
+});
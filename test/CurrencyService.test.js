@@ -0,0 +1,72 @@
+const { describe, it, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+
+const axios = require("axios");
+const fallbackTable = require("../config/exchangeRates.json");
+const currencyService = require("../services/CurrencyService");
+
+let rates;
+beforeEach(() => {
+  rates = structuredClone(currencyService.rates);
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+});
+afterEach(() => {
+  currencyService.rates = rates;
+  mock.restoreAll();
+});
+
+describe("CurrencyService", () => {
+  it("converts with the fallback table before any refresh", () => {
+    const conversion = currencyService.convertToUSD(3100, "NGN");
+
+    assert.deepEqual(conversion, {
+      amountUSD: 2,
+      rate: 1550,
+      rateTimestamp: new Date(fallbackTable.asOf),
+      rateSource: fallbackTable.source,
+    });
+  });
+
+  it("reports each currency's own rate time and source after a partial refresh", async () => {
+    mock.method(axios, "get", async () => ({
+      data: {
+        time_last_update_unix: 1769990400,
+        // No NGN rate in this response
+        rates: { USD: 1, GHS: 10, KES: 0 },
+      },
+    }));
+
+    assert.equal(await currencyService.refreshRates(), true);
+
+    const live = currencyService.convertToUSD(100, "GHS");
+    assert.equal(live.rate, 10);
+    assert.equal(live.amountUSD, 10);
+    assert.deepEqual(live.rateTimestamp, new Date(1769990400 * 1000));
+    assert.equal(live.rateSource, "open.er-api.com");
+
+    for (const currency of ["NGN", "KES"]) {
+      const stale = currencyService.convertToUSD(100, currency);
+      assert.equal(stale.rate, fallbackTable.rates[currency]);
+      assert.deepEqual(stale.rateTimestamp, new Date(fallbackTable.asOf));
+      assert.equal(stale.rateSource, fallbackTable.source);
+    }
+  });
+
+  it("keeps the current rates when the refresh fails", async () => {
+    mock.method(axios, "get", async () => {
+      throw new Error("socket hang up");
+    });
+
+    assert.equal(await currencyService.refreshRates(), false);
+    assert.equal(currencyService.lastRefreshError, "socket hang up");
+    assert.equal(currencyService.convertToUSD(1550, "NGN").amountUSD, 1);
+  });
+
+  it("rejects unsupported currencies with a 400", () => {
+    assert.throws(() => currencyService.convertToUSD(1, "XYZ"), {
+      statusCode: 400,
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { objectId } = require("./helpers");
+
+const DiagnosticRecord = require("../models/DiagnosticRecord");
+const providerRegistry = require("../services/ProviderRegistry");
+const geminiService = require("../services/GeminiService");
+const organEventService = require("../services/OrganEventService");
+const diagnosticService = require("../services/DiagnosticService");
+
+const organ = () => ({
+  _id: objectId(),
+  name: "Pacific Veins",
+  type: "Veins",
+  healthScore: 70,
+  symptomState: "HEALING",
+  getGeoContext: () => ({ label: "Pacific", bbox: [0, 0, 1, 1] }),
+  save: mock.fn(async () => {}),
+});
+
+let strictMode;
+beforeEach(() => {
+  strictMode = process.env.STRICT_DATA_MODE;
+  diagnosticService.diagnosisCache.clear();
+  mock.method(console, "log", () => {});
+  mock.method(organEventService, "publish", () => {});
+  mock.method(DiagnosticRecord, "create", async (record) => ({
+    _id: objectId(),
+    ...record,
+  }));
+});
+afterEach(() => {
+  if (strictMode === undefined) delete process.env.STRICT_DATA_MODE;
+  else process.env.STRICT_DATA_MODE = strictMode;
+  mock.restoreAll();
+});
+
+const simulatedReading = () =>
+  mock.method(providerRegistry, "fetchMetrics", async () => ({
+    pH: 7.95,
+    location: "Pacific",
+    provider: "noaa-ocads",
+    simulated: true,
+  }));
+
+describe("DiagnosticService.scanAndRecord", () => {
+  it("records simulated scans in strict mode without calling Gemini or applying them", async () => {
+    process.env.STRICT_DATA_MODE = "true";
+    simulatedReading();
+    const generate = mock.method(geminiService, "generate");
+    const scanned = organ();
+
+    const { diagnosticResult, record } =
+      await diagnosticService.scanAndRecord(scanned);
+
+    assert.equal(generate.mock.callCount(), 0);
+    assert.equal(diagnosticResult.diagnosisEngine, "RULE_BASED");
+    assert.equal(record.dataQuality.status, "DEGRADED");
+    assert.equal(record.dataQuality.geminiSkipped, true);
+    assert.equal(record.dataQuality.applied, false);
+    assert.equal(scanned.save.mock.callCount(), 0);
+    assert.equal(scanned.healthScore, 70);
+  });
+
+  it("applies simulated scans outside strict mode", async () => {
+    process.env.STRICT_DATA_MODE = "false";
+    simulatedReading();
+    mock.method(geminiService, "availability", () => ({ allowed: true }));
+    mock.method(geminiService, "generate", async () => ({
+      text: '{"diagnosis": "The blood is turning sour.", "status": "INFLAMED"}',
+    }));
+    const scanned = organ();
+
+    const { diagnosticResult, record } =
+      await diagnosticService.scanAndRecord(scanned);
+
+    assert.equal(diagnosticResult.diagnosisEngine, "GEMINI");
+    assert.equal(record.dataQuality.geminiSkipped, false);
+    assert.equal(record.dataQuality.applied, true);
+    assert.equal(scanned.symptomState, "INFLAMED");
+    assert.equal(scanned.save.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, it, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { objectId } = require("./helpers");
+
+const Donor = require("../models/Donor");
+const DonorToken = require("../models/DonorToken");
+const Vial = require("../models/Vial");
+const mailService = require("../services/MailService");
+const donorService = require("../services/DonorService");
+
+/**
+ * In-memory token collection applying the single-use login filter
+ */
+const tokenStore = () => {
+  const tokens = [];
+  mock.method(DonorToken, "create", async (fields) => {
+    const token = { usedAt: null, ...fields };
+    tokens.push(token);
+    return token;
+  });
+  mock.method(DonorToken, "findOneAndUpdate", async (filter, update) => {
+    const token = tokens.find(
+      (t) =>
+        t.type === filter.type &&
+        t.tokenHash === filter.tokenHash &&
+        t.usedAt === null &&
+        t.expiresAt > filter.expiresAt.$gt,
+    );
+    return token ? Object.assign(token, update) : null;
+  });
+  return tokens;
+};
+
+let sent;
+beforeEach(() => {
+  sent = [];
+  mock.method(mailService, "send", async (message) => sent.push(message));
+});
+afterEach(() => mock.restoreAll());
+
+// Token from the emailed sign-in link
+const linkToken = () => sent.at(-1).text.match(/token=([0-9a-f]+)/)[1];
+
+describe("DonorService sign-in", () => {
+  it("emails a one-time link and stores only the token's hash", async () => {
+    const tokens = tokenStore();
+
+    await donorService.requestLogin({ email: " Ada@Example.org " });
+
+    assert.equal(sent[0].to, "ada@example.org");
+    const token = linkToken();
+    assert.equal(tokens[0].tokenHash, donorService.hashToken(token));
+    assert.ok(!JSON.stringify(tokens).includes(token));
+    assert.ok(tokens[0].expiresAt > new Date());
+  });
+
+  it("signs in once per link, creating the donor and claiming their earlier vials", async () => {
+    const tokens = tokenStore();
+    const donor = { _id: objectId(), email: "ada@example.org" };
+    const upsert = mock.method(Donor, "findOneAndUpdate", async () => donor);
+    const claim = mock.method(Vial, "updateMany", async () => ({}));
+    await donorService.requestLogin({ email: "ada@example.org", name: "Ada" });
+    const token = linkToken();
+
+    const session = await donorService.verifyLogin(token);
+    const reused = await donorService.verifyLogin(token);
+
+    assert.equal(session.donor, donor);
+    assert.equal(reused, null);
+    assert.equal(upsert.mock.calls[0].arguments[2].upsert, true);
+    assert.deepEqual(claim.mock.calls[0].arguments, [
+      { donorEmail: "ada@example.org", donorId: null },
+      { donorId: donor._id },
+    ]);
+    const stored = tokens.find((t) => t.type === "SESSION");
+    assert.equal(
+      stored.tokenHash,
+      donorService.hashToken(session.sessionToken),
+    );
+    assert.equal(stored.donorId, donor._id);
+  });
+
+  it("rejects an expired link", async () => {
+    const tokens = tokenStore();
+    await donorService.requestLogin({ email: "ada@example.org" });
+    tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    assert.equal(await donorService.verifyLogin(linkToken()), null);
+  });
+});
+
+describe("DonorService.setAnonymous", () => {
+  it("only updates the donor's own vials", async () => {
+    const donor = { _id: objectId(), email: "ada@example.org" };
+    const update = mock.method(Vial, "findOneAndUpdate", async () => null);
+    const vialId = objectId().toString();
+
+    assert.equal(
+      await donorService.setAnonymous(donor, "not-an-id", true),
+      null,
+    );
+    await donorService.setAnonymous(donor, vialId, true);
+
+    assert.equal(update.mock.callCount(), 1);
+    assert.deepEqual(update.mock.calls[0].arguments[0], {
+      _id: vialId,
+      $or: [{ donorId: donor._id }, { donorEmail: "ada@example.org" }],
+    });
+  });
+});
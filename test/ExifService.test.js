@@ -0,0 +1,159 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+
+const exifService = require("../services/ExifService");
+
+// TIFF field types used below
+const ASCII = 2;
+const LONG = 4;
+const RATIONAL = 5;
+
+const ascii = (text) => ({ type: ASCII, data: Buffer.from(`${text}\0`) });
+const rationals = (...values) => {
+  const data = Buffer.alloc(values.length * 8);
+  values.forEach(([numerator, denominator], i) => {
+    data.writeUInt32LE(numerator, i * 8);
+    data.writeUInt32LE(denominator, i * 8 + 4);
+  });
+  return { type: RATIONAL, data };
+};
+
+/**
+ * Little-endian TIFF block; IFD 0 links to the EXIF (1) and GPS (2) IFDs
+ * @param {Array<Object>} ifds - Map of tag -> { type, data } per IFD
+ * @returns {Buffer} TIFF block
+ */
+const tiff = (ifds) => {
+  const entries = ifds.map((ifd) => Object.entries(ifd));
+  const linked = [
+    [0x8769, 1],
+    [0x8825, 2],
+  ].filter(([, index]) => entries[index]?.length);
+  entries[0].push(
+    ...linked.map(([tag]) => [tag, { type: LONG, data: Buffer.alloc(4) }]),
+  );
+
+  // Each IFD is followed by the values too large for its entries
+  const offsets = [];
+  let cursor = 8;
+  for (const ifd of entries) {
+    offsets.push(cursor);
+    cursor += 2 + ifd.length * 12 + 4;
+    for (const [, { data }] of ifd) {
+      if (data.length > 4) cursor += data.length + (data.length % 2);
+    }
+  }
+  linked.forEach(([tag, index]) => {
+    entries[0]
+      .find(([entryTag]) => Number(entryTag) === tag)[1]
+      .data.writeUInt32LE(offsets[index]);
+  });
+
+  const buffer = Buffer.alloc(cursor);
+  buffer.write("II", 0, "latin1");
+  buffer.writeUInt16LE(42, 2);
+  buffer.writeUInt32LE(8, 4);
+  entries.forEach((ifd, index) => {
+    let entry = offsets[index];
+    let data = entry + 2 + ifd.length * 12 + 4;
+    buffer.writeUInt16LE(ifd.length, entry);
+    entry += 2;
+    for (const [tag, { type, data: value }] of ifd) {
+      const size = { [ASCII]: 1, [LONG]: 4, [RATIONAL]: 8 }[type];
+      buffer.writeUInt16LE(Number(tag), entry);
+      buffer.writeUInt16LE(type, entry + 2);
+      buffer.writeUInt32LE(value.length / size, entry + 4);
+      if (value.length > 4) {
+        buffer.writeUInt32LE(data, entry + 8);
+        value.copy(buffer, data);
+        data += value.length + (value.length % 2);
+      } else {
+        value.copy(buffer, entry + 8);
+      }
+      entry += 12;
+    }
+  });
+  return buffer;
+};
+
+// JPEG with the TIFF block in an APP1 Exif segment
+const jpeg = (block) => {
+  const header = Buffer.from([0xff, 0xd8, 0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(2 + 6 + block.length, 4);
+  return Buffer.concat([
+    header,
+    Buffer.from("Exif\0\0", "latin1"),
+    block,
+    Buffer.from([0xff, 0xda, 0, 2, 0xff, 0xd9]),
+  ]);
+};
+
+const camera = { 0x010f: ascii("Canon"), 0x0110: ascii("EOS R6") };
+
+describe("ExifService.read", () => {
+  it("reads the capture time, GPS position and camera of a JPEG", () => {
+    const buffer = jpeg(
+      tiff([
+        camera,
+        {
+          0x9003: ascii("2026:01:15 14:30:00"),
+          0x9011: ascii("+01:00"),
+        },
+        {
+          0x0001: ascii("S"),
+          0x0002: rationals([3, 1], [30, 1], [0, 1]),
+          0x0003: ascii("W"),
+          0x0004: rationals([60, 1], [15, 1], [36, 1]),
+        },
+      ]),
+    );
+
+    assert.deepEqual(exifService.read(buffer), {
+      capturedAt: new Date("2026-01-15T13:30:00Z"),
+      latitude: -3.5,
+      longitude: -60.26,
+      make: "Canon",
+      model: "EOS R6",
+    });
+  });
+
+  it("takes the UTC time from the GPS stamp without an offset", () => {
+    const buffer = jpeg(
+      tiff([
+        camera,
+        { 0x9003: ascii("2026:01:15 22:30:00") },
+        {
+          0x0007: rationals([14, 1], [30, 1], [0, 1]),
+          0x001d: ascii("2026:01:15"),
+        },
+      ]),
+    );
+
+    const metadata = exifService.read(buffer);
+
+    assert.deepEqual(metadata.capturedAt, new Date("2026-01-15T14:30:00Z"));
+    assert.equal(metadata.latitude, null);
+  });
+
+  it("reads the EXIF chunk of a PNG", () => {
+    const block = tiff([camera]);
+    const chunk = Buffer.alloc(12 + block.length);
+    chunk.writeUInt32BE(block.length, 0);
+    chunk.write("eXIf", 4, "latin1");
+    block.copy(chunk, 8);
+    const png = Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      chunk,
+    ]);
+
+    assert.equal(exifService.read(png).make, "Canon");
+  });
+
+  it("treats images without or with broken metadata as having none", () => {
+    const truncated = jpeg(tiff([camera])).subarray(0, 24);
+
+    assert.equal(exifService.read(Buffer.from([0xff, 0xd8, 0xff, 0xd9])), null);
+    assert.equal(exifService.read(truncated), null);
+  });
+});
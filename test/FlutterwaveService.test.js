@@ -0,0 +1,63 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+
+const axios = require("axios");
+const flutterwaveService = require("../services/FlutterwaveService");
+
+// Requests go through axios(config), so stub its transport
+const { adapter } = axios.defaults;
+const respond = (handler) => {
+  const requests = [];
+  axios.defaults.adapter = async (config) => {
+    requests.push(config);
+    return { data: await handler(config), status: 200, headers: {}, config };
+  };
+  return requests;
+};
+
+afterEach(() => {
+  axios.defaults.adapter = adapter;
+  mock.restoreAll();
+});
+
+describe("FlutterwaveService.verifyTransaction", () => {
+  it("verifies by transaction ID, or by reference without one", async () => {
+    const requests = respond(() => ({
+      status: "success",
+      data: { id: 9001, status: "successful" },
+    }));
+
+    const byId = await flutterwaveService.verifyTransaction({
+      transactionId: 9001,
+      txRef: "AIYE-1",
+    });
+    await flutterwaveService.verifyTransaction({ txRef: "AIYE-1" });
+
+    assert.deepEqual(byId, { id: 9001, status: "successful" });
+    const [first, second] = requests;
+    assert.match(first.url, /\/transactions\/9001\/verify$/);
+    assert.match(second.url, /\/transactions\/verify_by_reference$/);
+    assert.deepEqual(second.params, { tx_ref: "AIYE-1" });
+  });
+
+  it("raises Flutterwave's message and HTTP status", async () => {
+    respond(() => {
+      throw Object.assign(new Error("Request failed with status code 400"), {
+        response: {
+          status: 400,
+          data: { message: "No transaction was found" },
+        },
+      });
+    });
+
+    await assert.rejects(
+      flutterwaveService.verifyTransaction({ txRef: "AIYE-404" }),
+      {
+        message:
+          "Flutterwave get /transactions/verify_by_reference: No transaction was found",
+        statusCode: 400,
+      },
+    );
+  });
+});
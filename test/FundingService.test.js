@@ -0,0 +1,493 @@
+const { describe, it, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { objectId } = require("./helpers");
+
+const Organ = require("../models/Organ");
+const Vial = require("../models/Vial");
+const flutterwaveService = require("../services/FlutterwaveService");
+const milestoneService = require("../services/MilestoneService");
+const organEventService = require("../services/OrganEventService");
+const fundingService = require("../services/FundingService");
+
+/**
+ * In-memory vial and organ standing in for the collections, applying the
+ * conditional updates FundingService makes
+ */
+const setup = ({ vial: vialFields = {}, organ: organFields = {} } = {}) => {
+  const organ = {
+    _id: objectId(),
+    name: "Amazon Lungs",
+    currentFundingUSD: 100,
+    pendingCredits: [],
+    symptomState: "INFLAMED",
+    fundingPercentage: 0.1,
+    ...organFields,
+  };
+  const vial = {
+    _id: objectId(),
+    organId: organ._id,
+    transactionRef: "AIYE-1",
+    amount: 50,
+    amountUSD: 50,
+    currency: "USD",
+    exchangeRate: 1,
+    status: "PENDING",
+    statusHistory: [],
+    refunds: [],
+    refundedAmount: 0,
+    refundedAmountUSD: 0,
+    creditedAt: null,
+    creditClaimedAt: null,
+    ...vialFields,
+  };
+
+  mock.method(Vial, "findOneAndUpdate", async (filter, update) => {
+    const statuses = filter.status?.$in || [filter.status || vial.status];
+    if (!statuses.includes(vial.status)) return null;
+    if ("creditedAt" in filter) {
+      const stale = filter.$or[1].creditClaimedAt.$lt;
+      if (vial.creditedAt) return null;
+      if (vial.creditClaimedAt && vial.creditClaimedAt >= stale) return null;
+    }
+    const refundId = filter["refunds.refundId"]?.$ne;
+    if (vial.refunds.some((refund) => refund.refundId === refundId)) {
+      return null;
+    }
+
+    if (update.$set) Object.assign(vial, update.$set);
+    else Object.assign(vial, update);
+    for (const [field, amount] of Object.entries(update.$inc || {})) {
+      vial[field] += amount;
+    }
+    if (update.$push?.statusHistory) {
+      vial.statusHistory.push(update.$push.statusHistory);
+    }
+    if (update.$push?.refunds) vial.refunds.push(update.$push.refunds);
+    return { ...vial };
+  });
+  mock.method(Vial, "updateOne", async (filter, update) => {
+    Object.assign(vial, update);
+    return { modifiedCount: 1 };
+  });
+  mock.method(Vial, "findById", async () => ({ ...vial }));
+  mock.method(Organ, "findOneAndUpdate", async (filter, update) => {
+    const pending = filter.pendingCredits?.$ne;
+    if (pending && organ.pendingCredits.includes(pending)) return null;
+    if (Array.isArray(update)) {
+      // debitOrgan's clamped pipeline update
+      const [, amount] =
+        update[0].$set.currentFundingUSD.$max[1].$subtract;
+      organ.currentFundingUSD = Math.max(0, organ.currentFundingUSD - amount);
+      return { ...organ };
+    }
+    organ.currentFundingUSD += update.$inc.currentFundingUSD;
+    if (update.$push) organ.pendingCredits.push(update.$push.pendingCredits);
+    return { ...organ };
+  });
+  mock.method(Organ, "findById", async () => ({ ...organ }));
+  mock.method(Organ, "updateOne", async (filter, update) => {
+    if (update.$pull) {
+      organ.pendingCredits = organ.pendingCredits.filter(
+        (id) => id !== update.$pull.pendingCredits,
+      );
+    }
+    return { modifiedCount: 1 };
+  });
+
+  return { vial, organ };
+};
+
+beforeEach(() => {
+  mock.method(milestoneService, "evaluate", async (organ) => organ);
+  mock.method(milestoneService, "revert", async (organ) => organ);
+  mock.method(organEventService, "publish", () => {});
+  mock.method(console, "log", () => {});
+});
+afterEach(() => mock.restoreAll());
+
+const successfulCharge = (vial) => ({
+  id: 9001,
+  status: "successful",
+  tx_ref: vial.transactionRef,
+  currency: vial.currency,
+  amount: vial.amount,
+});
+
+describe("FundingService.settleVial", () => {
+  it("settles a verified charge and credits the organ once", async () => {
+    const { vial, organ } = setup();
+    mock.method(flutterwaveService, "verifyTransaction", async () =>
+      successfulCharge(vial),
+    );
+
+    const result = await fundingService.settleVial({ ...vial }, { source: "webhook" });
+
+    assert.equal(result.outcome, "SUCCESS");
+    assert.equal(vial.status, "SUCCESS");
+    assert.ok(vial.creditedAt);
+    assert.equal(organ.currentFundingUSD, 150);
+    assert.deepEqual(organ.pendingCredits, []);
+    assert.deepEqual(vial.statusHistory.map((entry) => entry.to), ["SUCCESS"]);
+  });
+
+  it("reports a repeated delivery as already processed", async () => {
+    const { vial, organ } = setup();
+    mock.method(flutterwaveService, "verifyTransaction", async () =>
+      successfulCharge(vial),
+    );
+    const stale = { ...vial };
+
+    await fundingService.settleVial({ ...vial });
+    // A concurrent request that read the vial while it was PENDING
+    const concurrent = await fundingService.settleVial(stale);
+    const retry = await fundingService.settleVial({ ...vial });
+
+    assert.equal(concurrent.outcome, "ALREADY_PROCESSED");
+    assert.equal(retry.outcome, "ALREADY_PROCESSED");
+    assert.equal(organ.currentFundingUSD, 150);
+  });
+
+  it("disputes a charge for less than the vial", async () => {
+    const { vial, organ } = setup();
+    mock.method(console, "warn", () => {});
+    mock.method(flutterwaveService, "verifyTransaction", async () => ({
+      ...successfulCharge(vial),
+      amount: 5,
+    }));
+
+    const result = await fundingService.settleVial({ ...vial });
+
+    assert.equal(result.outcome, "DISPUTED");
+    assert.equal(vial.status, "DISPUTED");
+    assert.equal(organ.currentFundingUSD, 100);
+  });
+
+  it("credits a settled vial whose credit never ran", async () => {
+    const { vial, organ } = setup({
+      vial: { status: "SUCCESS", statusHistory: [{ from: "PENDING", to: "SUCCESS" }] },
+    });
+    const verify = mock.method(flutterwaveService, "verifyTransaction");
+
+    const result = await fundingService.settleVial({ ...vial });
+
+    assert.equal(result.outcome, "SUCCESS");
+    assert.equal(organ.currentFundingUSD, 150);
+    assert.ok(vial.creditedAt);
+    assert.equal(verify.mock.callCount(), 0);
+  });
+
+  it("finishes a credit that stopped after the $inc without adding it again", async () => {
+    const vialId = objectId();
+    const { vial, organ } = setup({
+      vial: {
+        _id: vialId,
+        status: "SUCCESS",
+        statusHistory: [{ from: "PENDING", to: "SUCCESS" }],
+        creditClaimedAt: new Date(Date.now() - 60 * 60 * 1000),
+      },
+      organ: { currentFundingUSD: 150, pendingCredits: [vialId] },
+    });
+
+    const result = await fundingService.settleVial({ ...vial });
+
+    assert.equal(result.outcome, "SUCCESS");
+    assert.equal(organ.currentFundingUSD, 150);
+    assert.ok(vial.creditedAt);
+    assert.deepEqual(organ.pendingCredits, []);
+  });
+
+  it("leaves a credit another attempt is making to that attempt", async () => {
+    const { vial, organ } = setup({
+      vial: {
+        status: "SUCCESS",
+        statusHistory: [{ from: "PENDING", to: "SUCCESS" }],
+        creditClaimedAt: new Date(),
+      },
+    });
+
+    const result = await fundingService.settleVial({ ...vial });
+
+    // Retryable until the vial is credited, in case that attempt stopped
+    assert.equal(result.outcome, "CREDIT_PENDING");
+    assert.equal(organ.currentFundingUSD, 100);
+
+    vial.creditClaimedAt = new Date(Date.now() - 60 * 60 * 1000);
+    const retry = await fundingService.settleVial({ ...vial });
+
+    assert.equal(retry.outcome, "SUCCESS");
+    assert.equal(organ.currentFundingUSD, 150);
+  });
+
+  it("does not credit vials settled before credits were recorded", async () => {
+    const { vial, organ } = setup({ vial: { status: "SUCCESS" } });
+
+    const result = await fundingService.settleVial({ ...vial });
+
+    assert.equal(result.outcome, "ALREADY_PROCESSED");
+    assert.equal(organ.currentFundingUSD, 100);
+  });
+});
+
+describe("FundingService transaction verification", () => {
+  it("verifies by transaction ID, falling back to the vial's reference", async () => {
+    const { vial } = setup();
+    const verify = mock.method(
+      flutterwaveService,
+      "verifyTransaction",
+      async () => ({ tx_ref: "AIYE-1", status: "pending" }),
+    );
+
+    await fundingService.settleVial({ ...vial }, { transactionId: 9001 });
+    await fundingService.settleVial({ ...vial });
+
+    assert.deepEqual(verify.mock.calls[0].arguments[0], {
+      transactionId: 9001,
+      txRef: "AIYE-1",
+    });
+    assert.deepEqual(verify.mock.calls[1].arguments[0], {
+      transactionId: undefined,
+      txRef: "AIYE-1",
+    });
+  });
+
+  it("leaves the vial pending while Flutterwave has not completed the charge", async () => {
+    const { vial, organ } = setup();
+    mock.method(flutterwaveService, "verifyTransaction", async () => ({
+      ...successfulCharge(vial),
+      status: "pending",
+    }));
+
+    const result = await fundingService.settleVial({ ...vial });
+
+    assert.equal(result.outcome, "NOT_SUCCESSFUL");
+    assert.equal(vial.status, "PENDING");
+    assert.equal(organ.currentFundingUSD, 100);
+  });
+
+  it("fails the vial when Flutterwave reports the charge failed", async () => {
+    const { vial, organ } = setup();
+    mock.method(flutterwaveService, "verifyTransaction", async () => ({
+      ...successfulCharge(vial),
+      status: "failed",
+    }));
+
+    const result = await fundingService.settleVial({ ...vial });
+
+    assert.equal(result.outcome, "FAILED");
+    assert.equal(vial.status, "FAILED");
+    assert.equal(organ.currentFundingUSD, 100);
+  });
+
+  it("disputes a charge in another currency", async () => {
+    const { vial, organ } = setup();
+    mock.method(console, "warn", () => {});
+    mock.method(flutterwaveService, "verifyTransaction", async () => ({
+      ...successfulCharge(vial),
+      currency: "NGN",
+    }));
+
+    const result = await fundingService.settleVial({ ...vial });
+
+    assert.equal(result.outcome, "DISPUTED");
+    assert.deepEqual(result.reasons, [
+      "charged currency NGN does not match USD",
+    ]);
+    assert.equal(vial.flutterwaveTransactionId, "9001");
+    assert.equal(organ.currentFundingUSD, 100);
+  });
+
+  it("verifies by reference when given another vial's transaction ID", async () => {
+    const { vial, organ } = setup();
+    mock.method(console, "warn", () => {});
+    const verify = mock.method(
+      flutterwaveService,
+      "verifyTransaction",
+      async ({ transactionId }) =>
+        transactionId
+          ? { ...successfulCharge(vial), id: 4242, tx_ref: "AIYE-OTHER" }
+          : { ...successfulCharge(vial), status: "pending" },
+    );
+
+    const result = await fundingService.settleVial(
+      { ...vial },
+      { transactionId: "4242", source: "redirect" },
+    );
+
+    assert.equal(result.outcome, "NOT_SUCCESSFUL");
+    assert.deepEqual(verify.mock.calls[1].arguments, [{ txRef: "AIYE-1" }]);
+    assert.equal(vial.status, "PENDING");
+    assert.equal(vial.flutterwaveData, undefined);
+    assert.deepEqual(vial.statusHistory, []);
+
+    // The genuine charge still settles the vial
+    verify.mock.mockImplementation(async () => successfulCharge(vial));
+    const genuine = await fundingService.settleVial(
+      { ...vial },
+      { transactionId: "9001", source: "webhook" },
+    );
+    assert.equal(genuine.outcome, "SUCCESS");
+    assert.equal(organ.currentFundingUSD, 150);
+  });
+
+  it("ignores another vial's failed transaction", async () => {
+    const { vial } = setup();
+    mock.method(console, "warn", () => {});
+    mock.method(
+      flutterwaveService,
+      "verifyTransaction",
+      async ({ transactionId }) =>
+        transactionId
+          ? {
+              ...successfulCharge(vial),
+              tx_ref: "AIYE-OTHER",
+              status: "failed",
+            }
+          : { ...successfulCharge(vial), status: "pending" },
+    );
+
+    const result = await fundingService.settleVial(
+      { ...vial },
+      { transactionId: "4242" },
+    );
+
+    assert.equal(result.outcome, "NOT_SUCCESSFUL");
+    assert.equal(vial.status, "PENDING");
+  });
+
+  it("credits nothing when Flutterwave can't be reached", async () => {
+    const { vial, organ } = setup();
+    mock.method(flutterwaveService, "verifyTransaction", async () => {
+      throw new Error(
+        "Flutterwave get /transactions/verify_by_reference: timeout",
+      );
+    });
+
+    await assert.rejects(fundingService.settleVial({ ...vial }), /timeout/);
+    assert.equal(vial.status, "PENDING");
+    assert.equal(organ.currentFundingUSD, 100);
+  });
+});
+
+describe("FundingService.reconcileFunding", () => {
+  it("reports settled vials that were never credited", async () => {
+    const organId = objectId();
+    const vialId = objectId();
+    mock.method(Vial, "aggregate", async () => [
+      { _id: organId, totalUSD: 150, vialCount: 2 },
+    ]);
+    mock.method(Vial, "find", () => ({
+      lean: async () => [{ _id: vialId, organId }],
+    }));
+    mock.method(Organ, "find", async () => [
+      { _id: organId, name: "Amazon Lungs", currentFundingUSD: 150 },
+    ]);
+
+    const [entry] = await fundingService.reconcileFunding();
+
+    assert.equal(entry.driftUSD, 0);
+    assert.equal(entry.uncreditedVials, 1);
+    assert.deepEqual(entry.uncreditedVialIds, [vialId]);
+    assert.equal(entry.fixed, false);
+  });
+});
+
+describe("FundingService.refundVial", () => {
+  const settled = (fields = {}) =>
+    setup({
+      vial: {
+        status: "SUCCESS",
+        amount: 15000,
+        currency: "NGN",
+        exchangeRate: 1500,
+        amountUSD: 10,
+        flutterwaveTransactionId: "9001",
+        creditedAt: new Date(),
+        ...fields,
+      },
+    });
+  const completedRefund = (id, amount) => ({
+    id,
+    status: "completed",
+    tx_id: 9001,
+    amount_refunded: amount,
+  });
+
+  it("keeps a partially refunded vial refundable until the whole charge is refunded", async () => {
+    const { vial, organ } = settled();
+    const refunds = {
+      1: completedRefund(1, 6000),
+      2: completedRefund(2, 9000),
+    };
+    mock.method(flutterwaveService, "getRefund", async (id) => refunds[id]);
+
+    const first = await fundingService.refundVial({ ...vial }, { refundId: 1 });
+    assert.equal(first.outcome, "PARTIALLY_REFUNDED");
+    assert.equal(vial.status, "SUCCESS");
+    assert.equal(vial.refundedAmount, 6000);
+    assert.equal(organ.currentFundingUSD, 96);
+
+    const second = await fundingService.refundVial({ ...vial }, { refundId: 2 });
+    assert.equal(second.outcome, "REFUNDED");
+    assert.equal(vial.status, "REFUNDED");
+    assert.equal(vial.refundedAmount, 15000);
+    assert.equal(vial.refundedAmountUSD, 10);
+    assert.equal(organ.currentFundingUSD, 90);
+    assert.deepEqual(
+      vial.refunds.map((refund) => refund.refundId),
+      ["1", "2"],
+    );
+  });
+
+  it("applies a redelivered refund once", async () => {
+    const { vial, organ } = settled();
+    mock.method(flutterwaveService, "getRefund", async () =>
+      completedRefund(1, 6000),
+    );
+
+    await fundingService.refundVial({ ...vial }, { refundId: 1 });
+    const again = await fundingService.refundVial({ ...vial }, { refundId: 1 });
+
+    assert.equal(again.outcome, "ALREADY_PROCESSED");
+    assert.equal(vial.refundedAmount, 6000);
+    assert.equal(organ.currentFundingUSD, 96);
+  });
+
+  it("never takes organ funding below zero", async () => {
+    const { vial, organ } = settled();
+    organ.currentFundingUSD = 3;
+    mock.method(flutterwaveService, "getRefund", async () =>
+      completedRefund(1, 15000),
+    );
+
+    const result = await fundingService.refundVial({ ...vial }, { refundId: 1 });
+
+    assert.equal(result.outcome, "REFUNDED");
+    assert.equal(organ.currentFundingUSD, 0);
+  });
+
+  it("does not debit the organ for vials that were never credited", async () => {
+    const { vial, organ } = settled({ status: "DISPUTED", creditedAt: null });
+    mock.method(flutterwaveService, "getRefund", async () =>
+      completedRefund(1, 15000),
+    );
+
+    const result = await fundingService.refundVial({ ...vial }, { refundId: 1 });
+
+    assert.equal(result.outcome, "REFUNDED");
+    assert.equal(result.organ, null);
+    assert.equal(organ.currentFundingUSD, 100);
+  });
+
+  it("rejects a refund for another transaction", async () => {
+    const { vial } = settled();
+    mock.method(flutterwaveService, "getRefund", async () => ({
+      ...completedRefund(1, 15000),
+      tx_id: 1234,
+    }));
+
+    const result = await fundingService.refundVial({ ...vial }, { refundId: 1 });
+
+    assert.equal(result.outcome, "INVALID_REFUND");
+    assert.equal(vial.refundedAmount, 0);
+  });
+});
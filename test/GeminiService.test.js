@@ -0,0 +1,98 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+
+const SETTINGS = [
+  "GEMINI_DIAGNOSIS_DAILY_CALLS",
+  "GEMINI_DIAGNOSIS_MIN_INTERVAL_SECONDS",
+  "GEMINI_VISION_DAILY_CALLS",
+  "GEMINI_VISION_MIN_INTERVAL_SECONDS",
+];
+const original = Object.fromEntries(
+  SETTINGS.map((name) => [name, process.env[name]]),
+);
+
+// A fresh service built from the given settings
+const load = (settings = {}) => {
+  for (const name of SETTINGS) {
+    if (name in settings) process.env[name] = settings[name];
+    else delete process.env[name];
+  }
+  const path = require.resolve("../services/GeminiService");
+  delete require.cache[path];
+  return require(path);
+};
+
+// Stand-in for the SDK model returning the given text and token usage
+const model = (text, usageMetadata) => ({
+  generateContent: async () => ({
+    response: { text: () => text, usageMetadata },
+  }),
+});
+
+afterEach(() => {
+  for (const name of SETTINGS) {
+    if (original[name] === undefined) delete process.env[name];
+    else process.env[name] = original[name];
+  }
+  mock.restoreAll();
+});
+
+describe("GeminiService", () => {
+  it("uses the defaults when settings are unset or invalid", () => {
+    const { features } = load({ GEMINI_VISION_DAILY_CALLS: "lots" });
+
+    assert.equal(features.diagnosis.maxDailyCalls, 50);
+    assert.equal(features.diagnosis.minCallInterval, 60000);
+    assert.equal(features.vision.maxDailyCalls, 100);
+    assert.equal(features.vision.minCallInterval, 0);
+  });
+
+  it("accepts an explicit zero budget and interval", async () => {
+    const geminiService = load({
+      GEMINI_DIAGNOSIS_DAILY_CALLS: "0",
+      GEMINI_DIAGNOSIS_MIN_INTERVAL_SECONDS: "0",
+    });
+
+    assert.equal(geminiService.features.diagnosis.maxDailyCalls, 0);
+    assert.equal(geminiService.features.diagnosis.minCallInterval, 0);
+    assert.equal(geminiService.availability("diagnosis").allowed, false);
+    await assert.rejects(geminiService.generate("diagnosis", "prompt"), {
+      statusCode: 429,
+    });
+
+    const { diagnosis } = geminiService.getQuotaStatus().features;
+    assert.equal(diagnosis.percentageUsed, "100.0");
+    assert.equal(diagnosis.remainingCalls, 0);
+    assert.equal(diagnosis.status, "QUOTA_EXCEEDED");
+  });
+
+  it("counts calls and token usage per feature", async () => {
+    const geminiService = load({ GEMINI_VISION_DAILY_CALLS: "2" });
+    mock.method(console, "log", () => {});
+    mock.method(geminiService.genAI, "getGenerativeModel", () =>
+      model("verdict", {
+        promptTokenCount: 120,
+        candidatesTokenCount: 30,
+        totalTokenCount: 150,
+      }),
+    );
+
+    const result = await geminiService.generate("vision", ["prompt"]);
+    await geminiService.generate("vision", ["prompt"]);
+
+    assert.deepEqual(result, {
+      text: "verdict",
+      model: "gemini-3-flash-preview",
+      usage: { promptTokens: 120, outputTokens: 30, totalTokens: 150 },
+    });
+    const { vision, diagnosis } = geminiService.getQuotaStatus().features;
+    assert.equal(vision.dailyCallsUsed, 2);
+    assert.equal(vision.percentageUsed, "100.0");
+    assert.deepEqual(vision.tokens, { prompt: 240, output: 60, total: 300 });
+    assert.equal(diagnosis.dailyCallsUsed, 0);
+    await assert.rejects(geminiService.generate("vision", ["prompt"]), {
+      statusCode: 429,
+    });
+  });
+});
@@ -0,0 +1,33 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const mailService = require("../services/MailService");
+
+const originalUrl = process.env.MAIL_API_URL;
+
+afterEach(() => {
+  if (originalUrl === undefined) delete process.env.MAIL_API_URL;
+  else process.env.MAIL_API_URL = originalUrl;
+  mock.restoreAll();
+});
+
+describe("MailService.send", () => {
+  it("logs only the recipient and subject without a mail API", async () => {
+    delete process.env.MAIL_API_URL;
+    const log = mock.method(console, "log", () => {});
+
+    const sent = await mailService.send({
+      to: "ada@example.com",
+      subject: "Your Aiye sign-in link",
+      text: "https://aiye.earth/donor/verify?token=secret-token",
+    });
+
+    assert.equal(sent, false);
+    const logged = log.mock.calls
+      .map((call) => call.arguments.join(" "))
+      .join("\n");
+    assert.match(logged, /ada@example\.com/);
+    assert.match(logged, /Your Aiye sign-in link/);
+    assert.doesNotMatch(logged, /secret-token/);
+  });
+});
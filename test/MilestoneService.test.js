@@ -0,0 +1,108 @@
+const { describe, it, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { objectId } = require("./helpers");
+
+const Organ = require("../models/Organ");
+const MilestoneEvent = require("../models/MilestoneEvent");
+const milestoneService = require("../services/MilestoneService");
+
+/**
+ * In-memory organ applying the milestone claim and state updates
+ */
+const setup = (fields = {}) => {
+  const organ = {
+    _id: objectId(),
+    name: "Amazon Lungs",
+    symptomState: "INFLAMED",
+    healthScore: 35,
+    currentFundingUSD: 600,
+    targetFundingUSD: 1000,
+    campaign: { number: 1, status: "OPEN", reachedMilestones: [25] },
+    ...fields,
+  };
+  const snapshot = () => ({
+    ...organ,
+    campaign: { ...organ.campaign },
+    fundingPercentage: (organ.currentFundingUSD / organ.targetFundingUSD) * 100,
+  });
+
+  mock.method(Organ, "updateOne", async () => ({}));
+  mock.method(Organ, "findOneAndUpdate", async (filter, update) => {
+    const claim = update.$addToSet?.["campaign.reachedMilestones"];
+    if (claim !== undefined) {
+      if (organ.campaign.reachedMilestones.includes(claim)) return null;
+      organ.campaign.reachedMilestones.push(claim);
+      return snapshot();
+    }
+    if (!filter.symptomState.$in.includes(organ.symptomState)) return null;
+    Object.assign(organ, update.$set);
+    return snapshot();
+  });
+  const events = [];
+  mock.method(MilestoneEvent, "create", async (event) => {
+    events.push(event);
+    return event;
+  });
+  const broadcast = mock.method(milestoneService, "broadcast", () => {});
+
+  return { organ, snapshot, events, broadcast };
+};
+
+beforeEach(() => mock.method(console, "log", () => {}));
+afterEach(() => mock.restoreAll());
+
+describe("MilestoneService.evaluate", () => {
+  it("fires newly reached milestones once and moves an inflamed organ to healing", async () => {
+    const { organ, snapshot, events, broadcast } = setup();
+    const vialId = objectId();
+
+    const result = await milestoneService.evaluate(snapshot(), { vialId });
+
+    assert.deepEqual(
+      events.map((event) => event.percentage),
+      [50],
+    );
+    assert.equal(events[0].previousState, "INFLAMED");
+    assert.equal(events[0].newState, "HEALING");
+    assert.equal(result.symptomState, "HEALING");
+    assert.deepEqual(organ.campaign.reachedMilestones, [25, 50]);
+    assert.equal(broadcast.mock.calls[0].arguments[2].vialId, vialId);
+  });
+
+  it("does not fire a milestone again for a concurrent evaluation", async () => {
+    const { snapshot, events } = setup();
+    const stale = snapshot();
+
+    await Promise.all([
+      milestoneService.evaluate(stale),
+      milestoneService.evaluate(stale),
+    ]);
+
+    assert.equal(events.length, 1);
+  });
+
+  it("leaves the state of an organ that isn't inflamed", async () => {
+    const { snapshot, events } = setup({ symptomState: "HEALTHY" });
+
+    const result = await milestoneService.evaluate(snapshot());
+
+    assert.equal(events[0].newState, "HEALTHY");
+    assert.equal(result.symptomState, "HEALTHY");
+  });
+});
+
+describe("MilestoneService.getMilestones", () => {
+  it("sorts configured milestones and always includes 100%", () => {
+    const milestones = milestoneService.getMilestones({
+      milestones: [
+        { percentage: 80, label: "Almost" },
+        { percentage: 10, label: "Started" },
+      ],
+    });
+
+    assert.deepEqual(
+      milestones.map((milestone) => milestone.percentage),
+      [10, 80, 100],
+    );
+  });
+});
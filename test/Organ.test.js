@@ -0,0 +1,105 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+
+const axios = require("axios");
+const Organ = require("../models/Organ");
+const alternativeDataService = require("../services/AlternativeDataService");
+
+afterEach(() => mock.restoreAll());
+
+describe("Organ#getGeoContext", () => {
+  it("derives a bounding box around a point", () => {
+    const organ = new Organ({
+      name: "Lagos Lungs",
+      type: "Lungs",
+      location: { point: { coordinates: [3.4, 6.5] } },
+    });
+
+    assert.deepEqual(organ.getGeoContext(), {
+      label: "Lagos Lungs",
+      center: { lon: 3.4, lat: 6.5 },
+      bbox: { minLon: 2.4, minLat: 5.5, maxLon: 4.4, maxLat: 7.5 },
+      countryIso: null,
+      params: {},
+    });
+  });
+
+  it("uses the centre of a configured bounding box", () => {
+    const organ = new Organ({
+      name: "Amazon Lungs",
+      type: "Lungs",
+      location: {
+        label: "Amazon",
+        bbox: [-75, -15, -45, 5],
+        countryIso: "bra",
+      },
+      dataSourceParams: { eonetCategory: "wildfires" },
+    });
+
+    const geo = organ.getGeoContext();
+
+    assert.equal(geo.label, "Amazon");
+    assert.deepEqual(geo.center, { lon: -60, lat: -5 });
+    assert.deepEqual(geo.bbox, {
+      minLon: -75,
+      minLat: -15,
+      maxLon: -45,
+      maxLat: 5,
+    });
+    assert.equal(geo.countryIso, "BRA");
+    assert.deepEqual(geo.params, { eonetCategory: "wildfires" });
+  });
+
+  it("is null without a configured location", () => {
+    assert.equal(
+      new Organ({ name: "Skin", type: "Skin" }).getGeoContext(),
+      null,
+    );
+  });
+
+  it("rejects swapped coordinates and inverted bounding boxes", () => {
+    const error = new Organ({
+      name: "Reef Skin",
+      type: "Skin",
+      location: {
+        point: { coordinates: [-18.3, 147.7] },
+        bbox: [150, -10, 140, -20],
+        countryIso: "AU",
+      },
+    }).validateSync();
+
+    assert.ok(error.errors["location.point.coordinates"]);
+    assert.ok(error.errors["location.bbox"]);
+    assert.ok(error.errors["location.countryIso"]);
+  });
+});
+
+describe("AlternativeDataService.fetchNASAWildfireData", () => {
+  it("counts only events inside the organ's bounding box", async () => {
+    mock.method(console, "log", () => {});
+    const get = mock.method(axios, "get", async () => ({
+      data: {
+        events: [
+          { title: "Para fire", geometry: [{ coordinates: [-55, -5] }] },
+          { title: "Congo fire", geometry: [{ coordinates: [20, 0] }] },
+        ],
+      },
+    }));
+    const organ = new Organ({
+      name: "Amazon Lungs",
+      type: "Lungs",
+      location: { label: "Amazon", bbox: [-75, -15, -45, 5] },
+      dataSourceParams: { eonetDays: 7 },
+    });
+
+    const data = await alternativeDataService.fetchNASAWildfireData(
+      organ.getGeoContext(),
+    );
+
+    assert.equal(data.alertCount, 1);
+    assert.equal(data.region, "Amazon");
+    assert.equal(data.events[0].title, "Para fire");
+    assert.equal(get.mock.calls[0].arguments[1].params.days, 7);
+  });
+});
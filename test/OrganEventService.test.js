@@ -0,0 +1,79 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+
+const { objectId } = require("./helpers");
+const organEventService = require("../services/OrganEventService");
+
+// A fresh service with a small buffer and the given number of events
+const service = (published, bufferSize = 3) => {
+  const events = new organEventService.constructor();
+  events.bufferSize = bufferSize;
+  for (let i = 0; i < published; i++) {
+    events.publish("organ.updated", { _id: objectId(), name: "Lungs" });
+  }
+  return events;
+};
+
+describe("OrganEventService.getEventsSince", () => {
+  it("replays the events after a buffered ID", () => {
+    const events = service(3);
+    const first = events.buffer[0].id;
+
+    const { events: missed, complete } = events.getEventsSince(first);
+
+    assert.equal(complete, true);
+    assert.deepEqual(
+      missed.map((event) => event.id),
+      [first + 1, first + 2],
+    );
+  });
+
+  it("replays everything to a client that saw the event before the oldest buffered one", () => {
+    const events = service(5);
+
+    const { events: missed, complete } = events.getEventsSince(
+      events.buffer[0].id - 1,
+    );
+
+    assert.equal(complete, true);
+    assert.equal(missed.length, 3);
+  });
+
+  it("asks for a resync when the ID is older than the buffer", () => {
+    const events = service(5);
+
+    assert.deepEqual(events.getEventsSince(events.buffer[0].id - 2), {
+      events: [],
+      complete: false,
+      reason: "BUFFER_EXPIRED",
+    });
+  });
+
+  it("asks for a resync for IDs from a previous boot", () => {
+    const events = service(2);
+
+    // Earlier process, and one that ran past this process's IDs
+    for (const id of [events.bootEventId - 1, events.lastEventId + 1]) {
+      assert.deepEqual(events.getEventsSince(id), {
+        events: [],
+        complete: false,
+        reason: "UNKNOWN_EVENT_ID",
+      });
+    }
+  });
+
+  it("asks for a resync for an invalid ID", () => {
+    assert.equal(service(0).getEventsSince(NaN).reason, "UNKNOWN_EVENT_ID");
+  });
+
+  it("resumes a client that is up to date, before and after the first event", () => {
+    const idle = service(0);
+    assert.equal(idle.getEventsSince(idle.lastEventId).complete, true);
+
+    const busy = service(1);
+    const { events: missed, complete } = busy.getEventsSince(busy.lastEventId);
+    assert.equal(complete, true);
+    assert.deepEqual(missed, []);
+  });
+});
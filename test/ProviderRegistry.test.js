@@ -0,0 +1,109 @@
+const { describe, it, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+
+const providerRegistry = require("../services/ProviderRegistry");
+
+const SETTINGS = ["DATA_PROVIDERS_DISABLED", "DATA_PROVIDER_PRIORITIES"];
+const original = Object.fromEntries(
+  SETTINGS.map((name) => [name, process.env[name]]),
+);
+
+const geo = { label: "Lagos" };
+
+// Provider for a test-only organ type returning the given reading
+const provider = (name, priority, fetch, fields = {}) => ({
+  name,
+  organType: "Heart",
+  priority,
+  fetch,
+  normalize: (raw) => ({ bpm: raw.bpm, dataSource: name }),
+  ...fields,
+});
+
+let registry;
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  for (const name of SETTINGS) delete process.env[name];
+  registry = new providerRegistry.constructor();
+});
+afterEach(() => {
+  for (const name of SETTINGS) {
+    if (original[name] === undefined) delete process.env[name];
+    else process.env[name] = original[name];
+  }
+  mock.restoreAll();
+});
+
+describe("ProviderRegistry", () => {
+  it("falls back to the next provider and records stats for both", async () => {
+    registry.register(
+      provider("pulse-api", 10, async () => {
+        throw new Error("timeout");
+      }),
+    );
+    registry.register(
+      provider("pulse-sim", 90, async () => ({ bpm: 70 }), {
+        simulated: true,
+      }),
+    );
+
+    const metrics = await registry.fetchMetrics("Heart", geo);
+
+    assert.equal(metrics.bpm, 70);
+    assert.equal(metrics.provider, "pulse-sim");
+    assert.equal(metrics.simulated, true);
+    const status = Object.fromEntries(
+      registry
+        .getStatus()
+        .filter((p) => p.organType === "Heart")
+        .map((p) => [p.name, p.stats]),
+    );
+    assert.equal(status["pulse-api"].failures, 1);
+    assert.equal(status["pulse-api"].lastError, "timeout");
+    assert.equal(status["pulse-sim"].successRate, "100.0");
+  });
+
+  it("orders by priority overrides and skips disabled or unconfigured providers", () => {
+    registry.register(provider("a", 10, async () => ({})));
+    registry.register(provider("b", 20, async () => ({})));
+    registry.register(provider("c", 30, async () => ({})));
+    registry.register(
+      provider("keyed", 1, async () => ({}), {
+        requiredEnv: ["HEART_TEST_API_KEY"],
+      }),
+    );
+    process.env.DATA_PROVIDER_PRIORITIES = "c:5, b:bad";
+    process.env.DATA_PROVIDERS_DISABLED = "a";
+
+    assert.deepEqual(
+      registry.getChain("Heart").map((p) => p.name),
+      ["c", "b"],
+    );
+    const keyed = registry.getStatus().find((p) => p.name === "keyed");
+    assert.equal(keyed.configured, false);
+    assert.deepEqual(keyed.missingEnv, ["HEART_TEST_API_KEY"]);
+  });
+
+  it("reports every provider's error when all fail", async () => {
+    registry.register(
+      provider("pulse-api", 10, async () => {
+        throw new Error("timeout");
+      }),
+    );
+
+    await assert.rejects(registry.fetchMetrics("Heart", geo), {
+      message: "All data providers failed for Heart: pulse-api: timeout",
+    });
+    await assert.rejects(registry.fetchMetrics("Kidney", geo), {
+      message: "No data providers available for Kidney",
+    });
+  });
+
+  it("rejects incomplete provider definitions", () => {
+    assert.throws(() => registry.register({ name: "broken" }), {
+      message: "Provider is missing organType, fetch, normalize",
+    });
+  });
+});
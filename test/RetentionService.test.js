@@ -0,0 +1,83 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+// Mongoose's own query matcher, to run filters against plain documents
+const sift = require("sift").default;
+require("./helpers");
+
+const Vial = require("../models/Vial");
+const WebhookEvent = require("../models/WebhookEvent");
+const retentionService = require("../services/RetentionService");
+
+const originalDays = process.env.VIAL_RETENTION_DAYS;
+
+afterEach(() => {
+  if (originalDays === undefined) delete process.env.VIAL_RETENTION_DAYS;
+  else process.env.VIAL_RETENTION_DAYS = originalDays;
+  mock.restoreAll();
+});
+
+describe("RetentionService.redact", () => {
+  it("keeps only audit fields of payloads older than the retention period", async () => {
+    process.env.VIAL_RETENTION_DAYS = "0";
+    mock.method(console, "log", () => {});
+    const vials = mock.method(Vial, "updateMany", async () => ({
+      modifiedCount: 2,
+    }));
+    const events = mock.method(WebhookEvent, "updateMany", async () => ({
+      modifiedCount: 1,
+    }));
+
+    const counts = await retentionService.redact();
+
+    assert.deepEqual(counts, { vials: 2, webhookEvents: 1 });
+    const [vialFilter, [vialStage], options] = vials.mock.calls[0].arguments;
+    assert.equal(vialFilter.status.$ne, "PENDING");
+    assert.equal(vialFilter.flutterwaveDataRedactedAt, null);
+    assert.deepEqual(options, { updatePipeline: true });
+    const kept = Object.keys(vialStage.$set.flutterwaveData);
+    assert.ok(kept.includes("tx_ref"));
+    assert.ok(!kept.includes("customer"));
+    assert.ok(!kept.includes("card"));
+
+    const [eventFilter, [eventStage]] = events.mock.calls[0].arguments;
+    assert.equal(eventFilter.status, "PROCESSED");
+    assert.equal(eventStage.$set.payload.data.amount, "$payload.data.amount");
+  });
+
+  it("redacts legacy vials settled before verifiedAt existed", async () => {
+    process.env.VIAL_RETENTION_DAYS = "30";
+    mock.method(console, "log", () => {});
+    const vials = mock.method(Vial, "updateMany", async () => ({
+      modifiedCount: 0,
+    }));
+    mock.method(WebhookEvent, "updateMany", async () => ({ modifiedCount: 0 }));
+
+    await retentionService.redact();
+
+    const day = 24 * 60 * 60 * 1000;
+    const old = new Date(Date.now() - 31 * day);
+    const recent = new Date(Date.now() - day);
+    const matches = sift(vials.mock.calls[0].arguments[0]);
+    const settled = { status: "SUCCESS", flutterwaveDataRedactedAt: null };
+
+    assert.ok(matches({ ...settled, verifiedAt: old, processedAt: old }));
+    assert.ok(!matches({ ...settled, verifiedAt: recent, processedAt: old }));
+    // No verifiedAt key at all, as written by the original webhook handler
+    assert.ok(matches({ ...settled, processedAt: old }));
+    assert.ok(!matches({ ...settled, processedAt: recent }));
+    assert.ok(matches({ ...settled, updatedAt: old }));
+    assert.ok(!matches({ status: "PENDING", processedAt: old }));
+    assert.ok(
+      !matches({
+        ...settled,
+        processedAt: old,
+        flutterwaveDataRedactedAt: old,
+      }),
+    );
+  });
+
+  it("defaults to 30 days", () => {
+    delete process.env.VIAL_RETENTION_DAYS;
+    assert.equal(retentionService.retentionDays, 30);
+  });
+});
@@ -0,0 +1,211 @@
+const { describe, it, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+// Mongoose's own query matcher, to run filters against plain documents
+const sift = require("sift").default;
+const { query, objectId } = require("./helpers");
+
+const Organ = require("../models/Organ");
+const ScanJob = require("../models/ScanJob");
+const JobRun = require("../models/JobRun");
+const diagnosticService = require("../services/DiagnosticService");
+const schedulerService = require("../services/SchedulerService");
+
+const organ = (name) => ({ _id: objectId(), name, type: "Lungs" });
+
+// Diagnosis result for a successful scan
+const scanned = () => ({
+  diagnosticResult: {
+    status: "HEALTHY",
+    diagnosis: "Stable",
+    dataQuality: { status: "LIVE", applied: true },
+  },
+});
+
+let runUpdates;
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  runUpdates = [];
+  mock.method(JobRun, "updateOne", async (filter, update) => {
+    runUpdates.push(update);
+    return { modifiedCount: 1 };
+  });
+});
+afterEach(() => mock.restoreAll());
+
+describe("SchedulerService scheduled runs", () => {
+  it("records a skipped run when the previous one still holds the lock", async () => {
+    const job = { _id: objectId(), name: "scan-lungs" };
+    const lock = mock.method(ScanJob, "findOneAndUpdate", async () => null);
+    const create = mock.method(JobRun, "create", async (fields) => fields);
+
+    const { run, skipped } = await schedulerService.startRun(job, "SCHEDULED");
+
+    assert.equal(skipped, true);
+    assert.equal(run.status, "SKIPPED");
+    assert.equal(run.trigger, "SCHEDULED");
+    assert.equal(create.mock.callCount(), 1);
+    // A stale lock older than the timeout can be taken over
+    const [{ lockedAt }] = lock.mock.calls[0].arguments[0].$or.slice(1);
+    assert.ok(
+      Date.now() - lockedAt.$lt.getTime() >= schedulerService.lockTimeout,
+    );
+  });
+
+  it("fails an earlier run of the job once its expired lock is taken", async () => {
+    const job = { _id: objectId(), name: "scan-lungs" };
+    mock.method(ScanJob, "findOneAndUpdate", async () => job);
+    const fail = mock.method(JobRun, "updateMany", async () => ({}));
+    mock.method(JobRun, "create", async (fields) => fields);
+    mock.method(schedulerService, "executeRun", async () => {});
+
+    const { skipped } = await schedulerService.startRun(job, "MANUAL");
+
+    assert.equal(skipped, false);
+    const [filter, update] = fail.mock.calls[0].arguments;
+    assert.deepEqual(filter, { jobId: job._id, status: "RUNNING" });
+    assert.equal(update.status, "FAILED");
+  });
+
+  it("releases only runs and locks older than the lock timeout at boot", async () => {
+    const runs = mock.method(JobRun, "updateMany", async () => ({}));
+    const locks = mock.method(ScanJob, "updateMany", async () => ({}));
+
+    await schedulerService.releaseStaleWork();
+
+    const expired = new Date(Date.now() - schedulerService.lockTimeout - 1000);
+    const active = new Date();
+    const staleRun = sift(runs.mock.calls[0].arguments[0]);
+    assert.ok(staleRun({ status: "RUNNING", updatedAt: expired }));
+    // Another process's run that is still making progress
+    assert.ok(!staleRun({ status: "RUNNING", updatedAt: active }));
+    assert.equal(runs.mock.calls[0].arguments[1].status, "FAILED");
+
+    const staleLock = sift(locks.mock.calls[0].arguments[0]);
+    assert.ok(staleLock({ isRunning: true, lockedAt: expired }));
+    assert.ok(!staleLock({ isRunning: true, lockedAt: active }));
+  });
+
+  it("does not run a disabled job", async () => {
+    mock.method(ScanJob, "findById", async () => ({ enabled: false }));
+    const startRun = mock.method(schedulerService, "startRun");
+
+    await schedulerService.runScheduled(objectId());
+
+    assert.equal(startRun.mock.callCount(), 0);
+  });
+
+  it("scans the job's organs, then releases the lock with the run status", async () => {
+    const job = { _id: objectId(), name: "scan-lungs", organType: "Lungs" };
+    const run = {
+      _id: objectId(),
+      trigger: "SCHEDULED",
+      startedAt: new Date(),
+    };
+    const find = mock.method(Organ, "find", () =>
+      query([organ("Amazon Lungs"), organ("Congo Lungs")]),
+    );
+    mock.method(diagnosticService, "scanAndRecord", async (scannedOrgan) => {
+      if (scannedOrgan.name === "Congo Lungs") throw new Error("NASA timeout");
+      return scanned();
+    });
+    const release = mock.method(ScanJob, "updateOne", async () => ({}));
+
+    await schedulerService.executeRun(job, run);
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      type: "Lungs",
+      deletedAt: null,
+    });
+    const [, update] = release.mock.calls[0].arguments;
+    assert.equal(update.isRunning, false);
+    assert.equal(update.lockedAt, null);
+    assert.equal(update.lastStatus, "PARTIAL");
+    assert.equal(update.lastRunAt, run.startedAt);
+    assert.equal(runUpdates.at(-1).status, "PARTIAL");
+  });
+
+  it("reads the schedule for an organ type from the environment", () => {
+    const original = process.env.SCAN_SCHEDULE_VEINS;
+    process.env.SCAN_SCHEDULE_VEINS = "*/15 * * * *";
+    try {
+      assert.equal(schedulerService.getScheduleFor("Veins"), "*/15 * * * *");
+      assert.equal(
+        schedulerService.getScheduleFor("Skin"),
+        schedulerService.defaultSchedule,
+      );
+    } finally {
+      if (original === undefined) delete process.env.SCAN_SCHEDULE_VEINS;
+      else process.env.SCAN_SCHEDULE_VEINS = original;
+    }
+  });
+});
+
+describe("SchedulerService diagnose-all", () => {
+  it("scans with bounded concurrency and records each result as it completes", async () => {
+    const organs = ["Lungs", "Veins", "Skin", "Reef"].map(organ);
+    let inFlight = 0;
+    let maxInFlight = 0;
+    mock.method(diagnosticService, "scanAndRecord", async () => {
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      await new Promise((resolve) => setImmediate(resolve));
+      inFlight--;
+      return scanned();
+    });
+    const run = { _id: objectId() };
+
+    const status = await schedulerService.scanOrgans(() => organs, run, 2);
+
+    assert.equal(status, "SUCCESS");
+    assert.equal(maxInFlight, 2);
+    assert.deepEqual(runUpdates[0], { total: 4 });
+    const pushed = runUpdates.filter((update) => update.$push);
+    assert.equal(pushed.length, 4);
+    assert.deepEqual(
+      pushed.map((update) => update.$push.results.status),
+      ["success", "success", "success", "success"],
+    );
+    assert.equal(runUpdates.at(-1).status, "SUCCESS");
+  });
+
+  it("fails the run when the organs can't be loaded", async () => {
+    const status = await schedulerService.scanOrgans(
+      async () => {
+        throw new Error("connection lost");
+      },
+      { _id: objectId() },
+      3,
+    );
+
+    assert.equal(status, "FAILED");
+    assert.equal(runUpdates.at(-1).error, "connection lost");
+  });
+
+  it("returns the running job before the scans finish", async () => {
+    mock.method(Organ, "find", async () => [organ("Lungs"), organ("Veins")]);
+    mock.method(JobRun, "create", async (fields) => ({
+      _id: objectId(),
+      ...fields,
+    }));
+    let finish;
+    const done = new Promise((resolve) => (finish = resolve));
+    const scan = mock.method(diagnosticService, "scanAndRecord", async () => {
+      await done;
+      return scanned();
+    });
+
+    const run = await schedulerService.startDiagnoseAll();
+
+    assert.equal(run.status, "RUNNING");
+    assert.equal(run.trigger, "DIAGNOSE_ALL");
+    assert.equal(run.total, 2);
+    assert.ok(!runUpdates.some((update) => update.status));
+
+    finish();
+    while (!runUpdates.some((update) => update.status)) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    assert.equal(scan.mock.callCount(), 2);
+    assert.equal(runUpdates.at(-1).status, "SUCCESS");
+  });
+});
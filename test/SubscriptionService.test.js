@@ -0,0 +1,63 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { objectId } = require("./helpers");
+
+const Subscription = require("../models/Subscription");
+const flutterwaveService = require("../services/FlutterwaveService");
+const subscriptionService = require("../services/SubscriptionService");
+
+afterEach(() => mock.restoreAll());
+
+const paused = (fields = {}) => ({
+  _id: objectId(),
+  status: "PAUSED",
+  donorEmail: "ada@example.com",
+  flutterwavePlanId: "4242",
+  flutterwaveSubscriptionId: null,
+  ...fields,
+});
+
+describe("SubscriptionService.resume", () => {
+  it("reactivates the Flutterwave subscription and marks it ACTIVE", async () => {
+    const subscription = paused({ flutterwaveSubscriptionId: "77" });
+    const activate = mock.method(flutterwaveService, "activateSubscription", async () => {});
+    mock.method(Subscription, "findOneAndUpdate", async (filter, update) => ({
+      ...subscription,
+      ...update,
+    }));
+
+    const updated = await subscriptionService.resume(subscription);
+
+    assert.deepEqual(activate.mock.calls[0].arguments, ["77"]);
+    assert.equal(updated.status, "ACTIVE");
+    assert.equal(updated.pausedAt, null);
+  });
+
+  it("returns 409 when Flutterwave has no subscription for the plan", async () => {
+    mock.method(flutterwaveService, "findSubscription", async () => null);
+    const activate = mock.method(flutterwaveService, "activateSubscription", async () => {});
+
+    await assert.rejects(subscriptionService.resume(paused()), {
+      statusCode: 409,
+      message: "Subscription has no active payment plan",
+    });
+    assert.equal(activate.mock.callCount(), 0);
+  });
+
+  it("returns 409 when the payment plan was never created", async () => {
+    const find = mock.method(flutterwaveService, "findSubscription", async () => null);
+
+    await assert.rejects(
+      subscriptionService.resume(paused({ flutterwavePlanId: null })),
+      { statusCode: 409 },
+    );
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it("only resumes paused subscriptions", async () => {
+    await assert.rejects(
+      subscriptionService.resume(paused({ status: "ACTIVE" })),
+      { statusCode: 409, message: "A ACTIVE subscription cannot be resumed" },
+    );
+  });
+});
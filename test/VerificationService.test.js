@@ -0,0 +1,452 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { query, objectId } = require("./helpers");
+
+const sharp = require("sharp");
+
+const Organ = require("../models/Organ");
+const OrganEvent = require("../models/OrganEvent");
+const VerificationSubmission = require("../models/VerificationSubmission");
+const verificationService = require("../services/VerificationService");
+const imageHashService = require("../services/ImageHashService");
+const organEventService = require("../services/OrganEventService");
+
+const SETTINGS = [
+  "VERIFICATION_BOOST_CAP",
+  "VERIFICATION_REVIEW_CONFIDENCE",
+  "VERIFICATION_CRITICAL_HEALTH_SCORE",
+  "VERIFICATION_MAX_IMAGE_AGE_DAYS",
+];
+const original = Object.fromEntries(
+  SETTINGS.map((name) => [name, process.env[name]]),
+);
+
+afterEach(() => {
+  for (const name of SETTINGS) {
+    if (original[name] === undefined) delete process.env[name];
+    else process.env[name] = original[name];
+  }
+  mock.restoreAll();
+});
+
+const image = (role, phash) => ({
+  role,
+  phash,
+  phashBands: imageHashService.bands(phash),
+});
+
+describe("VerificationService.findDuplicates", () => {
+  it("links recycled after images to the earliest matching submission", async () => {
+    const original = objectId();
+    const find = mock.method(VerificationSubmission, "find", () =>
+      query([
+        {
+          _id: original,
+          images: [image("BEFORE", "0000000000000000"), image("AFTER", "ffff0000ffff0000")],
+        },
+        { _id: objectId(), images: [image("AFTER", "ffff0000ffff0000")] },
+      ]),
+    );
+
+    const submission = {
+      _id: objectId(),
+      images: [
+        image("BEFORE", "0000000000000000"),
+        image("AFTER", "ffff0000ffff0001"),
+        image("AFTER", "123456789abcdef0"),
+      ],
+    };
+    const duplicates = await verificationService.findDuplicates(submission);
+
+    // The reused before image is allowed; only the first after image matches
+    assert.deepEqual(duplicates, [
+      { imageIndex: 1, submissionId: original, originalImageIndex: 1, distance: 1 },
+    ]);
+    const [filter] = find.mock.calls[0].arguments;
+    assert.deepEqual(filter._id, { $ne: submission._id });
+    assert.ok(filter.$or[0]["images.phashBands"].$in.includes("0:ff"));
+  });
+
+  it("matches after images sharp could not decode by sha256", async () => {
+    const original = objectId();
+    const heic = { role: "AFTER", sha256: "a1b2c3", phash: null };
+    const find = mock.method(VerificationSubmission, "find", () =>
+      query([
+        {
+          _id: original,
+          images: [
+            { role: "BEFORE", sha256: "d4e5f6", phash: null },
+            heic,
+          ],
+        },
+      ]),
+    );
+
+    const duplicates = await verificationService.findDuplicates({
+      _id: objectId(),
+      images: [{ role: "BEFORE", sha256: "d4e5f6", phash: null }, heic],
+    });
+
+    assert.deepEqual(duplicates, [
+      { imageIndex: 1, submissionId: original, originalImageIndex: 1, distance: 0 },
+    ]);
+    const [filter] = find.mock.calls[0].arguments;
+    assert.deepEqual(filter.$or[1], { "images.sha256": { $in: ["a1b2c3"] } });
+  });
+
+  it("does not match undecodable images against other photos", async () => {
+    mock.method(VerificationSubmission, "find", () =>
+      query([
+        {
+          _id: objectId(),
+          images: [
+            image("AFTER", "ffff0000ffff0000"),
+            { role: "AFTER", sha256: "other", phash: null },
+          ],
+        },
+      ]),
+    );
+
+    const duplicates = await verificationService.findDuplicates({
+      _id: objectId(),
+      images: [{ role: "AFTER", sha256: "a1b2c3", phash: null }],
+    });
+
+    assert.deepEqual(duplicates, []);
+  });
+
+  it("skips failed submissions and earlier duplicate rejections", async () => {
+    const find = mock.method(VerificationSubmission, "find", () => query([]));
+
+    await verificationService.findDuplicates({
+      _id: objectId(),
+      images: [image("AFTER", "ffff0000ffff0000")],
+    });
+
+    const [filter] = find.mock.calls[0].arguments;
+    assert.deepEqual(filter.outcome, { $ne: "FAILED" });
+    assert.deepEqual(filter.$nor, [
+      { outcome: "REJECTED", "duplicates.0": { $exists: true } },
+    ]);
+  });
+
+  it("does not query without hashed after images", async () => {
+    const find = mock.method(VerificationSubmission, "find", () => query([]));
+
+    const duplicates = await verificationService.findDuplicates({
+      _id: objectId(),
+      images: [image("BEFORE", "ffff0000ffff0000"), { role: "AFTER", phash: null }],
+    });
+
+    assert.deepEqual(duplicates, []);
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
+
+describe("VerificationService metadata checks", () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const organ = new Organ({
+    name: "Amazon Lungs",
+    type: "Lungs",
+    location: { bbox: [-75, -15, -45, 5] },
+  });
+  const photo = (role, daysAgo, latitude = -3.5, longitude = -60) => ({
+    role,
+    exif: {
+      capturedAt: new Date(Date.now() - daysAgo * DAY),
+      latitude,
+      longitude,
+    },
+  });
+
+  it("passes geotagged, recent after images taken after the before images", () => {
+    const checks = verificationService.checkMetadata(organ, [
+      photo("BEFORE", 200),
+      photo("AFTER", 2),
+    ]);
+
+    assert.deepEqual(
+      Object.values(checks).map((check) => check.status),
+      ["PASS", "PASS", "PASS"],
+    );
+  });
+
+  it("fails images from elsewhere, stale images and out-of-order sets", () => {
+    const checks = verificationService.checkMetadata(organ, [
+      photo("BEFORE", 1),
+      photo("AFTER", 90, 51.5, -0.1),
+    ]);
+
+    assert.equal(checks.location.status, "FAIL");
+    assert.match(checks.location.detail, /^after image 1 taken outside/);
+    assert.equal(checks.recency.status, "FAIL");
+    assert.match(checks.recency.detail, /more than 30 days ago/);
+    assert.equal(checks.ordering.status, "FAIL");
+  });
+
+  it("honours a maximum image age of 0", () => {
+    process.env.VERIFICATION_MAX_IMAGE_AGE_DAYS = "0";
+
+    const checks = verificationService.checkMetadata(organ, [
+      photo("AFTER", 2),
+    ]);
+
+    assert.equal(checks.recency.status, "FAIL");
+    assert.match(checks.recency.detail, /more than 0 days ago/);
+  });
+
+  it("marks checks without metadata as missing", () => {
+    const checks = verificationService.checkMetadata(organ, [
+      { role: "BEFORE", exif: null },
+      { role: "AFTER", exif: null },
+    ]);
+
+    assert.deepEqual(
+      Object.values(checks).map((check) => check.status),
+      ["MISSING", "MISSING", "MISSING"],
+    );
+  });
+
+  it("rejects on a failed check and lowers confidence for missing ones", () => {
+    const comparison = {
+      verified: true,
+      confidence: 90,
+      recommendation: "APPROVE",
+      sameLocation: true,
+    };
+    const pass = { status: "PASS", detail: "ok" };
+    const missing = { status: "MISSING", detail: "none" };
+
+    const approved = verificationService.combineVerdict(comparison, {
+      location: missing,
+      recency: pass,
+      ordering: missing,
+    });
+    const rejected = verificationService.combineVerdict(
+      { ...comparison, sameLocation: false },
+      {
+        location: { status: "FAIL", detail: "taken outside" },
+        recency: pass,
+        ordering: pass,
+      },
+    );
+
+    assert.equal(approved.verified, true);
+    assert.equal(approved.confidence, 50);
+    assert.equal(approved.recommendation, "APPROVE");
+    assert.equal(rejected.verified, false);
+    assert.equal(rejected.recommendation, "REJECT");
+    assert.deepEqual(rejected.reasons, [
+      "taken outside",
+      "Before and after images do not show the same location",
+    ]);
+  });
+});
+
+describe("VerificationService image handling", () => {
+  it("types images by their bytes, not the declared type", async () => {
+    const jpeg = await sharp({
+      create: { width: 8, height: 8, channels: 3, background: "#2e7d32" },
+    })
+      .jpeg()
+      .toBuffer();
+    const declaredPng = `data:image/png;base64,${jpeg.toString("base64")}`;
+    const text = Buffer.from("<html>not an image</html>");
+
+    assert.equal(
+      verificationService.readImage(declaredPng).mimeType,
+      "image/jpeg",
+    );
+    assert.equal(verificationService.readImage({ buffer: text }), null);
+    assert.equal(verificationService.readImage(42), null);
+  });
+
+  it("downscales images for Gemini and sends undecodable ones as uploaded", async () => {
+    const png = await sharp({
+      create: { width: 3200, height: 800, channels: 3, background: "#1565c0" },
+    })
+      .png()
+      .toBuffer();
+    const heic = Buffer.from("....ftypheic....");
+
+    const resized = await verificationService.prepareForVision({
+      buffer: png,
+      mimeType: "image/png",
+    });
+    const passthrough = await verificationService.prepareForVision({
+      buffer: heic,
+      mimeType: "image/heic",
+    });
+
+    assert.equal(resized.mimeType, "image/jpeg");
+    const { width, height } = await sharp(
+      Buffer.from(resized.data, "base64"),
+    ).metadata();
+    assert.deepEqual([width, height], [1600, 400]);
+    assert.deepEqual(passthrough, {
+      data: heic.toString("base64"),
+      mimeType: "image/heic",
+    });
+  });
+});
+
+describe("VerificationService.reviewReasons", () => {
+  const organ = { healthScore: 20 };
+
+  it("holds low-confidence approvals of critical organs by default", () => {
+    delete process.env.VERIFICATION_REVIEW_CONFIDENCE;
+    delete process.env.VERIFICATION_CRITICAL_HEALTH_SCORE;
+
+    const reasons = verificationService.reviewReasons(
+      organ,
+      "APPROVED",
+      { confidence: 60 },
+      {},
+    );
+
+    assert.deepEqual(reasons, ["LOW_CONFIDENCE", "CRITICAL_ORGAN"]);
+  });
+
+  it("holds nothing back with thresholds of 0", () => {
+    process.env.VERIFICATION_REVIEW_CONFIDENCE = "0";
+    process.env.VERIFICATION_CRITICAL_HEALTH_SCORE = "0";
+
+    const reasons = verificationService.reviewReasons(
+      organ,
+      "APPROVED",
+      { confidence: 0 },
+      {},
+    );
+
+    assert.deepEqual(reasons, []);
+  });
+});
+
+describe("VerificationService.recordTransition", () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const setup = ({ ngoId = null, boosts = [] } = {}) => {
+    mock.method(console, "log", () => {});
+    const organ = {
+      _id: objectId(),
+      name: "Amazon Lungs",
+      symptomState: "INFLAMED",
+      healthScore: 35,
+    };
+    // The organ as the atomic update found it
+    const update = mock.method(Organ, "findOneAndUpdate", async () => ({
+      ...organ,
+      verificationBoosts: boosts,
+    }));
+    const submission = {
+      _id: objectId(),
+      ngoId,
+      ngoName: "Reef Watch",
+      verification: { confidence: 92, recommendation: "APPROVE" },
+      save: mock.fn(async () => {}),
+    };
+    const publish = mock.method(organEventService, "publish", () => {});
+    mock.method(OrganEvent, "create", async (fields) => fields);
+    return { organ, submission, publish, update };
+  };
+
+  it("applies the outcome and records the organ's before and after state", async () => {
+    const { organ, submission, publish, update } = setup();
+
+    const event = await verificationService.recordTransition(
+      organ,
+      submission,
+      { type: "VERIFICATION", rule: "OUTCOME_APPROVED", outcome: "APPROVED" },
+    );
+
+    assert.equal(organ.symptomState, "HEALTHY");
+    assert.equal(organ.healthScore, 55);
+    assert.deepEqual(submission.stateChange, {
+      previousState: "INFLAMED",
+      newState: "HEALTHY",
+      previousHealthScore: 35,
+      newHealthScore: 55,
+    });
+    assert.ok(submission.appliedAt);
+    assert.equal(submission.save.mock.callCount(), 1);
+    assert.equal(event.healthBoost, 20);
+    assert.equal(event.confidence, 92);
+    assert.equal(event.submissionId, submission._id);
+    assert.equal(publish.mock.calls[0].arguments[0], "organ.verified");
+    const [filter, , options] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: organ._id });
+    assert.equal(options.updatePipeline, true);
+  });
+
+  it("caps the boost an NGO can add to an organ", async () => {
+    const ngoId = objectId();
+    const { organ, submission, update } = setup({
+      ngoId,
+      boosts: [
+        { ngoId, boost: 20, at: new Date(Date.now() - DAY) },
+        { ngoId, boost: 15, at: new Date(Date.now() - 2 * DAY) },
+        // Outside the window, and another NGO's grant
+        { ngoId, boost: 20, at: new Date(Date.now() - 60 * DAY) },
+        { ngoId: objectId(), boost: 40, at: new Date() },
+      ],
+    });
+
+    const event = await verificationService.recordTransition(
+      organ,
+      submission,
+      { type: "VERIFICATION", rule: "OUTCOME_APPROVED", outcome: "APPROVED" },
+    );
+
+    assert.equal(organ.healthScore, 40);
+    assert.equal(event.healthBoost, 5);
+    assert.equal(event.healthBoostCapped, true);
+
+    // The cap is enforced and the grant recorded in the one update
+    const [, pipeline] = update.mock.calls[0].arguments;
+    const granted = pipeline[0].$set.grantedBoost.$max[1].$min;
+    assert.equal(granted[0], 20);
+    assert.equal(granted[1].$subtract[0], 40);
+    const [grant] = pipeline[1].$set.verificationBoosts.$concatArrays[1];
+    assert.equal(grant.ngoId, ngoId);
+    assert.equal(grant.submissionId, submission._id);
+    assert.equal(grant.boost, "$grantedBoost");
+  });
+
+  it("grants no boost with a cap of 0", async () => {
+    const { organ, submission } = setup({ ngoId: objectId() });
+    process.env.VERIFICATION_BOOST_CAP = "0";
+
+    const event = await verificationService.recordTransition(
+      organ,
+      submission,
+      { type: "VERIFICATION", rule: "OUTCOME_APPROVED", outcome: "APPROVED" },
+    );
+
+    assert.equal(organ.symptomState, "HEALTHY");
+    assert.equal(organ.healthScore, 35);
+    assert.equal(event.healthBoost, 0);
+    assert.equal(event.healthBoostCapped, true);
+  });
+
+  it("records a rejection without changing the organ", async () => {
+    const { organ, submission, publish, update } = setup();
+
+    const event = await verificationService.recordTransition(
+      organ,
+      submission,
+      {
+        type: "REVIEW",
+        rule: "REVIEW_REJECTED",
+        actor: "admin",
+        reason: "Photos are of another site",
+      },
+    );
+
+    assert.equal(update.mock.callCount(), 0);
+    assert.equal(submission.appliedAt, undefined);
+    assert.equal(event.previousState, "INFLAMED");
+    assert.equal(event.newState, "INFLAMED");
+    assert.equal(event.healthBoost, 0);
+    assert.equal(event.actor, "admin");
+    assert.equal(publish.mock.callCount(), 0);
+  });
+});
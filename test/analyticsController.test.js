@@ -0,0 +1,49 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { mockResponse, objectId } = require("./helpers");
+
+const Organ = require("../models/Organ");
+const analyticsService = require("../services/AnalyticsService");
+const {
+  getLeaderboard,
+  getFundingTimeline,
+} = require("../controllers/analyticsController");
+
+afterEach(() => mock.restoreAll());
+
+describe("analytics endpoints", () => {
+  it("return 400 for an invalid date, organ ID or interval", async () => {
+    const cases = [
+      [getLeaderboard, { from: "yesterday" }, "Invalid 'from' date"],
+      [getLeaderboard, { organId: "lungs" }, "Invalid organId"],
+      [getFundingTimeline, { interval: "hour" }, /interval must be one of/],
+    ];
+
+    for (const [handler, query, message] of cases) {
+      const res = mockResponse();
+      await handler({ query }, res);
+
+      assert.equal(res.statusCode, 400);
+      assert.match(res.body.message, new RegExp(message));
+    }
+  });
+
+  it("returns 404 for a deleted organ", async () => {
+    mock.method(Organ, "exists", async () => null);
+    const res = mockResponse();
+
+    await getLeaderboard({ query: { organId: objectId().toString() } }, res);
+
+    assert.equal(res.statusCode, 404);
+  });
+
+  it("caps the leaderboard size", async () => {
+    const top = mock.method(analyticsService, "getTopDonors", async () => []);
+    const res = mockResponse();
+
+    await getLeaderboard({ query: { limit: "5000" } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(top.mock.calls[0].arguments[1], 100);
+  });
+});
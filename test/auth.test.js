@@ -0,0 +1,50 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { mockResponse } = require("./helpers");
+
+const authService = require("../services/AuthService");
+const { requireRole } = require("../middleware/auth");
+
+afterEach(() => mock.restoreAll());
+
+// Run the middleware for a caller resolved as `auth`
+const run = async (auth, ...roles) => {
+  mock.method(authService, "resolve", async () => auth);
+  const req = {};
+  const res = mockResponse();
+  let nextCalled = false;
+  await requireRole(...roles)(req, res, () => (nextCalled = true));
+  return { req, res, nextCalled };
+};
+
+describe("requireRole", () => {
+  it("asks anonymous callers to authenticate", async () => {
+    const { res, nextCalled } = await run({ role: "public" }, "ngo");
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.message, "Authentication required");
+    assert.equal(nextCalled, false);
+  });
+
+  it("rejects invalid credentials", async () => {
+    const { res } = await run({ role: null }, "ngo");
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.message, "Invalid or expired credentials");
+  });
+
+  it("forbids other roles", async () => {
+    const { res } = await run({ role: "donor" }, "ngo");
+
+    assert.equal(res.statusCode, 403);
+  });
+
+  it("lets the role and admins through", async () => {
+    const ngo = await run({ role: "ngo", subject: "ngo-1" }, "ngo");
+    const admin = await run({ role: "admin", subject: "admin" }, "ngo");
+
+    assert.equal(ngo.nextCalled, true);
+    assert.equal(ngo.req.auth.subject, "ngo-1");
+    assert.equal(admin.nextCalled, true);
+  });
+});
@@ -0,0 +1,29 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { mockResponse } = require("./helpers");
+
+const { createApiKey } = require("../controllers/authController");
+
+describe("POST /api/auth/keys", () => {
+  it("returns 400 for a bodyless request", async () => {
+    const res = mockResponse();
+    await createApiKey({ auth: { role: "admin", subject: "admin" } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /name is required/);
+  });
+
+  it("returns 400 for an expiry in the past", async () => {
+    const res = mockResponse();
+    await createApiKey(
+      {
+        auth: { role: "admin", subject: "admin" },
+        body: { name: "ops", role: "admin", expiresAt: "2020-01-01" },
+      },
+      res,
+    );
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /future date/);
+  });
+});
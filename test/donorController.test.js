@@ -0,0 +1,40 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { mockResponse, objectId } = require("./helpers");
+
+const donorService = require("../services/DonorService");
+const {
+  requestLogin,
+  verifyLogin,
+  updateMyVial,
+} = require("../controllers/donorController");
+
+afterEach(() => mock.restoreAll());
+
+describe("donor sign-in and vial endpoints", () => {
+  it("return 400 for bodyless requests", async () => {
+    const donor = { _id: objectId(), email: "ada@example.org" };
+    const cases = [
+      [requestLogin, {}, /valid email/],
+      [verifyLogin, {}, /token is required/],
+      [updateMyVial, { donor, params: { id: objectId() } }, /anonymous/],
+    ];
+
+    for (const [handler, req, message] of cases) {
+      const res = mockResponse();
+      await handler(req, res);
+
+      assert.equal(res.statusCode, 400);
+      assert.match(res.body.message, message);
+    }
+  });
+
+  it("returns 401 for a used sign-in link", async () => {
+    mock.method(donorService, "verifyLogin", async () => null);
+    const res = mockResponse();
+
+    await verifyLogin({ body: { token: "used" } }, res);
+
+    assert.equal(res.statusCode, 401);
+  });
+});
@@ -0,0 +1,58 @@
+// Shared test doubles. Models are stubbed with node:test mocks, so the
+// tests need no MongoDB, Gemini or Flutterwave.
+process.env.DOTENV_CONFIG_QUIET = "true";
+
+const mongoose = require("mongoose");
+
+/**
+ * Express response double recording the status, headers and JSON body
+ * @returns {Object} Response
+ */
+const mockResponse = () => {
+  const res = { statusCode: 200, headers: {}, body: undefined };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.set = (name, value) => {
+    const fields = typeof name === "object" ? name : { [name]: value };
+    for (const [field, fieldValue] of Object.entries(fields)) {
+      res.headers[field.toLowerCase()] = fieldValue;
+    }
+    return res;
+  };
+  res.setHeader = res.set;
+  return res;
+};
+
+/**
+ * Stand-in for a Mongoose query: chainable, and awaiting it gives `result`
+ * @param {*} result - Resolved value
+ * @returns {Object} Query
+ */
+const query = (result) => {
+  const q = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    exec: () => Promise.resolve(result),
+  };
+  for (const method of ["sort", "skip", "limit", "select", "populate", "lean"]) {
+    q[method] = () => q;
+  }
+  return q;
+};
+
+/**
+ * A fresh ObjectId
+ * @returns {mongoose.Types.ObjectId} ID
+ */
+const objectId = () => new mongoose.Types.ObjectId();
+
+module.exports = {
+  mockResponse,
+  query,
+  objectId,
+};
@@ -0,0 +1,33 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { mockResponse, objectId } = require("./helpers");
+
+const ScanJob = require("../models/ScanJob");
+const schedulerService = require("../services/SchedulerService");
+const { runJob } = require("../controllers/jobController");
+
+afterEach(() => mock.restoreAll());
+
+describe("POST /api/jobs/:id/run", () => {
+  it("returns 404 for a malformed job ID", async () => {
+    const res = mockResponse();
+    await runJob({ params: { id: "not-a-job" } }, res);
+
+    assert.equal(res.statusCode, 404);
+  });
+
+  it("starts a manual run of the job", async () => {
+    const job = { _id: objectId(), name: "Lungs scan" };
+    mock.method(ScanJob, "findById", async () => job);
+    const startRun = mock.method(schedulerService, "startRun", async () => ({
+      run: { _id: objectId(), status: "RUNNING" },
+      skipped: false,
+    }));
+
+    const res = mockResponse();
+    await runJob({ params: { id: job._id.toString() } }, res);
+
+    assert.equal(res.statusCode, 202);
+    assert.deepEqual(startRun.mock.calls[0].arguments, [job, "MANUAL"]);
+  });
+});
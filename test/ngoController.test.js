@@ -0,0 +1,63 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { mockResponse, objectId } = require("./helpers");
+
+const Ngo = require("../models/Ngo");
+const { registerNgo, updateNgo } = require("../controllers/ngoController");
+
+afterEach(() => mock.restoreAll());
+
+describe("POST /api/ngos", () => {
+  it("returns 400 for a bodyless request", async () => {
+    const res = mockResponse();
+    await registerNgo({}, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /name is required/);
+  });
+
+  it("returns 400 for a null contact", async () => {
+    const res = mockResponse();
+    await registerNgo({ body: { name: "Reef Watch", contact: null } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /contact\.email/);
+  });
+
+  it("registers a pending NGO with a normalized contact email", async () => {
+    mock.method(console, "log", () => {});
+    const create = mock.method(Ngo, "create", async (fields) => ({
+      _id: objectId(),
+      status: "PENDING",
+      ...fields,
+    }));
+    const res = mockResponse();
+
+    await registerNgo(
+      {
+        body: {
+          name: "Reef Watch",
+          contact: { name: "Ada", email: " Ada@Reef.org ", phone: "+254" },
+        },
+      },
+      res,
+    );
+
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(create.mock.calls[0].arguments[0].contact, {
+      name: "Ada",
+      email: "ada@reef.org",
+      phone: "+254",
+    });
+  });
+});
+
+describe("PATCH /api/ngos/:id", () => {
+  it("returns 400 for a bodyless request", async () => {
+    const res = mockResponse();
+    await updateNgo({ params: { id: objectId().toString() } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /No editable fields/);
+  });
+});
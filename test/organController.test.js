@@ -0,0 +1,342 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { mockResponse, query, objectId } = require("./helpers");
+
+const Organ = require("../models/Organ");
+const DiagnosticRecord = require("../models/DiagnosticRecord");
+const JobRun = require("../models/JobRun");
+const milestoneService = require("../services/MilestoneService");
+const organEventService = require("../services/OrganEventService");
+const {
+  getDiagnoseAllStatus,
+  getOrganById,
+  getOrganHistory,
+  createOrgan,
+  updateOrgan,
+  deleteOrgan,
+  startCampaign,
+  streamOrganEvents,
+} = require("../controllers/organController");
+
+afterEach(() => mock.restoreAll());
+
+const organ = (fields = {}) => ({
+  _id: objectId(),
+  name: "Amazon Lungs",
+  targetFundingUSD: 5000,
+  currentFundingUSD: 0,
+  ...fields,
+});
+
+describe("GET /api/organs/:id/history", () => {
+  it("pages the organ's records newest first with the date and quality filters", async () => {
+    const organId = objectId();
+    mock.method(Organ, "findOne", async () => ({ _id: organId }));
+    const record = {
+      _id: objectId(),
+      organId,
+      status: "INFLAMED",
+      healthScore: 42,
+      diagnosisEngine: "GEMINI",
+      dataQuality: { status: "LIVE" },
+      scannedAt: new Date("2026-01-30T12:00:00Z"),
+    };
+    let sort;
+    const find = mock.method(DiagnosticRecord, "find", () => {
+      const q = query([record]);
+      q.sort = (order) => {
+        sort = order;
+        return q;
+      };
+      return q;
+    });
+    mock.method(DiagnosticRecord, "countDocuments", async () => 51);
+
+    const res = mockResponse();
+    await getOrganHistory(
+      {
+        params: { id: organId.toString() },
+        query: { from: "2026-01-01", quality: "LIVE", page: "2" },
+      },
+      res,
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(sort, { scannedAt: -1 });
+    const [filter] = find.mock.calls[0].arguments;
+    assert.equal(filter.organId, organId);
+    assert.deepEqual(filter["dataQuality.status"], { $in: ["LIVE", null] });
+    assert.deepEqual(filter.scannedAt, { $gte: new Date("2026-01-01") });
+    assert.equal(res.body.page, 2);
+    assert.equal(res.body.pages, 2);
+    assert.equal(res.body.data[0].healthScore, 42);
+  });
+
+  it("rejects an invalid date", async () => {
+    mock.method(Organ, "findOne", async () => ({ _id: objectId() }));
+
+    const res = mockResponse();
+    await getOrganHistory(
+      { params: { id: objectId().toString() }, query: { to: "yesterday" } },
+      res,
+    );
+
+    assert.equal(res.statusCode, 400);
+  });
+
+  it("returns 404 for unknown organs", async () => {
+    mock.method(Organ, "findOne", async () => null);
+
+    const res = mockResponse();
+    await getOrganHistory({ params: { id: objectId().toString() }, query: {} }, res);
+
+    assert.equal(res.statusCode, 404);
+  });
+
+  it("returns 404 for a malformed organ ID", async () => {
+    const res = mockResponse();
+    await getOrganHistory({ params: { id: "not-an-organ" }, query: {} }, res);
+
+    assert.equal(res.statusCode, 404);
+  });
+});
+
+describe("GET /api/organs/:id", () => {
+  it("returns 404 for a malformed organ ID", async () => {
+    const res = mockResponse();
+    await getOrganById({ params: { id: "not-an-organ" } }, res);
+
+    assert.equal(res.statusCode, 404);
+  });
+});
+
+describe("POST /api/organs/:id/campaigns", () => {
+  it("restarts with the current target on a bodyless POST", async () => {
+    const current = organ();
+    mock.method(Organ, "findOne", async () => current);
+    const start = mock.method(milestoneService, "startCampaign", async (o, { targetFundingUSD }) => ({
+      ...o,
+      targetFundingUSD,
+    }));
+    mock.method(milestoneService, "evaluate", async (o) => o);
+    mock.method(organEventService, "publish", () => {});
+
+    const res = mockResponse();
+    await startCampaign({ params: { id: current._id.toString() } }, res);
+
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(start.mock.calls[0].arguments[1], { targetFundingUSD: 5000 });
+    assert.equal(res.body.data.targetFundingUSD, 5000);
+  });
+
+  it("rejects a non-positive target", async () => {
+    const current = organ();
+    mock.method(Organ, "findOne", async () => current);
+
+    const res = mockResponse();
+    await startCampaign(
+      { params: { id: current._id.toString() }, body: { targetFundingUSD: -5 } },
+      res,
+    );
+
+    assert.equal(res.statusCode, 400);
+  });
+});
+
+describe("GET /api/organs/stream", () => {
+  // Open a stream resuming from the given ID and close it again
+  const open = (lastEventId) => {
+    const res = mockResponse();
+    const written = [];
+    res.flushHeaders = () => {};
+    res.write = (chunk) => written.push(chunk);
+    const handlers = {};
+    const req = {
+      get: (name) => (name === "Last-Event-ID" ? lastEventId : undefined),
+      query: {},
+      on: (event, handler) => (handlers[event] = handler),
+    };
+
+    streamOrganEvents(req, res);
+    handlers.close();
+    return written.join("");
+  };
+
+  it("sends a resync with the current ID for an ID from a previous boot", () => {
+    const frames = open(String(organEventService.bootEventId - 1000));
+
+    assert.match(frames, /event: organs\.resync/);
+    assert.match(frames, new RegExp(`id: ${organEventService.lastEventId}\n`));
+    assert.match(frames, /"reason":"UNKNOWN_EVENT_ID"/);
+  });
+
+  it("sends a resync for an unparseable ID", () => {
+    assert.match(open("not-an-id"), /event: organs\.resync/);
+  });
+
+  it("replays nothing to a client that is up to date", () => {
+    assert.equal(
+      open(String(organEventService.lastEventId)),
+      "retry: 5000\n\n",
+    );
+  });
+});
+
+describe("GET /api/organs/diagnose-all/:jobId", () => {
+  it("returns 404 for a malformed job ID without querying", async () => {
+    // A spy calling the real findOne, which would throw a CastError
+    const findOne = mock.method(JobRun, "findOne");
+
+    const res = mockResponse();
+    await getDiagnoseAllStatus({ params: { jobId: "not-a-job" } }, res);
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(findOne.mock.callCount(), 0);
+  });
+
+  it("returns 404 for an unknown job ID", async () => {
+    mock.method(JobRun, "findOne", async () => null);
+
+    const res = mockResponse();
+    await getDiagnoseAllStatus({ params: { jobId: objectId().toString() } }, res);
+
+    assert.equal(res.statusCode, 404);
+  });
+
+  it("reports partial progress while the job runs", async () => {
+    const jobId = objectId();
+    const findOne = mock.method(JobRun, "findOne", async () => ({
+      _id: jobId,
+      status: "RUNNING",
+      total: 3,
+      startedAt: new Date(),
+      finishedAt: null,
+      error: null,
+      results: [
+        { organName: "Amazon Lungs", status: "success", diagnosis: "Stable" },
+        { organName: "Congo Veins", status: "error", error: "NASA timeout" },
+      ],
+    }));
+    const res = mockResponse();
+
+    await getDiagnoseAllStatus({ params: { jobId: jobId.toString() } }, res);
+
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+      _id: jobId.toString(),
+      trigger: "DIAGNOSE_ALL",
+    });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.status, "RUNNING");
+    assert.equal(res.body.data.completed, 2);
+    assert.equal(res.body.data.succeeded, 1);
+    assert.equal(res.body.data.failed, 1);
+  });
+});
+
+describe("organ admin CRUD", () => {
+  it("creates an organ with a placeholder diagnosis and publishes it", async () => {
+    mock.method(console, "log", () => {});
+    const create = mock.method(Organ, "create", async (fields) => ({
+      _id: objectId(),
+      ...fields,
+    }));
+    const publish = mock.method(organEventService, "publish", () => {});
+    const res = mockResponse();
+
+    await createOrgan(
+      {
+        body: {
+          name: "Coral Skin",
+          type: "Skin",
+          targetFundingUSD: 20000,
+          currentFundingUSD: 1e9,
+        },
+      },
+      res,
+    );
+
+    assert.equal(res.statusCode, 201);
+    const fields = create.mock.calls[0].arguments[0];
+    assert.equal(fields.currentFundingUSD, undefined);
+    assert.equal(fields.diagnosis, "Awaiting initial diagnostic scan...");
+    assert.equal(publish.mock.calls[0].arguments[0], "organ.created");
+  });
+
+  it("returns 400 with the invalid fields", async () => {
+    mock.method(Organ, "create", async (fields) => {
+      throw new Organ(fields).validateSync();
+    });
+    const res = mockResponse();
+
+    await createOrgan({ body: { name: "Coral Skin", type: "Tail" } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.ok(res.body.errors.type);
+  });
+
+  it("returns 409 for a duplicate name", async () => {
+    mock.method(Organ, "create", async () => {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    });
+    const res = mockResponse();
+
+    await createOrgan({ body: { name: "Amazon Lungs", type: "Lungs" } }, res);
+
+    assert.equal(res.statusCode, 409);
+  });
+
+  it("rejects updates with no editable fields", async () => {
+    const res = mockResponse();
+    await updateOrgan(
+      {
+        params: { id: objectId().toString() },
+        body: { currentFundingUSD: 10 },
+      },
+      res,
+    );
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /No editable fields/);
+  });
+
+  it("re-evaluates milestones when the target changes", async () => {
+    const current = organ({ targetFundingUSD: 1000 });
+    const update = mock.method(Organ, "findOneAndUpdate", async () => current);
+    const evaluate = mock.method(milestoneService, "evaluate", async (o) => o);
+    mock.method(organEventService, "publish", () => {});
+    const res = mockResponse();
+
+    await updateOrgan(
+      {
+        params: { id: current._id.toString() },
+        body: { targetFundingUSD: 1000 },
+      },
+      res,
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(update.mock.calls[0].arguments[0].deletedAt, null);
+    assert.equal(evaluate.mock.callCount(), 1);
+  });
+
+  it("soft deletes an organ and 404s once it is gone", async () => {
+    mock.method(console, "log", () => {});
+    mock.method(organEventService, "publish", () => {});
+    const current = organ();
+    const update = mock.method(Organ, "findOneAndUpdate", async (filter) =>
+      filter.deletedAt === null && !current.deletedAt
+        ? Object.assign(current, { deletedAt: new Date() })
+        : null,
+    );
+    const req = { params: { id: current._id.toString() } };
+
+    const res = mockResponse();
+    await deleteOrgan(req, res);
+    assert.equal(res.statusCode, 200);
+    assert.ok(update.mock.calls[0].arguments[1].deletedAt instanceof Date);
+
+    const again = mockResponse();
+    await deleteOrgan(req, again);
+    assert.equal(again.statusCode, 404);
+  });
+});
@@ -0,0 +1,15 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { mockResponse } = require("./helpers");
+
+const { createSubscription } = require("../controllers/subscriptionController");
+
+describe("POST /api/subscriptions", () => {
+  it("returns 400 for a bodyless request", async () => {
+    const res = mockResponse();
+    await createSubscription({}, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /valid email/);
+  });
+});
@@ -0,0 +1,131 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+
+const express = require("express");
+const { verificationUpload } = require("../middleware/upload");
+
+const SETTINGS = ["VERIFICATION_MAX_UPLOAD_MB", "VERIFICATION_MAX_IMAGES"];
+const original = Object.fromEntries(
+  SETTINGS.map((name) => [name, process.env[name]]),
+);
+
+let server;
+afterEach(() => {
+  for (const name of SETTINGS) {
+    if (original[name] === undefined) delete process.env[name];
+    else process.env[name] = original[name];
+  }
+  server?.close();
+  server = null;
+});
+
+/**
+ * Serve the upload middleware, echoing what it parsed, and send it a request
+ * @param {Object} settings - Upload limits for this server
+ * @param {Object} init - fetch options
+ * @returns {Promise<Object>} { status, body }
+ */
+const send = async (settings, init) => {
+  Object.assign(process.env, settings);
+  const app = express();
+  app.post("/api/verify", verificationUpload(), (req, res) => {
+    res.json({
+      body: req.body,
+      files: Object.fromEntries(
+        Object.entries(req.files || {}).map(([field, files]) => [
+          field,
+          files.map((file) => file.size),
+        ]),
+      ),
+    });
+  });
+  app.use((err, req, res, next) =>
+    res.status(err.statusCode || 500).json({ message: err.message }),
+  );
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+
+  const { port } = server.address();
+  const response = await fetch(`http://127.0.0.1:${port}/api/verify`, {
+    method: "POST",
+    ...init,
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const form = (files, fields = {}) => {
+  const data = new FormData();
+  for (const [name, value] of Object.entries(fields)) data.append(name, value);
+  for (const [name, size] of files) {
+    data.append(name, new Blob([Buffer.alloc(size)]), "photo.jpg");
+  }
+  return data;
+};
+
+describe("verificationUpload", () => {
+  it("parses before and after image files with the form fields", async () => {
+    const { status, body } = await send(
+      {},
+      {
+        body: form(
+          [
+            ["beforeImages", 100],
+            ["afterImages", 200],
+            ["afterImages", 300],
+          ],
+          { organId: "lungs" },
+        ),
+      },
+    );
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, {
+      body: { organId: "lungs" },
+      files: { beforeImages: [100], afterImages: [200, 300] },
+    });
+  });
+
+  it("returns 413 for an image over the size limit", async () => {
+    const { status, body } = await send(
+      { VERIFICATION_MAX_UPLOAD_MB: "0.001" },
+      { body: form([["afterImages", 2048]]) },
+    );
+
+    assert.equal(status, 413);
+    assert.equal(body.message, "Images may be at most 0.001MB each");
+  });
+
+  it("returns 400 for too many images or another file field", async () => {
+    const tooMany = await send(
+      { VERIFICATION_MAX_IMAGES: "1" },
+      {
+        body: form([
+          ["afterImages", 10],
+          ["afterImages", 10],
+        ]),
+      },
+    );
+    server.close();
+    const otherField = await send({}, { body: form([["image", 10]]) });
+
+    for (const { status, body } of [tooMany, otherField]) {
+      assert.equal(status, 400);
+      assert.match(body.message, /Upload up to \d+ files each/);
+    }
+  });
+
+  it("parses JSON bodies with base64 images", async () => {
+    const { status, body } = await send(
+      {},
+      {
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ afterImages: ["aGVsbG8="] }),
+      },
+    );
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.body, { afterImages: ["aGVsbG8="] });
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { mockResponse, query, objectId } = require("./helpers");
+
+const Organ = require("../models/Organ");
+const VerificationSubmission = require("../models/VerificationSubmission");
+const verificationService = require("../services/VerificationService");
+const {
+  verifyRestorationImage,
+  reviewSubmission,
+} = require("../controllers/verificationController");
+
+afterEach(() => mock.restoreAll());
+
+const admin = { role: "admin", subject: "admin" };
+
+describe("POST /api/verify", () => {
+  it("returns 400 for a bodyless request", async () => {
+    const res = mockResponse();
+    await verifyRestorationImage({ auth: admin }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /organId, beforeImages and afterImages/);
+  });
+});
+
+describe("POST /api/verify/submissions/:id/review", () => {
+  it("returns 400 for a bodyless request", async () => {
+    const res = mockResponse();
+    await reviewSubmission(
+      { auth: admin, params: { id: objectId().toString() } },
+      res,
+    );
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /decision must be one of/);
+  });
+
+  it("requires a reason", async () => {
+    const res = mockResponse();
+    await reviewSubmission(
+      {
+        auth: admin,
+        params: { id: objectId().toString() },
+        body: { decision: "APPROVE" },
+      },
+      res,
+    );
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, "reason is required");
+  });
+
+  it("applies the decision and returns the transition", async () => {
+    const organ = { _id: objectId(), name: "Amazon Lungs" };
+    const submission = {
+      _id: objectId(),
+      organId: organ._id,
+      images: [],
+      review: { status: "PENDING" },
+      populate: async () => {},
+    };
+    mock.method(VerificationSubmission, "findOne", () => query(submission));
+    mock.method(Organ, "findOne", async () => organ);
+    const review = mock.method(verificationService, "review", async () => ({
+      submission: { ...submission, review: { status: "APPROVED" } },
+      transition: { _id: objectId(), rule: "OUTCOME_PARTIAL" },
+    }));
+
+    const res = mockResponse();
+    await reviewSubmission(
+      {
+        auth: admin,
+        params: { id: submission._id.toString() },
+        body: { decision: "APPROVE", reason: "Site visit confirmed", outcome: "PARTIAL" },
+      },
+      res,
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.review.status, "APPROVED");
+    assert.equal(res.body.data.transition.rule, "OUTCOME_PARTIAL");
+    assert.deepEqual(review.mock.calls[0].arguments[2], {
+      decision: "APPROVE",
+      reason: "Site visit confirmed",
+      outcome: "PARTIAL",
+      reviewedBy: "admin",
+    });
+  });
+});
@@ -0,0 +1,191 @@
+const { describe, it, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { mockResponse, query, objectId } = require("./helpers");
+
+// The Flutterwave SDK client is built when the controller loads
+process.env.FLUTTERWAVE_PUBLIC_KEY ||= "FLWPUBK_TEST-0";
+process.env.FLUTTERWAVE_SECRET_KEY ||= "FLWSECK_TEST-0";
+
+const Vial = require("../models/Vial");
+const WebhookEvent = require("../models/WebhookEvent");
+const fundingService = require("../services/FundingService");
+const {
+  handleWebhook,
+  initializePayment,
+  getVialsByOrgan,
+} = require("../controllers/vialController");
+
+const HASH = "test-webhook-hash";
+const originalHash = process.env.FLUTTERWAVE_WEBHOOK_HASH;
+
+const vial = { _id: objectId(), transactionRef: "AIYE-1", status: "PENDING" };
+
+// Signed charge.completed delivery for the test vial
+const delivery = (status = "successful") => ({
+  headers: { "verif-hash": HASH },
+  body: {
+    id: 555,
+    event: "charge.completed",
+    data: { id: 9001, tx_ref: "AIYE-1", status },
+  },
+});
+
+/**
+ * In-memory webhook event store with the unique eventId index
+ */
+const eventStore = () => {
+  const events = new Map();
+  mock.method(WebhookEvent, "create", async (fields) => {
+    if (events.has(fields.eventId)) {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    }
+    const event = { _id: objectId(), status: "PROCESSING", ...fields };
+    events.set(fields.eventId, event);
+    return event;
+  });
+  mock.method(WebhookEvent, "findOneAndUpdate", async (filter, update) => {
+    const event = events.get(filter.eventId);
+    if (event?.status !== "FAILED") return null;
+    return Object.assign(event, update.$set);
+  });
+  mock.method(WebhookEvent, "updateOne", async (filter, update) => {
+    const event = [...events.values()].find((e) => e._id === filter._id);
+    Object.assign(event, update);
+  });
+  return events;
+};
+
+beforeEach(() => {
+  process.env.FLUTTERWAVE_WEBHOOK_HASH = HASH;
+  mock.method(console, "error", () => {});
+  mock.method(Vial, "findOne", async () => vial);
+});
+afterEach(() => {
+  if (originalHash === undefined) delete process.env.FLUTTERWAVE_WEBHOOK_HASH;
+  else process.env.FLUTTERWAVE_WEBHOOK_HASH = originalHash;
+  mock.restoreAll();
+});
+
+describe("POST /api/vials/webhook", () => {
+  it("rejects an unsigned delivery", async () => {
+    const res = mockResponse();
+    await handleWebhook({ ...delivery(), headers: {} }, res);
+
+    assert.equal(res.statusCode, 401);
+  });
+
+  it("settles a redelivered event once", async () => {
+    const events = eventStore();
+    const settle = mock.method(fundingService, "settleVial", async () => ({
+      outcome: "SUCCESS",
+    }));
+
+    const first = mockResponse();
+    await handleWebhook(delivery(), first);
+    const second = mockResponse();
+    await handleWebhook(delivery(), second);
+
+    assert.equal(first.body.message, "Webhook processed successfully");
+    assert.equal(second.body.message, "Duplicate event");
+    assert.equal(settle.mock.callCount(), 1);
+    assert.deepEqual(settle.mock.calls[0].arguments[1], {
+      transactionId: 9001,
+      source: "webhook",
+    });
+    assert.equal(events.get("555").status, "PROCESSED");
+  });
+
+  it("processes a redelivery again after the handler failed", async () => {
+    const events = eventStore();
+    let attempts = 0;
+    mock.method(fundingService, "settleVial", async () => {
+      if (++attempts === 1) throw new Error("connection reset");
+      return { outcome: "SUCCESS" };
+    });
+
+    const failed = mockResponse();
+    await handleWebhook(delivery(), failed);
+    assert.equal(failed.statusCode, 500);
+    assert.equal(events.get("555").status, "FAILED");
+
+    const retried = mockResponse();
+    await handleWebhook(delivery(), retried);
+    assert.equal(retried.statusCode, 200);
+    assert.equal(retried.body.success, true);
+    assert.equal(events.get("555").status, "PROCESSED");
+  });
+
+  it("keeps an unsettled charge retryable", async () => {
+    const events = eventStore();
+    mock.method(fundingService, "settleVial", async () => ({
+      outcome: "NOT_SUCCESSFUL",
+    }));
+
+    const res = mockResponse();
+    await handleWebhook(delivery(), res);
+
+    assert.equal(res.body.success, false);
+    assert.equal(events.get("555").status, "FAILED");
+  });
+
+  it("keeps an event retryable while another attempt holds the credit", async () => {
+    const events = eventStore();
+    let outcome = "CREDIT_PENDING";
+    mock.method(fundingService, "settleVial", async () => ({ outcome }));
+
+    const pending = mockResponse();
+    await handleWebhook(delivery(), pending);
+    assert.equal(pending.statusCode, 503);
+    assert.equal(events.get("555").status, "FAILED");
+
+    // The redelivery finishes the credit the stopped attempt left
+    outcome = "SUCCESS";
+    const retried = mockResponse();
+    await handleWebhook(delivery(), retried);
+    assert.equal(retried.statusCode, 200);
+    assert.equal(events.get("555").status, "PROCESSED");
+  });
+});
+
+describe("POST /api/vials/initialize", () => {
+  it("returns 400 for a bodyless request", async () => {
+    const res = mockResponse();
+    await initializePayment({}, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /amount must be a positive number/);
+  });
+});
+
+describe("GET /api/vials/:organId", () => {
+  it("returns settled vials without donor contact or payment details", async () => {
+    const organId = objectId();
+    const find = mock.method(Vial, "find", () =>
+      query([
+        {
+          _id: objectId(),
+          donorName: "Ada",
+          donorEmail: "ada@example.org",
+          anonymous: true,
+          amount: 5000,
+          currency: "NGN",
+          amountUSD: 3.2,
+          flutterwaveData: { customer: { email: "ada@example.org" } },
+          processedAt: new Date("2026-02-01T00:00:00Z"),
+        },
+      ]),
+    );
+    const res = mockResponse();
+
+    await getVialsByOrgan({ params: { organId: organId.toString() } }, res);
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      organId: organId.toString(),
+      status: "SUCCESS",
+    });
+    const [vial] = res.body.data;
+    assert.equal(vial.donorName, "Anonymous");
+    assert.equal(vial.recurring, false);
+    assert.ok(!JSON.stringify(res.body).includes("ada@example.org"));
+  });
+});